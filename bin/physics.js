@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+// Command-line interface to the Real-World Physics Simulation API
+// Every calculation route is a command and flags become fields of its request body:
+//
+//   physics trajectory --material golf --velocity 70 --angle 12 --format csv
+//   physics quick-throw --scenario free_throw --units imperial
+//   physics batch --input jobs.json
+//
+// Commands run in-process through the same routes as the HTTP API, on a loopback port that
+// closes when the command ends, so validation, units and export formats match the API.
+
+// Request logs would mix with the command's output
+process.env.ACCESS_LOG = process.env.ACCESS_LOG || 'off';
+
+const fs = require('fs');
+const http = require('http');
+const app = require('../server');
+
+// Short flags for the long flight field names, used when a command has no field of that name
+const FLAG_ALIASES = {
+  velocity: 'initialVelocity',
+  angle: 'launchAngle',
+  height: 'initialHeight',
+  azimuth: 'launchAzimuth',
+  surface: 'impactSurface',
+  bounces: 'maxBounces'
+};
+
+// Flags the CLI handles itself rather than sending as request fields
+const CLI_FLAGS = {
+  format: 'Output format: json (default), csv, svg or gltf where the command supports it',
+  input: 'JSON file with the request body, or - for stdin; other flags are applied on top',
+  'client-id': 'Client whose custom materials to use',
+  help: 'Show the fields a command takes'
+};
+
+const EXIT_CODES = {
+  failed: 1, // the API rejected the request or the calculation failed
+  usage: 2
+};
+
+class UsageError extends Error {}
+
+// --initial-velocity -> initialVelocity
+const camelCase = (name) => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+// Numbers, booleans, null, arrays and objects are read as JSON; anything else is a string
+const parseValue = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+// Split arguments into a command and its flags, in order: --name value, --name=value,
+// or a bare --name for true
+const parseArgs = (argv) => {
+  const [command, ...rest] = argv;
+  const flags = [];
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (!arg.startsWith('--') || arg.length === 2) {
+      throw new UsageError(`Unexpected argument '${arg}'; flags look like --name value`);
+    }
+    const equals = arg.indexOf('=');
+    if (equals !== -1) {
+      flags.push([arg.slice(2, equals), arg.slice(equals + 1)]);
+    } else if (i + 1 < rest.length && !rest[i + 1].startsWith('--')) {
+      flags.push([arg.slice(2), rest[i + 1]]);
+      i++;
+    } else {
+      flags.push([arg.slice(2), 'true']);
+    }
+  }
+  return { command, flags };
+};
+
+// Send one request to the app listening on a loopback port; resolves with the response
+const send = (port, { method, path, headers = {}, body }) => new Promise((resolve, reject) => {
+  const payload = body !== undefined ? JSON.stringify(body) : undefined;
+  const req = http.request({
+    host: '127.0.0.1',
+    port,
+    method,
+    path,
+    agent: false,
+    headers: {
+      ...headers,
+      ...(payload !== undefined ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {})
+    }
+  }, resolve);
+  req.on('error', reject);
+  req.end(payload);
+});
+
+const readBody = (res) => new Promise((resolve, reject) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  res.on('error', reject);
+});
+
+// Calculation commands, from the API's own OpenAPI document: every POST route outside the
+// material registry, named after its path (/api/solve/target -> solve-target)
+const commandsOf = (spec) => Object.fromEntries(Object.entries(spec.paths).flatMap(([path, operations]) => (
+  operations.post && operations.post.requestBody && !operations.post.tags.includes('Materials')
+    ? [[path.replace(/^\/api\//, '').replace(/\//g, '-'), { path, operation: operations.post }]]
+    : []
+)));
+
+// Request body schema of an operation, following its $ref into the components
+const requestSchemaOf = (spec, operation) => {
+  const { schema } = operation.requestBody.content['application/json'];
+  return schema.$ref ? spec.components.schemas[schema.$ref.split('/').pop()] : schema;
+};
+
+const usage = (commands) => [
+  'Usage: physics <command> [--field value ...] [--format json|csv|svg|gltf] [--input file.json|-]',
+  '',
+  'Commands:',
+  ...Object.entries(commands).map(([name, { operation }]) => `  ${name.padEnd(24)}${operation.summary}`),
+  '',
+  'Flags set request fields (--initial-velocity or --initialVelocity; --target.x 30 for nested',
+  'fields) and values are read as JSON where they parse, so --spin-axis \'{"x":0,"y":1,"z":0}\'',
+  'works. Run physics <command> --help for the fields a command takes.',
+  ''
+].join('\n');
+
+const commandHelp = (spec, name, { path, operation }) => {
+  const schema = requestSchemaOf(spec, operation);
+  const fields = Object.entries(schema.properties || {}).map(([field, property]) => {
+    const type = [].concat(property.type || 'any').join('|');
+    const details = [
+      property.description,
+      property.enum ? `one of: ${property.enum.join(', ')}` : null,
+      property.default !== undefined ? `default ${JSON.stringify(property.default)}` : null,
+      (schema.required || []).includes(field) ? 'required' : null
+    ].filter(Boolean).join('; ');
+    return `  --${field.padEnd(22)}${type.padEnd(10)}${details}`;
+  });
+  const aliases = Object.entries(FLAG_ALIASES)
+    .filter(([alias, field]) => !(schema.properties || {})[alias] && (schema.properties || {})[field])
+    .map(([alias, field]) => `--${alias} for --${field}`);
+
+  return [
+    `physics ${name}: ${operation.summary} (POST ${path})`,
+    ...(operation.description ? [operation.description] : []),
+    '',
+    'Fields:',
+    ...fields,
+    ...(aliases.length > 0 ? ['', `Aliases: ${aliases.join(', ')}`] : []),
+    '',
+    'Options:',
+    ...Object.entries(CLI_FLAGS).map(([flag, description]) => `  --${flag.padEnd(22)}${description}`),
+    ''
+  ].join('\n');
+};
+
+// Build a request body from --input and the field flags
+const buildBody = (schema, flags) => {
+  const input = flags.find(([name]) => name === 'input');
+  let body = {};
+  if (input) {
+    const text = input[1] === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(input[1], 'utf8');
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      throw new UsageError(`--input is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const properties = schema.properties || {};
+  for (const [flag, text] of flags) {
+    if (Object.prototype.hasOwnProperty.call(CLI_FLAGS, flag)) {
+      continue;
+    }
+    const keys = flag.split('.').map(camelCase);
+    if (!properties[keys[0]] && properties[FLAG_ALIASES[keys[0]]]) {
+      keys[0] = FLAG_ALIASES[keys[0]];
+    }
+    let target = body;
+    for (const key of keys.slice(0, -1)) {
+      if (target[key] === null || typeof target[key] !== 'object') {
+        target[key] = {};
+      }
+      target = target[key];
+    }
+    target[keys[keys.length - 1]] = parseValue(text);
+  }
+  return body;
+};
+
+// Problem details as readable lines: the title, then each field error
+const describeProblem = (status, text) => {
+  let problem;
+  try {
+    problem = JSON.parse(text);
+  } catch (error) {
+    return `physics: request failed with status ${status}\n${text}\n`;
+  }
+  const errors = (problem.errors || []).map(error => `  ${error.pointer || '(body)'}: ${error.detail}`);
+  const summary = problem.title
+    ? `${problem.title}${problem.detail ? `: ${problem.detail}` : ''}`
+    : `${problem.error || `Request failed with status ${status}`}${problem.details ? `: ${problem.details}` : ''}`;
+  return [`physics: ${summary}`, ...errors, ''].join('\n');
+};
+
+const run = async (argv, port) => {
+  const spec = JSON.parse(await readBody(await send(port, { method: 'GET', path: '/api/openapi.json' })));
+  const commands = commandsOf(spec);
+  const { command, flags } = parseArgs(argv);
+
+  if (!command || command === 'help' || command === '--help') {
+    process.stdout.write(usage(commands));
+    return 0;
+  }
+  if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+    throw new UsageError(`Unknown command '${command}'. Commands: ${Object.keys(commands).join(', ')}`);
+  }
+  if (flags.some(([name]) => name === 'help')) {
+    process.stdout.write(commandHelp(spec, command, commands[command]));
+    return 0;
+  }
+
+  const { path, operation } = commands[command];
+  const format = flags.find(([name]) => name === 'format');
+  const clientId = flags.find(([name]) => name === 'client-id');
+  const res = await send(port, {
+    method: 'POST',
+    path: format ? `${path}?format=${encodeURIComponent(format[1])}` : path,
+    headers: clientId ? { 'X-Client-Id': clientId[1] } : {},
+    body: buildBody(requestSchemaOf(spec, operation), flags)
+  });
+
+  if (res.statusCode >= 400) {
+    process.stderr.write(describeProblem(res.statusCode, await readBody(res)));
+    return EXIT_CODES.failed;
+  }
+
+  // JSON is pretty-printed; exports and streams pass through as they arrive
+  if (/^application\/json/.test(res.headers['content-type'] || '')) {
+    process.stdout.write(`${JSON.stringify(JSON.parse(await readBody(res)), null, 2)}\n`);
+  } else {
+    await new Promise((resolve, reject) => {
+      res.pipe(process.stdout, { end: false });
+      res.on('end', resolve);
+      res.on('error', reject);
+    });
+  }
+  return 0;
+};
+
+const main = () => {
+  const server = app.listen(0, '127.0.0.1', () => {
+    run(process.argv.slice(2), server.address().port)
+      .catch(error => {
+        process.stderr.write(`physics: ${error.message}\n`);
+        return error instanceof UsageError ? EXIT_CODES.usage : EXIT_CODES.failed;
+      })
+      .then(code => {
+        process.exitCode = code;
+        server.close();
+      });
+  });
+};
+
+main();
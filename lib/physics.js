@@ -0,0 +1,3530 @@
+// Physics engine of the Real-World Physics Simulation API
+// Pure calculations with no HTTP dependencies, usable from scripts and the command line:
+//
+//   const { PhysicsEngine } = require('./lib/physics');
+//   const flight = PhysicsEngine.calculateTrajectory({ initialVelocity: 20, launchAngle: 45 });
+//
+// Inputs and outputs are in SI units (m, s, kg, N, J; angles in degrees, spin in rpm).
+// Parameters are not validated here; the HTTP routes and the CLI check requests before
+// they reach the engine, so direct callers should pass values the API would accept.
+
+// Physics constants
+const PHYSICS_CONSTANTS = {
+  GRAVITY: 9.81, // m/s²
+  AIR_DENSITY: 1.225, // kg/m³ at sea level
+  TERMINAL_VELOCITY_HUMAN: 56, // m/s
+  SOUND_SPEED: 343, // m/s at 20°C
+};
+
+// International Standard Atmosphere (ISA) layers up to 84.852 km
+// Each layer has a base altitude (m), base temperature (K), base pressure (Pa)
+// and temperature lapse rate (K/m)
+const ISA_LAYERS = [
+  { altitude: 0, temperature: 288.15, pressure: 101325, lapseRate: -0.0065 },
+  { altitude: 11000, temperature: 216.65, pressure: 22632.1, lapseRate: 0 },
+  { altitude: 20000, temperature: 216.65, pressure: 5474.89, lapseRate: 0.001 },
+  { altitude: 32000, temperature: 228.65, pressure: 868.019, lapseRate: 0.0028 },
+  { altitude: 47000, temperature: 270.65, pressure: 110.906, lapseRate: 0 },
+  { altitude: 51000, temperature: 270.65, pressure: 66.9389, lapseRate: -0.0028 },
+  { altitude: 71000, temperature: 214.65, pressure: 3.95642, lapseRate: -0.002 }
+];
+
+const ATMOSPHERE_CONSTANTS = {
+  MAX_ALTITUDE: 84852, // m, top of the ISA model
+  STANDARD_GRAVITY: 9.80665, // m/s²
+  MOLAR_MASS_AIR: 0.0289644, // kg/mol
+  UNIVERSAL_GAS_CONSTANT: 8.31446, // J/(mol·K)
+  GAS_CONSTANT_DRY_AIR: 287.058, // J/(kg·K)
+  GAS_CONSTANT_WATER_VAPOR: 461.495, // J/(kg·K)
+  HEAT_CAPACITY_RATIO: 1.4
+};
+
+// Material properties for realistic calculations
+// liftSlope and maxLiftCoeff shape the Magnus lift coefficient as spin increases,
+// spinDecayTime is the time constant (s) over which spin decays in flight and
+// inertiaFactor k gives the moment of inertia I = k·m·r² (0.4 solid, 2/3 hollow)
+const MATERIALS = {
+  basketball: { mass: 0.624, radius: 0.1194, dragCoeff: 0.47, bounciness: 0.85, liftSlope: 1.2, maxLiftCoeff: 0.35, spinDecayTime: 10, inertiaFactor: 0.667 },
+  soccer: { mass: 0.43, radius: 0.11, dragCoeff: 0.25, bounciness: 0.75, liftSlope: 1.2, maxLiftCoeff: 0.3, spinDecayTime: 8, inertiaFactor: 0.667 },
+  tennis: { mass: 0.057, radius: 0.0335, dragCoeff: 0.51, bounciness: 0.73, liftSlope: 1.0, maxLiftCoeff: 0.35, spinDecayTime: 6, inertiaFactor: 0.55 },
+  baseball: { mass: 0.145, radius: 0.037, dragCoeff: 0.3, bounciness: 0.55, liftSlope: 2.5, maxLiftCoeff: 0.45, spinDecayTime: 25, inertiaFactor: 0.4 },
+  golf: { mass: 0.046, radius: 0.021, dragCoeff: 0.24, bounciness: 0.78, liftSlope: 2.5, maxLiftCoeff: 0.4, spinDecayTime: 20, inertiaFactor: 0.4 },
+  bowling: { mass: 7.26, radius: 0.108, dragCoeff: 0.15, bounciness: 0.15, liftSlope: 0.5, maxLiftCoeff: 0.2, spinDecayTime: 30, inertiaFactor: 0.4 },
+  rock: { mass: 0.5, radius: 0.05, dragCoeff: 0.47, bounciness: 0.2, liftSlope: 0.5, maxLiftCoeff: 0.2, spinDecayTime: 5, inertiaFactor: 0.4 },
+  paper_airplane: { mass: 0.003, radius: 0.1, dragCoeff: 0.02, bounciness: 0.1, liftSlope: 0.5, maxLiftCoeff: 0.2, spinDecayTime: 2, inertiaFactor: 0.4 },
+  custom: { mass: 1, radius: 0.05, dragCoeff: 0.47, bounciness: 0.6, liftSlope: 1.0, maxLiftCoeff: 0.3, spinDecayTime: 10, inertiaFactor: 0.4 }
+};
+
+// Impact surface properties
+// hardness scales impact force, restitution scales the material's bounciness,
+// friction is the sliding (kinetic) coefficient at contact, staticFriction the most that
+// can hold an object before it slips, and rollingResistance slows a rolling ball
+const SURFACES = {
+  concrete: { hardness: 1.0, restitution: 1.0, friction: 0.6, staticFriction: 0.8, rollingResistance: 0.015 },
+  grass: { hardness: 0.7, restitution: 0.7, friction: 0.4, staticFriction: 0.5, rollingResistance: 0.3 },
+  sand: { hardness: 0.5, restitution: 0.3, friction: 0.7, staticFriction: 0.8, rollingResistance: 0.5 },
+  water: { hardness: 0.3, restitution: 0.1, friction: 0.1, staticFriction: 0.1, rollingResistance: 0.5 },
+  wood: { hardness: 0.8, restitution: 0.9, friction: 0.45, staticFriction: 0.55, rollingResistance: 0.02 },
+  metal: { hardness: 1.2, restitution: 1.0, friction: 0.3, staticFriction: 0.4, rollingResistance: 0.01 },
+  net: { hardness: 0.2, restitution: 0.1, friction: 0.8, staticFriction: 0.9, rollingResistance: 0.5 }
+};
+
+// Measured friction of surface pairs that differ from combining the two surfaces' own
+// coefficients; keys are the two surface names in alphabetical order
+const FRICTION_PAIRS = {
+  'concrete|metal': { friction: 0.45, staticFriction: 0.57 },
+  'concrete|wood': { friction: 0.45, staticFriction: 0.62 },
+  'metal|metal': { friction: 0.57, staticFriction: 0.74 },
+  'metal|wood': { friction: 0.35, staticFriction: 0.45 },
+  'wood|wood': { friction: 0.3, staticFriction: 0.5 }
+};
+
+// Advance a state by h along a weighted sum of derivatives: state + h * Σ(weight * k)
+const advanceState = (state, h, derivatives, weights) => {
+  const next = {};
+  for (const key of Object.keys(state)) {
+    let delta = 0;
+    for (let i = 0; i < derivatives.length; i++) {
+      if (weights[i] !== 0) {
+        delta += weights[i] * derivatives[i][key];
+      }
+    }
+    next[key] = state[key] + h * delta;
+  }
+  return next;
+};
+
+// Position keys of a state are those with a matching velocity key (x -> vx)
+const positionKeys = (state) => Object.keys(state).filter(key => `v${key}` in state);
+
+// Dormand-Prince 5(4) Butcher tableau used by the adaptive RK45 integrator
+const DORMAND_PRINCE = {
+  a: [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+  ],
+  c: [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1],
+  b5: [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0],
+  b4: [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40]
+};
+
+// Numerical integrators for the equations of motion
+// Each step takes a state such as { x, y, z, vx, vy, vz }, a time step, a derivative
+// function (state, time) returning { x: vx, ..., vx: ax, ... } and the current time,
+// and returns the state one step later.
+// order is used for Richardson error estimates; adaptive integrators also return an error.
+const INTEGRATORS = {
+  euler: {
+    order: 1,
+    step: (state, h, derivative, t) => advanceState(state, h, [derivative(state, t)], [1])
+  },
+  semi_implicit_euler: {
+    order: 1,
+    step: (state, h, derivative, t) => {
+      // Update velocity first, then move with the new velocity
+      const next = advanceState(state, h, [derivative(state, t)], [1]);
+      for (const key of positionKeys(state)) {
+        next[key] = state[key] + h * next[`v${key}`];
+      }
+      return next;
+    }
+  },
+  velocity_verlet: {
+    order: 2,
+    step: (state, h, derivative, t) => {
+      // Drag depends on velocity, so the end-of-step acceleration uses a predicted velocity
+      const k0 = derivative(state, t);
+      const predicted = advanceState(state, h, [k0], [1]);
+      for (const key of positionKeys(state)) {
+        predicted[key] = state[key] + h * state[`v${key}`] + 0.5 * h * h * k0[`v${key}`];
+      }
+      const k1 = derivative(predicted, t + h);
+      const next = advanceState(state, h, [k0, k1], [0.5, 0.5]);
+      for (const key of positionKeys(state)) {
+        next[key] = predicted[key];
+      }
+      return next;
+    }
+  },
+  rk4: {
+    order: 4,
+    step: (state, h, derivative, t) => {
+      const k1 = derivative(state, t);
+      const k2 = derivative(advanceState(state, h / 2, [k1], [1]), t + h / 2);
+      const k3 = derivative(advanceState(state, h / 2, [k2], [1]), t + h / 2);
+      const k4 = derivative(advanceState(state, h, [k3], [1]), t + h);
+      return advanceState(state, h, [k1, k2, k3, k4], [1 / 6, 1 / 3, 1 / 3, 1 / 6]);
+    }
+  },
+  rk45: {
+    order: 5,
+    adaptive: true,
+    step: (state, h, derivative, t) => {
+      const k = [];
+      for (let i = 0; i < DORMAND_PRINCE.a.length; i++) {
+        const stage = i === 0 ? state : advanceState(state, h, k, DORMAND_PRINCE.a[i]);
+        k.push(derivative(stage, t + DORMAND_PRINCE.c[i] * h));
+      }
+      const next = advanceState(state, h, k, DORMAND_PRINCE.b5);
+      const lower = advanceState(state, h, k, DORMAND_PRINCE.b4);
+      const error = {};
+      for (const key of Object.keys(state)) {
+        error[key] = next[key] - lower[key];
+      }
+      return { state: next, error };
+    }
+  }
+};
+
+// Flight objectives for launch optimization
+// measure reads the objective from a calculateTrajectory result
+const OBJECTIVES = {
+  range: {
+    maximize: true,
+    unit: 'm',
+    measure: ({ firstLanding }) => (firstLanding ? firstLanding.x : 0)
+  },
+  maxHeight: {
+    maximize: true,
+    unit: 'm',
+    measure: ({ trajectory, apex }) => trajectory.reduce((highest, p) => Math.max(highest, p.y), apex ? apex.y : 0)
+  },
+  hangTime: {
+    maximize: true,
+    unit: 's',
+    measure: ({ firstLanding, trajectory }) => (firstLanding || trajectory[trajectory.length - 1]).time
+  },
+  impactForce: {
+    maximize: false,
+    unit: 'N',
+    measure: ({ firstLanding, trajectory }, params) => {
+      const landing = firstLanding || trajectory[trajectory.length - 1];
+      return PhysicsEngine.calculateImpact(
+        landing, params.material, params.impactSurface, params.customMaterials
+      ).impactForce;
+    }
+  }
+};
+
+// Own-property lookup, so names like 'constructor' never resolve to prototype members
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// Straight pieces each integration step is split into when looking for terrain and obstacle contacts
+const CONTACT_PIECES = 8;
+
+// Utility functions for physics calculations
+class PhysicsEngine {
+  
+  // Look up a material by name: built-in materials first, then the client's own
+  // Routes reject unknown names up front, so the custom fallback only covers direct use
+  static resolveMaterial(name, customMaterials = {}) {
+    if (hasOwn(MATERIALS, name)) {
+      return MATERIALS[name];
+    }
+    return hasOwn(customMaterials, name) ? customMaterials[name] : MATERIALS.custom;
+  }
+  
+  // Calculate projectile motion with air resistance
+  // Coordinates are in the launch frame: x downrange along the launch azimuth, y up and
+  // z to the right of the launch heading. In 2D mode only the along-track wind is used,
+  // so the flight stays in the x/y plane.
+  // Optionally keeps simulating after impact: the ball rebounds off the surface
+  // until it runs out of bounces or drops below the rest threshold, then rolls to a stop
+  static calculateTrajectory(params) {
+    const run = PhysicsEngine.trajectoryRun(params);
+    let step = run.next();
+    while (!step.done) {
+      step = run.next();
+    }
+    return step.value;
+  }
+  
+  // Generator behind calculateTrajectory: yields each trajectory point as it is computed
+  // and returns the full result, so streaming routes can send points while the flight runs
+  static *trajectoryRun(params) {
+    const {
+      initialHeight = 0,
+      initialVelocity = 10,
+      launchAngle = 45, // elevation above the horizon
+      launchAzimuth = 0, // compass bearing of the throw
+      mode = '2d',
+      material = 'basketball',
+      windSpeed = 0,
+      windDirection = 0, // compass bearing the wind blows from
+      verticalWind = 0, // steady updraft (positive) or downdraft
+      gustAmplitude = 0,
+      gustPeriod = 2,
+      airDensity, // fixed density override; otherwise looked up from the atmosphere model
+      gravity = PHYSICS_CONSTANTS.GRAVITY,
+      impactSurface = 'concrete',
+      maxBounces = 0,
+      restThreshold = 0.5,
+      integrator = 'semi_implicit_euler',
+      dt = 0.01, // time step in seconds (initial step for adaptive integrators)
+      tolerance = 1e-6, // per-step error tolerance for adaptive integrators
+      estimateError = true,
+      waterEntry = false, // dive into horizontal water surfaces instead of bouncing off them
+      waterDepth = 10, // depth below the water surface at which a sinking ball stops
+      waterDensity = 1000, // kg/m³, fresh water
+      diagnostics = false, // energy accounting per point and a check of the energy balance
+      residualThreshold = 0.01, // energy residual, as a fraction of the flight's energy, that warns
+      maxPoints = Infinity // the run stops once its trajectory holds this many points
+    } = params;
+
+    const obj = PhysicsEngine.resolveMaterial(material, params.customMaterials);
+    const surface = SURFACES[impactSurface] || SURFACES.concrete;
+    const surroundings = PhysicsEngine.buildSurroundings(params);
+    const targets = PhysicsEngine.buildTargets(params, obj.radius);
+    const groundHit = {
+      type: 'ground',
+      surface: SURFACES[impactSurface] ? impactSurface : 'concrete',
+      normal: { x: 0, y: 1, z: 0 }
+    };
+    const method = INTEGRATORS[integrator] || INTEGRATORS.semi_implicit_euler;
+    const is3D = mode === '3d';
+    const spin = PhysicsEngine.resolveSpin(params);
+    const angleRad = (launchAngle * Math.PI) / 180;
+    
+    // Initial state
+    let state = {
+      x: 0,
+      y: initialHeight,
+      z: 0,
+      vx: initialVelocity * Math.cos(angleRad),
+      vy: initialVelocity * Math.sin(angleRad),
+      vz: 0
+    };
+    
+    const bounces = [];
+    const events = [];
+    let t = 0;
+    let h = dt;
+    let rolling = false;
+    let steps = 0;
+    let rejectedSteps = 0;
+    let firstLanding = null;
+    let apex = null;
+    const localError = { horizontal: 0, y: 0 };
+    
+    const { x: windX, z: windZ } = PhysicsEngine.windInLaunchFrame({ windSpeed, windDirection, launchAzimuth, mode });
+    
+    // Vertical air movement: steady updraft plus optional sinusoidal gusts
+    const windYAt = (time) => verticalWind + gustAmplitude * Math.sin((2 * Math.PI * time) / gustPeriod);
+    
+    // Air density at the projectile's current height above the launch site
+    const atmosphere = PhysicsEngine.atmosphereModel(params);
+    const densityAt = (height) => airDensity !== undefined ? airDensity : atmosphere(height).density;
+    
+    const crossSectionalArea = Math.PI * obj.radius * obj.radius;
+    const volume = (4 / 3) * Math.PI * obj.radius ** 3;
+    
+    // Drag acceleration (opposite to velocity relative to the air)
+    const dragAcceleration = (vx, vy, vz, windY, density) => {
+      const vRelX = vx - windX;
+      const vRelY = vy - windY;
+      const vRelZ = vz - windZ;
+      const vRel = Math.sqrt(vRelX * vRelX + vRelY * vRelY + vRelZ * vRelZ);
+      const dragMagnitude = 0.5 * obj.dragCoeff * density * crossSectionalArea * vRel * vRel;
+      const scale = vRel > 0 ? -dragMagnitude / (vRel * obj.mass) : 0;
+      return { x: scale * vRelX, y: scale * vRelY, z: scale * vRelZ };
+    };
+    
+    // Spin decays exponentially over the flight
+    const spinAt = (time) => {
+      const decay = Math.exp(-time / obj.spinDecayTime);
+      return { x: spin.x * decay, y: spin.y * decay, z: spin.z * decay };
+    };
+    
+    // Equations of motion in flight (gravity + drag + Magnus lift from spin)
+    const derivative = (s, time) => {
+      const windY = windYAt(time);
+      const density = densityAt(s.y);
+      const drag = dragAcceleration(s.vx, s.vy, s.vz, windY, density);
+      const accel = { x: drag.x, y: -gravity + drag.y, z: drag.z };
+      if (spin) {
+        const magnus = PhysicsEngine.calculateMagnusForce(
+          { x: s.vx - windX, y: s.vy - windY, z: s.vz - windZ },
+          spinAt(time),
+          obj,
+          density
+        );
+        accel.x += magnus.vector.x / obj.mass;
+        accel.y += magnus.vector.y / obj.mass;
+        // Sideways lift would leave the x/y plane, so 2D mode drops it
+        accel.z += is3D ? magnus.vector.z / obj.mass : 0;
+      }
+      return { x: s.vx, y: s.vy, z: s.vz, vx: accel.x, vy: accel.y, vz: accel.z };
+    };
+    
+    // Energy accounts for diagnostics, as work done on the ball: the air force splits into
+    // the drag the ball would feel in still air and what the wind changes about it (negative
+    // in a headwind); impacts, rolling and the water are what each of them changes the
+    // ball's mechanical energy by
+    const work = { drag: 0, wind: 0, impacts: 0, rolling: 0, water: 0 };
+    const kineticEnergy = (s) => 0.5 * obj.mass * (s.vx * s.vx + s.vy * s.vy + s.vz * s.vz);
+    const potentialEnergy = (s) => obj.mass * gravity * s.y;
+    const initialEnergy = kineticEnergy(state) + potentialEnergy(state);
+    const residualOf = (s) => kineticEnergy(s) + potentialEnergy(s) - initialEnergy -
+      (work.drag + work.wind + work.impacts + work.rolling + work.water);
+    let peakKineticEnergy = kineticEnergy(state);
+    let peakResidual = 0;
+    
+    // Power of the air force on the ball, split between still-air drag and the wind
+    const airPower = (s, rates) => {
+      const speed = Math.sqrt(s.vx * s.vx + s.vy * s.vy + s.vz * s.vz);
+      const total = obj.mass * (rates.vx * s.vx + (rates.vy + gravity) * s.vy + rates.vz * s.vz);
+      const drag = -0.5 * obj.dragCoeff * densityAt(s.y) * crossSectionalArea * speed ** 3;
+      return { drag, wind: total - drag };
+    };
+    
+    // Add the work done over a step to the accounts by Simpson's rule, with the midpoint
+    // from cubic Hermite interpolation of the positions and velocities
+    const accrue = (start, end, h, time, rates, power) => {
+      if (!diagnostics || h <= 0) {
+        return;
+      }
+      const startRates = rates(start, time);
+      const endRates = rates(end, time + h);
+      const mid = {};
+      for (const key of positionKeys(start)) {
+        const v = `v${key}`;
+        mid[key] = PhysicsEngine.hermite(start[key], start[v], end[key], end[v], h, 0.5);
+        mid[v] = PhysicsEngine.hermite(start[v], startRates[v], end[v], endRates[v], h, 0.5);
+      }
+      const nodes = [
+        [start, startRates, time, 1],
+        [mid, rates(mid, time + h / 2), time + h / 2, 4],
+        [end, endRates, time + h, 1]
+      ];
+      for (const [s, nodeRates, nodeTime, weight] of nodes) {
+        for (const [account, value] of Object.entries(power(s, nodeRates, nodeTime))) {
+          work[account] += (h / 6) * weight * value;
+        }
+      }
+    };
+    
+    const toPoint = (time, s) => {
+      const point = {
+        time: parseFloat(time.toFixed(3)),
+        x: parseFloat(s.x.toFixed(3)),
+        y: parseFloat(s.y.toFixed(3))
+      };
+      if (is3D) {
+        point.z = parseFloat(s.z.toFixed(3));
+      }
+      point.vx = parseFloat(s.vx.toFixed(3));
+      point.vy = parseFloat(s.vy.toFixed(3));
+      if (is3D) {
+        point.vz = parseFloat(s.vz.toFixed(3));
+      }
+      point.speed = parseFloat(Math.sqrt(s.vx * s.vx + s.vy * s.vy + s.vz * s.vz).toFixed(3));
+      if (diagnostics) {
+        const residual = residualOf(s);
+        peakKineticEnergy = Math.max(peakKineticEnergy, kineticEnergy(s));
+        peakResidual = Math.max(peakResidual, Math.abs(residual));
+        point.kineticEnergy = parseFloat(kineticEnergy(s).toFixed(4));
+        point.potentialEnergy = parseFloat(potentialEnergy(s).toFixed(4));
+        point.dragWork = parseFloat(work.drag.toFixed(4));
+        point.windWork = parseFloat(work.wind.toFixed(4));
+        point.energyResidual = parseFloat(residual.toExponential(3));
+      }
+      return point;
+    };
+    
+    const trajectory = [];
+    let lastState = state;
+    const record = (time, s) => {
+      const point = toPoint(time, s);
+      trajectory.push(point);
+      lastState = s;
+      return point;
+    };
+    
+    // Underwater the ball drags along the water it pushes aside: its added mass, half the
+    // displaced water for a sphere. Gravity, buoyancy and drag in still water act on the
+    // ball and its added mass together; wind and spin no longer matter.
+    const displacedMass = waterDensity * volume;
+    const addedMass = 0.5 * displacedMass;
+    // Power of the water's forces (buoyancy, drag and the added mass) on the ball itself
+    const waterPower = (s, rates) => ({
+      water: obj.mass * (rates.vx * s.vx + (rates.vy + gravity) * s.vy + rates.vz * s.vz)
+    });
+    const submergedDerivative = (s) => {
+      const speed = Math.sqrt(s.vx * s.vx + s.vy * s.vy + s.vz * s.vz);
+      const dragScale = -0.5 * obj.dragCoeff * waterDensity * crossSectionalArea * speed / (obj.mass + addedMass);
+      return {
+        x: s.vx,
+        y: s.vy,
+        z: s.vz,
+        vx: dragScale * s.vx,
+        vy: (displacedMass - obj.mass) * gravity / (obj.mass + addedMass) + dragScale * s.vy,
+        vz: dragScale * s.vz
+      };
+    };
+    
+    // Enter the water at a horizontal surface and follow the ball down until it reaches
+    // waterDepth or floats back up. The splash hands the vertical momentum to the ball and
+    // its added mass together, which is the energy the entry loses. Underwater steps use a
+    // fixed dt, also for adaptive integrators. Returns the water entry summary.
+    const dive = function* (entry, entryTime) {
+      const surfaceLevel = entry.y;
+      const bottom = surfaceLevel - waterDepth;
+      const entrySpeed = Math.sqrt(entry.vx * entry.vx + entry.vy * entry.vy + entry.vz * entry.vz);
+      let s = { ...entry, vy: entry.vy * obj.mass / (obj.mass + addedMass) };
+      const speedAfter = Math.sqrt(s.vx * s.vx + s.vy * s.vy + s.vz * s.vz);
+      const energyLoss = 0.5 * obj.mass * (entrySpeed * entrySpeed - speedAfter * speedAfter);
+      let time = entryTime;
+      let deepest = surfaceLevel;
+      let outcome = 'submerged';
+      work.water -= energyLoss;
+      yield record(time, s);
+      
+      while (time < 300 && trajectory.length < maxPoints) {
+        const result = method.step(s, dt, submergedDerivative, time);
+        const next = method.adaptive ? result.state : result;
+        steps++;
+        
+        const level = next.y <= bottom ? bottom : next.y >= surfaceLevel ? surfaceLevel : null;
+        const fraction = level !== null ? PhysicsEngine.interpolateCrossing(s, next, dt, 'y', level) : 1;
+        const end = level !== null ? { ...PhysicsEngine.interpolateState(s, next, dt, fraction), y: level } : next;
+        if (targets) {
+          events.push(...targets.cross(s, end, fraction * dt, time));
+        }
+        accrue(s, end, fraction * dt, time, submergedDerivative, waterPower);
+        if (s.vy < 0 && end.vy >= 0) {
+          deepest = Math.min(deepest, PhysicsEngine.interpolateApex(s, end, fraction * dt).y);
+        }
+        deepest = Math.min(deepest, end.y);
+        time += fraction * dt;
+        s = end;
+        
+        if (level !== null) {
+          // A ball that reaches the bottom stays there; one that surfaces floats
+          outcome = level === bottom ? 'sank' : 'surfaced';
+          if (outcome === 'sank') {
+            work.water -= kineticEnergy(s);
+            s = { ...s, vx: 0, vy: 0, vz: 0 };
+          }
+          yield record(time, s);
+          break;
+        }
+        yield record(time, s);
+      }
+      
+      const angle = Math.atan2(-entry.vy, Math.sqrt(entry.vx * entry.vx + entry.vz * entry.vz)) * 180 / Math.PI;
+      return {
+        entry: {
+          time: parseFloat(entryTime.toFixed(3)),
+          point: {
+            x: parseFloat(entry.x.toFixed(3)),
+            y: parseFloat(entry.y.toFixed(3)),
+            ...(is3D ? { z: parseFloat(entry.z.toFixed(3)) } : {})
+          },
+          speed: parseFloat(entrySpeed.toFixed(3)),
+          angle: parseFloat(angle.toFixed(2))
+        },
+        splash: {
+          energyLoss: parseFloat(energyLoss.toFixed(3)),
+          energyLossFraction: parseFloat((entrySpeed > 0 ? energyLoss / (0.5 * obj.mass * entrySpeed * entrySpeed) : 0).toFixed(4)),
+          speedAfter: parseFloat(speedAfter.toFixed(3))
+        },
+        buoyancy: {
+          force: parseFloat((displacedMass * gravity).toFixed(3)),
+          floats: displacedMass > obj.mass
+        },
+        outcome,
+        penetrationDepth: parseFloat((surfaceLevel - deepest).toFixed(3)),
+        timeToSurface: outcome === 'surfaced' ? parseFloat((time - entryTime).toFixed(3)) : null,
+        timeToBottom: outcome === 'sank' ? parseFloat((time - entryTime).toFixed(3)) : null
+      };
+    };
+    
+    let water = null;
+    yield record(t, state);
+    
+    while (t < 300 && trajectory.length < maxPoints) {
+      if (rolling) {
+        // Rolling resistance and horizontal drag oppose motion until the ball comes to rest
+        // (passing the vertical wind as the vertical velocity leaves no vertical relative airflow)
+        const rollingDecel = surface.rollingResistance * gravity;
+        const groundSpeed = Math.sqrt(state.vx * state.vx + state.vz * state.vz);
+        let vx = 0;
+        let vz = 0;
+        if (groundSpeed > rollingDecel * dt) {
+          const drag = dragAcceleration(state.vx, 0, state.vz, 0, densityAt(0));
+          vx = state.vx + (drag.x - rollingDecel * state.vx / groundSpeed) * dt;
+          vz = state.vz + (drag.z - rollingDecel * state.vz / groundSpeed) * dt;
+        }
+        const rolled = { x: state.x + vx * dt, y: 0, z: state.z + vz * dt, vx, vy: 0, vz };
+        if (targets) {
+          events.push(...targets.cross(state, rolled, dt, t));
+        }
+        // Rolling resistance and the air while rolling count together
+        work.rolling += kineticEnergy(rolled) - kineticEnergy(state);
+        state = rolled;
+        t += dt;
+        yield record(t, state);
+        
+        // Ball has come to rest
+        if (vx === 0 && vz === 0) {
+          break;
+        }
+        continue;
+      }
+      
+      // Take one integration step, shrinking adaptive steps until they meet the tolerance
+      const stepSize = Math.min(h, 300 - t);
+      let next;
+      if (method.adaptive) {
+        const result = method.step(state, stepSize, derivative, t);
+        const errorRatio = PhysicsEngine.scaledError(state, result.state, result.error, tolerance);
+        if (errorRatio > 1 && stepSize > 1e-6) {
+          h = stepSize * Math.max(0.2, 0.9 * Math.pow(errorRatio, -1 / 5));
+          rejectedSteps++;
+          continue;
+        }
+        next = result.state;
+        h = stepSize * Math.min(5, 0.9 * Math.pow(Math.max(errorRatio, 1e-10), -1 / 5));
+        if (!firstLanding) {
+          localError.horizontal += Math.sqrt(result.error.x ** 2 + result.error.z ** 2);
+          localError.y += Math.abs(result.error.y);
+        }
+      } else {
+        next = method.step(state, stepSize, derivative, t);
+      }
+      steps++;
+      
+      // Sparse adaptive steps can skip over the apex, so locate it inside the step
+      if (state.vy > 0 && next.vy <= 0) {
+        const peak = PhysicsEngine.interpolateApex(state, next, stepSize);
+        if (!apex || peak.y > apex.y) {
+          apex = { time: t + peak.fraction * stepSize, x: peak.x, y: peak.y, z: peak.z };
+        }
+      }
+      
+      // First contact inside this step: with the terrain or an obstacle, or with flat
+      // ground by interpolating the exact crossing of y = 0
+      let contact = null;
+      if (surroundings) {
+        contact = surroundings.firstContact(state, next, stepSize);
+      } else if (next.y < 0) {
+        contact = { ...PhysicsEngine.interpolateGroundCrossing(state, next, stepSize), hit: groundHit };
+      }
+      if (targets) {
+        events.push(...(contact
+          ? targets.cross(state, contact.state, contact.fraction * stepSize, t)
+          : targets.cross(state, next, stepSize, t)));
+      }
+      if (!contact) {
+        accrue(state, next, stepSize, t, derivative, airPower);
+        state = next;
+        t += stepSize;
+        yield record(t, state);
+        continue;
+      }
+      
+      accrue(state, contact.state, contact.fraction * stepSize, t, derivative, airPower);
+      t += contact.fraction * stepSize;
+      state = contact.state;
+      const { hit } = contact;
+      if (!firstLanding) {
+        firstLanding = { time: t, ...state, hit };
+      }
+      
+      // Horizontal water surfaces take the ball in when water entry is on
+      if (waterEntry && hit.surface === 'water' && hit.normal.y > 0.999) {
+        water = yield* dive(state, t);
+        break;
+      }
+      
+      // Nets catch the ball; otherwise rebound if bounces remain, else the flight ends here
+      if (hit.type === 'net' || bounces.length >= maxBounces) {
+        yield record(t, state);
+        break;
+      }
+      
+      // Split the velocity along the surface normal and along the surface
+      const { normal } = hit;
+      const hitSurface = SURFACES[hit.surface];
+      const impactVelocity = { vx: state.vx, vy: state.vy, vz: state.vz };
+      const normalVelocity = state.vx * normal.x + state.vy * normal.y + state.vz * normal.z;
+      const tangential = {
+        x: state.vx - normalVelocity * normal.x,
+        y: state.vy - normalVelocity * normal.y,
+        z: state.vz - normalVelocity * normal.z
+      };
+      const normalSpeed = Math.abs(normalVelocity);
+      const tangentialSpeed = Math.sqrt(tangential.x ** 2 + tangential.y ** 2 + tangential.z ** 2);
+      
+      // Effective coefficient of restitution for this material on this surface
+      const restitution = Math.min(obj.bounciness * hitSurface.restitution, 1);
+      
+      // Normal rebound scaled by restitution
+      let reboundSpeed = normalSpeed * restitution;
+      
+      // Coulomb friction impulse along the surface, capped at the slip a solid
+      // sphere loses before it starts rolling (2/7 of its tangential speed)
+      const frictionDeltaV = Math.min(
+        hitSurface.friction * (1 + restitution) * normalSpeed,
+        (2 / 7) * tangentialSpeed
+      );
+      const tangentialScale = tangentialSpeed > 0 ? 1 - frictionDeltaV / tangentialSpeed : 0;
+      const rebound = (speed) => ({
+        vx: tangential.x * tangentialScale + speed * normal.x,
+        vy: tangential.y * tangentialScale + speed * normal.y,
+        vz: tangential.z * tangentialScale + speed * normal.z
+      });
+      const { vx, vy, vz } = rebound(reboundSpeed);
+      
+      const bounce = {
+        bounce: bounces.length + 1,
+        time: parseFloat(t.toFixed(3)),
+        x: parseFloat(state.x.toFixed(3)),
+        impactVelocity: {
+          x: parseFloat(impactVelocity.vx.toFixed(3)),
+          y: parseFloat(impactVelocity.vy.toFixed(3))
+        },
+        reboundVelocity: {
+          x: parseFloat(vx.toFixed(3)),
+          y: parseFloat(vy.toFixed(3))
+        },
+        restitution: parseFloat(restitution.toFixed(3)),
+        impact: PhysicsEngine.calculateImpact(
+          PhysicsEngine.surfaceFrameVelocity(impactVelocity, normal), material, hit.surface, params.customMaterials
+        )
+      };
+      if (surroundings) {
+        bounce.y = parseFloat(state.y.toFixed(3));
+        bounce.hit = PhysicsEngine.describeHit(hit);
+      }
+      if (is3D) {
+        bounce.z = parseFloat(state.z.toFixed(3));
+        bounce.impactVelocity.z = parseFloat(impactVelocity.vz.toFixed(3));
+        bounce.reboundVelocity.z = parseFloat(vz.toFixed(3));
+      }
+      bounces.push(bounce);
+      
+      // Too slow to leave the surface again: on flat ground the ball settles and starts
+      // rolling; on terrain and obstacles it comes to rest where it landed
+      if (reboundSpeed < restThreshold) {
+        reboundSpeed = 0;
+        if (surroundings) {
+          work.impacts -= kineticEnergy(state);
+          state = { ...state, vx: 0, vy: 0, vz: 0 };
+          yield record(t, state);
+          break;
+        }
+        rolling = true;
+      }
+      
+      const impactEnergy = kineticEnergy(state);
+      state = { x: state.x, y: state.y, z: state.z, ...rebound(reboundSpeed) };
+      work.impacts += kineticEnergy(state) - impactEnergy;
+      h = dt;
+      yield record(t, state);
+    }
+    
+    const integration = {
+      integrator: INTEGRATORS[integrator] ? integrator : 'semi_implicit_euler',
+      steps,
+      ...(method.adaptive ? { tolerance, rejectedSteps } : { dt }),
+      ...(trajectory.length >= maxPoints
+        ? { truncated: true, reachedTime: trajectory[trajectory.length - 1].time }
+        : {})
+    };
+    
+    // Error estimate for the first landing point
+    let rerunPoints = 0;
+    if (estimateError && firstLanding) {
+      if (method.adaptive) {
+        // Sum of the embedded local error estimates up to the first landing
+        integration.errorEstimate = {
+          method: 'embedded',
+          range: parseFloat(localError.horizontal.toExponential(3)),
+          flightTime: parseFloat((localError.y / Math.max(Math.abs(firstLanding.vy), 1e-9)).toExponential(3))
+        };
+      } else {
+        // Richardson extrapolation against a run at twice the time step, on what is left of
+        // the point budget; a rerun that runs out before landing gives no estimate
+        const coarse = PhysicsEngine.calculateTrajectory({
+          ...params,
+          dt: dt * 2,
+          maxBounces: 0,
+          estimateError: false,
+          waterEntry: false,
+          diagnostics: false,
+          maxPoints: maxPoints - trajectory.length
+        });
+        rerunPoints = coarse.pointsRecorded;
+        if (coarse.firstLanding || !coarse.integration.truncated) {
+          const coarseLanding = coarse.firstLanding || firstLanding;
+          const scale = Math.pow(2, method.order) - 1;
+          const landingShift = Math.sqrt(
+            (firstLanding.x - coarseLanding.x) ** 2 + (firstLanding.z - coarseLanding.z) ** 2
+          );
+          integration.errorEstimate = {
+            method: 'richardson',
+            range: parseFloat((landingShift / scale).toExponential(3)),
+            flightTime: parseFloat((Math.abs(firstLanding.time - coarseLanding.time) / scale).toExponential(3))
+          };
+        }
+      }
+    }
+    
+    // Spin at launch and at the first landing, in rpm
+    let spinSummary = null;
+    if (spin) {
+      const toRpm = (w) => Math.sqrt(w.x * w.x + w.y * w.y + w.z * w.z) * 60 / (2 * Math.PI);
+      const initialRate = toRpm(spin);
+      spinSummary = {
+        initialRate: parseFloat(initialRate.toFixed(1)),
+        landingRate: parseFloat(toRpm(spinAt(firstLanding ? firstLanding.time : t)).toFixed(1)),
+        axis: {
+          x: parseFloat((spin.x / (initialRate * 2 * Math.PI / 60)).toFixed(4)),
+          y: parseFloat((spin.y / (initialRate * 2 * Math.PI / 60)).toFixed(4)),
+          z: parseFloat((spin.z / (initialRate * 2 * Math.PI / 60)).toFixed(4))
+        },
+        decayTime: obj.spinDecayTime
+      };
+    }
+    
+    // Air conditions at launch and at the apex, and the fastest point relative to sound
+    const conditionsAt = (height) => {
+      const conditions = atmosphere(height);
+      return PhysicsEngine.formatAtmosphere(
+        airDensity !== undefined ? { ...conditions, density: airDensity } : conditions
+      );
+    };
+    const maxMach = trajectory.reduce((fastest, p) => Math.max(fastest, p.speed / atmosphere(p.y).speedOfSound), 0);
+    const atmosphereSummary = {
+      launch: conditionsAt(initialHeight),
+      apex: conditionsAt(apex ? apex.y : initialHeight),
+      maxMach: parseFloat(maxMach.toFixed(4))
+    };
+    
+    // Whether each target was passed on any of its crossings, and by how much at best
+    const targetSummary = targets && targets.list.map(({ id, type }) => {
+      const crossings = events.filter(event => event.target === id);
+      const margins = crossings.map(event => event.clearance).filter(margin => margin !== null);
+      return {
+        id,
+        type,
+        passed: crossings.some(event => event.passed),
+        crossings: crossings.length,
+        clearance: margins.length > 0 ? Math.max(...margins) : null
+      };
+    });
+    
+    // Energy balance over the run, and warnings where the numbers cannot be trusted
+    let diagnosticsSummary = null;
+    if (diagnostics) {
+      const finalState = lastState;
+      const scale = Math.max(Math.abs(initialEnergy), peakKineticEnergy, 1e-12);
+      const residual = residualOf(finalState);
+      const warnings = [];
+      const residualWarning = PhysicsEngine.residualWarning({
+        relativeResidual: peakResidual / scale,
+        threshold: residualThreshold,
+        order: method.order,
+        adaptive: method.adaptive,
+        dt,
+        tolerance
+      });
+      if (residualWarning) {
+        warnings.push(residualWarning);
+      }
+      
+      // Drag changes the velocity on the time scale m / (½·ρ·Cd·A·v); fixed steps should
+      // be well inside it at the fastest point of the flight
+      const peakSpeed = Math.sqrt(2 * peakKineticEnergy / obj.mass);
+      const dragFactor = 0.5 * obj.dragCoeff * densityAt(initialHeight) * crossSectionalArea * peakSpeed;
+      const dragTimeConstant = dragFactor > 0 ? obj.mass / dragFactor : null;
+      if (!method.adaptive && dragTimeConstant !== null && dt > 0.1 * dragTimeConstant) {
+        warnings.push({
+          code: 'coarse_time_step',
+          message: `dt of ${dt} s is more than a tenth of the drag time constant ` +
+            `(${dragTimeConstant.toPrecision(3)} s) at the peak speed of ${peakSpeed.toFixed(1)} m/s`,
+          dragTimeConstant: parseFloat(dragTimeConstant.toPrecision(4)),
+          suggestedDt: parseFloat((0.1 * dragTimeConstant).toPrecision(2))
+        });
+      }
+      
+      diagnosticsSummary = {
+        energy: {
+          initial: parseFloat(initialEnergy.toFixed(4)),
+          final: parseFloat((kineticEnergy(finalState) + potentialEnergy(finalState)).toFixed(4))
+        },
+        work: {
+          ...Object.fromEntries(Object.entries(work).map(([account, value]) => [account, parseFloat(value.toFixed(4))])),
+          total: parseFloat(Object.values(work).reduce((sum, value) => sum + value, 0).toFixed(4))
+        },
+        residual: parseFloat(residual.toExponential(3)),
+        relativeResidual: parseFloat((Math.abs(residual) / scale).toExponential(3)),
+        peakRelativeResidual: parseFloat((peakResidual / scale).toExponential(3)),
+        threshold: residualThreshold,
+        warnings
+      };
+    }
+    
+    return {
+      trajectory,
+      bounces,
+      firstLanding,
+      apex,
+      integration,
+      spin: spinSummary,
+      atmosphere: atmosphereSummary,
+      events: targets ? events : null,
+      targets: targetSummary,
+      water,
+      diagnostics: diagnosticsSummary,
+      pointsRecorded: trajectory.length + rerunPoints // including the error estimate's rerun
+    };
+  }
+  
+  // Horizontal wind in the launch frame: the wind blows from windDirection towards the
+  // opposite bearing, measured relative to the launch azimuth. 2D flights keep only the
+  // along-track part.
+  static windInLaunchFrame({ windSpeed = 0, windDirection = 0, launchAzimuth = 0, mode = '2d' }) {
+    const windRelRad = ((windDirection - launchAzimuth) * Math.PI) / 180;
+    return {
+      x: -windSpeed * Math.cos(windRelRad),
+      z: mode === '3d' ? -windSpeed * Math.sin(windRelRad) : 0
+    };
+  }
+  
+  // Compare a flight with its analytical references: the closed-form vacuum solution and
+  // the linear-drag solution, whose coefficient b = √(g·k/m) (k = ½·ρ·Cd·A at the launch
+  // height) gives the same terminal velocity as quadratic drag. Both take the launch and,
+  // for linear drag, the steady wind of the flight, but ignore spin, gusts and the
+  // atmosphere's change with height, and land on flat ground at y = 0. run is the
+  // calculateTrajectory result, the quadratic-drag numerical solution, up to its first
+  // landing. Returns each model's summary, their differences from vacuum and their curves
+  // sampled every sampleInterval (widened to keep within maxSamples).
+  static compareModels(params, run, { sampleInterval = 0.05, maxSamples = 5000 } = {}) {
+    const {
+      initialHeight = 0,
+      initialVelocity = 10,
+      launchAngle = 45,
+      mode = '2d',
+      material = 'basketball',
+      verticalWind = 0,
+      airDensity,
+      gravity = PHYSICS_CONSTANTS.GRAVITY
+    } = params;
+    const obj = PhysicsEngine.resolveMaterial(material, params.customMaterials);
+    const is3D = mode === '3d';
+    const angleRad = (launchAngle * Math.PI) / 180;
+    const v0 = { x: initialVelocity * Math.cos(angleRad), y: initialVelocity * Math.sin(angleRad), z: 0 };
+    const wind = { ...PhysicsEngine.windInLaunchFrame(params), y: verticalWind };
+    const density = airDensity !== undefined ? airDensity : PhysicsEngine.atmosphereModel(params)(initialHeight).density;
+    const k = 0.5 * obj.dragCoeff * density * Math.PI * obj.radius * obj.radius;
+    const b = Math.sqrt(gravity * k / obj.mass);
+    const axes = is3D ? ['x', 'y', 'z'] : ['x', 'y'];
+    
+    // Closed-form state at time t: position and velocity per axis
+    const vacuumAt = (t) => ({
+      x: v0.x * t,
+      y: initialHeight + v0.y * t - 0.5 * gravity * t * t,
+      z: 0,
+      vx: v0.x,
+      vy: v0.y - gravity * t,
+      vz: 0
+    });
+    // v(t) = v∞ + (v0 - v∞)·e^(-bt), where v∞ = wind - (g/b)·ŷ is the terminal velocity
+    const terminal = { x: wind.x, y: wind.y - (b > 0 ? gravity / b : Infinity), z: wind.z };
+    const linearAt = (t) => {
+      if (!(b > 0)) {
+        return vacuumAt(t);
+      }
+      const decay = Math.exp(-b * t);
+      const state = {};
+      for (const axis of ['x', 'y', 'z']) {
+        const start = axis === 'y' ? initialHeight : 0;
+        state[axis] = start + terminal[axis] * t + (v0[axis] - terminal[axis]) * (1 - decay) / b;
+        state[`v${axis}`] = terminal[axis] + (v0[axis] - terminal[axis]) * decay;
+      }
+      return state;
+    };
+    
+    // Apex where the vertical velocity reaches zero, then the landing by bisection on the
+    // falling height (at most the 300 s the simulation runs for); a flight that never turns
+    // over (apexTime null) has neither
+    const solve = (stateAt, apexTime) => {
+      if (apexTime === null) {
+        return { apex: null, landing: null };
+      }
+      const rising = apexTime > 0;
+      const apex = stateAt(rising ? apexTime : 0);
+      let low = rising ? apexTime : 0;
+      let high = low;
+      let flightTime = null;
+      if (apex.y <= 0) {
+        flightTime = low;
+      } else {
+        while (high < 300 && stateAt(high).y > 0) {
+          low = high;
+          high = Math.min(300, Math.max(2 * high, 1));
+        }
+        if (stateAt(high).y <= 0) {
+          for (let i = 0; i < 60; i++) {
+            const mid = (low + high) / 2;
+            if (stateAt(mid).y > 0) {
+              low = mid;
+            } else {
+              high = mid;
+            }
+          }
+          flightTime = (low + high) / 2;
+        }
+      }
+      return { apex: { time: rising ? apexTime : 0, ...apex }, landing: flightTime !== null ? { time: flightTime, ...stateAt(flightTime) } : null };
+    };
+    // With linear drag the vertical velocity reaches zero at ln((v0 - v∞) / -v∞) / b, but an
+    // updraft at least as fast as the terminal fall speed keeps a rising ball rising
+    const linearApexTime = () => {
+      if (!(b > 0)) {
+        return v0.y / gravity;
+      }
+      if (terminal.y >= 0) {
+        return v0.y > 0 ? null : 0;
+      }
+      return v0.y > terminal.y ? Math.log((v0.y - terminal.y) / -terminal.y) / b : 0;
+    };
+    const vacuum = solve(vacuumAt, v0.y / gravity);
+    const linear = solve(linearAt, linearApexTime());
+    
+    // The numerical flight up to its first landing, from its recorded points
+    const landing = run.firstLanding || run.trajectory[run.trajectory.length - 1];
+    const points = run.trajectory.filter(point => point.time <= landing.time);
+    // Samples are taken in time order, so each search resumes where the last one stopped
+    let i = 1;
+    const numericalAt = (t) => {
+      while (i < points.length - 1 && points[i].time < t) {
+        i++;
+      }
+      const start = points[i - 1];
+      const end = points[i] || start;
+      const h = end.time - start.time;
+      const fraction = h > 0 ? Math.min(Math.max((t - start.time) / h, 0), 1) : 0;
+      const state = {};
+      for (const axis of axes) {
+        state[axis] = PhysicsEngine.hermite(start[axis], start[`v${axis}`], end[axis], end[`v${axis}`], h, fraction);
+      }
+      return state;
+    };
+    // A flight launched upwards without an apex never turned over, and one without a first
+    // landing never came down
+    const quadratic = {
+      apex: run.apex || (v0.y > 0 ? null : { time: 0, x: 0, y: initialHeight, z: 0 }),
+      landing: run.firstLanding ? { ...landing, z: landing.z || 0, vz: landing.vz || 0 } : null
+    };
+    
+    const round = (value) => (value === null ? null : parseFloat(value.toFixed(3)));
+    const summarize = ({ apex, landing: end }) => ({
+      range: end ? round(Math.sqrt(end.x ** 2 + (is3D ? end.z ** 2 : 0))) : null,
+      apexHeight: apex ? round(apex.y) : null,
+      apexTime: apex ? round(apex.time) : null,
+      flightTime: end ? round(end.time) : null,
+      landingSpeed: end ? round(Math.sqrt(end.vx ** 2 + end.vy ** 2 + (is3D ? end.vz ** 2 : 0))) : null
+    });
+    const models = {
+      vacuum: summarize(vacuum),
+      linearDrag: {
+        ...summarize(linear),
+        coefficient: parseFloat(b.toPrecision(4)),
+        terminalVelocity: b > 0 ? round(gravity / b) : null
+      },
+      quadraticDrag: summarize(quadratic)
+    };
+    
+    // Each drag model against vacuum: the difference and the difference in percent
+    const fields = ['range', 'apexHeight', 'flightTime', 'landingSpeed'];
+    const difference = (model) => {
+      const result = {};
+      const percent = {};
+      for (const field of fields) {
+        const value = models[model][field];
+        const reference = models.vacuum[field];
+        const known = value !== null && reference !== null;
+        result[field] = known ? round(value - reference) : null;
+        percent[field] = known && reference !== 0 ? parseFloat(((value - reference) / reference * 100).toFixed(2)) : null;
+      }
+      return { ...result, percent };
+    };
+    
+    // Curves on a common time base, each ending at its landing
+    const endOf = (model) => (model.landing ? model.landing.time : 300);
+    const duration = Math.max(endOf(vacuum), endOf(linear), landing.time);
+    const interval = Math.max(sampleInterval, duration / (maxSamples - 1));
+    const curves = [['vacuum', vacuumAt, endOf(vacuum)], ['linearDrag', linearAt, endOf(linear)], ['quadraticDrag', numericalAt, landing.time]];
+    const series = [];
+    for (let i = 0; i * interval < duration + interval - 1e-9; i++) {
+      const time = Math.min(i * interval, duration);
+      const sample = { time: round(time) };
+      for (const [name, stateAt, end] of curves) {
+        const state = time <= end + 1e-9 ? stateAt(Math.min(time, end)) : null;
+        for (const axis of axes) {
+          sample[`${name}${axis.toUpperCase()}`] = state ? round(state[axis]) : null;
+        }
+      }
+      series.push(sample);
+    }
+    
+    return {
+      models,
+      differences: { linearDrag: difference('linearDrag'), quadraticDrag: difference('quadraticDrag') },
+      timeBase: { interval: parseFloat(interval.toPrecision(4)), samples: series.length },
+      series
+    };
+  }
+  
+  // Warning for an energy residual above the threshold, with the step that would bring it
+  // back under for a fixed-step integrator of the given order (the error scales as dt^order)
+  static residualWarning({ relativeResidual, threshold, order, adaptive, dt, tolerance }) {
+    if (!(relativeResidual > threshold)) {
+      return null;
+    }
+    const percent = parseFloat((relativeResidual * 100).toPrecision(3));
+    if (adaptive) {
+      return {
+        code: 'energy_residual',
+        message: `Energy balance is off by up to ${percent}% of the run's energy; lower the tolerance from ${tolerance}`,
+        relativeResidual: parseFloat(relativeResidual.toExponential(3))
+      };
+    }
+    const suggestedDt = parseFloat((0.5 * dt * Math.pow(threshold / relativeResidual, 1 / order)).toPrecision(2));
+    return {
+      code: 'energy_residual',
+      message: `Energy balance is off by up to ${percent}% of the run's energy; dt of ${dt} s is too coarse, try ${suggestedDt} s`,
+      relativeResidual: parseFloat(relativeResidual.toExponential(3)),
+      suggestedDt
+    };
+  }
+  
+  // Resolve spin input to an angular velocity vector in rad/s in the launch frame
+  // Accepts spin as { x, y, z } in rad/s, or spinRate in rpm about spinAxis.
+  // The default axis is +z (to the right of the heading), which is backspin.
+  static resolveSpin(params) {
+    const { spin, spinRate, spinAxis = { x: 0, y: 0, z: 1 } } = params;
+    
+    if (spin) {
+      const vector = { x: spin.x || 0, y: spin.y || 0, z: spin.z || 0 };
+      return vector.x || vector.y || vector.z ? vector : null;
+    }
+    
+    if (spinRate) {
+      const axisLength = Math.sqrt((spinAxis.x || 0) ** 2 + (spinAxis.y || 0) ** 2 + (spinAxis.z || 0) ** 2);
+      const omega = (spinRate * 2 * Math.PI) / 60;
+      return {
+        x: omega * (spinAxis.x || 0) / axisLength,
+        y: omega * (spinAxis.y || 0) / axisLength,
+        z: omega * (spinAxis.z || 0) / axisLength
+      };
+    }
+    
+    return null;
+  }
+  
+  // Calculate the Magnus force on a spinning ball moving at velocity relative to the air
+  // The lift coefficient grows with the spin parameter S = r·ω⊥/v and saturates at the
+  // material's maxLiftCoeff; the force acts along ω × v
+  static calculateMagnusForce(velocity, spin, obj, airDensity = PHYSICS_CONSTANTS.AIR_DENSITY) {
+    const speed = Math.sqrt(velocity.x ** 2 + velocity.y ** 2 + velocity.z ** 2);
+    const cross = {
+      x: spin.y * velocity.z - spin.z * velocity.y,
+      y: spin.z * velocity.x - spin.x * velocity.z,
+      z: spin.x * velocity.y - spin.y * velocity.x
+    };
+    const crossMagnitude = Math.sqrt(cross.x ** 2 + cross.y ** 2 + cross.z ** 2);
+    
+    if (speed === 0 || crossMagnitude === 0 || obj.liftSlope === 0) {
+      return { magnitude: 0, vector: { x: 0, y: 0, z: 0 }, liftCoefficient: 0, spinParameter: 0 };
+    }
+    
+    // Only the spin component perpendicular to the velocity produces lift
+    const spinParameter = obj.radius * crossMagnitude / (speed * speed);
+    const linearLift = obj.liftSlope * spinParameter;
+    const liftCoefficient = obj.maxLiftCoeff * linearLift / (obj.maxLiftCoeff + linearLift);
+    
+    const crossSectionalArea = Math.PI * obj.radius * obj.radius;
+    const magnitude = 0.5 * liftCoefficient * airDensity * crossSectionalArea * speed * speed;
+    
+    return {
+      magnitude,
+      vector: {
+        x: magnitude * cross.x / crossMagnitude,
+        y: magnitude * cross.y / crossMagnitude,
+        z: magnitude * cross.z / crossMagnitude
+      },
+      liftCoefficient,
+      spinParameter
+    };
+  }
+  
+  // Scaled RMS error of an adaptive step; values above 1 exceed the tolerance
+  static scaledError(state, next, error, tolerance) {
+    const keys = Object.keys(error);
+    let sum = 0;
+    for (const key of keys) {
+      const scale = tolerance + tolerance * Math.max(Math.abs(state[key]), Math.abs(next[key]));
+      sum += (error[key] / scale) ** 2;
+    }
+    return Math.sqrt(sum / keys.length);
+  }
+  
+  // Cubic Hermite interpolation of a position across a step of length h (s from 0 to 1)
+  static hermite(p0, v0, p1, v1, h, s) {
+    return (2 * s ** 3 - 3 * s ** 2 + 1) * p0 + (s ** 3 - 2 * s ** 2 + s) * h * v0 +
+      (-2 * s ** 3 + 3 * s ** 2) * p1 + (s ** 3 - s ** 2) * h * v1;
+  }
+  
+  // Interpolate a state inside a step: positions by cubic Hermite, everything else linearly
+  static interpolateState(start, end, h, fraction) {
+    const state = {};
+    for (const key of Object.keys(start)) {
+      state[key] = start[key] + (end[key] - start[key]) * fraction;
+    }
+    for (const key of positionKeys(start)) {
+      const v = `v${key}`;
+      state[key] = PhysicsEngine.hermite(start[key], start[v], end[key], end[v], h, fraction);
+    }
+    return state;
+  }
+  
+  // Find where a step crosses y = 0 using cubic Hermite interpolation of the motion
+  static interpolateGroundCrossing(start, end, h) {
+    // Bisection on the interpolated height
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 40; i++) {
+      const mid = (low + high) / 2;
+      if (PhysicsEngine.hermite(start.y, start.vy, end.y, end.vy, h, mid) >= 0) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    
+    const fraction = (low + high) / 2;
+    return {
+      fraction,
+      state: { ...PhysicsEngine.interpolateState(start, end, h, fraction), y: 0 }
+    };
+  }
+  
+  // Fraction of a step at which a coordinate crosses a level, by bisection on its cubic
+  // Hermite interpolation between the fractions low and high, which lie on either side
+  static interpolateCrossing(start, end, h, key, level, low = 0, high = 1) {
+    const side = (fraction) => PhysicsEngine.hermite(start[key], start[`v${key}`], end[key], end[`v${key}`], h, fraction) >= level;
+    const startSide = side(low);
+    for (let i = 0; i < 40; i++) {
+      const mid = (low + high) / 2;
+      if (side(mid) === startSide) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return (low + high) / 2;
+  }
+  
+  // Find the highest point of a step in which the vertical velocity changes sign
+  static interpolateApex(start, end, h) {
+    const fraction = start.vy / (start.vy - end.vy);
+    return { fraction, ...PhysicsEngine.interpolateState(start, end, h, fraction) };
+  }
+  
+  // Static surroundings of a flight: a terrain profile and obstacles
+  // The terrain is a piecewise-linear height profile along x (extruded across z in 3D),
+  // flat beyond its ends, each segment taking the surface of the point it starts at; without
+  // one the ground is flat at y = 0. Obstacles are axis-aligned boxes; walls and nets are
+  // thin boxes standing at x. Returns null when there is neither, so flat-ground flights keep
+  // their exact crossing, otherwise { groundAt, obstacleAt, firstContact }.
+  static buildSurroundings(params) {
+    const { terrain, obstacles = [], impactSurface = 'concrete' } = params;
+    if (!terrain && obstacles.length === 0) {
+      return null;
+    }
+    
+    // Terrain segments, plus a flat extension past each end
+    const ground = hasOwn(SURFACES, impactSurface) ? impactSurface : 'concrete';
+    const profile = (terrain || [{ x: 0, y: 0 }]).map(point => ({ x: point.x, y: point.y, surface: point.surface || ground }));
+    const first = profile[0];
+    const last = profile[profile.length - 1];
+    const reach = 1e7;
+    const segments = [
+      { a: { x: first.x - reach, y: first.y }, b: first, surface: first.surface, index: 0 },
+      ...profile.slice(1).map((point, i) => ({ a: profile[i], b: point, surface: profile[i].surface, index: i })),
+      { a: last, b: { x: last.x + reach, y: last.y }, surface: last.surface, index: Math.max(profile.length - 2, 0) }
+    ].map(segment => {
+      const dx = segment.b.x - segment.a.x;
+      const dy = segment.b.y - segment.a.y;
+      const length = Math.sqrt(dx * dx + dy * dy);
+      return { ...segment, normal: { x: -dy / length, y: dx / length, z: 0 } };
+    });
+    
+    // First segment that may reach x, by binary search on the segment ends
+    const segmentFrom = (x) => {
+      let low = 0;
+      let high = segments.length - 1;
+      while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (segments[mid].b.x < x) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+      return low;
+    };
+    const groundAt = (x) => {
+      const { a, b } = segments[segmentFrom(x)];
+      return a.y + (b.y - a.y) * Math.min(1, Math.max(0, (x - a.x) / (b.x - a.x)));
+    };
+    
+    const boxes = obstacles.map((obstacle, index) => {
+      const thin = obstacle.type !== 'box';
+      const half = (obstacle.thickness !== undefined ? obstacle.thickness : 0.1) / 2;
+      const min = thin
+        ? { x: obstacle.x - half, y: obstacle.bottom !== undefined ? obstacle.bottom : -Infinity, z: obstacle.zMin }
+        : obstacle.min;
+      const max = thin ? { x: obstacle.x + half, y: obstacle.top, z: obstacle.zMax } : obstacle.max;
+      return {
+        id: obstacle.id !== undefined ? String(obstacle.id) : `obstacle-${index}`,
+        type: obstacle.type,
+        surface: obstacle.surface || (obstacle.type === 'net' ? 'net' : 'concrete'),
+        min: { x: min.x, y: min.y, z: min.z !== undefined ? min.z : -Infinity },
+        max: { x: max.x, y: max.y, z: max.z !== undefined ? max.z : Infinity }
+      };
+    });
+    const obstacleAt = (point) => boxes.find(box => ['x', 'y', 'z'].every(key => (
+      point[key] > box.min[key] && point[key] < box.max[key]
+    )));
+    
+    // Earliest contact along the straight piece from p0 to p1, as a fraction u of the piece
+    const pieceContact = (p0, p1) => {
+      const d = { x: p1.x - p0.x, y: p1.y - p0.y, z: p1.z - p0.z };
+      let best = null;
+      
+      // Terrain: crossing a segment from above
+      for (let i = segmentFrom(Math.min(p0.x, p1.x)); i < segments.length && segments[i].a.x <= Math.max(p0.x, p1.x); i++) {
+        const { a, b, normal } = segments[i];
+        const e = { x: b.x - a.x, y: b.y - a.y };
+        const denominator = d.x * e.y - d.y * e.x;
+        if (d.x * normal.x + d.y * normal.y >= 0 || Math.abs(denominator) < 1e-15) {
+          continue;
+        }
+        const w = { x: a.x - p0.x, y: a.y - p0.y };
+        const u = (w.x * e.y - w.y * e.x) / denominator;
+        const along = (w.x * d.y - w.y * d.x) / denominator;
+        if (u >= 0 && u <= 1 && along >= 0 && along <= 1 && (!best || u < best.u)) {
+          best = {
+            u,
+            hit: terrain
+              ? { type: 'terrain', segment: segments[i].index, surface: segments[i].surface, normal }
+              : { type: 'ground', surface: segments[i].surface, normal }
+          };
+        }
+      }
+      
+      // Obstacles: entering a box through one of its faces (slab test)
+      boxes.forEach(box => {
+        let enter = -Infinity;
+        let exit = Infinity;
+        let axis = null;
+        for (const key of ['x', 'y', 'z']) {
+          if (d[key] === 0) {
+            if (p0[key] <= box.min[key] || p0[key] >= box.max[key]) {
+              return;
+            }
+            continue;
+          }
+          const near = ((d[key] > 0 ? box.min[key] : box.max[key]) - p0[key]) / d[key];
+          const far = ((d[key] > 0 ? box.max[key] : box.min[key]) - p0[key]) / d[key];
+          if (near > enter) {
+            enter = near;
+            axis = key;
+          }
+          exit = Math.min(exit, far);
+        }
+        if (axis && enter >= 0 && enter <= 1 && enter < exit && (!best || enter < best.u)) {
+          const normal = { x: 0, y: 0, z: 0 };
+          normal[axis] = d[axis] > 0 ? -1 : 1;
+          best = { u: enter, hit: { type: box.type, id: box.id, surface: box.surface, normal } };
+        }
+      });
+      
+      return best;
+    };
+    
+    // First contact inside an integration step, found on straight pieces of the
+    // interpolated path; returns { fraction, state, hit } or null
+    const firstContact = (start, end, h) => {
+      const pieces = CONTACT_PIECES;
+      let previous = start;
+      for (let k = 1; k <= pieces; k++) {
+        const current = k === pieces ? end : PhysicsEngine.interpolateState(start, end, h, k / pieces);
+        const contact = pieceContact(previous, current);
+        if (contact) {
+          const fraction = (k - 1 + contact.u) / pieces;
+          const state = PhysicsEngine.interpolateState(start, end, h, fraction);
+          for (const key of ['x', 'y', 'z']) {
+            state[key] = previous[key] + (current[key] - previous[key]) * contact.u;
+          }
+          return { fraction, state, hit: contact.hit };
+        }
+        previous = current;
+      }
+      return null;
+    };
+    
+    return { groundAt, obstacleAt, firstContact };
+  }
+  
+  // What a contact hit, for responses: the ground, a terrain segment or an obstacle,
+  // its surface type and the unit normal there
+  static describeHit(hit) {
+    return {
+      type: hit.type,
+      ...(hit.id !== undefined ? { id: hit.id } : {}),
+      ...(hit.segment !== undefined ? { segment: hit.segment } : {}),
+      surface: hit.surface,
+      normal: {
+        x: parseFloat(hit.normal.x.toFixed(4)),
+        y: parseFloat(hit.normal.y.toFixed(4)),
+        z: parseFloat(hit.normal.z.toFixed(4))
+      }
+    };
+  }
+  
+  // Velocity in the frame of a surface: vy along the normal, vx the speed along the surface
+  static surfaceFrameVelocity(velocity, normal) {
+    const vz = velocity.vz || 0;
+    const vn = velocity.vx * normal.x + velocity.vy * normal.y + vz * normal.z;
+    const tangential = Math.sqrt(Math.max(
+      velocity.vx * velocity.vx + velocity.vy * velocity.vy + vz * vz - vn * vn, 0
+    ));
+    return { vx: tangential, vy: vn, vz: 0 };
+  }
+  
+  // Targets a flight is scored against: horizontal rings (hoops), vertical planes at x with an
+  // optional height band (a net to clear) and rectangular zones, upright at x (a strike zone or
+  // goal mouth) or flat at y (a service box). Rings and flat zones are crossed through their
+  // height, planes and upright zones through their x, in the target's direction only. fit sets
+  // how much of the ball must be inside: its centre, the whole ball or any part of it.
+  // Returns null without targets, otherwise { list, cross } where cross returns the crossings
+  // of the interpolated path between two states h apart, the first at the given time.
+  static buildTargets(params, radius) {
+    const { targets = [], mode = '2d' } = params;
+    if (targets.length === 0) {
+      return null;
+    }
+    const is3D = mode === '3d';
+    const round = (value) => parseFloat(value.toFixed(3));
+    
+    const list = targets.map((target, index) => {
+      const across = target.type === 'ring' || (target.type === 'zone' && target.y !== undefined) ? 'y' : 'x';
+      const direction = target.direction || (across === 'y' ? 'down' : 'forward');
+      const allowance = { centre: 0, whole: -radius, any: radius }[target.fit || 'centre'];
+      
+      // Signed margin by which a crossing point lies inside the target, or null when unbounded
+      let clearance;
+      if (target.type === 'ring') {
+        clearance = (point) => target.radius + allowance - Math.sqrt((point.x - target.x) ** 2 + (point.z - (target.z || 0)) ** 2);
+      } else {
+        const bounds = target.type === 'plane'
+          ? [['y', target.bottom, target.top], ['z', target.zMin, target.zMax]]
+          : ['x', 'y', 'z'].filter(key => key !== across).map(key => [key, target.min[key], target.max[key]]);
+        clearance = (point) => bounds.reduce((margin, [key, min, max]) => Math.min(
+          margin,
+          min !== undefined ? point[key] - min + allowance : Infinity,
+          max !== undefined ? max - point[key] + allowance : Infinity
+        ), Infinity);
+      }
+      
+      return {
+        id: target.id !== undefined ? String(target.id) : `target-${index}`,
+        type: target.type,
+        across,
+        level: target[across],
+        rising: { down: [false], up: [true], backward: [false], forward: [true], any: [false, true] }[direction],
+        clearance
+      };
+    });
+    
+    const cross = (start, end, h, time) => {
+      const events = [];
+      for (const target of list) {
+        // A path can turn back inside a step (at the apex, say), so split it where it turns
+        const { across, level } = target;
+        const v = `v${across}`;
+        const turn = start[v] * end[v] < 0 ? start[v] / (start[v] - end[v]) : null;
+        const fractions = turn !== null ? [0, turn, 1] : [0, 1];
+        // Offsets within a nanometre count as on the level, so landing on a flat zone crosses it
+        const offsets = fractions.map(fraction => {
+          const offset = (fraction === 0 ? start : fraction === 1 ? end
+            : PhysicsEngine.interpolateState(start, end, h, fraction))[across] - level;
+          return Math.abs(offset) < 1e-9 ? 0 : offset;
+        });
+        
+        for (let i = 1; i < fractions.length; i++) {
+          const rising = offsets[i - 1] < 0 && offsets[i] >= 0;
+          if (!(rising || (offsets[i - 1] > 0 && offsets[i] <= 0)) || !target.rising.includes(rising)) {
+            continue;
+          }
+          const fraction = offsets[i] === 0 ? fractions[i]
+            : PhysicsEngine.interpolateCrossing(start, end, h, across, level, fractions[i - 1], fractions[i]);
+          const state = { ...PhysicsEngine.interpolateState(start, end, h, fraction), [across]: level };
+          const margin = target.clearance(state);
+          const speed = Math.sqrt(state.vx * state.vx + state.vy * state.vy + state.vz * state.vz);
+          events.push({
+            target: target.id,
+            type: target.type,
+            time: round(time + fraction * h),
+            direction: across === 'y' ? (rising ? 'up' : 'down') : (rising ? 'forward' : 'backward'),
+            position: { x: round(state.x), y: round(state.y), ...(is3D ? { z: round(state.z) } : {}) },
+            velocity: {
+              x: round(state.vx),
+              y: round(state.vy),
+              ...(is3D ? { z: round(state.vz) } : {}),
+              magnitude: round(speed)
+            },
+            clearance: Number.isFinite(margin) ? round(margin) : null,
+            passed: margin >= 0
+          });
+        }
+      }
+      return events.sort((a, b) => a.time - b.time);
+    };
+    
+    return { list, cross };
+  }
+  
+  // Temperature (K) and pressure (Pa) of the International Standard Atmosphere at an altitude
+  static standardAtmosphere(altitude) {
+    const h = Math.min(altitude, ATMOSPHERE_CONSTANTS.MAX_ALTITUDE);
+    let layer = ISA_LAYERS[0];
+    for (const candidate of ISA_LAYERS) {
+      if (h >= candidate.altitude) {
+        layer = candidate;
+      }
+    }
+    
+    const { STANDARD_GRAVITY, MOLAR_MASS_AIR, UNIVERSAL_GAS_CONSTANT } = ATMOSPHERE_CONSTANTS;
+    const dh = h - layer.altitude;
+    const temperature = layer.temperature + layer.lapseRate * dh;
+    const pressure = layer.lapseRate === 0
+      ? layer.pressure * Math.exp(-STANDARD_GRAVITY * MOLAR_MASS_AIR * dh / (UNIVERSAL_GAS_CONSTANT * layer.temperature))
+      : layer.pressure * Math.pow(temperature / layer.temperature,
+        -STANDARD_GRAVITY * MOLAR_MASS_AIR / (UNIVERSAL_GAS_CONSTANT * layer.lapseRate));
+    
+    return { temperature, pressure };
+  }
+  
+  // Build a function returning air conditions at a height above the launch site
+  // Uses the ISA profile, shifted so it passes through any site temperature (°C) or
+  // pressure (Pa) override, with relative humidity (%) held constant with height
+  static atmosphereModel(params) {
+    const {
+      siteElevation = 0,
+      temperature,
+      pressure,
+      humidity = 0
+    } = params;
+    
+    const isaSite = PhysicsEngine.standardAtmosphere(siteElevation);
+    const temperatureOffset = temperature !== undefined ? temperature + 273.15 - isaSite.temperature : 0;
+    const pressureScale = pressure !== undefined ? pressure / isaSite.pressure : 1;
+    const { GAS_CONSTANT_DRY_AIR, GAS_CONSTANT_WATER_VAPOR, HEAT_CAPACITY_RATIO } = ATMOSPHERE_CONSTANTS;
+    
+    return (height) => {
+      const altitude = siteElevation + height;
+      const isa = PhysicsEngine.standardAtmosphere(altitude);
+      const T = isa.temperature + temperatureOffset;
+      const P = isa.pressure * pressureScale;
+      
+      // Water vapour partial pressure from the saturation pressure (Magnus formula)
+      const celsius = T - 273.15;
+      const saturationPressure = 610.94 * Math.exp(17.625 * celsius / (celsius + 243.04));
+      const vapourPressure = Math.min((humidity / 100) * saturationPressure, P);
+      
+      // Moist air is lighter than dry air, and sound travels faster in it
+      const density = (P - vapourPressure) / (GAS_CONSTANT_DRY_AIR * T) +
+                      vapourPressure / (GAS_CONSTANT_WATER_VAPOR * T);
+      const virtualTemperature = T / (1 - (vapourPressure / P) * (1 - GAS_CONSTANT_DRY_AIR / GAS_CONSTANT_WATER_VAPOR));
+      const speedOfSound = Math.sqrt(HEAT_CAPACITY_RATIO * GAS_CONSTANT_DRY_AIR * virtualTemperature);
+      
+      return { altitude, temperature: celsius, pressure: P, humidity, density, speedOfSound };
+    };
+  }
+  
+  // Round atmosphere conditions for API responses
+  static formatAtmosphere(conditions) {
+    return {
+      altitude: parseFloat(conditions.altitude.toFixed(2)),
+      temperature: parseFloat(conditions.temperature.toFixed(2)),
+      pressure: parseFloat(conditions.pressure.toFixed(1)),
+      humidity: conditions.humidity,
+      density: parseFloat(conditions.density.toFixed(4)),
+      speedOfSound: parseFloat(conditions.speedOfSound.toFixed(2))
+    };
+  }
+  
+  // Calculate impact force and energy
+  // finalVelocity is { vx, vy } or, in 3D, { vx, vy, vz } with y vertical
+  static calculateImpact(finalVelocity, material = 'basketball', impactSurface = 'concrete', customMaterials = {}) {
+    const obj = PhysicsEngine.resolveMaterial(material, customMaterials);
+    const vz = finalVelocity.vz || 0;
+    const horizontalSpeed = Math.sqrt(finalVelocity.vx * finalVelocity.vx + vz * vz);
+    const speed = Math.sqrt(horizontalSpeed * horizontalSpeed + finalVelocity.vy * finalVelocity.vy);
+    
+    // Kinetic energy at impact
+    const kineticEnergy = 0.5 * obj.mass * speed * speed;
+    
+    // Impact force estimation (simplified model)
+    // Assuming deceleration over contact time based on material properties
+    const contactTime = obj.bounciness * 0.01; // More bouncy = longer contact
+    const impactForce = obj.mass * speed / contactTime;
+    
+    // Surface hardness factor
+    const surfaceFactor = SURFACES[impactSurface] ? SURFACES[impactSurface].hardness : 1.0;
+    const adjustedForce = impactForce * surfaceFactor;
+    
+    return {
+      impactSpeed: parseFloat(speed.toFixed(3)),
+      kineticEnergy: parseFloat(kineticEnergy.toFixed(3)),
+      impactForce: parseFloat(adjustedForce.toFixed(3)),
+      impactAngle: parseFloat((Math.atan2(Math.abs(finalVelocity.vy), horizontalSpeed) * 180 / Math.PI).toFixed(2)),
+      estimatedContactTime: parseFloat((contactTime * 1000).toFixed(2)) // in milliseconds
+    };
+  }
+  
+  // Resolve a collision body from a material and/or explicit properties
+  // Also accepts the legacy mass1/velocity1 and mass2/velocity2 keys
+  static resolveBody(body, index, customMaterials = {}) {
+    const obj = PhysicsEngine.resolveMaterial(body.material, customMaterials);
+    const legacy = (key) => (index !== undefined ? body[`${key}${index}`] : undefined);
+    const mass = body.mass !== undefined ? body.mass : legacy('mass');
+    const velocity = body.velocity || legacy('velocity') || { x: 0, y: 0 };
+    const radius = body.radius !== undefined ? body.radius : obj.radius;
+    const resolvedMass = mass !== undefined ? mass : (body.material ? obj.mass : 1);
+    
+    return {
+      mass: resolvedMass,
+      radius,
+      inertia: obj.inertiaFactor * resolvedMass * radius * radius,
+      position: body.position,
+      velocity: { x: velocity.x || 0, y: velocity.y || 0 },
+      angularVelocity: body.angularVelocity || 0, // rad/s, counter-clockwise positive
+      bounciness: body.material ? obj.bounciness : undefined
+    };
+  }
+  
+  // Impulse exchanged by two spheres touching along the unit normal (body 1 towards body 2)
+  // A body with infinite mass and inertia acts as a static plane
+  static contactImpulse(body1, body2, normal, restitution, friction) {
+    const relativeVelocity = {
+      x: body1.velocity.x - body2.velocity.x,
+      y: body1.velocity.y - body2.velocity.y
+    };
+    const tangent = { x: -normal.y, y: normal.x };
+    
+    // Relative velocity of the contact points, including surface speed from spin
+    const contactVelocity = {
+      x: relativeVelocity.x + (body1.angularVelocity * body1.radius + body2.angularVelocity * body2.radius) * tangent.x,
+      y: relativeVelocity.y + (body1.angularVelocity * body1.radius + body2.angularVelocity * body2.radius) * tangent.y
+    };
+    const normalSpeed = contactVelocity.x * normal.x + contactVelocity.y * normal.y;
+    const slipSpeed = contactVelocity.x * tangent.x + contactVelocity.y * tangent.y;
+    
+    // Only approaching bodies exchange an impulse
+    const inverseMass = 1 / body1.mass + 1 / body2.mass;
+    const normalImpulse = normalSpeed > 0 ? (1 + restitution) * normalSpeed / inverseMass : 0;
+    
+    // Friction impulse: enough to stop the slip, limited by μ·Jn
+    const inverseTangentMass = inverseMass +
+      body1.radius * body1.radius / body1.inertia +
+      body2.radius * body2.radius / body2.inertia;
+    const stickImpulse = slipSpeed / inverseTangentMass;
+    const tangentImpulse = Math.sign(stickImpulse) * Math.min(Math.abs(stickImpulse), friction * normalImpulse);
+    
+    // Impulse on body 2 (body 1 receives the opposite)
+    const impulse = {
+      x: normalImpulse * normal.x + tangentImpulse * tangent.x,
+      y: normalImpulse * normal.y + tangentImpulse * tangent.y
+    };
+    
+    const v1Final = {
+      x: body1.velocity.x - impulse.x / body1.mass,
+      y: body1.velocity.y - impulse.y / body1.mass
+    };
+    const v2Final = {
+      x: body2.velocity.x + impulse.x / body2.mass,
+      y: body2.velocity.y + impulse.y / body2.mass
+    };
+    const w1Final = body1.angularVelocity - tangentImpulse * body1.radius / body1.inertia;
+    const w2Final = body2.angularVelocity - tangentImpulse * body2.radius / body2.inertia;
+    
+    return {
+      tangent,
+      normalSpeed,
+      normalImpulse,
+      tangentImpulse,
+      impulse,
+      sliding: Math.abs(stickImpulse) > friction * normalImpulse,
+      v1: v1Final,
+      v2: v2Final,
+      w1: w1Final,
+      w2: w2Final
+    };
+  }
+  
+  // Calculate collision between two spheres in the x/y plane
+  // The contact normal runs along the line of centres (or along the relative velocity when
+  // positions are not given). Restitution acts along the normal and Coulomb friction along
+  // the tangent, which also changes each body's spin.
+  static calculateCollision(obj1, obj2, options = {}) {
+    const body1 = PhysicsEngine.resolveBody(obj1, 1, options.customMaterials);
+    const body2 = PhysicsEngine.resolveBody(obj2, 2, options.customMaterials);
+    
+    // Pair restitution: explicit, else from both materials, else the legacy default
+    const restitution = [options.restitution, obj1.restitution, obj2.restitution]
+      .find(value => value !== undefined) ??
+      (body1.bounciness !== undefined && body2.bounciness !== undefined
+        ? Math.sqrt(body1.bounciness * body2.bounciness)
+        : 0.8);
+    const { friction = 0.2, contactTime = 0.01 } = options;
+    
+    // Contact normal from body 1 towards body 2
+    const relativeVelocity = {
+      x: body1.velocity.x - body2.velocity.x,
+      y: body1.velocity.y - body2.velocity.y
+    };
+    let normal;
+    let separation = null;
+    if (body1.position && body2.position) {
+      const dx = body2.position.x - body1.position.x;
+      const dy = body2.position.y - body1.position.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      normal = distance > 0 ? { x: dx / distance, y: dy / distance } : { x: 1, y: 0 };
+      separation = distance - body1.radius - body2.radius;
+    } else {
+      const speed = Math.sqrt(relativeVelocity.x ** 2 + relativeVelocity.y ** 2);
+      normal = speed > 0 ? { x: relativeVelocity.x / speed, y: relativeVelocity.y / speed } : { x: 1, y: 0 };
+    }
+    const {
+      tangent, normalSpeed, normalImpulse, tangentImpulse, impulse, sliding,
+      v1: v1Final, v2: v2Final, w1: w1Final, w2: w2Final
+    } = PhysicsEngine.contactImpulse(body1, body2, normal, restitution, friction);
+    
+    // Energy calculations per body
+    const energy = (body, velocity, angularVelocity) => ({
+      translational: 0.5 * body.mass * (velocity.x ** 2 + velocity.y ** 2),
+      rotational: 0.5 * body.inertia * angularVelocity ** 2
+    });
+    const energyChange = (body, velocity, angularVelocity) => {
+      const before = energy(body, body.velocity, body.angularVelocity);
+      const after = energy(body, velocity, angularVelocity);
+      return {
+        translational: parseFloat((after.translational - before.translational).toFixed(3)),
+        rotational: parseFloat((after.rotational - before.rotational).toFixed(3)),
+        total: parseFloat((after.translational + after.rotational - before.translational - before.rotational).toFixed(3))
+      };
+    };
+    const change1 = energyChange(body1, v1Final, w1Final);
+    const change2 = energyChange(body2, v2Final, w2Final);
+    const impulseMagnitude = Math.sqrt(impulse.x ** 2 + impulse.y ** 2);
+    
+    const diagnostics = options.diagnostics
+      ? PhysicsEngine.collisionDiagnostics(
+        [body1, body2],
+        [{ velocity: v1Final, angularVelocity: w1Final }, { velocity: v2Final, angularVelocity: w2Final }],
+        { approaching: normalSpeed > 0, separation, threshold: options.residualThreshold }
+      )
+      : null;
+    
+    return {
+      object1FinalVelocity: {
+        x: parseFloat(v1Final.x.toFixed(3)),
+        y: parseFloat(v1Final.y.toFixed(3))
+      },
+      object2FinalVelocity: {
+        x: parseFloat(v2Final.x.toFixed(3)),
+        y: parseFloat(v2Final.y.toFixed(3))
+      },
+      object1FinalAngularVelocity: parseFloat(w1Final.toFixed(3)),
+      object2FinalAngularVelocity: parseFloat(w2Final.toFixed(3)),
+      energyLoss: parseFloat((-(change1.total + change2.total)).toFixed(3)),
+      energyChange: {
+        object1: change1,
+        object2: change2
+      },
+      impulse: {
+        normal: parseFloat(normalImpulse.toFixed(4)),
+        tangential: parseFloat(tangentImpulse.toFixed(4)),
+        vector: {
+          x: parseFloat(impulse.x.toFixed(4)),
+          y: parseFloat(impulse.y.toFixed(4))
+        },
+        magnitude: parseFloat(impulseMagnitude.toFixed(4))
+      },
+      contact: {
+        normal: { x: parseFloat(normal.x.toFixed(4)), y: parseFloat(normal.y.toFixed(4)) },
+        tangent: { x: parseFloat(tangent.x.toFixed(4)), y: parseFloat(tangent.y.toFixed(4)) },
+        separation: separation !== null ? parseFloat(separation.toFixed(4)) : null,
+        approaching: normalSpeed > 0,
+        sliding
+      },
+      restitution: parseFloat(restitution.toFixed(3)),
+      impactForce: parseFloat((impulseMagnitude / contactTime).toFixed(3)),
+      ...(diagnostics ? { diagnostics } : {})
+    };
+  }
+  
+  // Conservation checks for a two-body collision: linear momentum before and after, the
+  // angular momentum about the origin (orbital plus spin), the kinetic energy, which a
+  // collision can only lose, and warnings for contacts that should not have happened
+  static collisionDiagnostics(bodies, after, { approaching, separation, threshold = 0.01 }) {
+    const round = (value) => parseFloat(value.toFixed(4));
+    const totals = (states) => states.reduce((sum, { velocity, angularVelocity }, i) => {
+      const { mass, inertia, position = { x: 0, y: 0 } } = bodies[i];
+      return {
+        momentum: { x: sum.momentum.x + mass * velocity.x, y: sum.momentum.y + mass * velocity.y },
+        angularMomentum: sum.angularMomentum + mass * (position.x * velocity.y - position.y * velocity.x) +
+          inertia * angularVelocity,
+        energy: sum.energy + 0.5 * mass * (velocity.x ** 2 + velocity.y ** 2) + 0.5 * inertia * angularVelocity ** 2
+      };
+    }, { momentum: { x: 0, y: 0 }, angularMomentum: 0, energy: 0 });
+    const initial = totals(bodies);
+    const final = totals(after);
+    
+    const momentumResidual = Math.sqrt((final.momentum.x - initial.momentum.x) ** 2 + (final.momentum.y - initial.momentum.y) ** 2);
+    const momentumScale = Math.max(...bodies.map(body => body.mass * Math.sqrt(body.velocity.x ** 2 + body.velocity.y ** 2)), 1e-12);
+    const angularResidual = Math.abs(final.angularMomentum - initial.angularMomentum);
+    const energyChange = final.energy - initial.energy;
+    
+    const warnings = [];
+    if (momentumResidual / momentumScale > threshold) {
+      warnings.push({ code: 'momentum_residual', message: 'Linear momentum is not conserved by the contact impulse' });
+    }
+    if (energyChange > threshold * Math.max(initial.energy, 1e-12)) {
+      warnings.push({ code: 'energy_gain', message: 'The collision added kinetic energy' });
+    }
+    if (!approaching) {
+      warnings.push({ code: 'not_approaching', message: 'The bodies are moving apart, so no impulse was exchanged' });
+    }
+    if (separation !== null && separation > 1e-9) {
+      warnings.push({
+        code: 'not_in_contact',
+        message: `The bodies are ${parseFloat(separation.toPrecision(3))} m apart; the result assumes they touch`
+      });
+    }
+    
+    return {
+      momentum: {
+        before: { x: round(initial.momentum.x), y: round(initial.momentum.y) },
+        after: { x: round(final.momentum.x), y: round(final.momentum.y) },
+        residual: parseFloat(momentumResidual.toExponential(3))
+      },
+      // Contact forces pass through the contact point, so this holds when positions are given
+      angularMomentum: bodies.every(body => body.position)
+        ? {
+          before: round(initial.angularMomentum),
+          after: round(final.angularMomentum),
+          residual: parseFloat(angularResidual.toExponential(3))
+        }
+        : null,
+      energy: {
+        before: round(initial.energy),
+        after: round(final.energy),
+        lost: round(-energyChange)
+      },
+      threshold,
+      warnings
+    };
+  }
+  
+  // Simulate a scene of spheres moving together in the x/y plane (y up)
+  // Bodies feel gravity, drag and wind, collide with each other and with static planes
+  // (the ground and any walls). A uniform grid broad phase keeps contact detection close
+  // to linear in the number of bodies; contacts are resolved with contactImpulse.
+  static simulateScene(params) {
+    const {
+      bodies: bodyParams,
+      walls = [],
+      ground = {},
+      gravity = PHYSICS_CONSTANTS.GRAVITY,
+      windSpeed = 0,
+      windDirection = 0, // compass bearing the wind blows from, +x points north
+      verticalWind = 0,
+      airDensity,
+      includeAirResistance = true,
+      restitution, // pair restitution override for sphere-sphere contacts
+      friction = 0.2, // sphere-sphere friction coefficient
+      duration = 5,
+      dt = 0.001,
+      sampleInterval = 0.05,
+      solverIterations = 4, // contact passes per step; more passes settle stacks better
+      eventThreshold = 0.1, // minimum approach speed (m/s) for a contact to be logged
+      maxEvents = 1000,
+      diagnostics = false, // energy and momentum accounting per sample
+      residualThreshold = 0.01 // energy residual, as a fraction of the scene's energy, that warns
+    } = params;
+    
+    const density = airDensity !== undefined ? airDensity : PhysicsEngine.atmosphereModel(params)(0).density;
+    const windRad = (windDirection * Math.PI) / 180;
+    const wind = { x: -windSpeed * Math.cos(windRad), y: verticalWind };
+    
+    // Contacts approaching slower than what gravity adds over a couple of steps are
+    // treated as resting, so stacked or settled bodies do not jitter
+    const restingSpeed = 2 * Math.abs(gravity) * dt;
+    
+    const bodies = bodyParams.map((body, index) => {
+      const obj = PhysicsEngine.resolveMaterial(body.material, params.customMaterials);
+      const resolved = PhysicsEngine.resolveBody(body, undefined, params.customMaterials);
+      return {
+        ...resolved,
+        id: body.id !== undefined ? String(body.id) : `body-${index}`,
+        material: body.material || 'custom',
+        bounciness: obj.bounciness,
+        dragFactor: 0.5 * obj.dragCoeff * Math.PI * resolved.radius * resolved.radius,
+        position: { x: body.position.x || 0, y: body.position.y || 0 },
+        timeline: []
+      };
+    });
+    
+    // Static planes: each has a point on it and a unit normal pointing into free space
+    const planes = walls.map((wall, index) => {
+      const length = Math.sqrt(wall.normal.x ** 2 + wall.normal.y ** 2);
+      return {
+        id: wall.id !== undefined ? String(wall.id) : `wall-${index}`,
+        point: { x: wall.point.x || 0, y: wall.point.y || 0 },
+        normal: { x: wall.normal.x / length, y: wall.normal.y / length },
+        surface: SURFACES[wall.surface] || SURFACES.concrete
+      };
+    });
+    if (ground !== false) {
+      planes.unshift({
+        id: 'ground',
+        point: { x: 0, y: ground.height || 0 },
+        normal: { x: 0, y: 1 },
+        surface: SURFACES[ground.surface] || SURFACES.concrete
+      });
+    }
+    
+    // Planes behave as bodies of infinite mass in contactImpulse
+    const staticBody = {
+      mass: Infinity,
+      inertia: Infinity,
+      radius: 0,
+      velocity: { x: 0, y: 0 },
+      angularVelocity: 0
+    };
+    
+    const events = [];
+    const counts = { sphereSphere: 0, spherePlane: 0 };
+    let eventsTruncated = false;
+    const logEvent = (event) => {
+      if (events.length < maxEvents) {
+        events.push(event);
+      } else {
+        eventsTruncated = true;
+      }
+    };
+    
+    const record = (time) => {
+      bodies.forEach(body => {
+        body.timeline.push({
+          time: parseFloat(time.toFixed(3)),
+          x: parseFloat(body.position.x.toFixed(3)),
+          y: parseFloat(body.position.y.toFixed(3)),
+          vx: parseFloat(body.velocity.x.toFixed(3)),
+          vy: parseFloat(body.velocity.y.toFixed(3)),
+          angularVelocity: parseFloat(body.angularVelocity.toFixed(3)),
+          speed: parseFloat(Math.sqrt(body.velocity.x ** 2 + body.velocity.y ** 2).toFixed(3))
+        });
+      });
+    };
+    
+    // Kinetic, rotational and gravitational potential energy of the whole scene
+    const kineticEnergy = () => bodies.reduce((sum, body) =>
+      sum + 0.5 * body.mass * (body.velocity.x ** 2 + body.velocity.y ** 2) +
+      0.5 * body.inertia * body.angularVelocity ** 2, 0);
+    const potentialEnergy = () => bodies.reduce((sum, body) => sum + body.mass * gravity * body.position.y, 0);
+    const totalEnergy = () => kineticEnergy() + potentialEnergy();
+    const momentum = () => bodies.reduce((sum, body) => ({
+      x: sum.x + body.mass * body.velocity.x,
+      y: sum.y + body.mass * body.velocity.y
+    }), { x: 0, y: 0 });
+    
+    // Diagnostics: work done by drag as in still air and what the wind changes about it,
+    // energy taken out by contacts, and the external impulses that should account for every change in
+    // momentum, since sphere-sphere contacts exchange it without loss
+    const work = { drag: 0, wind: 0, contacts: 0 };
+    const impulses = { gravity: { x: 0, y: 0 }, drag: { x: 0, y: 0 }, planes: { x: 0, y: 0 } };
+    const samples = [];
+    const initialEnergy = totalEnergy();
+    const initialMomentum = momentum();
+    const energyResidual = () => totalEnergy() - initialEnergy - work.drag - work.wind - work.contacts;
+    const bodyEnergy = (body) => 0.5 * body.mass * (body.velocity.x ** 2 + body.velocity.y ** 2) +
+      0.5 * body.inertia * body.angularVelocity ** 2;
+    // Energy a contact takes out. The approach speed of a resting contact is what gravity
+    // added during the step, which the contact removes again, so only its friction and
+    // rolling resistance count.
+    const contactWork = (change, reducedMass, approachSpeed) => {
+      work.contacts += change + (approachSpeed <= restingSpeed ? 0.5 * reducedMass * approachSpeed ** 2 : 0);
+    };
+    let peakKineticEnergy = kineticEnergy();
+    let peakResidual = 0;
+    let peakStep = 0;
+    const sampleDiagnostics = (time) => {
+      const kinetic = kineticEnergy();
+      const residual = energyResidual();
+      peakKineticEnergy = Math.max(peakKineticEnergy, kinetic);
+      peakResidual = Math.max(peakResidual, Math.abs(residual));
+      samples.push({
+        time: parseFloat(time.toFixed(3)),
+        kineticEnergy: parseFloat(kinetic.toFixed(4)),
+        potentialEnergy: parseFloat(potentialEnergy().toFixed(4)),
+        dragWork: parseFloat(work.drag.toFixed(4)),
+        windWork: parseFloat(work.wind.toFixed(4)),
+        contactWork: parseFloat(work.contacts.toFixed(4)),
+        energyResidual: parseFloat(residual.toExponential(3))
+      });
+    };
+    
+    // Broad phase: bucket bodies into grid cells one largest diameter wide, so only
+    // bodies in neighbouring cells can touch
+    const cellSize = 2 * Math.max(...bodies.map(body => body.radius));
+    const candidatePairs = () => {
+      const grid = new Map();
+      bodies.forEach((body, index) => {
+        const key = `${Math.floor(body.position.x / cellSize)},${Math.floor(body.position.y / cellSize)}`;
+        if (!grid.has(key)) {
+          grid.set(key, []);
+        }
+        grid.get(key).push(index);
+      });
+      
+      const pairs = [];
+      bodies.forEach((body, i) => {
+        const cx = Math.floor(body.position.x / cellSize);
+        const cy = Math.floor(body.position.y / cellSize);
+        for (let dx = -1; dx <= 1; dx++) {
+          for (let dy = -1; dy <= 1; dy++) {
+            (grid.get(`${cx + dx},${cy + dy}`) || [])
+              .filter(j => j > i)
+              .forEach(j => pairs.push([i, j]));
+          }
+        }
+      });
+      return pairs;
+    };
+    
+    // Sphere-sphere narrow phase: separate overlapping bodies by inverse mass, then
+    // exchange an impulse if they are still approaching
+    const resolvePair = (a, b, time) => {
+      const dx = b.position.x - a.position.x;
+      const dy = b.position.y - a.position.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      const overlap = a.radius + b.radius - distance;
+      if (overlap <= 0) {
+        return;
+      }
+      
+      const normal = distance > 0 ? { x: dx / distance, y: dy / distance } : { x: 1, y: 0 };
+      const inverseMass = 1 / a.mass + 1 / b.mass;
+      a.position.x -= normal.x * overlap * (1 / a.mass) / inverseMass;
+      a.position.y -= normal.y * overlap * (1 / a.mass) / inverseMass;
+      b.position.x += normal.x * overlap * (1 / b.mass) / inverseMass;
+      b.position.y += normal.y * overlap * (1 / b.mass) / inverseMass;
+      
+      const pairRestitution = restitution !== undefined ? restitution : Math.sqrt(a.bounciness * b.bounciness);
+      const approachSpeed = (a.velocity.x - b.velocity.x) * normal.x + (a.velocity.y - b.velocity.y) * normal.y;
+      if (approachSpeed <= 0) {
+        return;
+      }
+      const contact = PhysicsEngine.contactImpulse(
+        a, b, normal, approachSpeed > restingSpeed ? pairRestitution : 0, friction
+      );
+      const before = diagnostics ? bodyEnergy(a) + bodyEnergy(b) : 0;
+      
+      a.velocity = contact.v1;
+      b.velocity = contact.v2;
+      a.angularVelocity = contact.w1;
+      b.angularVelocity = contact.w2;
+      if (diagnostics) {
+        contactWork(bodyEnergy(a) + bodyEnergy(b) - before, 1 / inverseMass, approachSpeed);
+      }
+      
+      if (approachSpeed > Math.max(restingSpeed, eventThreshold)) {
+        counts.sphereSphere++;
+        logEvent({
+          time: parseFloat(time.toFixed(4)),
+          type: 'sphere-sphere',
+          objects: [a.id, b.id],
+          point: {
+            x: parseFloat((a.position.x + normal.x * a.radius).toFixed(3)),
+            y: parseFloat((a.position.y + normal.y * a.radius).toFixed(3))
+          },
+          normalSpeed: parseFloat(contact.normalSpeed.toFixed(3)),
+          impulse: parseFloat(Math.sqrt(contact.impulse.x ** 2 + contact.impulse.y ** 2).toFixed(4))
+        });
+      }
+    };
+    
+    // Sphere-plane contact: push the body out of the plane, bounce off it with the
+    // surface restitution and friction, and apply rolling resistance while resting on it
+    const resolvePlane = (body, plane, time) => {
+      const distance = (body.position.x - plane.point.x) * plane.normal.x +
+        (body.position.y - plane.point.y) * plane.normal.y - body.radius;
+      if (distance >= 0) {
+        return;
+      }
+      
+      body.position.x -= distance * plane.normal.x;
+      body.position.y -= distance * plane.normal.y;
+      
+      // The normal for contactImpulse points from the body into the plane
+      const normal = { x: -plane.normal.x, y: -plane.normal.y };
+      const approachSpeed = body.velocity.x * normal.x + body.velocity.y * normal.y;
+      if (approachSpeed <= 0) {
+        return;
+      }
+      const resting = approachSpeed <= restingSpeed;
+      const planeRestitution = resting ? 0 : Math.min(body.bounciness * plane.surface.restitution, 1);
+      const contact = PhysicsEngine.contactImpulse(body, staticBody, normal, planeRestitution, plane.surface.friction);
+      const before = { x: body.velocity.x, y: body.velocity.y, energy: diagnostics ? bodyEnergy(body) : 0 };
+      body.velocity = contact.v1;
+      body.angularVelocity = contact.w1;
+      
+      // Rolling resistance from the share of gravity pressing the body onto the plane
+      const load = gravity * plane.normal.y;
+      if (resting && load > 0) {
+        const tangentSpeed = body.velocity.x * contact.tangent.x + body.velocity.y * contact.tangent.y;
+        const slowdown = Math.min(Math.abs(tangentSpeed), plane.surface.rollingResistance * load * dt);
+        body.velocity.x -= Math.sign(tangentSpeed) * slowdown * contact.tangent.x;
+        body.velocity.y -= Math.sign(tangentSpeed) * slowdown * contact.tangent.y;
+      }
+      if (diagnostics) {
+        impulses.planes.x += body.mass * (body.velocity.x - before.x);
+        impulses.planes.y += body.mass * (body.velocity.y - before.y);
+        contactWork(bodyEnergy(body) - before.energy, body.mass, approachSpeed);
+      }
+      
+      if (approachSpeed > Math.max(restingSpeed, eventThreshold)) {
+        counts.spherePlane++;
+        logEvent({
+          time: parseFloat(time.toFixed(4)),
+          type: 'sphere-plane',
+          objects: [body.id, plane.id],
+          point: {
+            x: parseFloat((body.position.x + normal.x * body.radius).toFixed(3)),
+            y: parseFloat((body.position.y + normal.y * body.radius).toFixed(3))
+          },
+          normalSpeed: parseFloat(contact.normalSpeed.toFixed(3)),
+          impulse: parseFloat(Math.sqrt(contact.impulse.x ** 2 + contact.impulse.y ** 2).toFixed(4))
+        });
+      }
+    };
+    
+    const steps = Math.round(duration / dt);
+    let nextSample = sampleInterval;
+    let maxCandidatePairs = 0;
+    let totalCandidatePairs = 0;
+    record(0);
+    if (diagnostics) {
+      sampleDiagnostics(0);
+    }
+    
+    for (let step = 1; step <= steps; step++) {
+      const t = step * dt;
+      
+      // Semi-implicit Euler: update velocities from forces, then positions
+      bodies.forEach(body => {
+        let ax = 0;
+        let ay = -gravity;
+        if (includeAirResistance) {
+          const vRelX = body.velocity.x - wind.x;
+          const vRelY = body.velocity.y - wind.y;
+          const vRel = Math.sqrt(vRelX * vRelX + vRelY * vRelY);
+          const scale = -body.dragFactor * density * vRel / body.mass;
+          ax += scale * vRelX;
+          ay += scale * vRelY;
+        }
+        const before = { x: body.velocity.x, y: body.velocity.y };
+        body.velocity.x += ax * dt;
+        body.velocity.y += ay * dt;
+        body.position.x += body.velocity.x * dt;
+        body.position.y += body.velocity.y * dt;
+        
+        // Work of the air force over the step, at the step's average velocity
+        if (diagnostics) {
+          const airForce = { x: body.mass * ax, y: body.mass * (ay + gravity) };
+          const average = { x: (before.x + body.velocity.x) / 2, y: (before.y + body.velocity.y) / 2 };
+          const stillAir = includeAirResistance ? -body.dragFactor * density * Math.sqrt(average.x ** 2 + average.y ** 2) ** 3 : 0;
+          work.drag += stillAir * dt;
+          work.wind += (airForce.x * average.x + airForce.y * average.y - stillAir) * dt;
+          impulses.gravity.y -= body.mass * gravity * dt;
+          impulses.drag.x += airForce.x * dt;
+          impulses.drag.y += airForce.y * dt;
+        }
+      });
+      if (diagnostics) {
+        peakStep = Math.max(peakStep, ...bodies.map(body =>
+          Math.sqrt(body.velocity.x ** 2 + body.velocity.y ** 2) * dt / body.radius));
+      }
+      
+      const pairs = candidatePairs();
+      maxCandidatePairs = Math.max(maxCandidatePairs, pairs.length);
+      totalCandidatePairs += pairs.length;
+      for (let iteration = 0; iteration < solverIterations; iteration++) {
+        pairs.forEach(([i, j]) => resolvePair(bodies[i], bodies[j], t));
+        bodies.forEach(body => planes.forEach(plane => resolvePlane(body, plane, t)));
+      }
+      
+      if (t >= nextSample - 1e-9 || step === steps) {
+        record(t);
+        if (diagnostics) {
+          sampleDiagnostics(t);
+        }
+        nextSample += sampleInterval;
+      }
+    }
+    
+    const finalEnergy = totalEnergy();
+    
+    // Energy balance and momentum check over the run, and warnings where they fail
+    let diagnosticsSummary = null;
+    if (diagnostics) {
+      const round = (value) => parseFloat(value.toFixed(4));
+      const scale = Math.max(Math.abs(initialEnergy), peakKineticEnergy, 1e-12);
+      const residual = energyResidual();
+      const finalMomentum = momentum();
+      const external = {
+        x: impulses.gravity.x + impulses.drag.x + impulses.planes.x,
+        y: impulses.gravity.y + impulses.drag.y + impulses.planes.y
+      };
+      const momentumResidual = Math.sqrt(
+        (finalMomentum.x - initialMomentum.x - external.x) ** 2 + (finalMomentum.y - initialMomentum.y - external.y) ** 2
+      );
+      const momentumScale = Math.max(
+        ...[initialMomentum, finalMomentum, ...Object.values(impulses)].map(vector => Math.sqrt(vector.x ** 2 + vector.y ** 2)),
+        1e-12
+      );
+      
+      const warnings = [];
+      const residualWarning = PhysicsEngine.residualWarning({
+        relativeResidual: peakResidual / scale,
+        threshold: residualThreshold,
+        order: 1,
+        dt
+      });
+      if (residualWarning) {
+        warnings.push(residualWarning);
+      }
+      if (momentumResidual / momentumScale > residualThreshold) {
+        warnings.push({
+          code: 'momentum_residual',
+          message: 'Momentum changed by more than the external impulses account for',
+          relativeResidual: parseFloat((momentumResidual / momentumScale).toExponential(3))
+        });
+      }
+      // Bodies that move more than their radius in a step can pass through each other
+      if (peakStep > 1) {
+        warnings.push({
+          code: 'coarse_time_step',
+          message: `Bodies move up to ${peakStep.toFixed(2)} radii per step, so contacts can be missed; ` +
+            `try dt of ${parseFloat((dt / peakStep).toPrecision(2))} s`,
+          suggestedDt: parseFloat((dt / peakStep).toPrecision(2))
+        });
+      }
+      
+      diagnosticsSummary = {
+        samples,
+        energy: { initial: round(initialEnergy), final: round(finalEnergy) },
+        work: {
+          ...Object.fromEntries(Object.entries(work).map(([account, value]) => [account, round(value)])),
+          total: round(work.drag + work.wind + work.contacts)
+        },
+        residual: parseFloat(residual.toExponential(3)),
+        relativeResidual: parseFloat((Math.abs(residual) / scale).toExponential(3)),
+        peakRelativeResidual: parseFloat((peakResidual / scale).toExponential(3)),
+        momentum: {
+          initial: { x: round(initialMomentum.x), y: round(initialMomentum.y) },
+          final: { x: round(finalMomentum.x), y: round(finalMomentum.y) },
+          impulses: Object.fromEntries(Object.entries(impulses).map(([source, vector]) => [
+            source,
+            { x: round(vector.x), y: round(vector.y) }
+          ])),
+          residual: parseFloat(momentumResidual.toExponential(3))
+        },
+        threshold: residualThreshold,
+        warnings
+      };
+    }
+    
+    return {
+      bodies: bodies.map(body => ({
+        id: body.id,
+        material: body.material,
+        mass: body.mass,
+        radius: body.radius,
+        timeline: body.timeline,
+        final: body.timeline[body.timeline.length - 1]
+      })),
+      events,
+      summary: {
+        duration: parseFloat((steps * dt).toFixed(4)),
+        steps,
+        dt,
+        bodyCount: bodies.length,
+        planeCount: planes.length,
+        collisions: counts,
+        eventsTruncated,
+        energy: {
+          initial: parseFloat(initialEnergy.toFixed(3)),
+          final: parseFloat(finalEnergy.toFixed(3)),
+          dissipated: parseFloat((initialEnergy - finalEnergy).toFixed(3))
+        }
+      },
+      broadPhase: {
+        method: 'uniform_grid',
+        cellSize: parseFloat(cellSize.toFixed(4)),
+        maxCandidatePairs,
+        averageCandidatePairs: parseFloat((totalCandidatePairs / Math.max(steps, 1)).toFixed(2)),
+        allPairs: bodies.length * (bodies.length - 1) / 2
+      },
+      ...(diagnosticsSummary ? { diagnostics: diagnosticsSummary } : {})
+    };
+  }
+  
+  // Calculate forces acting on an object
+  // velocity is { x, y } or, in 3D, { x, y, z } with y vertical
+  static calculateForces(params) {
+    const {
+      mass = 1,
+      velocity = { x: 0, y: 0 },
+      height = 0,
+      material = 'basketball',
+      includeAirResistance = true
+    } = params;
+    
+    const obj = PhysicsEngine.resolveMaterial(material, params.customMaterials);
+    const forces = {};
+    const spin = PhysicsEngine.resolveSpin(params);
+    // Spin about a horizontal axis in the x/y plane pushes the ball sideways too
+    const is3D = velocity.z !== undefined || Boolean(spin && (spin.x || spin.y));
+    const vz = velocity.z || 0;
+    
+    // Air density at the object's height above the launch site
+    const airDensity = PhysicsEngine.atmosphereModel(params)(height).density;
+    
+    // Gravitational force
+    forces.gravity = {
+      magnitude: obj.mass * PHYSICS_CONSTANTS.GRAVITY,
+      direction: 'downward',
+      vector: { x: 0, y: -obj.mass * PHYSICS_CONSTANTS.GRAVITY }
+    };
+    
+    // Air resistance (drag)
+    if (includeAirResistance) {
+      const speed = Math.sqrt(velocity.x**2 + velocity.y**2 + vz**2);
+      const crossSectionalArea = Math.PI * obj.radius * obj.radius;
+      const dragMagnitude = 0.5 * obj.dragCoeff * airDensity * 
+                           crossSectionalArea * speed * speed;
+      
+      forces.airResistance = {
+        magnitude: parseFloat(dragMagnitude.toFixed(3)),
+        direction: 'opposite to velocity',
+        vector: {
+          x: speed > 0 ? parseFloat((-dragMagnitude * velocity.x / speed).toFixed(3)) : 0,
+          y: speed > 0 ? parseFloat((-dragMagnitude * velocity.y / speed).toFixed(3)) : 0
+        }
+      };
+      if (is3D) {
+        forces.airResistance.vector.z = speed > 0 ? parseFloat((-dragMagnitude * vz / speed).toFixed(3)) : 0;
+      }
+    }
+    
+    // Magnus lift from spin
+    if (spin) {
+      const magnus = PhysicsEngine.calculateMagnusForce(
+        { x: velocity.x, y: velocity.y, z: vz },
+        spin,
+        obj,
+        airDensity
+      );
+      
+      forces.magnus = {
+        magnitude: parseFloat(magnus.magnitude.toFixed(3)),
+        direction: 'perpendicular to velocity and spin axis',
+        vector: {
+          x: parseFloat(magnus.vector.x.toFixed(3)),
+          y: parseFloat(magnus.vector.y.toFixed(3))
+        },
+        liftCoefficient: parseFloat(magnus.liftCoefficient.toFixed(4)),
+        spinParameter: parseFloat(magnus.spinParameter.toFixed(4))
+      };
+      if (is3D) {
+        forces.magnus.vector.z = parseFloat(magnus.vector.z.toFixed(3));
+      }
+    }
+    
+    // Buoyant force (simplified for air)
+    const airBuoyancy = airDensity * PHYSICS_CONSTANTS.GRAVITY * 
+                       (4/3 * Math.PI * obj.radius**3);
+    
+    forces.buoyancy = {
+      magnitude: parseFloat(airBuoyancy.toFixed(6)),
+      direction: 'upward',
+      vector: { x: 0, y: airBuoyancy }
+    };
+    
+    if (is3D) {
+      forces.gravity.vector.z = 0;
+      forces.buoyancy.vector.z = 0;
+    }
+    
+    // Net force
+    const netForce = {
+      x: forces.gravity.vector.x + 
+         (forces.airResistance?.vector.x || 0) + 
+         (forces.magnus?.vector.x || 0) + 
+         forces.buoyancy.vector.x,
+      y: forces.gravity.vector.y + 
+         (forces.airResistance?.vector.y || 0) + 
+         (forces.magnus?.vector.y || 0) + 
+         forces.buoyancy.vector.y,
+      z: (forces.airResistance?.vector.z || 0) + 
+         (forces.magnus?.vector.z || 0)
+    };
+    
+    forces.net = {
+      magnitude: parseFloat(Math.sqrt(netForce.x**2 + netForce.y**2 + netForce.z**2).toFixed(3)),
+      vector: {
+        x: parseFloat(netForce.x.toFixed(3)),
+        y: parseFloat(netForce.y.toFixed(3))
+      }
+    };
+    if (is3D) {
+      forces.net.vector.z = parseFloat(netForce.z.toFixed(3));
+    }
+    
+    return forces;
+  }
+  
+  // Find where a trajectory first passes a horizontal distance, interpolating between points
+  // Returns the height, time and velocity there, or null if the trajectory never gets that far
+  static crossingAtDistance(trajectory, distance) {
+    for (let i = 1; i < trajectory.length; i++) {
+      const start = trajectory[i - 1];
+      const end = trajectory[i];
+      if ((start.x - distance) * (end.x - distance) > 0 || start.x === end.x) {
+        continue;
+      }
+      
+      // Bisection on the Hermite-interpolated horizontal position
+      const h = end.time - start.time;
+      const ascending = end.x > start.x;
+      let low = 0;
+      let high = 1;
+      for (let j = 0; j < 40; j++) {
+        const mid = (low + high) / 2;
+        const x = PhysicsEngine.hermite(start.x, start.vx, end.x, end.vx, h, mid);
+        if ((x < distance) === ascending) {
+          low = mid;
+        } else {
+          high = mid;
+        }
+      }
+      
+      const fraction = (low + high) / 2;
+      return {
+        time: start.time + fraction * h,
+        y: PhysicsEngine.hermite(start.y, start.vy, end.y, end.vy, h, fraction),
+        vx: start.vx + (end.vx - start.vx) * fraction,
+        vy: start.vy + (end.vy - start.vy) * fraction
+      };
+    }
+    
+    return null;
+  }
+  
+  // Shortest distance between a trajectory and a point
+  static closestApproach(trajectory, target) {
+    let best = { distance: Infinity, x: 0, y: 0, time: 0 };
+    for (let i = 1; i < trajectory.length; i++) {
+      const a = trajectory[i - 1];
+      const b = trajectory[i];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const lengthSq = dx * dx + dy * dy;
+      const s = lengthSq > 0
+        ? Math.max(0, Math.min(1, ((target.x - a.x) * dx + (target.y - a.y) * dy) / lengthSq))
+        : 0;
+      const x = a.x + s * dx;
+      const y = a.y + s * dy;
+      const distance = Math.sqrt((x - target.x) ** 2 + (y - target.y) ** 2);
+      if (distance < best.distance) {
+        best = { distance, x, y, time: a.time + s * (b.time - a.time) };
+      }
+    }
+    return best;
+  }
+  
+  // Find launch angle(s) or speed that hit a target point using the drag-aware trajectory model
+  // With a fixed initialVelocity the launch angle is solved (low and high arcs), with a fixed
+  // launchAngle the speed is solved, and with neither the minimum-speed launch is found
+  static solveTarget(params) {
+    const {
+      target,
+      initialVelocity,
+      launchAngle,
+      maxVelocity = 150
+    } = params;
+    
+    // Solver runs in the launch plane with the adaptive integrator and no bounces
+    const base = {
+      ...params,
+      mode: '2d',
+      integrator: 'rk45',
+      tolerance: 1e-7,
+      maxBounces: 0,
+      estimateError: false
+    };
+    
+    // Vertical miss at the target distance; when the ball lands short the landing
+    // shortfall is used instead, which keeps the function continuous
+    const evaluate = (angle, speed) => {
+      const { trajectory } = PhysicsEngine.calculateTrajectory({
+        ...base,
+        launchAngle: angle,
+        initialVelocity: speed
+      });
+      const crossing = PhysicsEngine.crossingAtDistance(trajectory, target.x);
+      const landing = trajectory[trajectory.length - 1];
+      const miss = crossing ? crossing.y - target.y : (landing.x - target.x) - target.y;
+      return { angle, speed, miss, crossing, trajectory };
+    };
+    
+    // Bisect between two evaluations with misses of opposite sign
+    const bisect = (lowEval, highEval, evaluateAt, key) => {
+      let low = lowEval;
+      let high = highEval;
+      for (let i = 0; i < 40 && Math.abs(high[key] - low[key]) > 1e-7; i++) {
+        const mid = evaluateAt((low[key] + high[key]) / 2);
+        if (Math.sign(mid.miss) === Math.sign(low.miss)) {
+          low = mid;
+        } else {
+          high = mid;
+        }
+      }
+      // Prefer the side that actually reaches the target distance
+      if (!low.crossing || !high.crossing) {
+        return low.crossing ? low : high;
+      }
+      return Math.abs(low.miss) < Math.abs(high.miss) ? low : high;
+    };
+    
+    // Scan a parameter range for sign changes of the miss, then refine each root
+    const findRoots = (values, evaluateAt, key) => {
+      const samples = values.map(evaluateAt);
+      const roots = [];
+      for (let i = 1; i < samples.length; i++) {
+        if (samples[i - 1].miss === 0) {
+          roots.push(samples[i - 1]);
+        } else if (Math.sign(samples[i - 1].miss) !== Math.sign(samples[i].miss)) {
+          roots.push(bisect(samples[i - 1], samples[i], evaluateAt, key));
+        }
+      }
+      const closest = samples.reduce((best, sample) => (sample.miss > best.miss ? sample : best));
+      return { roots, closest };
+    };
+    
+    const range = (start, end, count) =>
+      Array.from({ length: count }, (_, i) => start + (end - start) * i / (count - 1));
+    
+    let solveFor;
+    let roots;
+    let closest;
+    
+    if (initialVelocity !== undefined) {
+      solveFor = 'launchAngle';
+      ({ roots, closest } = findRoots(
+        range(-89, 89, 179),
+        (angle) => evaluate(angle, initialVelocity),
+        'angle'
+      ));
+    } else if (launchAngle !== undefined) {
+      solveFor = 'initialVelocity';
+      ({ roots, closest } = findRoots(
+        range(Math.log(0.1), Math.log(maxVelocity), 80).map(Math.exp),
+        (speed) => evaluate(launchAngle, speed),
+        'speed'
+      ));
+    } else {
+      solveFor = 'minimumVelocity';
+      
+      // Smallest speed that reaches the target at a given angle (Infinity if none up to maxVelocity)
+      const speedNeeded = (angle) => {
+        let high = evaluate(angle, Math.min(1, maxVelocity));
+        let low = null;
+        while (high.miss < 0 && high.speed < maxVelocity) {
+          low = high;
+          high = evaluate(angle, Math.min(high.speed * 2, maxVelocity));
+        }
+        if (high.miss < 0) {
+          return { ...high, speed: Infinity, closestEval: high };
+        }
+        return low ? bisect(low, high, (speed) => evaluate(angle, speed), 'speed') : high;
+      };
+      
+      // Coarse angle scan, then golden-section search around the best angle
+      const coarse = range(-85, 85, 35).map(speedNeeded);
+      const bestIndex = coarse.reduce((best, s, i) => (s.speed < coarse[best].speed ? i : best), 0);
+      
+      if (coarse[bestIndex].speed === Infinity) {
+        roots = [];
+        closest = coarse.map(s => s.closestEval).reduce((best, s) => (s.miss > best.miss ? s : best));
+      } else {
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        let a = coarse[Math.max(bestIndex - 1, 0)].angle;
+        let b = coarse[Math.min(bestIndex + 1, coarse.length - 1)].angle;
+        let c = speedNeeded(b - ratio * (b - a));
+        let d = speedNeeded(a + ratio * (b - a));
+        for (let i = 0; i < 20; i++) {
+          if (c.speed < d.speed) {
+            b = d.angle;
+            d = c;
+            c = speedNeeded(b - ratio * (b - a));
+          } else {
+            a = c.angle;
+            c = d;
+            d = speedNeeded(a + ratio * (b - a));
+          }
+        }
+        roots = [[c, d, coarse[bestIndex]].reduce((best, s) => (s.speed < best.speed ? s : best))];
+      }
+    }
+    
+    // Describe each solution by its flight to the target
+    const describe = (solution, index) => {
+      const { crossing, trajectory } = solution;
+      const maxHeight = trajectory.reduce((highest, p) => (p.time <= crossing.time ? Math.max(highest, p.y) : highest), crossing.y);
+      const result = {
+        launchAngle: parseFloat(solution.angle.toFixed(3)),
+        initialVelocity: parseFloat(solution.speed.toFixed(3)),
+        timeToTarget: parseFloat(crossing.time.toFixed(3)),
+        maxHeight: parseFloat(maxHeight.toFixed(3)),
+        velocityAtTarget: {
+          x: parseFloat(crossing.vx.toFixed(3)),
+          y: parseFloat(crossing.vy.toFixed(3)),
+          magnitude: parseFloat(Math.sqrt(crossing.vx ** 2 + crossing.vy ** 2).toFixed(3))
+        },
+        miss: parseFloat(Math.abs(solution.miss).toFixed(4))
+      };
+      if (solveFor === 'launchAngle' && count > 1) {
+        result.arc = index === 0 ? 'low' : 'high';
+      }
+      return result;
+    };
+    
+    const hits = roots
+      .filter(root => root.crossing)
+      .sort((a, b) => a.angle - b.angle);
+    const count = hits.length;
+    const solutions = hits.map(describe);
+    
+    if (solutions.length > 0) {
+      return { reachable: true, solveFor, solutions };
+    }
+    
+    // Unreachable: report the launch that came closest
+    const approach = PhysicsEngine.closestApproach(closest.trajectory, target);
+    return {
+      reachable: false,
+      solveFor,
+      solutions: [],
+      closestApproach: {
+        launchAngle: parseFloat(closest.angle.toFixed(3)),
+        initialVelocity: parseFloat(closest.speed.toFixed(3)),
+        distance: parseFloat(approach.distance.toFixed(3)),
+        point: {
+          x: parseFloat(approach.x.toFixed(3)),
+          y: parseFloat(approach.y.toFixed(3))
+        },
+        time: parseFloat(approach.time.toFixed(3))
+      }
+    };
+  }
+  
+  // Maximize (or minimize) a flight objective over the launch angle and/or speed
+  // Samples the objective across the bounds, which also gives the sensitivity curve,
+  // then refines the best sample with golden-section searches along each variable
+  static optimizeLaunch(params) {
+    const {
+      objective = 'range',
+      variables = ['launchAngle'],
+      bounds = {},
+      samples
+    } = params;
+    
+    const goal = OBJECTIVES[objective];
+    const ranges = {
+      launchAngle: bounds.launchAngle || [0, 89],
+      initialVelocity: bounds.initialVelocity || [1, 100]
+    };
+    const fixed = {
+      launchAngle: params.launchAngle !== undefined ? params.launchAngle : 45,
+      initialVelocity: params.initialVelocity
+    };
+    
+    // Objective value of a launch (adaptive integrator, no bounces)
+    const evaluate = (values) => {
+      const launch = { ...fixed, ...values };
+      const outcome = PhysicsEngine.calculateTrajectory({
+        ...params,
+        ...launch,
+        mode: '2d',
+        integrator: 'rk45',
+        maxBounces: 0,
+        estimateError: false
+      });
+      const value = goal.measure(outcome, params);
+      return { ...launch, value, score: goal.maximize ? value : -value };
+    };
+    
+    const spread = (range, count) =>
+      Array.from({ length: count }, (_, i) => range[0] + (range[1] - range[0]) * i / (count - 1));
+    
+    // Sample the objective over the bounds
+    const count = samples || (variables.length === 1 ? 91 : 21);
+    let curve;
+    if (variables.length === 1) {
+      const [name] = variables;
+      curve = spread(ranges[name], count).map(value => evaluate({ [name]: value }));
+    } else {
+      curve = [];
+      for (const launchAngle of spread(ranges.launchAngle, count)) {
+        for (const initialVelocity of spread(ranges.initialVelocity, count)) {
+          curve.push(evaluate({ launchAngle, initialVelocity }));
+        }
+      }
+    }
+    
+    // Refine the best sample one variable at a time within one sample spacing
+    let best = curve.reduce((a, b) => (b.score > a.score ? b : a));
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    for (let round = 0; round < variables.length; round++) {
+      for (const name of variables) {
+        const step = (ranges[name][1] - ranges[name][0]) / (count - 1);
+        let a = Math.max(best[name] - step, ranges[name][0]);
+        let b = Math.min(best[name] + step, ranges[name][1]);
+        const current = best;
+        const at = (value) => evaluate({ launchAngle: current.launchAngle, initialVelocity: current.initialVelocity, [name]: value });
+        let c = at(b - ratio * (b - a));
+        let d = at(a + ratio * (b - a));
+        for (let i = 0; i < 30 && b - a > 1e-6; i++) {
+          if (c.score > d.score) {
+            b = d[name];
+            d = c;
+            c = at(b - ratio * (b - a));
+          } else {
+            a = c[name];
+            c = d;
+            d = at(a + ratio * (b - a));
+          }
+        }
+        best = [best, c, d].reduce((x, y) => (y.score > x.score ? y : x));
+      }
+    }
+    
+    const format = (point) => {
+      const formatted = {};
+      for (const name of variables) {
+        formatted[name] = parseFloat(point[name].toFixed(3));
+      }
+      formatted.value = parseFloat(point.value.toFixed(4));
+      return formatted;
+    };
+    
+    return {
+      objective,
+      goal: goal.maximize ? 'maximize' : 'minimize',
+      unit: goal.unit,
+      optimum: {
+        launchAngle: parseFloat(best.launchAngle.toFixed(3)),
+        initialVelocity: parseFloat(best.initialVelocity.toFixed(3)),
+        value: parseFloat(best.value.toFixed(4))
+      },
+      curve: curve.map(format)
+    };
+  }
+  
+  // Integrate an oscillator from t = 0 to duration with one of the INTEGRATORS
+  // Fixed-step integrators step by dt and rk45 adapts its step to the tolerance; either way a
+  // step ends exactly on every sample time. record(state, time) builds a sample and
+  // onStep(start, end, h, time) sees every accepted step. Runs stop early after maxSteps.
+  static integrateMotion(initial, derivative, options, { record, onStep = () => {} }) {
+    const {
+      integrator = 'rk4',
+      dt = 0.001, // time step in seconds (initial step for adaptive integrators)
+      tolerance = 1e-6,
+      duration = 10,
+      sampleInterval = 0.05,
+      maxSteps = Infinity
+    } = options;
+    const method = INTEGRATORS[integrator] || INTEGRATORS.rk4;
+    
+    let state = initial;
+    let t = 0;
+    let h = dt;
+    let steps = 0;
+    let rejectedSteps = 0;
+    let sampleIndex = 1;
+    let nextSample = Math.min(sampleInterval, duration);
+    const samples = [record(state, 0)];
+    
+    while (t < duration && steps < maxSteps) {
+      const stepSize = Math.min(h, nextSample - t);
+      let next;
+      if (method.adaptive) {
+        const result = method.step(state, stepSize, derivative, t);
+        const errorRatio = PhysicsEngine.scaledError(state, result.state, result.error, tolerance);
+        if (errorRatio > 1 && stepSize > 1e-9) {
+          h = stepSize * Math.max(0.2, 0.9 * Math.pow(errorRatio, -1 / 5));
+          rejectedSteps++;
+          continue;
+        }
+        next = result.state;
+        // A step cut short to land on a sample says little about the next step size
+        const proposed = stepSize * Math.min(5, 0.9 * Math.pow(Math.max(errorRatio, 1e-10), -1 / 5));
+        h = stepSize < h ? Math.max(h, proposed) : proposed;
+      } else {
+        next = method.step(state, stepSize, derivative, t);
+      }
+      steps++;
+      onStep(state, next, stepSize, t);
+      state = next;
+      
+      // Snap onto the sample time so rounding does not accumulate over long runs
+      if (nextSample - t - stepSize <= 1e-12 * Math.max(1, nextSample)) {
+        t = nextSample;
+        samples.push(record(state, t));
+        sampleIndex++;
+        nextSample = Math.min(sampleIndex * sampleInterval, duration);
+      } else {
+        t += stepSize;
+      }
+    }
+    
+    return {
+      samples,
+      state,
+      integration: {
+        integrator: INTEGRATORS[integrator] ? integrator : 'rk4',
+        steps,
+        ...(method.adaptive ? { tolerance, rejectedSteps } : { dt }),
+        ...(t < duration ? { truncated: true, reachedTime: parseFloat(t.toFixed(3)) } : {})
+      }
+    };
+  }
+  
+  // Times at which a coordinate rises through a level, found inside each step by the
+  // same Hermite interpolation as ground crossings; period() averages the intervals
+  // between them and is null until there are two
+  static crossingTracker(key, level = 0) {
+    const times = [];
+    return {
+      times,
+      step: (start, end, h, time) => {
+        if (start[key] < level && end[key] >= level) {
+          times.push(time + PhysicsEngine.interpolateCrossing(start, end, h, key, level) * h);
+        }
+      },
+      period: () => (times.length >= 2 ? (times[times.length - 1] - times[0]) / (times.length - 1) : null)
+    };
+  }
+  
+  // Damping of a linear oscillator from its natural angular frequency, mass and viscous
+  // damping coefficient: the damping ratio ζ = c / (2·m·ω0) and the regime it puts the
+  // motion in, with the damped frequency, Q factor and logarithmic decrement where defined
+  static dampingSummary(omega0, mass, damping) {
+    const round = (value, digits = 4) => (value === null ? null : parseFloat(value.toFixed(digits)));
+    const ratio = damping / (2 * mass * omega0);
+    let regime;
+    if (ratio === 0) {
+      regime = 'undamped';
+    } else if (Math.abs(ratio - 1) < 1e-6) {
+      regime = 'critically_damped';
+    } else {
+      regime = ratio < 1 ? 'underdamped' : 'overdamped';
+    }
+    const oscillates = regime === 'undamped' || regime === 'underdamped';
+    const dampedOmega = oscillates ? omega0 * Math.sqrt(1 - ratio * ratio) : null;
+    
+    return {
+      coefficient: damping,
+      ratio: round(ratio, 6),
+      regime,
+      dampedFrequency: oscillates ? round(dampedOmega / (2 * Math.PI)) : null,
+      dampedPeriod: oscillates ? round((2 * Math.PI) / dampedOmega) : null,
+      qualityFactor: ratio > 0 ? round(1 / (2 * ratio), 3) : null,
+      logarithmicDecrement: oscillates ? round((2 * Math.PI * ratio) / Math.sqrt(1 - ratio * ratio)) : null
+    };
+  }
+  
+  // Energy at the start and end of a run, with the time constant over which damping drains
+  // it (null without damping)
+  static energyDecay(initial, final, decayTime, extra = {}) {
+    const round = (value) => parseFloat(value.toFixed(4));
+    return {
+      initial: round(initial),
+      final: round(final),
+      dissipated: round(extra.dissipated !== undefined ? extra.dissipated : initial - final),
+      ...(extra.driveWork !== undefined ? { driveWork: round(extra.driveWork) } : {}),
+      remainingFraction: initial > 0 ? parseFloat((final / initial).toFixed(6)) : null,
+      decayTime: decayTime !== null ? round(decayTime) : null
+    };
+  }
+  
+  // Mass of an oscillating body: given directly, or that of its material
+  static oscillatorMass({ mass, material }, customMaterials) {
+    return mass !== undefined ? mass : PhysicsEngine.resolveMaterial(material, customMaterials).mass;
+  }
+  
+  // Swing a pendulum: a point mass on a rigid massless rod of the given length, released at
+  // initialAngle (degrees from hanging straight down) with initialAngularVelocity (rad/s)
+  // The simple model linearises sin θ ≈ θ, so its period is 2π√(L/g) at every amplitude;
+  // the large_angle model keeps sin θ, whose period T0 / AGM(1, cos(θmax/2)) grows with the
+  // amplitude. Viscous damping acts on the bob's speed. The pivot is at the origin.
+  static simulatePendulum(params) {
+    const {
+      length = 1,
+      initialAngle = 10,
+      initialAngularVelocity = 0,
+      model = 'large_angle',
+      damping = 0,
+      gravity = PHYSICS_CONSTANTS.GRAVITY,
+      material
+    } = params;
+    const mass = PhysicsEngine.oscillatorMass(params, params.customMaterials);
+    const round = (value, digits = 4) => (value === null ? null : parseFloat(value.toFixed(digits)));
+    const simple = model === 'simple';
+    const omega0 = Math.sqrt(gravity / length);
+    
+    const derivative = (state) => ({
+      theta: state.vtheta,
+      vtheta: -omega0 * omega0 * (simple ? state.theta : Math.sin(state.theta)) - (damping / mass) * state.vtheta
+    });
+    // The simple model's potential is the matching quadratic, so its energy is conserved too
+    const energyOf = (state) => 0.5 * mass * length * length * state.vtheta ** 2 +
+      mass * gravity * length * (simple ? 0.5 * state.theta ** 2 : 1 - Math.cos(state.theta));
+    
+    const initial = { theta: (initialAngle * Math.PI) / 180, vtheta: initialAngularVelocity };
+    const crossings = PhysicsEngine.crossingTracker('theta');
+    const run = PhysicsEngine.integrateMotion(initial, derivative, params, {
+      record: (state, time) => ({
+        time: parseFloat(time.toFixed(4)),
+        angle: round((state.theta * 180) / Math.PI, 3),
+        angularVelocity: round(state.vtheta),
+        x: round(length * Math.sin(state.theta)),
+        y: round(-length * Math.cos(state.theta)),
+        energy: round(energyOf(state))
+      }),
+      onStep: crossings.step
+    });
+    
+    // Amplitude the undamped pendulum would reach from its initial energy; with enough
+    // energy to pass over the top the large-angle pendulum rotates instead of swinging
+    const initialEnergy = energyOf(initial);
+    const smallAnglePeriod = (2 * Math.PI) / omega0;
+    let amplitude;
+    let analyticPeriod;
+    let motion = 'oscillating';
+    if (simple) {
+      amplitude = Math.sqrt(initial.theta ** 2 + (initial.vtheta / omega0) ** 2);
+      analyticPeriod = smallAnglePeriod;
+    } else {
+      const cosAmplitude = 1 - initialEnergy / (mass * gravity * length);
+      if (cosAmplitude <= -1) {
+        motion = 'rotating';
+        amplitude = null;
+        analyticPeriod = null;
+      } else {
+        amplitude = Math.acos(cosAmplitude);
+        let a = 1;
+        let b = Math.cos(amplitude / 2);
+        for (let i = 0; i < 30 && Math.abs(a - b) > 1e-15; i++) {
+          [a, b] = [(a + b) / 2, Math.sqrt(a * b)];
+        }
+        analyticPeriod = b > 0 ? smallAnglePeriod / a : null;
+      }
+    }
+    const measuredPeriod = crossings.period();
+    const period = measuredPeriod !== null ? measuredPeriod : analyticPeriod;
+    
+    return {
+      model: simple ? 'simple' : 'large_angle',
+      material: material || 'custom',
+      mass,
+      length,
+      motion,
+      amplitude: amplitude !== null ? round((amplitude * 180) / Math.PI, 3) : null,
+      period: {
+        smallAngle: round(smallAnglePeriod),
+        analytic: round(analyticPeriod),
+        measured: round(measuredPeriod),
+        frequency: period ? round(1 / period) : null,
+        crossings: crossings.times.length
+      },
+      damping: PhysicsEngine.dampingSummary(omega0, mass, damping),
+      // Viscous damping drains energy at the rate c/m
+      energy: PhysicsEngine.energyDecay(initialEnergy, energyOf(run.state), damping > 0 ? mass / damping : null),
+      timeSeries: run.samples,
+      integration: run.integration
+    };
+  }
+  
+  // Simulate a mass on a spring, m·x'' + c·x' + k·x = F(t), displaced by initialDisplacement
+  // (m) and moving at initialVelocity (m/s). A drive { amplitude, frequency } adds the force
+  // F0·cos(2πft); its steady state is the particular solution the motion settles into once
+  // the free oscillation has decayed.
+  static simulateSpring(params) {
+    const {
+      stiffness = 10,
+      damping = 0,
+      initialDisplacement = 0.1,
+      initialVelocity = 0,
+      drive,
+      duration = 10,
+      material
+    } = params;
+    const mass = PhysicsEngine.oscillatorMass(params, params.customMaterials);
+    const round = (value, digits = 4) => (value === null ? null : parseFloat(value.toFixed(digits)));
+    const omega0 = Math.sqrt(stiffness / mass);
+    const driveOmega = drive ? 2 * Math.PI * drive.frequency : 0;
+    const force = (time) => (drive ? drive.amplitude * Math.cos(driveOmega * time) : 0);
+    
+    const derivative = (state, time) => ({
+      x: state.vx,
+      vx: (force(time) - stiffness * state.x - damping * state.vx) / mass
+    });
+    const energyOf = (state) => 0.5 * mass * state.vx ** 2 + 0.5 * stiffness * state.x ** 2;
+    
+    // With a drive the energy no longer only decays, so the work of the drive and of the
+    // damper are integrated step by step (trapezoidal rule); the drive's last period gives
+    // the measured steady-state amplitude
+    let dissipated = 0;
+    let driveWork = 0;
+    let settledAmplitude = 0;
+    const settleFrom = drive ? duration - 1 / drive.frequency : Infinity;
+    const crossings = PhysicsEngine.crossingTracker('x');
+    const initial = { x: initialDisplacement, vx: initialVelocity };
+    const run = PhysicsEngine.integrateMotion(initial, derivative, params, {
+      record: (state, time) => ({
+        time: parseFloat(time.toFixed(4)),
+        displacement: round(state.x, 5),
+        velocity: round(state.vx, 5),
+        energy: round(energyOf(state), 5)
+      }),
+      onStep: (start, end, h, time) => {
+        crossings.step(start, end, h, time);
+        if (drive) {
+          dissipated += 0.5 * h * damping * (start.vx ** 2 + end.vx ** 2);
+          driveWork += 0.5 * h * (force(time) * start.vx + force(time + h) * end.vx);
+          if (time + h >= settleFrom) {
+            settledAmplitude = Math.max(settledAmplitude, Math.abs(end.x));
+          }
+        }
+      }
+    });
+    
+    const initialEnergy = energyOf(initial);
+    const measuredPeriod = crossings.period();
+    const dampingSummary = PhysicsEngine.dampingSummary(omega0, mass, damping);
+    
+    let steadyState = null;
+    if (drive) {
+      const reactance = stiffness - mass * driveOmega * driveOmega;
+      const resistance = damping * driveOmega;
+      const impedance = Math.sqrt(reactance * reactance + resistance * resistance);
+      const amplitude = impedance > 0 ? drive.amplitude / impedance : null;
+      steadyState = {
+        amplitude: round(amplitude, 5),
+        phaseLag: impedance > 0 ? round((Math.atan2(resistance, reactance) * 180) / Math.PI, 3) : null,
+        amplification: amplitude !== null ? round(amplitude * stiffness / drive.amplitude) : null,
+        resonanceFrequency: dampingSummary.ratio < Math.SQRT1_2
+          ? round((omega0 * Math.sqrt(1 - 2 * dampingSummary.ratio ** 2)) / (2 * Math.PI))
+          : null,
+        measuredAmplitude: settleFrom >= 0 ? round(settledAmplitude, 5) : null
+      };
+    }
+    
+    return {
+      material: material || 'custom',
+      mass,
+      stiffness,
+      natural: {
+        angularFrequency: round(omega0),
+        frequency: round(omega0 / (2 * Math.PI)),
+        period: round((2 * Math.PI) / omega0)
+      },
+      period: {
+        measured: round(measuredPeriod),
+        frequency: measuredPeriod ? round(1 / measuredPeriod) : null,
+        crossings: crossings.times.length
+      },
+      damping: dampingSummary,
+      energy: PhysicsEngine.energyDecay(initialEnergy, energyOf(run.state), damping > 0 ? mass / damping : null,
+        drive ? { dissipated, driveWork } : {}),
+      ...(drive ? { drive, steadyState } : {}),
+      timeSeries: run.samples,
+      integration: run.integration
+    };
+  }
+  
+  // Eigenvalues and eigenvectors of a symmetric matrix by cyclic Jacobi rotations
+  // Returns { values, vectors } with vectors[i] the unit eigenvector of values[i]
+  static symmetricEigen(matrix) {
+    const n = matrix.length;
+    const a = matrix.map(row => row.slice());
+    const v = matrix.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+    const total = a.reduce((sum, row) => sum + row.reduce((rowSum, value) => rowSum + value * value, 0), 0);
+    
+    for (let sweep = 0; sweep < 50; sweep++) {
+      let off = 0;
+      for (let p = 0; p < n - 1; p++) {
+        for (let q = p + 1; q < n; q++) {
+          off += a[p][q] * a[p][q];
+        }
+      }
+      if (off <= 1e-30 * total) {
+        break;
+      }
+      
+      for (let p = 0; p < n - 1; p++) {
+        for (let q = p + 1; q < n; q++) {
+          if (a[p][q] === 0) {
+            continue;
+          }
+          // Rotate in the (p, q) plane so that a[p][q] becomes zero
+          const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+          const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+          const c = 1 / Math.sqrt(t * t + 1);
+          const s = t * c;
+          for (let k = 0; k < n; k++) {
+            const [kp, kq] = [a[k][p], a[k][q]];
+            a[k][p] = c * kp - s * kq;
+            a[k][q] = s * kp + c * kq;
+          }
+          for (let k = 0; k < n; k++) {
+            const [pk, qk] = [a[p][k], a[q][k]];
+            a[p][k] = c * pk - s * qk;
+            a[q][k] = s * pk + c * qk;
+          }
+          for (let k = 0; k < n; k++) {
+            const [kp, kq] = [v[k][p], v[k][q]];
+            v[k][p] = c * kp - s * kq;
+            v[k][q] = s * kp + c * kq;
+          }
+        }
+      }
+    }
+    
+    return {
+      values: a.map((row, i) => row[i]),
+      vectors: a.map((_, i) => v.map(row => row[i]))
+    };
+  }
+  
+  // Simulate a chain of masses joined by springs along a line
+  // springs holds the stiffness of every link from the left wall to the right one, one more
+  // than there are masses; a stiffness of 0 leaves that end free. damping is a viscous
+  // coefficient acting on every mass. The normal modes are the eigenvectors of
+  // M^-1/2·K·M^-1/2; each mode's share of the initial energy and damping ratio come from
+  // projecting the initial state and the damping onto it.
+  static simulateCoupled(params) {
+    const { masses: bodies, springs, damping = 0 } = params;
+    const round = (value, digits = 4) => (value === null ? null : parseFloat(value.toFixed(digits)));
+    const n = bodies.length;
+    const masses = bodies.map(body => PhysicsEngine.oscillatorMass(body, params.customMaterials));
+    
+    // Stretch of each spring, with both walls fixed at zero displacement
+    const stretches = (state) => springs.map((_, j) => (j < n ? state[`x${j}`] : 0) - (j > 0 ? state[`x${j - 1}`] : 0));
+    const derivative = (state) => {
+      const stretch = stretches(state);
+      const next = {};
+      for (let i = 0; i < n; i++) {
+        next[`x${i}`] = state[`vx${i}`];
+        next[`vx${i}`] = (springs[i + 1] * stretch[i + 1] - springs[i] * stretch[i] - damping * state[`vx${i}`]) / masses[i];
+      }
+      return next;
+    };
+    const energyOf = (state) => masses.reduce((sum, mass, i) => sum + 0.5 * mass * state[`vx${i}`] ** 2, 0) +
+      stretches(state).reduce((sum, stretch, j) => sum + 0.5 * springs[j] * stretch * stretch, 0);
+    
+    const initial = {};
+    bodies.forEach((body, i) => {
+      initial[`x${i}`] = body.initialDisplacement || 0;
+      initial[`vx${i}`] = body.initialVelocity || 0;
+    });
+    const run = PhysicsEngine.integrateMotion(initial, derivative, params, {
+      record: (state, time) => {
+        const sample = { time: parseFloat(time.toFixed(4)) };
+        for (let i = 0; i < n; i++) {
+          sample[`x${i + 1}`] = round(state[`x${i}`], 5);
+        }
+        for (let i = 0; i < n; i++) {
+          sample[`v${i + 1}`] = round(state[`vx${i}`], 5);
+        }
+        sample.energy = round(energyOf(state), 5);
+        return sample;
+      }
+    });
+    
+    // Normal modes from the mass-weighted stiffness matrix, slowest first
+    const stiffness = masses.map((_, i) => masses.map((__, j) => {
+      if (i === j) {
+        return springs[i] + springs[i + 1];
+      }
+      return Math.abs(i - j) === 1 ? -springs[Math.max(i, j)] : 0;
+    }));
+    const weighted = stiffness.map((row, i) => row.map((value, j) => value / Math.sqrt(masses[i] * masses[j])));
+    const { values, vectors } = PhysicsEngine.symmetricEigen(weighted);
+    const order = values.map((_, i) => i).sort((i, j) => values[i] - values[j]);
+    
+    const modalEnergy = order.map(index => {
+      const vector = vectors[index];
+      const q = vector.reduce((sum, value, i) => sum + value * Math.sqrt(masses[i]) * initial[`x${i}`], 0);
+      const dq = vector.reduce((sum, value, i) => sum + value * Math.sqrt(masses[i]) * initial[`vx${i}`], 0);
+      return 0.5 * (dq * dq + Math.max(values[index], 0) * q * q);
+    });
+    const initialEnergy = energyOf(initial);
+    
+    // Eigenvalues within rounding of zero are rigid-body modes of a chain with both ends free
+    const largestValue = Math.max(...values.map(Math.abs));
+    const modes = order.map((index, rank) => {
+      const omega = values[index] > 1e-12 * largestValue ? Math.sqrt(values[index]) : 0;
+      // Displacement shape scaled so its largest component is +1
+      const shape = vectors[index].map((value, i) => value / Math.sqrt(masses[i]));
+      const largest = shape.reduce((best, value) => (Math.abs(value) > Math.abs(best) + 1e-12 ? value : best), 0);
+      const modalDamping = vectors[index].reduce((sum, value, i) => sum + (damping * value * value) / masses[i], 0);
+      const summary = omega > 0 ? PhysicsEngine.dampingSummary(omega, 1, modalDamping) : null;
+      return {
+        mode: rank + 1,
+        angularFrequency: round(omega),
+        frequency: round(omega / (2 * Math.PI)),
+        period: omega > 0 ? round((2 * Math.PI) / omega) : null,
+        shape: shape.map(value => round(value / largest)),
+        dampingRatio: summary ? summary.ratio : null,
+        regime: summary ? summary.regime : null,
+        energyShare: initialEnergy > 0 ? round(modalEnergy[rank] / initialEnergy) : null,
+        decayTime: modalDamping > 0 ? round(1 / modalDamping) : null
+      };
+    });
+    
+    // The most lightly damped mode holds on to its energy longest
+    const decayTimes = modes.map(mode => mode.decayTime).filter(time => time !== null);
+    
+    return {
+      masses: bodies.map((body, i) => ({ material: body.material || 'custom', mass: masses[i] })),
+      springs,
+      modes,
+      energy: PhysicsEngine.energyDecay(initialEnergy, energyOf(run.state), decayTimes.length > 0 ? Math.max(...decayTimes) : null),
+      timeSeries: run.samples,
+      integration: run.integration
+    };
+  }
+  
+  // Friction where an object's surface touches another: a measured pair when there is one,
+  // otherwise the geometric mean of the two surfaces' coefficients, or the touched surface's
+  // own coefficients when the object's surface is not given. Rolling resistance comes from
+  // the touched surface, which the rolling ball deforms.
+  static frictionBetween(surface, objectSurface) {
+    const touched = SURFACES[surface] || SURFACES.concrete;
+    const base = { rollingResistance: touched.rollingResistance };
+    if (!hasOwn(SURFACES, objectSurface)) {
+      return { ...base, staticFriction: touched.staticFriction, kineticFriction: touched.friction, source: 'surface' };
+    }
+    
+    const key = [surface, objectSurface].sort().join('|');
+    if (hasOwn(FRICTION_PAIRS, key)) {
+      const pair = FRICTION_PAIRS[key];
+      return { ...base, staticFriction: pair.staticFriction, kineticFriction: pair.friction, source: 'pair' };
+    }
+    const other = SURFACES[objectSurface];
+    return {
+      ...base,
+      staticFriction: parseFloat(Math.sqrt(touched.staticFriction * other.staticFriction).toFixed(3)),
+      kineticFriction: parseFloat(Math.sqrt(touched.friction * other.friction).toFixed(3)),
+      source: 'combined'
+    };
+  }
+  
+  // Motion of a block or ball released on an inclined plane
+  // distance is measured down the slope from the release point (x across and y up in the
+  // plane of the slope). A block sticks while tan α ≤ μs and otherwise slides against
+  // kinetic friction. A ball of moment of inertia I = k·m·r² rolls without slipping while the
+  // friction that takes, k/(1+k)·m·g·sin α, is within μs·N; otherwise, or while its spin does
+  // not match its speed, it slips, and kinetic friction both slows the slip and spins it up.
+  // Rolling resistance μr·N opposes rolling and holds a ball at rest while tan α ≤ μr.
+  // Every phase has a constant acceleration, so the motion is solved exactly phase by phase
+  // and sampled every sampleInterval. The run ends after duration or at the foot of a slope
+  // of the given length.
+  static simulateIncline(params) {
+    const {
+      angle = 30,
+      surface = 'concrete',
+      objectSurface,
+      shape = 'sphere',
+      material = 'basketball',
+      initialVelocity = 0, // m/s down the slope
+      initialAngularVelocity = 0, // rad/s, positive when turning as a ball rolling down does
+      length,
+      gravity = PHYSICS_CONSTANTS.GRAVITY,
+      duration = 5,
+      sampleInterval = 0.05
+    } = params;
+    const obj = PhysicsEngine.resolveMaterial(material, params.customMaterials);
+    const mass = params.mass !== undefined ? params.mass : obj.mass;
+    const radius = params.radius !== undefined ? params.radius : obj.radius;
+    const rolls = shape === 'sphere';
+    const inertiaFactor = rolls ? obj.inertiaFactor : 0;
+    const round = (value, digits = 4) => (value === null ? null : parseFloat(value.toFixed(digits)));
+    
+    const pair = PhysicsEngine.frictionBetween(surface, objectSurface);
+    const kineticFriction = params.kineticFriction !== undefined ? params.kineticFriction : pair.kineticFriction;
+    // Static friction is never below kinetic friction
+    const staticFriction = Math.max(params.staticFriction !== undefined ? params.staticFriction : pair.staticFriction, kineticFriction);
+    const rollingResistance = !rolls ? 0
+      : (params.rollingResistance !== undefined ? params.rollingResistance : pair.rollingResistance);
+    const overridden = ['staticFriction', 'kineticFriction', 'rollingResistance'].some(key => params[key] !== undefined);
+    
+    const slope = (angle * Math.PI) / 180;
+    const along = gravity * Math.sin(slope); // down-slope pull per unit mass
+    const normal = gravity * Math.cos(slope); // normal force per unit mass
+    const tanSlope = Math.tan(slope);
+    const rollLimit = rolls ? (staticFriction * (1 + inertiaFactor)) / inertiaFactor : 0;
+    const epsilon = 1e-9;
+    
+    // Slip of the contact point over the slope; a block always slips by its whole speed
+    const slipOf = (state) => state.v - (rolls ? state.w * radius : 0);
+    
+    // The phase a state is in, with the direction of the velocity or slip it has or takes up,
+    // and its constant linear and angular accelerations
+    const phaseOf = (state) => {
+      const slip = slipOf(state);
+      let motion;
+      let direction;
+      if (Math.abs(slip) > epsilon) {
+        [motion, direction] = ['sliding', Math.sign(slip)];
+      } else if (Math.abs(state.v) > epsilon) {
+        [motion, direction] = rolls && tanSlope <= rollLimit ? ['rolling', Math.sign(state.v)] : ['sliding', 1];
+      } else if (tanSlope <= (rolls ? rollingResistance : staticFriction)) {
+        [motion, direction] = ['at_rest', 0];
+      } else {
+        [motion, direction] = rolls && tanSlope <= rollLimit ? ['rolling', 1] : ['sliding', 1];
+      }
+      
+      if (motion === 'at_rest') {
+        return { motion, direction, a: 0, alpha: 0 };
+      }
+      if (motion === 'rolling') {
+        const a = (along - direction * rollingResistance * normal) / (1 + inertiaFactor);
+        return { motion, direction, a, alpha: a / radius };
+      }
+      return {
+        motion,
+        direction,
+        a: along - direction * kineticFriction * normal,
+        alpha: rolls ? (direction * kineticFriction * normal) / (inertiaFactor * radius) : 0
+      };
+    };
+    
+    // Time within a phase after which it ends: the slip or the speed it is named after
+    // reaches zero, or null when it never does
+    const phaseEnd = (state, phase) => {
+      if (phase.motion === 'sliding') {
+        const slipRate = phase.a - (rolls ? phase.alpha * radius : 0);
+        const slip = slipOf(state);
+        return slip * slipRate < 0 ? -slip / slipRate : null;
+      }
+      if (phase.motion === 'rolling') {
+        return state.v * phase.a < 0 ? -state.v / phase.a : null;
+      }
+      return null;
+    };
+    
+    const advance = (state, phase, dt) => ({
+      s: state.s + state.v * dt + 0.5 * phase.a * dt * dt,
+      v: state.v + phase.a * dt,
+      w: state.w + phase.alpha * dt
+    });
+    
+    // Mechanical energy relative to the release height
+    const energyOf = (state) => 0.5 * mass * state.v ** 2 +
+      0.5 * inertiaFactor * mass * radius * radius * state.w ** 2 - mass * gravity * state.s * Math.sin(slope);
+    
+    const initial = { s: 0, v: initialVelocity, w: rolls ? initialAngularVelocity : 0 };
+    const initialEnergy = energyOf(initial);
+    const loss = { sliding: 0, rolling: 0 };
+    const sample = (state, time, motion, phaseLoss) => ({
+      time: parseFloat(time.toFixed(4)),
+      distance: round(state.s),
+      x: round(state.s * Math.cos(slope)),
+      y: round(-state.s * Math.sin(slope)),
+      velocity: round(state.v),
+      spin: round(state.w),
+      motion,
+      energy: round(energyOf(state)),
+      frictionLoss: round(loss.sliding + loss.rolling + phaseLoss)
+    });
+    
+    let state = initial;
+    let t = 0;
+    let outcome = 'moving';
+    let sampleIndex = 1;
+    const phases = [];
+    const samples = [sample(state, 0, phaseOf(state).motion, 0)];
+    
+    while (t < duration && phases.length < 1000) {
+      const phase = phaseOf(state);
+      let span = duration - t;
+      let reachesFoot = false;
+      const end = phaseEnd(state, phase);
+      if (end !== null && end < span) {
+        span = end;
+      }
+      // First time within this phase that the object passes the foot of the slope,
+      // solving s + v·τ + a·τ²/2 = length
+      if (length !== undefined && phase.motion !== 'at_rest') {
+        const gap = length - state.s;
+        const speed = state.v;
+        const discriminant = speed ** 2 + 2 * phase.a * gap;
+        let roots = [];
+        if (phase.a === 0) {
+          roots = speed > 0 ? [gap / speed] : [];
+        } else if (discriminant >= 0) {
+          roots = [-1, 1].map(sign => (-speed + sign * Math.sqrt(discriminant)) / phase.a);
+        }
+        const foot = Math.min(...roots.filter(root => root >= 0));
+        if (foot <= span) {
+          span = foot;
+          reachesFoot = true;
+        }
+      }
+      
+      const startEnergy = energyOf(state);
+      const lossAt = (next) => startEnergy - energyOf(next);
+      for (; sampleIndex * sampleInterval <= t + span + 1e-9; sampleIndex++) {
+        const time = Math.min(sampleIndex * sampleInterval, t + span);
+        const next = advance(state, phase, time - t);
+        samples.push(sample(next, time, phase.motion, lossAt(next)));
+      }
+      
+      // Land exactly on the condition that ended the phase: a ball's slip or the speed
+      // reaching zero
+      const next = advance(state, phase, span);
+      if (span === end && !reachesFoot) {
+        if (phase.motion === 'sliding' && rolls) {
+          next.w = next.v / radius;
+        } else {
+          next.v = 0;
+          next.w = 0;
+        }
+      }
+      loss[phase.motion === 'rolling' ? 'rolling' : 'sliding'] += lossAt(next);
+      phases.push({
+        motion: phase.motion,
+        start: round(t),
+        end: round(t + span),
+        acceleration: round(phase.a),
+        angularAcceleration: round(phase.alpha)
+      });
+      state = next;
+      t += span;
+      
+      if (reachesFoot) {
+        outcome = 'reached_foot';
+        break;
+      }
+      if (phase.motion === 'at_rest') {
+        outcome = 'at_rest';
+      }
+    }
+    if (samples[samples.length - 1].time < parseFloat(t.toFixed(4))) {
+      samples.push(sample(state, t, phases[phases.length - 1].motion, 0));
+    }
+    
+    const moving = phases.filter(phase => phase.motion !== 'at_rest').map(phase => phase.motion);
+    let motion = 'stays_put';
+    if (moving.includes('rolling')) {
+      motion = moving.includes('sliding') ? 'slides_then_rolls' : 'rolls';
+    } else if (moving.length > 0) {
+      motion = 'slides';
+    }
+    const degrees = (radians) => round((radians * 180) / Math.PI, 3);
+    
+    return {
+      shape: rolls ? 'sphere' : 'block',
+      material,
+      mass,
+      ...(rolls ? { radius, inertiaFactor } : {}),
+      angle,
+      surface: SURFACES[surface] ? surface : 'concrete',
+      ...(objectSurface ? { objectSurface } : {}),
+      friction: {
+        staticFriction,
+        kineticFriction,
+        ...(rolls ? { rollingResistance } : {}),
+        source: overridden ? 'request' : pair.source
+      },
+      // Steepest slopes on which the object stays put and, for a ball, rolls without slipping
+      criticalAngles: {
+        rest: degrees(Math.atan(rolls ? rollingResistance : staticFriction)),
+        ...(rolls ? { rolling: degrees(Math.atan(rollLimit)) } : {})
+      },
+      motion,
+      outcome,
+      phases,
+      final: {
+        time: round(t),
+        distance: round(state.s),
+        velocity: round(state.v),
+        spin: round(state.w)
+      },
+      energy: {
+        initial: round(initialEnergy),
+        final: round(energyOf(state)),
+        potentialReleased: round(mass * gravity * state.s * Math.sin(slope)),
+        frictionLoss: {
+          sliding: round(loss.sliding),
+          rolling: round(loss.rolling),
+          total: round(loss.sliding + loss.rolling)
+        }
+      },
+      timeSeries: samples
+    };
+  }
+}
+
+module.exports = {
+  PhysicsEngine,
+  PHYSICS_CONSTANTS,
+  ISA_LAYERS,
+  ATMOSPHERE_CONSTANTS,
+  MATERIALS,
+  SURFACES,
+  FRICTION_PAIRS,
+  INTEGRATORS,
+  OBJECTIVES,
+  hasOwn
+};
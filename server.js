@@ -5,6 +5,18 @@ const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const {
+  PhysicsEngine,
+  PHYSICS_CONSTANTS,
+  MATERIALS,
+  SURFACES,
+  INTEGRATORS,
+  OBJECTIVES,
+  hasOwn
+} = require('./lib/physics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -12,366 +24,4366 @@ const PORT = process.env.PORT || 3000;
 // Middleware
 app.use(cors());
 app.use(express.json());
-app.use(morgan('combined'));
+// ACCESS_LOG=off silences request logging, as the CLI does to keep its output clean
+if (process.env.ACCESS_LOG !== 'off') {
+  app.use(morgan('combined'));
+}
 
 // Rate limiting to prevent abuse
+// A batch request counts once however many jobs it runs
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  max: parseInt(process.env.RATE_LIMIT_MAX, 10) || 100, // limit each IP to 100 requests per windowMs by default
   message: 'Too many requests from this IP, please try again later.'
 });
 app.use('/api/', limiter);
 
-// Physics constants
-const PHYSICS_CONSTANTS = {
-  GRAVITY: 9.81, // m/s²
-  AIR_DENSITY: 1.225, // kg/m³ at sea level
-  TERMINAL_VELOCITY_HUMAN: 56, // m/s
-  SOUND_SPEED: 343, // m/s at 20°C
+// Quick-throw scenarios; unknown scenario names throw a basketball
+// Sports scenarios also set a typical speed (used unless the request gives one), the targets
+// that score the throw and any obstacles in its way
+const QUICK_THROW_SCENARIOS = {
+  'balcony_ball': { material: 'basketball', height: 10, angle: 15 },
+  'football_field': { material: 'soccer', height: 0, angle: 30 },
+  'baseball_pitch': { material: 'baseball', height: 1.5, angle: 0 },
+  'paper_airplane': { material: 'paper_airplane', height: 1.5, angle: 10 },
+  'free_throw': {
+    material: 'basketball',
+    height: 2.1,
+    angle: 52,
+    velocity: 7.5,
+    targets: [{ id: 'hoop', type: 'ring', x: 4.19, y: 3.05, radius: 0.2286, fit: 'whole' }]
+  },
+  'tennis_serve': {
+    material: 'tennis',
+    height: 2.8,
+    angle: -6,
+    velocity: 45,
+    obstacles: [{ id: 'net', type: 'net', x: 11.89, top: 0.914 }],
+    targets: [
+      { id: 'net_clearance', type: 'plane', x: 11.89, bottom: 0.914, fit: 'whole' },
+      { id: 'service_box', type: 'zone', y: 0, min: { x: 11.89 }, max: { x: 18.29 } }
+    ]
+  },
+  'penalty_kick': {
+    material: 'soccer',
+    height: 0,
+    angle: 10,
+    velocity: 25,
+    targets: [{ id: 'goal', type: 'zone', x: 11, min: { y: 0, z: -3.66 }, max: { y: 2.44, z: 3.66 }, fit: 'whole' }]
+  }
+};
+
+
+// Limits for multi-body scene simulation, keeping a single request bounded
+const SCENE_LIMITS = {
+  maxBodies: 500,
+  maxWalls: 50,
+  maxDuration: 60, // s
+  maxBodySteps: 5e6, // bodies × time steps
+  maxSamples: 200000, // bodies × timeline samples
+  maxEvents: 5000
+};
+
+// Limits for a single trajectory: the points it records in flight, rolling and underwater
+// bound the time and memory one flight can take
+const TRAJECTORY_LIMITS = {
+  maxPoints: 200000
+};
+
+// Limits for batch requests, which count as a single request against the rate limiter
+const BATCH_LIMITS = {
+  maxJobs: 500,
+  maxPoints: 1000000 // trajectory points expected across all jobs
+};
+
+// Limits for the terrain profile and obstacles of a trajectory
+const TERRAIN_LIMITS = {
+  maxPoints: 1000,
+  maxObstacles: 100
+};
+
+// Limits for the targets a trajectory is scored against
+const TARGET_LIMITS = {
+  maxTargets: 50
+};
+
+// Limits for Monte Carlo uncertainty runs
+const UNCERTAINTY_LIMITS = {
+  maxSamples: 2000,
+  maxRedraws: 1000, // normal draws per sample before giving up on the parameter's limits
+  maxPoints: 1000000, // trajectory points expected across all samples
+  histogramBins: 20
 };
 
-// Material properties for realistic calculations
-const MATERIALS = {
-  basketball: { mass: 0.624, radius: 0.1194, dragCoeff: 0.47, bounciness: 0.85 },
-  soccer: { mass: 0.43, radius: 0.11, dragCoeff: 0.25, bounciness: 0.75 },
-  tennis: { mass: 0.057, radius: 0.0335, dragCoeff: 0.51, bounciness: 0.73 },
-  baseball: { mass: 0.145, radius: 0.037, dragCoeff: 0.3, bounciness: 0.55 },
-  golf: { mass: 0.046, radius: 0.021, dragCoeff: 0.24, bounciness: 0.78 },
-  bowling: { mass: 7.26, radius: 0.108, dragCoeff: 0.15, bounciness: 0.15 },
-  rock: { mass: 0.5, radius: 0.05, dragCoeff: 0.47, bounciness: 0.2 },
-  paper_airplane: { mass: 0.003, radius: 0.1, dragCoeff: 0.02, bounciness: 0.1 },
-  custom: { mass: 1, radius: 0.05, dragCoeff: 0.47, bounciness: 0.6 }
+// Limits for oscillator runs
+const OSCILLATOR_LIMITS = {
+  maxSteps: 200000,
+  maxSamples: 5000,
+  maxMasses: 20
+};
+
+// Limits for incline runs
+const INCLINE_LIMITS = {
+  maxSamples: 5000
+};
+
+// Units accepted on input and produced on output
+// A value in a unit converts to the SI base of its dimension as (value + offset) × factor.
+// Temperatures are based on °C and angles on degrees, matching the API's SI fields.
+const UNITS = {
+  m: { dimension: 'length', factor: 1 },
+  km: { dimension: 'length', factor: 1000 },
+  cm: { dimension: 'length', factor: 0.01 },
+  mm: { dimension: 'length', factor: 0.001 },
+  ft: { dimension: 'length', factor: 0.3048 },
+  in: { dimension: 'length', factor: 0.0254 },
+  yd: { dimension: 'length', factor: 0.9144 },
+  mi: { dimension: 'length', factor: 1609.344 },
+  'm/s': { dimension: 'speed', factor: 1 },
+  'km/h': { dimension: 'speed', factor: 1 / 3.6 },
+  kph: { dimension: 'speed', factor: 1 / 3.6 },
+  mph: { dimension: 'speed', factor: 0.44704 },
+  'ft/s': { dimension: 'speed', factor: 0.3048 },
+  knots: { dimension: 'speed', factor: 1852 / 3600 },
+  kg: { dimension: 'mass', factor: 1 },
+  g: { dimension: 'mass', factor: 0.001 },
+  lb: { dimension: 'mass', factor: 0.45359237 },
+  oz: { dimension: 'mass', factor: 0.028349523125 },
+  s: { dimension: 'time', factor: 1 },
+  ms: { dimension: 'time', factor: 0.001 },
+  min: { dimension: 'time', factor: 60 },
+  N: { dimension: 'force', factor: 1 },
+  kN: { dimension: 'force', factor: 1000 },
+  lbf: { dimension: 'force', factor: 4.4482216152605 },
+  J: { dimension: 'energy', factor: 1 },
+  kJ: { dimension: 'energy', factor: 1000 },
+  'ft·lbf': { dimension: 'energy', factor: 1.3558179483314 },
+  'ft-lbf': { dimension: 'energy', factor: 1.3558179483314 },
+  deg: { dimension: 'angle', factor: 1 },
+  rad: { dimension: 'angle', factor: 180 / Math.PI },
+  '°C': { dimension: 'temperature', factor: 1 },
+  C: { dimension: 'temperature', factor: 1 },
+  '°F': { dimension: 'temperature', factor: 5 / 9, offset: -32 },
+  F: { dimension: 'temperature', factor: 5 / 9, offset: -32 },
+  K: { dimension: 'temperature', factor: 1, offset: -273.15 },
+  Pa: { dimension: 'pressure', factor: 1 },
+  hPa: { dimension: 'pressure', factor: 100 },
+  kPa: { dimension: 'pressure', factor: 1000 },
+  mbar: { dimension: 'pressure', factor: 100 },
+  inHg: { dimension: 'pressure', factor: 3386.389 },
+  psi: { dimension: 'pressure', factor: 6894.757293168 },
+  atm: { dimension: 'pressure', factor: 101325 },
+  'kg/m³': { dimension: 'density', factor: 1 },
+  'kg/m3': { dimension: 'density', factor: 1 },
+  'lb/ft³': { dimension: 'density', factor: 16.01846337 },
+  'lb/ft3': { dimension: 'density', factor: 16.01846337 },
+  'm/s²': { dimension: 'acceleration', factor: 1 },
+  'm/s2': { dimension: 'acceleration', factor: 1 },
+  'ft/s²': { dimension: 'acceleration', factor: 0.3048 },
+  'ft/s2': { dimension: 'acceleration', factor: 0.3048 },
+  'rad/s': { dimension: 'angularVelocity', factor: 1 },
+  rpm: { dimension: 'angularVelocity', factor: Math.PI / 30 },
+  'deg/s': { dimension: 'angularVelocity', factor: Math.PI / 180 },
+  Hz: { dimension: 'frequency', factor: 1 },
+  'N/m': { dimension: 'stiffness', factor: 1 },
+  'lbf/in': { dimension: 'stiffness', factor: 175.126835246476 },
+  'lbf/ft': { dimension: 'stiffness', factor: 14.593902937206 },
+  'N·s/m': { dimension: 'damping', factor: 1 },
+  'kg/s': { dimension: 'damping', factor: 1 },
+  'lbf·s/ft': { dimension: 'damping', factor: 14.593902937206 },
+  '%': { dimension: 'percent', factor: 1 }
+};
+
+// Unit used for each dimension by a request-wide `units` preference
+const UNIT_SYSTEMS = {
+  si: {
+    length: 'm',
+    speed: 'm/s',
+    mass: 'kg',
+    time: 's',
+    force: 'N',
+    energy: 'J',
+    angle: 'deg',
+    temperature: '°C',
+    pressure: 'Pa',
+    density: 'kg/m³',
+    acceleration: 'm/s²',
+    angularVelocity: 'rad/s',
+    frequency: 'Hz',
+    stiffness: 'N/m',
+    damping: 'N·s/m',
+    percent: '%'
+  },
+  imperial: {
+    length: 'ft',
+    speed: 'mph',
+    mass: 'lb',
+    time: 's',
+    force: 'lbf',
+    energy: 'ft·lbf',
+    angle: 'deg',
+    temperature: '°F',
+    pressure: 'inHg',
+    density: 'lb/ft³',
+    acceleration: 'ft/s²',
+    angularVelocity: 'rpm',
+    frequency: 'Hz',
+    stiffness: 'lbf/in',
+    damping: 'lbf·s/ft',
+    percent: '%'
+  }
+};
+
+// SI unit the engine expects for each unit-aware input field
+// Arrays hold the units of their items' fields, like OUTPUT_UNITS
+const INPUT_UNITS = {
+  initialHeight: 'm',
+  initialVelocity: 'm/s',
+  launchAngle: 'deg',
+  launchAzimuth: 'deg',
+  windSpeed: 'm/s',
+  windDirection: 'deg',
+  verticalWind: 'm/s',
+  gustAmplitude: 'm/s',
+  gustPeriod: 's',
+  airDensity: 'kg/m³',
+  gravity: 'm/s²',
+  restThreshold: 'm/s',
+  dt: 's',
+  siteElevation: 'm',
+  temperature: '°C',
+  pressure: 'Pa',
+  humidity: '%',
+  spinRate: 'rpm',
+  mass: 'kg',
+  height: 'm',
+  velocity: 'm/s', // scalar on /api/quick-throw, a vector on /api/forces
+  angle: 'deg',
+  azimuth: 'deg',
+  waterDepth: 'm',
+  waterDensity: 'kg/m³',
+  length: 'm',
+  initialAngle: 'deg',
+  initialAngularVelocity: 'rad/s',
+  initialDisplacement: 'm',
+  stiffness: 'N/m',
+  damping: 'N·s/m',
+  duration: 's',
+  sampleInterval: 's',
+  drive: { amplitude: 'N', frequency: 'Hz' },
+  masses: [{ mass: 'kg', initialDisplacement: 'm', initialVelocity: 'm/s' }],
+  springs: ['N/m'],
+  radius: 'm',
+  terrain: [{ x: 'm', y: 'm' }],
+  obstacles: [{ x: 'm', top: 'm', bottom: 'm', thickness: 'm', zMin: 'm', zMax: 'm', min: 'm', max: 'm' }],
+  targets: [{ x: 'm', y: 'm', z: 'm', radius: 'm', top: 'm', bottom: 'm', zMin: 'm', zMax: 'm', min: 'm', max: 'm' }]
+};
+
+// Units of the numbers each route returns, mirroring the response shape
+// Arrays hold the schema of their items; fields without an entry are dimensionless
+const vectorUnits = (unit) => ({ x: unit, y: unit, z: unit, magnitude: unit });
+const IMPACT_UNITS = {
+  impactSpeed: 'm/s',
+  kineticEnergy: 'J',
+  impactForce: 'N',
+  impactAngle: 'deg',
+  estimatedContactTime: 'ms'
+};
+const CONDITIONS_UNITS = {
+  altitude: 'm',
+  temperature: '°C',
+  pressure: 'Pa',
+  humidity: '%',
+  density: 'kg/m³',
+  speedOfSound: 'm/s'
+};
+const FORCE_UNITS = { magnitude: 'N', vector: vectorUnits('N') };
+const TARGET_UNITS = {
+  events: [{ time: 's', position: vectorUnits('m'), velocity: vectorUnits('m/s'), clearance: 'm' }],
+  targets: [{ clearance: 'm' }]
+};
+const DAMPING_UNITS = { coefficient: 'N·s/m', dampedFrequency: 'Hz', dampedPeriod: 's' };
+const ENERGY_DECAY_UNITS = { initial: 'J', final: 'J', dissipated: 'J', driveWork: 'J', decayTime: 's' };
+const OSCILLATION_UNITS = {
+  damping: DAMPING_UNITS,
+  energy: ENERGY_DECAY_UNITS,
+  integration: { dt: 's', reachedTime: 's' }
+};
+const MODEL_UNITS = { range: 'm', apexHeight: 'm', apexTime: 's', flightTime: 's', landingSpeed: 'm/s' };
+const MODEL_DIFFERENCE_UNITS = { range: 'm', apexHeight: 'm', flightTime: 's', landingSpeed: 'm/s' };
+const OUTPUT_UNITS = {
+  trajectory: {
+    trajectory: [{
+      time: 's',
+      x: 'm',
+      y: 'm',
+      z: 'm',
+      vx: 'm/s',
+      vy: 'm/s',
+      vz: 'm/s',
+      speed: 'm/s',
+      kineticEnergy: 'J',
+      potentialEnergy: 'J',
+      dragWork: 'J',
+      windWork: 'J',
+      energyResidual: 'J'
+    }],
+    summary: {
+      maxHeight: 'm',
+      range: 'm',
+      flightTime: 's',
+      landingVelocity: vectorUnits('m/s'),
+      downrange: 'm',
+      lateralDrift: 'm',
+      landingBearing: 'deg',
+      restDistance: 'm',
+      totalTime: 's'
+    },
+    impact: IMPACT_UNITS,
+    integration: { dt: 's', errorEstimate: { range: 'm', flightTime: 's' } },
+    atmosphere: { launch: CONDITIONS_UNITS, apex: CONDITIONS_UNITS },
+    spin: { initialRate: 'rpm', landingRate: 'rpm', decayTime: 's' },
+    contact: { time: 's', point: vectorUnits('m'), impactAngle: 'deg' },
+    ...TARGET_UNITS,
+    water: {
+      entry: { time: 's', point: vectorUnits('m'), speed: 'm/s', angle: 'deg' },
+      splash: { energyLoss: 'J', speedAfter: 'm/s' },
+      buoyancy: { force: 'N' },
+      penetrationDepth: 'm',
+      timeToSurface: 's',
+      timeToBottom: 's'
+    },
+    bounces: [{
+      time: 's',
+      x: 'm',
+      y: 'm',
+      z: 'm',
+      impactVelocity: vectorUnits('m/s'),
+      reboundVelocity: vectorUnits('m/s'),
+      impact: IMPACT_UNITS
+    }],
+    comparison: {
+      models: {
+        vacuum: MODEL_UNITS,
+        linearDrag: { ...MODEL_UNITS, terminalVelocity: 'm/s' },
+        quadraticDrag: MODEL_UNITS
+      },
+      differences: { linearDrag: MODEL_DIFFERENCE_UNITS, quadraticDrag: MODEL_DIFFERENCE_UNITS },
+      timeBase: { interval: 's' },
+      series: [Object.fromEntries([
+        ['time', 's'],
+        ...['vacuum', 'linearDrag', 'quadraticDrag'].flatMap(model => ['X', 'Y', 'Z'].map(axis => [`${model}${axis}`, 'm']))
+      ])]
+    },
+    diagnostics: {
+      energy: { initial: 'J', final: 'J' },
+      work: { drag: 'J', wind: 'J', impacts: 'J', rolling: 'J', water: 'J', total: 'J' },
+      residual: 'J',
+      warnings: [{ dragTimeConstant: 's', suggestedDt: 's' }]
+    }
+  },
+  forces: {
+    forces: {
+      gravity: FORCE_UNITS,
+      airResistance: FORCE_UNITS,
+      magnus: FORCE_UNITS,
+      buoyancy: FORCE_UNITS,
+      net: FORCE_UNITS
+    },
+    atmosphere: CONDITIONS_UNITS
+  },
+  quickThrow: {
+    landingDistance: 'm',
+    flightTime: 's',
+    maxHeight: 'm',
+    impactSpeed: 'm/s',
+    impactForce: 'N',
+    lateralDrift: 'm',
+    landingVelocity: vectorUnits('m/s'),
+    ...TARGET_UNITS
+  },
+  pendulum: {
+    mass: 'kg',
+    length: 'm',
+    amplitude: 'deg',
+    period: { smallAngle: 's', analytic: 's', measured: 's', frequency: 'Hz' },
+    ...OSCILLATION_UNITS,
+    timeSeries: [{ time: 's', angle: 'deg', angularVelocity: 'rad/s', x: 'm', y: 'm', energy: 'J' }]
+  },
+  spring: {
+    mass: 'kg',
+    stiffness: 'N/m',
+    natural: { angularFrequency: 'rad/s', frequency: 'Hz', period: 's' },
+    period: { measured: 's', frequency: 'Hz' },
+    ...OSCILLATION_UNITS,
+    drive: { amplitude: 'N', frequency: 'Hz' },
+    steadyState: { amplitude: 'm', phaseLag: 'deg', resonanceFrequency: 'Hz', measuredAmplitude: 'm' },
+    timeSeries: [{ time: 's', displacement: 'm', velocity: 'm/s', energy: 'J' }]
+  },
+  incline: {
+    mass: 'kg',
+    radius: 'm',
+    angle: 'deg',
+    criticalAngles: { rest: 'deg', rolling: 'deg' },
+    phases: [{ start: 's', end: 's', acceleration: 'm/s²' }],
+    final: { time: 's', distance: 'm', velocity: 'm/s', spin: 'rad/s' },
+    energy: {
+      initial: 'J',
+      final: 'J',
+      potentialReleased: 'J',
+      frictionLoss: { sliding: 'J', rolling: 'J', total: 'J' }
+    },
+    timeSeries: [{
+      time: 's',
+      distance: 'm',
+      x: 'm',
+      y: 'm',
+      velocity: 'm/s',
+      spin: 'rad/s',
+      motion: null,
+      energy: 'J',
+      frictionLoss: 'J'
+    }]
+  },
+  coupledOscillators: {
+    masses: [{ mass: 'kg' }],
+    springs: ['N/m'],
+    modes: [{ angularFrequency: 'rad/s', frequency: 'Hz', period: 's', decayTime: 's' }],
+    ...OSCILLATION_UNITS
+  }
 };
 
-// Utility functions for physics calculations
-class PhysicsEngine {
+// Units of a coupled-oscillator time series, which has a displacement and a velocity
+// column for each of its masses
+const coupledSeriesUnits = (count) => Object.fromEntries([
+  ['time', 's'],
+  ...Array.from({ length: count }, (_, i) => [`x${i + 1}`, 'm']),
+  ...Array.from({ length: count }, (_, i) => [`v${i + 1}`, 'm/s']),
+  ['energy', 'J']
+]);
+
+// Client-defined materials, persisted as JSON so they survive restarts
+// Materials are namespaced per API client: { [clientId]: { [name]: properties } }
+class MaterialStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.clients = {};
+    
+    if (fs.existsSync(filePath)) {
+      this.clients = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  }
   
-  // Calculate projectile motion with air resistance
-  static calculateTrajectory(params) {
-    const {
-      initialHeight = 0,
-      initialVelocity = 10,
-      launchAngle = 45,
-      material = 'basketball',
-      windSpeed = 0,
-      windDirection = 0,
-      airDensity = PHYSICS_CONSTANTS.AIR_DENSITY,
-      gravity = PHYSICS_CONSTANTS.GRAVITY
-    } = params;
-
-    const obj = MATERIALS[material] || MATERIALS.custom;
-    const angleRad = (launchAngle * Math.PI) / 180;
-    const windDirRad = (windDirection * Math.PI) / 180;
-    
-    // Initial velocity components
-    let vx = initialVelocity * Math.cos(angleRad);
-    let vy = initialVelocity * Math.sin(angleRad);
-    let x = 0;
-    let y = initialHeight;
-    
-    const trajectory = [];
-    const dt = 0.01; // time step in seconds
-    let t = 0;
-    
-    // Wind components
-    const windX = windSpeed * Math.cos(windDirRad);
-    const windY = windSpeed * Math.sin(windDirRad);
-    
-    while (y >= 0) {
-      // Current velocity relative to air (including wind)
-      const vRelX = vx - windX;
-      const vRelY = vy - windY;
-      const vRel = Math.sqrt(vRelX * vRelX + vRelY * vRelY);
-      
-      // Drag force calculation
-      const crossSectionalArea = Math.PI * obj.radius * obj.radius;
-      const dragMagnitude = 0.5 * obj.dragCoeff * airDensity * crossSectionalArea * vRel * vRel;
-      
-      // Drag force components (opposite to relative velocity)
-      const dragX = vRel > 0 ? -dragMagnitude * (vRelX / vRel) / obj.mass : 0;
-      const dragY = vRel > 0 ? -dragMagnitude * (vRelY / vRel) / obj.mass : 0;
-      
-      // Update velocity (gravity + drag)
-      vx += dragX * dt;
-      vy += (-gravity + dragY) * dt;
-      
-      // Update position
-      x += vx * dt;
-      y += vy * dt;
-      
-      trajectory.push({
-        time: parseFloat(t.toFixed(3)),
-        x: parseFloat(x.toFixed(3)),
-        y: parseFloat(y.toFixed(3)),
-        vx: parseFloat(vx.toFixed(3)),
-        vy: parseFloat(vy.toFixed(3)),
-        speed: parseFloat(Math.sqrt(vx * vx + vy * vy).toFixed(3))
+  // All materials defined by one client, keyed by name
+  list(clientId) {
+    return hasOwn(this.clients, clientId) ? this.clients[clientId] : {};
+  }
+  
+  get(clientId, name) {
+    const materials = this.list(clientId);
+    return hasOwn(materials, name) ? materials[name] : null;
+  }
+  
+  set(clientId, name, properties) {
+    if (!hasOwn(this.clients, clientId)) {
+      this.clients[clientId] = {};
+    }
+    this.clients[clientId][name] = properties;
+    this.save();
+    return properties;
+  }
+  
+  remove(clientId, name) {
+    if (!this.get(clientId, name)) {
+      return false;
+    }
+    delete this.clients[clientId][name];
+    if (Object.keys(this.clients[clientId]).length === 0) {
+      delete this.clients[clientId];
+    }
+    this.save();
+    return true;
+  }
+  
+  // Write to a temporary file first so a crash never leaves a half-written store
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.clients, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+const materialStore = new MaterialStore(
+  process.env.MATERIALS_STORE || path.join(__dirname, 'data', 'materials.json')
+);
+
+// Custom material names and API client ids
+const MATERIAL_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,39}$/;
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+
+// The API client a request belongs to, from the X-Client-Id header
+const clientIdOf = (req) => req.get('X-Client-Id') || 'default';
+
+// Readable form of a JSON pointer for error messages: /bodies/0/position -> bodies[0].position
+const pathOf = (pointer) => pointer.split('/').slice(1).reduce(
+  (path, token) => (/^\d+$/.test(token) ? `${path}[${token}]` : (path ? `${path}.${token}` : token)), ''
+) || 'request body';
+
+// Error reported in problem responses: a stable code, the JSON pointer of the offending
+// field, a readable detail and, where it helps, the allowed values
+const fieldError = (code, pointer, detail, allowed) => ({
+  code,
+  pointer,
+  detail,
+  ...(allowed !== undefined ? { allowed } : {})
+});
+
+// Send an RFC 7807 problem response for one or more field errors
+// `success` and `error` mirror the first error for clients of the older error format;
+// `members` adds problem-specific fields
+const sendProblem = (res, status, errors, members = {}) => {
+  const list = [].concat(errors);
+  const [first] = list;
+  
+  return res.status(status).type('application/problem+json').json({
+    type: 'about:blank',
+    title: http.STATUS_CODES[status],
+    status,
+    detail: first.detail,
+    code: first.code,
+    pointer: first.pointer,
+    allowed: first.allowed,
+    errors: list,
+    ...members,
+    success: false,
+    error: first.detail
+  });
+};
+
+// Edit distance between two strings, used to suggest the closest material name
+const editDistance = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+};
+
+// Check that a material name is built in or defined by the client
+// Returns an error suggesting the closest known name, or null when the name is known
+const validateMaterialName = (name, customMaterials, pointer = '/material') => {
+  if (name === undefined || hasOwn(MATERIALS, name) || hasOwn(customMaterials, name)) {
+    return null;
+  }
+  
+  const label = pathOf(pointer);
+  const known = [...Object.keys(MATERIALS), ...Object.keys(customMaterials)];
+  const allowed = { enum: known };
+  if (typeof name !== 'string') {
+    return fieldError('unknown_material', pointer, `${label} must be one of: ${known.join(', ')}`, allowed);
+  }
+  
+  const ranked = known
+    .map(candidate => ({ candidate, distance: editDistance(name.toLowerCase(), candidate.toLowerCase()) }))
+    .sort((a, b) => a.distance - b.distance);
+  const closest = ranked[0];
+  if (closest && closest.distance <= Math.max(2, Math.floor(name.length / 3))) {
+    return fieldError('unknown_material', pointer, `Unknown ${label} '${name}'. Did you mean '${closest.candidate}'?`, allowed);
+  }
+  return fieldError('unknown_material', pointer, `Unknown ${label} '${name}'. Available materials: ${known.join(', ')}`, allowed);
+};
+
+// All accepted units of one dimension
+const unitsOf = (dimension) => Object.keys(UNITS).filter(unit => UNITS[unit].dimension === dimension);
+
+// Resolve a request's `units` preference to the unit used for each dimension
+// Accepts 'si', 'imperial', or an object of per-dimension units on top of an optional `system`
+// Returns { system } or { error } with a field error
+const resolveUnitSystem = (units) => {
+  if (units === undefined) {
+    return { system: null };
+  }
+  
+  if (typeof units === 'string') {
+    return hasOwn(UNIT_SYSTEMS, units)
+      ? { system: UNIT_SYSTEMS[units] }
+      : { error: fieldError('invalid_unit', '/units',
+        `units must be one of: ${Object.keys(UNIT_SYSTEMS).join(', ')}, or an object of units per dimension`,
+        { enum: Object.keys(UNIT_SYSTEMS) }) };
+  }
+  
+  if (units === null || typeof units !== 'object') {
+    return { error: fieldError('invalid_type', '/units', 'units must be a unit system name or an object of units per dimension') };
+  }
+  
+  const { system: base = 'si', ...overrides } = units;
+  if (!hasOwn(UNIT_SYSTEMS, base)) {
+    return { error: fieldError('invalid_unit', '/units/system',
+      `units.system must be one of: ${Object.keys(UNIT_SYSTEMS).join(', ')}`, { enum: Object.keys(UNIT_SYSTEMS) }) };
+  }
+  
+  for (const [dimension, unit] of Object.entries(overrides)) {
+    if (!hasOwn(UNIT_SYSTEMS.si, dimension)) {
+      return { error: fieldError('invalid_unit', `/units/${dimension}`,
+        `Unknown unit dimension '${dimension}'. Use one of: ${Object.keys(UNIT_SYSTEMS.si).join(', ')}`,
+        { enum: Object.keys(UNIT_SYSTEMS.si) }) };
+    }
+    if (!hasOwn(UNITS, unit) || UNITS[unit].dimension !== dimension) {
+      return { error: fieldError('invalid_unit', `/units/${dimension}`,
+        `Unknown ${dimension} unit '${unit}'. Use one of: ${unitsOf(dimension).join(', ')}`,
+        { enum: unitsOf(dimension) }) };
+    }
+  }
+  
+  return { system: { ...UNIT_SYSTEMS[base], ...overrides } };
+};
+
+// Convert a value between two units of the same dimension
+const convertUnit = (value, from, to) => {
+  const source = UNITS[from];
+  const target = UNITS[to];
+  const base = (value + (source.offset || 0)) * source.factor;
+  return base / target.factor - (target.offset || 0);
+};
+
+// Convert the unit-aware fields of a request body to the SI units the engine expects
+// Values may be tagged as { value, unit }, vectors may carry one `unit` for all components,
+// and plain numbers are read in the request's unit system (SI when none is given).
+// Returns { params, system } or { error } with a field error
+const convertInputUnits = (body) => {
+  if (!matchesType(body, 'object')) {
+    return { params: body, system: null };
+  }
+  
+  const { system, error } = resolveUnitSystem(body.units);
+  if (error) {
+    return { error };
+  }
+  
+  const toSI = (pointer, value, siUnit, unit) => {
+    if (value !== null && typeof value === 'object' && value.value !== undefined) {
+      return toSI(pointer, value.value, siUnit, value.unit);
+    }
+    if (typeof value !== 'number') {
+      return { value };
+    }
+    const dimension = UNITS[siUnit].dimension;
+    const from = unit || (system ? system[dimension] : siUnit);
+    if (!hasOwn(UNITS, from) || UNITS[from].dimension !== dimension) {
+      return { error: fieldError('invalid_unit', pointer,
+        `Unknown unit '${from}' for ${pathOf(pointer)}. Use one of: ${unitsOf(dimension).join(', ')}`,
+        { enum: unitsOf(dimension) }) };
+    }
+    return { value: convertUnit(value, from, siUnit) };
+  };
+  
+  // Convert one field; arrays and objects of fields follow the shape of their INPUT_UNITS entry
+  let tagged = false;
+  const convertField = (pointer, value, siUnit) => {
+    if (Array.isArray(siUnit)) {
+      if (!Array.isArray(value)) {
+        return { value };
+      }
+      const items = [];
+      for (const [index, item] of value.entries()) {
+        const result = convertField(`${pointer}/${index}`, item, siUnit[0]);
+        if (result.error) {
+          return result;
+        }
+        items.push(result.value);
+      }
+      return { value: items };
+    }
+    
+    if (typeof siUnit === 'object') {
+      if (!matchesType(value, 'object')) {
+        return { value };
+      }
+      const converted = { ...value };
+      for (const [key, unit] of Object.entries(siUnit)) {
+        if (value[key] !== undefined) {
+          const result = convertField(`${pointer}/${key}`, value[key], unit);
+          if (result.error) {
+            return result;
+          }
+          converted[key] = result.value;
+        }
+      }
+      return { value: converted };
+    }
+    
+    const isTagged = value !== null && typeof value === 'object' && value.value !== undefined;
+    if (value !== null && typeof value === 'object' && !isTagged) {
+      // Vector such as { x, y, z, unit }
+      const { unit, ...components } = value;
+      const converted = {};
+      for (const [axis, component] of Object.entries(components)) {
+        const result = toSI(`${pointer}/${axis}`, component, siUnit, unit);
+        if (result.error) {
+          return result;
+        }
+        tagged = tagged || unit !== undefined || (component !== null && typeof component === 'object');
+        converted[axis] = result.value;
+      }
+      return { value: converted };
+    }
+    
+    tagged = tagged || isTagged;
+    return toSI(pointer, value, siUnit);
+  };
+  
+  const params = { ...body };
+  for (const [field, siUnit] of Object.entries(INPUT_UNITS)) {
+    if (body[field] !== undefined) {
+      const result = convertField(`/${field}`, body[field], siUnit);
+      if (result.error) {
+        return { error: result.error };
+      }
+      params[field] = result.value;
+    }
+  }
+  
+  // Tagged inputs alone opt the response into labelled SI values
+  return { params, system: system || (tagged ? UNIT_SYSTEMS.si : null) };
+};
+
+// Convert a route's results into the requested unit system and label every value
+// Scalars become { value, unit }. Sample series (such as trajectory points) keep plain
+// numbers to stay compact, and their units are listed once under `units`.
+// Results are returned unchanged when the request did not ask for units.
+const formatUnits = (results, schema, system, seriesKeys = []) => {
+  if (!system) {
+    return results;
+  }
+  
+  // Units follow the system unless it uses the SI base, where the source unit is kept
+  // (so contact times stay in ms and spin rates in rpm)
+  const targetUnit = (unit) => {
+    const dimension = UNITS[unit].dimension;
+    return system[dimension] === UNIT_SYSTEMS.si[dimension] ? unit : system[dimension];
+  };
+  const convert = (value, unit) => {
+    const to = targetUnit(unit);
+    return { value: parseFloat(convertUnit(value, unit, to).toPrecision(6)), unit: to };
+  };
+  
+  const label = (value, unitSchema, plain) => {
+    if (Array.isArray(value)) {
+      return value.map(item => label(item, unitSchema && unitSchema[0], plain));
+    }
+    if (value !== null && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        unitSchema && hasOwn(unitSchema, key) ? label(item, unitSchema[key], plain) : item
+      ]));
+    }
+    if (typeof value === 'number' && typeof unitSchema === 'string') {
+      const converted = convert(value, unitSchema);
+      return plain ? converted.value : converted;
+    }
+    return value;
+  };
+  
+  const formatted = {};
+  const units = {};
+  for (const [key, value] of Object.entries(results)) {
+    const isSeries = seriesKeys.includes(key);
+    formatted[key] = hasOwn(schema, key) ? label(value, schema[key], isSeries) : value;
+    // Series columns without a unit (labels such as a motion phase) map to null
+    if (isSeries) {
+      units[key] = Object.fromEntries(
+        Object.entries(schema[key][0]).map(([field, unit]) => [field, unit ? targetUnit(unit) : null])
+      );
+    }
+  }
+  
+  return seriesKeys.length > 0 ? { ...formatted, units } : formatted;
+};
+
+const TYPE_NAMES = {
+  number: 'a number',
+  integer: 'an integer',
+  string: 'a string',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array'
+};
+
+const matchesType = (value, type) => {
+  switch (type) {
+  case 'number':
+    return typeof value === 'number' && Number.isFinite(value);
+  case 'integer':
+    return Number.isInteger(value);
+  case 'object':
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  case 'array':
+    return Array.isArray(value);
+  default:
+    return typeof value === type;
+  }
+};
+
+// Describe a numeric range for error messages, e.g. "greater than 0 and at most 1000"
+const describeRange = ({ minimum, maximum, exclusiveMinimum, exclusiveMaximum }) => {
+  if (minimum !== undefined && maximum !== undefined) {
+    return `between ${minimum} and ${maximum}`;
+  }
+  const lower = exclusiveMinimum !== undefined ? `greater than ${exclusiveMinimum}`
+    : minimum !== undefined ? `at least ${minimum}` : null;
+  const upper = exclusiveMaximum !== undefined ? `less than ${exclusiveMaximum}`
+    : maximum !== undefined ? `at most ${maximum}` : null;
+  return [lower, upper].filter(Boolean).join(' and ');
+};
+
+// Validate a value against a JSON Schema subset and fill in defaults
+// Supports type, enum, pattern, minimum/maximum (and exclusive forms), properties,
+// required, additionalProperties: false, items, minItems, maxItems and uniqueItems.
+// errorMessage replaces the generated message for failures of that field itself.
+// Returns { value, errors } where value is a copy with defaults applied.
+const validateSchema = (schema, value, pointer = '') => {
+  const errors = [];
+  const path = pathOf(pointer);
+  const fail = (code, detail, allowed) => errors.push(fieldError(code, pointer, schema.errorMessage || detail, allowed));
+  
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    fail('invalid_type', `${path} must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`, { type: schema.type });
+    return { value, errors };
+  }
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('invalid_value', `${path} must be one of: ${schema.enum.join(', ')}`, { enum: schema.enum });
+  }
+  
+  if (typeof value === 'number') {
+    const { minimum, maximum, exclusiveMinimum, exclusiveMaximum } = schema;
+    if ((minimum !== undefined && value < minimum) || (maximum !== undefined && value > maximum) ||
+        (exclusiveMinimum !== undefined && value <= exclusiveMinimum) ||
+        (exclusiveMaximum !== undefined && value >= exclusiveMaximum)) {
+      const allowed = Object.fromEntries(
+        Object.entries({ minimum, maximum, exclusiveMinimum, exclusiveMaximum }).filter(([, limit]) => limit !== undefined)
+      );
+      fail('out_of_range', `${path} must be ${describeRange(schema)}`, allowed);
+    }
+  }
+  
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    fail('invalid_format', `${path} does not match the expected format`, { pattern: schema.pattern });
+  }
+  
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('too_few_items', `${path} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`,
+        { minItems: schema.minItems });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('too_many_items', `${path} must have at most ${schema.maxItems} items`, { maxItems: schema.maxItems });
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      fail('duplicate_items', `${path} must not contain duplicates`);
+    }
+    if (schema.items) {
+      const items = value.map((item, index) => {
+        const result = validateSchema(schema.items, item, `${pointer}/${index}`);
+        errors.push(...result.errors);
+        return result.value;
+      });
+      return { value: items, errors };
+    }
+  }
+  
+  if (matchesType(value, 'object') && (schema.properties || schema.required)) {
+    const properties = schema.properties || {};
+    const result = { ...value };
+    
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        const property = properties[key] || {};
+        errors.push(fieldError('required', `${pointer}/${key}`,
+          property.errorMessage || `${pathOf(`${pointer}/${key}`)} is required`));
+      }
+    });
+    
+    Object.entries(properties).forEach(([key, property]) => {
+      if (value[key] !== undefined) {
+        const child = validateSchema(property, value[key], `${pointer}/${key}`);
+        errors.push(...child.errors);
+        result[key] = child.value;
+      } else if (property.default !== undefined) {
+        result[key] = JSON.parse(JSON.stringify(property.default));
+      }
+    });
+    
+    if (schema.additionalProperties === false) {
+      Object.keys(value).filter(key => !hasOwn(properties, key)).forEach(key => {
+        errors.push(fieldError('unknown_property', `${pointer}/${key}`, `${pathOf(`${pointer}/${key}`)} is not allowed`,
+          { properties: Object.keys(properties) }));
       });
-      
-      t += dt;
-      
-      // Safety check to prevent infinite loops
-      if (t > 300) break;
     }
     
-    return trajectory;
+    return { value: result, errors };
+  }
+  
+  return { value, errors };
+};
+
+// Schema fragments shared by several routes
+const vectorSchema = (description) => ({
+  type: 'object',
+  description,
+  properties: {
+    x: { type: 'number' },
+    y: { type: 'number' },
+    z: { type: 'number' }
+  }
+});
+
+const pointSchema = (description) => ({
+  type: 'object',
+  description,
+  required: ['x', 'y'],
+  properties: {
+    x: { type: 'number' },
+    y: { type: 'number' }
+  }
+});
+
+const materialNameSchema = {
+  type: 'string',
+  description: 'Built-in or custom material name'
+};
+
+const surfaceSchema = {
+  type: 'string',
+  enum: Object.keys(SURFACES)
+};
+
+const SPIN_PROPERTIES = {
+  spin: vectorSchema('Angular velocity vector in rad/s'),
+  spinRate: { type: 'number', minimum: 0, maximum: 20000, description: 'Spin rate in rpm' },
+  spinAxis: vectorSchema('Spin axis; defaults to backspin { x: 0, y: 0, z: 1 }')
+};
+
+const ATMOSPHERE_PROPERTIES = {
+  siteElevation: { type: 'number', minimum: -500, maximum: 20000, description: 'm above sea level' },
+  temperature: { type: 'number', minimum: -90, maximum: 60, description: '°C at the site' },
+  pressure: { type: 'number', minimum: 1000, maximum: 120000, description: 'Pa at the site' },
+  humidity: { type: 'number', minimum: 0, maximum: 100, description: 'Relative humidity in %' },
+  airDensity: { type: 'number', minimum: 0, maximum: 10, description: 'Fixed air density in kg/m³' }
+};
+
+const UNITS_PROPERTY = {
+  units: {
+    type: ['string', 'object'],
+    description: 'Unit system (si, imperial) or per-dimension units'
+  }
+};
+
+// Energy and momentum accounting, shared by the trajectory, collision and scene routes
+const DIAGNOSTICS_PROPERTIES = {
+  diagnostics: {
+    type: 'boolean',
+    default: false,
+    description: 'Add energy accounting, conservation checks and warnings about the numerics'
+  },
+  residualThreshold: {
+    type: 'number',
+    exclusiveMinimum: 0,
+    maximum: 1,
+    default: 0.01,
+    description: 'Residual, as a fraction of the energy or momentum involved, above which to warn'
+  }
+};
+
+// Everything that shapes a flight, shared by the trajectory, solver and optimizer routes
+const FLIGHT_PROPERTIES = {
+  initialHeight: { type: 'number', minimum: -1000, maximum: 100000, default: 0 },
+  launchAzimuth: { type: 'number', default: 0, description: 'Compass bearing of the throw in degrees' },
+  mode: { type: 'string', enum: ['2d', '3d'], default: '2d', errorMessage: 'mode must be either 2d or 3d' },
+  material: { ...materialNameSchema, default: 'basketball' },
+  windSpeed: { type: 'number', minimum: 0, maximum: 200, default: 0 },
+  windDirection: { type: 'number', default: 0, description: 'Compass bearing the wind blows from' },
+  verticalWind: { type: 'number', minimum: -100, maximum: 100, default: 0 },
+  gustAmplitude: { type: 'number', minimum: 0, maximum: 100, default: 0 },
+  gustPeriod: { type: 'number', exclusiveMinimum: 0, default: 2 },
+  gravity: { type: 'number', exclusiveMinimum: 0, maximum: 100 },
+  impactSurface: { ...surfaceSchema, default: 'concrete' },
+  ...SPIN_PROPERTIES,
+  ...ATMOSPHERE_PROPERTIES
+};
+
+const initialVelocitySchema = {
+  type: 'number',
+  exclusiveMinimum: 0,
+  maximum: 1000,
+  errorMessage: 'Initial velocity must be greater than 0'
+};
+
+const launchAngleSchema = {
+  type: 'number',
+  minimum: -90,
+  maximum: 90,
+  errorMessage: 'Launch angle must be between -90 and 90 degrees'
+};
+
+// A sphere in a collision or scene
+const sphereSchema = (extra = {}) => ({
+  type: 'object',
+  properties: {
+    material: materialNameSchema,
+    mass: { type: 'number', exclusiveMinimum: 0 },
+    radius: { type: 'number', exclusiveMinimum: 0 },
+    position: pointSchema('Centre in m'),
+    velocity: pointSchema('Velocity in m/s'),
+    angularVelocity: { type: 'number', description: 'rad/s, counter-clockwise positive' },
+    ...extra
+  }
+});
+
+// Material properties; mass, radius, dragCoeff and bounciness are required on create
+const MATERIAL_PROPERTIES = {
+  mass: { type: 'number', exclusiveMinimum: 0, maximum: 10000, description: 'kg' },
+  radius: { type: 'number', exclusiveMinimum: 0, maximum: 100, description: 'm' },
+  dragCoeff: { type: 'number', minimum: 0, maximum: 2 },
+  bounciness: { type: 'number', minimum: 0, maximum: 1 },
+  liftSlope: { type: 'number', minimum: 0, maximum: 10 },
+  maxLiftCoeff: { type: 'number', minimum: 0, maximum: 1 },
+  spinDecayTime: { type: 'number', exclusiveMinimum: 0, maximum: 1000, description: 's' },
+  inertiaFactor: { type: 'number', exclusiveMinimum: 0, maximum: 1 }
+};
+
+// Distribution of one input of an uncertainty run
+// normal takes sd and an optional mean (the base value by default) and min/max to truncate at;
+// uniform takes min and max
+const DISTRIBUTION_SCHEMA = {
+  type: 'object',
+  required: ['type'],
+  additionalProperties: false,
+  properties: {
+    type: { type: 'string', enum: ['normal', 'uniform'] },
+    mean: { type: 'number' },
+    sd: { type: 'number', minimum: 0 },
+    min: { type: 'number' },
+    max: { type: 'number' }
+  }
+};
+
+// Integration and sampling of an oscillator run, with the trajectory route's integrators
+const OSCILLATOR_RUN_PROPERTIES = {
+  duration: { type: 'number', exclusiveMinimum: 0, maximum: 3600, default: 10, description: 's' },
+  integrator: { type: 'string', enum: Object.keys(INTEGRATORS), default: 'rk4' },
+  dt: { type: 'number', minimum: 0.00001, maximum: 1, default: 0.001 },
+  tolerance: { type: 'number', minimum: 1e-12, maximum: 0.1, default: 1e-6 },
+  sampleInterval: { type: 'number', exclusiveMinimum: 0, default: 0.05, description: 's between time series samples' },
+  ...UNITS_PROPERTY
+};
+
+// Viscous damping of an oscillator, opposing the moving mass's velocity
+const dampingSchema = { type: 'number', minimum: 0, maximum: 100000, default: 0, description: 'N·s/m' };
+
+// Request body schemas for every route
+const SCHEMAS = {
+  trajectory: {
+    type: 'object',
+    required: ['initialVelocity'],
+    properties: {
+      initialVelocity: initialVelocitySchema,
+      launchAngle: { ...launchAngleSchema, default: 45 },
+      ...FLIGHT_PROPERTIES,
+      maxBounces: { type: 'integer', minimum: 0, maximum: 100, default: 0 },
+      restThreshold: { type: 'number', minimum: 0, default: 0.5 },
+      integrator: { type: 'string', enum: Object.keys(INTEGRATORS), default: 'semi_implicit_euler' },
+      dt: { type: 'number', minimum: 0.0001, maximum: 1, default: 0.01 },
+      tolerance: { type: 'number', minimum: 1e-12, maximum: 0.1, default: 1e-6 },
+      estimateError: { type: 'boolean', default: true },
+      waterEntry: {
+        type: 'boolean',
+        default: false,
+        description: 'Dive into horizontal water surfaces (impactSurface water, or water terrain and box tops) instead of bouncing'
+      },
+      waterDepth: { type: 'number', exclusiveMinimum: 0, maximum: 11000, default: 10, description: 'm below the water surface where a sinking ball stops' },
+      waterDensity: { type: 'number', minimum: 500, maximum: 2000, default: 1000, description: 'kg/m³; about 1025 for sea water' },
+      terrain: {
+        type: 'array',
+        minItems: 2,
+        maxItems: TERRAIN_LIMITS.maxPoints,
+        description: 'Ground height profile along x, replacing flat ground; a point\'s surface applies up to the next point',
+        items: {
+          type: 'object',
+          required: ['x', 'y'],
+          additionalProperties: false,
+          properties: {
+            x: { type: 'number' },
+            y: { type: 'number' },
+            surface: surfaceSchema
+          }
+        }
+      },
+      obstacles: {
+        type: 'array',
+        maxItems: TERRAIN_LIMITS.maxObstacles,
+        description: 'Walls and nets { x, top, bottom, thickness, zMin, zMax } or boxes { min, max }',
+        items: {
+          type: 'object',
+          required: ['type'],
+          additionalProperties: false,
+          properties: {
+            id: { type: ['string', 'number'] },
+            type: { type: 'string', enum: ['wall', 'net', 'box'] },
+            x: { type: 'number', description: 'Wall or net: position along x' },
+            top: { type: 'number', description: 'Wall or net: height of the top edge' },
+            bottom: { type: 'number', description: 'Wall or net: height of the bottom edge; reaches into the ground by default' },
+            thickness: { type: 'number', exclusiveMinimum: 0, maximum: 100, description: 'Wall or net: 0.1 m by default' },
+            zMin: { type: 'number', description: 'Wall or net: side edge in 3D; unbounded by default' },
+            zMax: { type: 'number', description: 'Wall or net: side edge in 3D; unbounded by default' },
+            min: { ...vectorSchema('Box: lowest corner; z is unbounded when omitted'), required: ['x', 'y'] },
+            max: { ...vectorSchema('Box: highest corner; z is unbounded when omitted'), required: ['x', 'y'] },
+            surface: { ...surfaceSchema, description: 'concrete by default, net for nets' }
+          }
+        }
+      },
+      targets: {
+        type: 'array',
+        maxItems: TARGET_LIMITS.maxTargets,
+        description: 'Rings { x, y, radius }, planes { x, bottom, top } and zones upright at x or flat at y ' +
+          '{ min, max } to report crossings of',
+        items: {
+          type: 'object',
+          required: ['type'],
+          additionalProperties: false,
+          properties: {
+            id: { type: ['string', 'number'] },
+            type: { type: 'string', enum: ['ring', 'plane', 'zone'] },
+            x: { type: 'number', description: 'Ring: centre; plane or upright zone: position along x' },
+            y: { type: 'number', description: 'Ring: height; flat zone: height it lies at' },
+            z: { type: 'number', description: 'Ring: centre in 3D; 0 by default' },
+            radius: { type: 'number', exclusiveMinimum: 0, description: 'Ring: inner radius' },
+            bottom: { type: 'number', description: 'Plane: lowest passing height; unbounded by default' },
+            top: { type: 'number', description: 'Plane: highest passing height; unbounded by default' },
+            zMin: { type: 'number', description: 'Plane: side edge in 3D; unbounded by default' },
+            zMax: { type: 'number', description: 'Plane: side edge in 3D; unbounded by default' },
+            min: vectorSchema('Zone: lowest corner in its plane; omitted bounds are unbounded'),
+            max: vectorSchema('Zone: highest corner in its plane; omitted bounds are unbounded'),
+            direction: {
+              type: 'string',
+              enum: ['down', 'up', 'forward', 'backward', 'any'],
+              description: 'Crossings to report: down (rings and flat zones) or forward (planes and upright zones) by default'
+            },
+            fit: {
+              type: 'string',
+              enum: ['centre', 'whole', 'any'],
+              default: 'centre',
+              description: 'Part of the ball that must be inside to pass'
+            }
+          }
+        }
+      },
+      stream: { type: 'string', enum: ['ndjson', 'sse'], description: 'Stream points as they are computed' },
+      decimation: {
+        type: 'object',
+        additionalProperties: false,
+        description: 'Thin the returned points; the summary always uses every point',
+        properties: {
+          sampleRate: { type: 'number', exclusiveMinimum: 0, maximum: 10000, description: 'Points per second of flight' },
+          maxError: { type: 'number', exclusiveMinimum: 0, description: 'Largest position error in m' },
+          maxPoints: { type: 'integer', minimum: 2, maximum: 100000 }
+        }
+      },
+      compare: {
+        type: 'boolean',
+        default: false,
+        description: 'Compare the flight with the vacuum and linear-drag analytical solutions'
+      },
+      compareInterval: {
+        type: 'number',
+        exclusiveMinimum: 0,
+        maximum: 10,
+        default: 0.05,
+        description: 's between samples of the compared curves'
+      },
+      ...DIAGNOSTICS_PROPERTIES,
+      ...UNITS_PROPERTY
+    }
+  },
+  solveTarget: {
+    type: 'object',
+    required: ['target'],
+    properties: {
+      target: {
+        ...pointSchema('Point to hit in m, x downrange and y up'),
+        properties: {
+          x: { type: 'number', exclusiveMinimum: 0 },
+          y: { type: 'number', minimum: 0 }
+        }
+      },
+      initialVelocity: initialVelocitySchema,
+      launchAngle: {
+        type: 'number',
+        exclusiveMinimum: -90,
+        exclusiveMaximum: 90,
+        errorMessage: 'Launch angle must be between -90 and 90 degrees'
+      },
+      maxVelocity: { type: 'number', exclusiveMinimum: 0, maximum: 1000, default: 150 },
+      ...FLIGHT_PROPERTIES
+    }
+  },
+  optimize: {
+    type: 'object',
+    properties: {
+      objective: { type: 'string', enum: Object.keys(OBJECTIVES), default: 'range' },
+      variables: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 2,
+        uniqueItems: true,
+        items: { type: 'string', enum: ['launchAngle', 'initialVelocity'] },
+        default: ['launchAngle']
+      },
+      bounds: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          launchAngle: { type: 'array', minItems: 2, maxItems: 2, items: { type: 'number', minimum: -89, maximum: 89 } },
+          initialVelocity: { type: 'array', minItems: 2, maxItems: 2, items: { type: 'number', minimum: 0.1, maximum: 1000 } }
+        },
+        default: {}
+      },
+      samples: { type: 'integer', minimum: 5, maximum: 181 },
+      initialVelocity: initialVelocitySchema,
+      launchAngle: launchAngleSchema,
+      ...FLIGHT_PROPERTIES
+    }
+  },
+  collision: {
+    type: 'object',
+    required: ['object1', 'object2'],
+    properties: {
+      object1: {
+        ...sphereSchema({
+          mass1: { type: 'number', exclusiveMinimum: 0 },
+          velocity1: pointSchema('Legacy velocity in m/s'),
+          restitution: { type: 'number', minimum: 0, maximum: 1 }
+        }),
+        errorMessage: 'Both object1 and object2 parameters are required'
+      },
+      object2: {
+        ...sphereSchema({
+          mass2: { type: 'number', exclusiveMinimum: 0 },
+          velocity2: pointSchema('Legacy velocity in m/s'),
+          restitution: { type: 'number', minimum: 0, maximum: 1 }
+        }),
+        errorMessage: 'Both object1 and object2 parameters are required'
+      },
+      restitution: { type: 'number', minimum: 0, maximum: 1 },
+      friction: { type: 'number', minimum: 0, maximum: 2, default: 0.2 },
+      contactTime: { type: 'number', exclusiveMinimum: 0, maximum: 1, default: 0.01 },
+      ...DIAGNOSTICS_PROPERTIES
+    }
+  },
+  simulate: {
+    type: 'object',
+    required: ['bodies'],
+    properties: {
+      bodies: {
+        type: 'array',
+        minItems: 1,
+        maxItems: SCENE_LIMITS.maxBodies,
+        items: { ...sphereSchema({ id: { type: ['string', 'number'] } }), required: ['position'] }
+      },
+      walls: {
+        type: 'array',
+        maxItems: SCENE_LIMITS.maxWalls,
+        items: {
+          type: 'object',
+          required: ['point', 'normal'],
+          properties: {
+            id: { type: ['string', 'number'] },
+            point: pointSchema('A point on the wall in m'),
+            normal: pointSchema('Non-zero normal pointing into free space'),
+            surface: { ...surfaceSchema, default: 'concrete' }
+          }
+        },
+        default: []
+      },
+      ground: {
+        type: ['object', 'boolean'],
+        properties: {
+          height: { type: 'number', default: 0 },
+          surface: { ...surfaceSchema, default: 'concrete' }
+        },
+        default: {}
+      },
+      gravity: { type: 'number', minimum: 0, maximum: 100, default: PHYSICS_CONSTANTS.GRAVITY },
+      windSpeed: { type: 'number', minimum: 0, maximum: 200, default: 0 },
+      windDirection: { type: 'number', default: 0 },
+      verticalWind: { type: 'number', minimum: -100, maximum: 100, default: 0 },
+      includeAirResistance: { type: 'boolean', default: true },
+      restitution: { type: 'number', minimum: 0, maximum: 1 },
+      friction: { type: 'number', minimum: 0, maximum: 2, default: 0.2 },
+      duration: { type: 'number', exclusiveMinimum: 0, maximum: SCENE_LIMITS.maxDuration, default: 5 },
+      dt: { type: 'number', minimum: 0.0001, maximum: 0.01, default: 0.001 },
+      sampleInterval: { type: 'number', exclusiveMinimum: 0, default: 0.05 },
+      solverIterations: { type: 'integer', minimum: 1, maximum: 20, default: 4 },
+      eventThreshold: { type: 'number', minimum: 0, default: 0.1 },
+      maxEvents: { type: 'integer', minimum: 0, maximum: SCENE_LIMITS.maxEvents, default: 1000 },
+      ...ATMOSPHERE_PROPERTIES,
+      ...DIAGNOSTICS_PROPERTIES
+    }
+  },
+  forces: {
+    type: 'object',
+    properties: {
+      mass: { type: 'number', exclusiveMinimum: 0, default: 1 },
+      velocity: { ...vectorSchema('Velocity in m/s'), default: { x: 0, y: 0 } },
+      height: { type: 'number', minimum: -500, maximum: 20000, default: 0 },
+      material: { ...materialNameSchema, default: 'basketball' },
+      includeAirResistance: { type: 'boolean', default: true },
+      ...SPIN_PROPERTIES,
+      ...ATMOSPHERE_PROPERTIES,
+      ...UNITS_PROPERTY
+    }
+  },
+  quickThrow: {
+    type: 'object',
+    properties: {
+      scenario: {
+        type: 'string',
+        description: 'Preset launch; unknown names throw a basketball',
+        examples: Object.keys(QUICK_THROW_SCENARIOS)
+      },
+      height: { type: 'number', minimum: 0, maximum: 100000, default: 0 },
+      velocity: {
+        type: 'number',
+        exclusiveMinimum: 0,
+        maximum: 1000,
+        description: 'm/s; the scenario\'s typical speed, or 10 when it has none'
+      },
+      angle: { type: 'number', minimum: -90, maximum: 90, default: 45 },
+      mode: { type: 'string', enum: ['2d', '3d'], default: '2d' },
+      azimuth: { type: 'number', default: 0 },
+      windSpeed: { type: 'number', minimum: 0, maximum: 200, default: 0 },
+      windDirection: { type: 'number', default: 0 },
+      ...UNITS_PROPERTY
+    }
+  },
+  batch: {
+    type: 'object',
+    properties: {
+      jobs: {
+        type: 'array',
+        minItems: 1,
+        maxItems: BATCH_LIMITS.maxJobs,
+        items: {
+          type: 'object',
+          required: ['type'],
+          additionalProperties: false,
+          properties: {
+            id: { type: ['string', 'number'] },
+            type: { type: 'string', enum: ['trajectory', 'collision', 'forces'] },
+            params: { type: 'object', default: {} }
+          }
+        }
+      },
+      sweep: {
+        type: 'object',
+        required: ['variables'],
+        additionalProperties: false,
+        properties: {
+          type: { type: 'string', enum: ['trajectory', 'collision', 'forces'], default: 'trajectory' },
+          base: { type: 'object', default: {} },
+          variables: {
+            type: 'object',
+            description: 'Parameter name -> list of values or { from, to, step }'
+          }
+        }
+      },
+      includeTrajectories: { type: 'boolean', default: false },
+      ...UNITS_PROPERTY
+    }
+  },
+  uncertainty: {
+    type: 'object',
+    required: ['base', 'distributions'],
+    additionalProperties: false,
+    properties: {
+      base: { type: 'object', description: 'Trajectory parameters shared by every sample' },
+      distributions: {
+        type: 'object',
+        description: 'Parameter name -> distribution of its values',
+        additionalProperties: DISTRIBUTION_SCHEMA
+      },
+      samples: { type: 'integer', minimum: 2, maximum: UNCERTAINTY_LIMITS.maxSamples, default: 500 },
+      seed: { type: 'integer', minimum: 0, maximum: 4294967295, description: 'Random when omitted; reported back' },
+      ellipses: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 10,
+        uniqueItems: true,
+        items: { type: 'number', exclusiveMinimum: 0, maximum: 100 },
+        default: [50, 90, 95],
+        description: 'Percentages of landing points the reported ellipses hold'
+      },
+      target: {
+        type: 'object',
+        required: ['type'],
+        additionalProperties: false,
+        description: 'Landing zone: a circle { x, z, radius } or a rectangle { xMin, xMax, zMin, zMax }',
+        properties: {
+          type: { type: 'string', enum: ['circle', 'rectangle'] },
+          x: { type: 'number' },
+          z: { type: 'number' },
+          radius: { type: 'number', exclusiveMinimum: 0 },
+          xMin: { type: 'number' },
+          xMax: { type: 'number' },
+          zMin: { type: 'number' },
+          zMax: { type: 'number' }
+        }
+      },
+      ...UNITS_PROPERTY
+    }
+  },
+  pendulum: {
+    type: 'object',
+    properties: {
+      length: { type: 'number', exclusiveMinimum: 0, maximum: 1000, default: 1, description: 'm from the pivot to the bob' },
+      mass: { type: 'number', exclusiveMinimum: 0, maximum: 10000, description: 'kg; the material\'s mass by default' },
+      material: materialNameSchema,
+      initialAngle: { type: 'number', minimum: -180, maximum: 180, default: 10, description: 'Degrees from hanging straight down' },
+      initialAngularVelocity: { type: 'number', minimum: -1000, maximum: 1000, default: 0, description: 'rad/s' },
+      model: {
+        type: 'string',
+        enum: ['simple', 'large_angle'],
+        default: 'large_angle',
+        description: 'simple linearises sin θ ≈ θ; large_angle keeps the full equation of motion'
+      },
+      damping: dampingSchema,
+      gravity: { type: 'number', exclusiveMinimum: 0, maximum: 100, default: PHYSICS_CONSTANTS.GRAVITY },
+      ...OSCILLATOR_RUN_PROPERTIES
+    }
+  },
+  spring: {
+    type: 'object',
+    properties: {
+      mass: { type: 'number', exclusiveMinimum: 0, maximum: 10000, description: 'kg; the material\'s mass by default' },
+      material: materialNameSchema,
+      stiffness: { type: 'number', exclusiveMinimum: 0, maximum: 1e7, default: 10, description: 'N/m' },
+      damping: dampingSchema,
+      initialDisplacement: { type: 'number', minimum: -1000, maximum: 1000, default: 0.1, description: 'm from equilibrium' },
+      initialVelocity: { type: 'number', minimum: -1000, maximum: 1000, default: 0, description: 'm/s' },
+      drive: {
+        type: 'object',
+        required: ['amplitude', 'frequency'],
+        additionalProperties: false,
+        description: 'Driving force F0·cos(2πft)',
+        properties: {
+          amplitude: { type: 'number', minimum: 0, maximum: 1e7, description: 'N' },
+          frequency: { type: 'number', exclusiveMinimum: 0, maximum: 1000, description: 'Hz' }
+        }
+      },
+      ...OSCILLATOR_RUN_PROPERTIES
+    }
+  },
+  incline: {
+    type: 'object',
+    properties: {
+      angle: { type: 'number', minimum: 0, maximum: 90, default: 30, description: 'Slope in degrees above the horizontal' },
+      surface: { ...surfaceSchema, default: 'concrete', description: 'Surface of the slope' },
+      objectSurface: { ...surfaceSchema, description: 'Surface of the object, paired with the slope\'s for friction' },
+      shape: {
+        type: 'string',
+        enum: ['sphere', 'block'],
+        default: 'sphere',
+        description: 'A sphere can roll; a block only slides or sticks'
+      },
+      material: { ...materialNameSchema, default: 'basketball' },
+      mass: { type: 'number', exclusiveMinimum: 0, maximum: 10000, description: 'kg; the material\'s mass by default' },
+      radius: { type: 'number', exclusiveMinimum: 0, maximum: 100, description: 'm; the material\'s radius by default' },
+      initialVelocity: { type: 'number', minimum: -1000, maximum: 1000, default: 0, description: 'm/s down the slope' },
+      initialAngularVelocity: {
+        type: 'number',
+        minimum: -100000,
+        maximum: 100000,
+        default: 0,
+        description: 'rad/s, positive in the sense of rolling down the slope'
+      },
+      staticFriction: { type: 'number', minimum: 0, maximum: 2, description: 'Overrides the surface pair\'s coefficient' },
+      kineticFriction: { type: 'number', minimum: 0, maximum: 2, description: 'Overrides the surface pair\'s coefficient' },
+      rollingResistance: { type: 'number', minimum: 0, maximum: 1, description: 'Overrides the slope surface\'s coefficient' },
+      length: { type: 'number', exclusiveMinimum: 0, maximum: 100000, description: 'm of slope below the release point; unbounded by default' },
+      gravity: { type: 'number', exclusiveMinimum: 0, maximum: 100, default: PHYSICS_CONSTANTS.GRAVITY },
+      duration: { type: 'number', exclusiveMinimum: 0, maximum: 600, default: 5, description: 's' },
+      sampleInterval: { type: 'number', exclusiveMinimum: 0, default: 0.05, description: 's between time series samples' },
+      ...UNITS_PROPERTY
+    }
+  },
+  coupledOscillators: {
+    type: 'object',
+    required: ['masses', 'springs'],
+    properties: {
+      masses: {
+        type: 'array',
+        minItems: 1,
+        maxItems: OSCILLATOR_LIMITS.maxMasses,
+        description: 'The chain\'s masses from left to right',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            mass: { type: 'number', exclusiveMinimum: 0, maximum: 10000, description: 'kg; the material\'s mass by default' },
+            material: materialNameSchema,
+            initialDisplacement: { type: 'number', minimum: -1000, maximum: 1000, default: 0, description: 'm' },
+            initialVelocity: { type: 'number', minimum: -1000, maximum: 1000, default: 0, description: 'm/s' }
+          }
+        }
+      },
+      springs: {
+        type: 'array',
+        minItems: 2,
+        maxItems: OSCILLATOR_LIMITS.maxMasses + 1,
+        description: 'Stiffness in N/m of each link from the left wall to the right wall, one more than the masses; 0 leaves an end free',
+        items: { type: 'number', minimum: 0, maximum: 1e7 }
+      },
+      damping: { ...dampingSchema, description: 'N·s/m on every mass' },
+      ...OSCILLATOR_RUN_PROPERTIES
+    }
+  },
+  materialCreate: {
+    type: 'object',
+    required: ['name', 'mass', 'radius', 'dragCoeff', 'bounciness'],
+    additionalProperties: false,
+    properties: {
+      name: {
+        type: 'string',
+        pattern: MATERIAL_NAME_PATTERN.source,
+        errorMessage: 'name must start with a letter and contain only letters, digits, - and _ (at most 40 characters)'
+      },
+      ...MATERIAL_PROPERTIES
+    }
+  },
+  materialUpdate: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string' },
+      ...MATERIAL_PROPERTIES
+    }
+  }
+};
+
+// Cross-field checks that a schema cannot express; each returns a list of field errors
+const checkSpinAxis = (params) => {
+  const axis = params.spinAxis;
+  return axis && !(axis.x || axis.y || axis.z)
+    ? [fieldError('invalid_value', '/spinAxis', 'spinAxis must be a non-zero vector { x, y, z }')]
+    : [];
+};
+
+// Decimation needs the whole flight, so it only applies to the non-streaming response;
+// the analytical models of a comparison only know flat ground
+const checkTrajectoryOutput = (params) => {
+  const errors = [];
+  if (params.stream && params.decimation) {
+    errors.push(fieldError('conflicting_fields', '/decimation', 'decimation cannot be combined with stream; streams send every point'));
+  }
+  if (params.compare) {
+    ['terrain', 'obstacles'].filter(field => params[field] && params[field].length > 0).forEach(field => {
+      errors.push(fieldError('conflicting_fields', `/${field}`, `compare needs flat ground; remove ${field}`));
+    });
+  }
+  return errors;
+};
+
+// Points a flight is expected to record: its flight time in a vacuum over dt (the first step
+// of adaptive integrators). Drag, bounces and water can make a flight longer than this, so the
+// engine also stops at TRAJECTORY_LIMITS.maxPoints.
+const estimatedFlightPoints = ({ initialVelocity, launchAngle, initialHeight, gravity = PHYSICS_CONSTANTS.GRAVITY, dt }) => {
+  const vy = initialVelocity * Math.sin(launchAngle * Math.PI / 180);
+  const flightTime = (vy + Math.sqrt(Math.max(vy * vy + 2 * gravity * initialHeight, 0))) / gravity;
+  return Math.ceil(Math.max(flightTime, 0) / dt) + 1;
+};
+
+const checkFlightLength = (params) => {
+  const points = estimatedFlightPoints(params);
+  return points > TRAJECTORY_LIMITS.maxPoints
+    ? [fieldError('limit_exceeded', '/dt',
+      `Flight too long: about ${points} points at this dt exceeds the limit of ${TRAJECTORY_LIMITS.maxPoints}; increase dt`,
+      { maxPoints: TRAJECTORY_LIMITS.maxPoints })]
+    : [];
+};
+
+// Error for a flight the engine stopped at TRAJECTORY_LIMITS.maxPoints, or null
+const truncatedFlightError = (integration) => (integration.truncated
+  ? fieldError('limit_exceeded', '/dt',
+    `Flight too long: it reached ${TRAJECTORY_LIMITS.maxPoints} points after ${integration.reachedTime} s without ending; increase dt`,
+    { maxPoints: TRAJECTORY_LIMITS.maxPoints })
+  : null);
+
+// Points left to spend across the flights of one request, which the vacuum estimate cannot
+// bound: drag or an updraft can keep a flight up until the engine's 300 s horizon
+const pointBudget = (maxPoints) => ({ maxPoints, remaining: maxPoints, spent: false });
+
+// Run a flight on what is left of a budget and charge the points it recorded. A flight cut
+// short by the budget spends it; one cut short by TRAJECTORY_LIMITS.maxPoints throws.
+const budgetedTrajectory = (budget, params, customMaterials) => {
+  const run = PhysicsEngine.calculateTrajectory({
+    ...params,
+    customMaterials,
+    maxPoints: Math.min(TRAJECTORY_LIMITS.maxPoints, budget.remaining)
+  });
+  budget.remaining -= run.pointsRecorded;
+  if (run.integration.truncated) {
+    if (budget.remaining <= 0) {
+      budget.spent = true;
+    }
+    throw new Error(truncatedFlightError(run.integration).detail);
+  }
+  return trajectoryResults(params, customMaterials, run);
+};
+
+// Error for a request whose flights spent their shared budget
+const spentBudgetError = (budget, pointer, advice) => fieldError('limit_exceeded', pointer,
+  `Too many points: the flights used up the budget of ${budget.maxPoints} trajectory points; ${advice}`,
+  { maxPoints: budget.maxPoints });
+
+// Terrain points run left to right, each obstacle has the fields of its type with ordered
+// bounds, and the launch point must be clear of the terrain and every obstacle
+const checkSurroundings = (params) => {
+  const { terrain = [], obstacles = [] } = params;
+  const errors = [];
+  
+  terrain.forEach((point, i) => {
+    if (i > 0 && !(point.x > terrain[i - 1].x)) {
+      errors.push(fieldError('invalid_value', `/terrain/${i}/x`, 'Terrain points must have strictly increasing x'));
+    }
+  });
+  
+  obstacles.forEach((obstacle, i) => {
+    const pointer = `/obstacles/${i}`;
+    const required = obstacle.type === 'box' ? ['min', 'max'] : ['x', 'top'];
+    const missing = required.filter(key => obstacle[key] === undefined);
+    missing.forEach(key => {
+      errors.push(fieldError('required', `${pointer}/${key}`, `A ${obstacle.type} needs ${required.join(' and ')}`));
+    });
+    if (missing.length > 0) {
+      return;
+    }
+    
+    const bounds = obstacle.type === 'box'
+      ? ['x', 'y', 'z'].map(axis => [`min/${axis}`, obstacle.min[axis], obstacle.max[axis], `min.${axis} < max.${axis}`])
+      : [['bottom', obstacle.bottom, obstacle.top, 'bottom < top'], ['zMin', obstacle.zMin, obstacle.zMax, 'zMin < zMax']];
+    bounds.forEach(([field, min, max, rule]) => {
+      if (min !== undefined && max !== undefined && !(min < max)) {
+        errors.push(fieldError('invalid_range', `${pointer}/${field}`, `obstacles[${i}] must have ${rule}`));
+      }
+    });
+  });
+  if (errors.length > 0 || (terrain.length === 0 && obstacles.length === 0)) {
+    return errors;
+  }
+  
+  const surroundings = PhysicsEngine.buildSurroundings(params);
+  const launch = { x: 0, y: params.initialHeight || 0, z: 0 };
+  if (launch.y < surroundings.groundAt(0)) {
+    return [fieldError('invalid_value', '/initialHeight', 'The launch point is below the terrain at x = 0')];
+  }
+  const inside = surroundings.obstacleAt(launch);
+  return inside ? [fieldError('invalid_value', '/initialHeight', `The launch point is inside obstacle '${inside.id}'`)] : [];
+};
+
+// Each target has the fields of its type, ordered bounds and a direction it can be crossed in;
+// a zone lies either upright at x or flat at y
+const checkTargets = (params) => {
+  const { targets = [] } = params;
+  const errors = [];
+  
+  targets.forEach((target, i) => {
+    const pointer = `/targets/${i}`;
+    if (target.type === 'zone' && (target.x === undefined) === (target.y === undefined)) {
+      errors.push(fieldError(target.x === undefined ? 'required' : 'conflicting_fields', `${pointer}/x`,
+        'A zone needs exactly one of x (upright) or y (flat)'));
+      return;
+    }
+    const required = { ring: ['x', 'y', 'radius'], plane: ['x'], zone: ['min', 'max'] }[target.type];
+    const needs = required.length > 1 ? `${required.slice(0, -1).join(', ')} and ${required[required.length - 1]}` : required[0];
+    const missing = required.filter(key => target[key] === undefined);
+    missing.forEach(key => {
+      errors.push(fieldError('required', `${pointer}/${key}`, `A ${target.type} needs ${needs}`));
+    });
+    if (missing.length > 0) {
+      return;
+    }
+    
+    const across = target.type === 'ring' || target.y !== undefined ? 'y' : 'x';
+    const bounds = target.type === 'zone'
+      ? ['x', 'y', 'z'].map(axis => [`min/${axis}`, target.min[axis], target.max[axis], `min.${axis} < max.${axis}`])
+      : [['bottom', target.bottom, target.top, 'bottom < top'], ['zMin', target.zMin, target.zMax, 'zMin < zMax']];
+    bounds.forEach(([field, min, max, rule]) => {
+      if (target.type === 'zone' && field.endsWith(across) && (min !== undefined || max !== undefined)) {
+        errors.push(fieldError('conflicting_fields', `${pointer}/${field}`, `A zone at ${across} has no ${across} bounds`));
+      } else if (min !== undefined && max !== undefined && !(min < max)) {
+        errors.push(fieldError('invalid_range', `${pointer}/${field}`, `targets[${i}] must have ${rule}`));
+      }
+    });
+    
+    const directions = across === 'y' ? ['down', 'up', 'any'] : ['forward', 'backward', 'any'];
+    if (target.direction !== undefined && !directions.includes(target.direction)) {
+      const kind = target.type === 'zone' ? `zone at ${across}` : target.type;
+      errors.push(fieldError('invalid_value', `${pointer}/direction`,
+        `The direction of a ${kind} must be one of: ${directions.join(', ')}`, { enum: directions }));
+    }
+  });
+  
+  return errors;
+};
+
+const checkSolveTarget = (params) => (
+  params.initialVelocity !== undefined && params.launchAngle !== undefined
+    ? [fieldError('conflicting_fields', '/launchAngle', 'Fix at most one of initialVelocity or launchAngle')]
+    : []
+);
+
+const checkOptimize = (params) => {
+  const { variables, bounds, samples } = params;
+  const errors = [];
+  
+  Object.entries(bounds).forEach(([name, [min, max]]) => {
+    if (!(min < max)) {
+      errors.push(fieldError('invalid_range', `/bounds/${name}`, `bounds.${name} must be [min, max] with min < max`));
+    }
+  });
+  
+  if (!variables.includes('initialVelocity') && params.initialVelocity === undefined) {
+    errors.push(fieldError('required', '/initialVelocity', 'Initial velocity must be greater than 0 when it is not optimized'));
+  }
+  
+  const maxSamples = variables.length === 1 ? 181 : 41;
+  if (samples !== undefined && samples > maxSamples) {
+    errors.push(fieldError('out_of_range', '/samples', `samples must be an integer between 5 and ${maxSamples}`,
+      { minimum: 5, maximum: maxSamples }));
+  }
+  
+  return errors;
+};
+
+const checkScene = (params) => {
+  const { bodies, walls, duration, dt, sampleInterval } = params;
+  const errors = [];
+  
+  const ids = bodies.map((body, i) => (body.id !== undefined ? String(body.id) : `body-${i}`));
+  ids.forEach((id, i) => {
+    if (ids.indexOf(id) !== i) {
+      errors.push(fieldError('duplicate_id', `/bodies/${i}/id`, `Body ids must be unique; '${id}' is used twice`));
+    }
+  });
+  
+  walls.forEach((wall, i) => {
+    if (!(wall.normal.x || wall.normal.y)) {
+      errors.push(fieldError('invalid_value', `/walls/${i}/normal`, `walls[${i}].normal must be a non-zero vector { x, y }`));
+    }
+  });
+  
+  if (!(sampleInterval >= dt && sampleInterval <= duration)) {
+    errors.push(fieldError('out_of_range', '/sampleInterval', 'sampleInterval must be between dt and duration',
+      { minimum: dt, maximum: duration }));
+  } else if (bodies.length * Math.ceil(duration / sampleInterval) > SCENE_LIMITS.maxSamples) {
+    errors.push(fieldError('limit_exceeded', '/sampleInterval',
+      `Too many samples: bodies × duration / sampleInterval must not exceed ${SCENE_LIMITS.maxSamples}; increase sampleInterval`,
+      { maxSamples: SCENE_LIMITS.maxSamples }));
+  }
+  
+  if (bodies.length * Math.round(duration / dt) > SCENE_LIMITS.maxBodySteps) {
+    errors.push(fieldError('limit_exceeded', '/duration',
+      `Scene too large: bodies × steps must not exceed ${SCENE_LIMITS.maxBodySteps}; shorten the duration or increase dt`,
+      { maxBodySteps: SCENE_LIMITS.maxBodySteps }));
+  }
+  
+  return errors;
+};
+
+// Number of values one sweep variable takes, or 0 when the spec is invalid
+// A list gives the values directly; a { from, to, step } range includes both ends
+const sweepCount = (spec) => {
+  if (Array.isArray(spec)) {
+    return spec.length;
+  }
+  if (!matchesType(spec, 'object')) {
+    return 0;
+  }
+  
+  const { from, to, step } = spec;
+  if (![from, to, step].every(value => typeof value === 'number' && Number.isFinite(value)) ||
+      !(from <= to) || !(step > 0)) {
+    return 0;
+  }
+  return Math.floor((to - from) / step + 1e-9) + 1;
+};
+
+// Values of a sweep variable that passed checkBatch
+const sweepValues = (spec) => (Array.isArray(spec)
+  ? spec
+  : Array.from({ length: sweepCount(spec) }, (_, i) => parseFloat((spec.from + i * spec.step).toFixed(10))));
+
+// A batch runs either explicit jobs or a sweep; sweep variables must be parameters of the
+// swept job type, given as a list of values or a { from, to, step } range
+const checkBatch = (params) => {
+  const { jobs, sweep } = params;
+  if (!jobs === !sweep) {
+    return [fieldError(jobs ? 'conflicting_fields' : 'required', jobs ? '/sweep' : '/jobs',
+      'Provide either jobs or sweep, but not both')];
+  }
+  const { error: unitError } = resolveUnitSystem(params.units);
+  if (unitError) {
+    return [unitError];
+  }
+  if (jobs) {
+    return [];
+  }
+  
+  const errors = [];
+  const names = Object.keys(sweep.variables);
+  if (names.length === 0) {
+    errors.push(fieldError('required', '/sweep/variables', 'sweep.variables must name at least one parameter'));
+  }
+  
+  const jobProperties = SCHEMAS[sweep.type].properties;
+  let jobCount = 1;
+  names.forEach(name => {
+    const pointer = `/sweep/variables/${name}`;
+    const count = sweepCount(sweep.variables[name]);
+    if (!hasOwn(jobProperties, name) || name === 'units') {
+      errors.push(fieldError('unknown_property', pointer, `${name} is not a ${sweep.type} parameter`,
+        { enum: Object.keys(jobProperties).filter(key => key !== 'units') }));
+    } else if (count === 0) {
+      errors.push(fieldError('invalid_range', pointer,
+        `sweep.variables.${name} must be a non-empty list of values or { from, to, step } with from <= to and step > 0`));
+    } else {
+      jobCount *= count;
+    }
+  });
+  
+  if (jobCount > BATCH_LIMITS.maxJobs) {
+    errors.push(fieldError('limit_exceeded', '/sweep/variables',
+      `Sweep too large: ${jobCount} jobs exceeds the limit of ${BATCH_LIMITS.maxJobs}`,
+      { maxJobs: BATCH_LIMITS.maxJobs }));
+  }
+  
+  return errors;
+};
+
+// A target zone needs the fields of its shape; rectangle bounds must be ordered
+const checkUncertaintyTarget = (params) => {
+  const { target } = params;
+  if (!target) {
+    return [];
+  }
+  
+  const required = target.type === 'circle' ? ['x', 'radius'] : ['xMin', 'xMax'];
+  const errors = required.filter(key => target[key] === undefined).map(key => fieldError('required', `/target/${key}`,
+    `A ${target.type} target needs ${required.join(' and ')}`));
+  if (target.type === 'rectangle') {
+    ['x', 'z'].forEach(axis => {
+      const [min, max] = [target[`${axis}Min`], target[`${axis}Max`]];
+      if (min !== undefined && max !== undefined && !(min < max)) {
+        errors.push(fieldError('invalid_range', `/target/${axis}Min`, `target.${axis}Min must be less than target.${axis}Max`));
+      }
+    });
+  }
+  return errors;
+};
+
+// Samples must fit in the run and the run must stay within the step and sample limits
+const checkOscillatorRun = (params) => {
+  const { duration, dt, sampleInterval } = params;
+  const errors = [];
+  
+  if (!(sampleInterval >= dt && sampleInterval <= duration)) {
+    errors.push(fieldError('out_of_range', '/sampleInterval', 'sampleInterval must be between dt and duration',
+      { minimum: dt, maximum: duration }));
+  }
+  if (Math.ceil(duration / dt) > OSCILLATOR_LIMITS.maxSteps) {
+    errors.push(fieldError('limit_exceeded', '/duration',
+      `Run too long: duration / dt must not exceed ${OSCILLATOR_LIMITS.maxSteps} steps; shorten the duration or increase dt`,
+      { maxSteps: OSCILLATOR_LIMITS.maxSteps }));
+  }
+  if (Math.ceil(duration / sampleInterval) > OSCILLATOR_LIMITS.maxSamples) {
+    errors.push(fieldError('limit_exceeded', '/sampleInterval',
+      `Too many samples: duration / sampleInterval must not exceed ${OSCILLATOR_LIMITS.maxSamples}`,
+      { maxSamples: OSCILLATOR_LIMITS.maxSamples }));
+  }
+  return errors;
+};
+
+// A chain has one spring more than it has masses: one to each wall and one between neighbours
+const checkCoupled = (params) => {
+  const { masses, springs } = params;
+  if (springs.length !== masses.length + 1) {
+    return [fieldError('invalid_value', '/springs',
+      `springs must list ${masses.length + 1} stiffnesses for ${masses.length} masses, from wall to wall`)];
+  }
+  return [];
+};
+
+// Samples must fit in the run, and kinetic friction cannot exceed static friction
+const checkIncline = (params) => {
+  const { duration, sampleInterval, staticFriction, kineticFriction } = params;
+  const errors = [];
+  
+  if (!(sampleInterval <= duration)) {
+    errors.push(fieldError('out_of_range', '/sampleInterval', 'sampleInterval must not exceed duration',
+      { maximum: duration }));
+  } else if (Math.ceil(duration / sampleInterval) > INCLINE_LIMITS.maxSamples) {
+    errors.push(fieldError('limit_exceeded', '/sampleInterval',
+      `Too many samples: duration / sampleInterval must not exceed ${INCLINE_LIMITS.maxSamples}`,
+      { maxSamples: INCLINE_LIMITS.maxSamples }));
+  }
+  if (staticFriction !== undefined && kineticFriction !== undefined && kineticFriction > staticFriction) {
+    errors.push(fieldError('invalid_range', '/kineticFriction', 'kineticFriction must not exceed staticFriction'));
+  }
+  return errors;
+};
+
+// Check every material name a request uses against the built-in and client materials
+// paths lists JSON pointers to the fields holding names
+const checkMaterials = (params, paths, customMaterials) => paths
+  .map(pointer => validateMaterialName(
+    pointer.split('/').slice(1).reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), params),
+    customMaterials,
+    pointer
+  ))
+  .filter(Boolean);
+
+// Validate a request body: schema first, then the route's cross-field checks
+// Returns { params } with defaults applied, or { errors }
+const validateRequest = (schema, body, checks = []) => {
+  const { value, errors } = validateSchema(schema, body === undefined ? {} : body);
+  if (errors.length > 0) {
+    return { errors };
+  }
+  
+  const crossFieldErrors = checks.flatMap(check => check(value));
+  return crossFieldErrors.length > 0 ? { errors: crossFieldErrors } : { params: value };
+};
+
+// Thin a trajectory for clients that do not need every integration step
+// Applied in order: sampleRate keeps the first point at or after each sample time,
+// maxError drops points whose removal moves the path by at most that distance
+// (Ramer-Douglas-Peucker) and maxPoints keeps evenly spaced points.
+// The first and last points are always kept.
+const decimateTrajectory = (points, { sampleRate, maxError, maxPoints }) => {
+  let kept = points;
+  
+  if (sampleRate) {
+    const interval = 1 / sampleRate;
+    let nextTime = 0;
+    kept = kept.filter((point, i, all) => {
+      if (i === all.length - 1 || point.time >= nextTime - 1e-9) {
+        nextTime = (Math.floor(point.time / interval + 1e-9) + 1) * interval;
+        return true;
+      }
+      return false;
+    });
+  }
+  
+  if (maxError && kept.length > 2) {
+    // Distance from a point to the segment between two others, in x/y/z
+    const distance = (p, a, b) => {
+      const ab = { x: b.x - a.x, y: b.y - a.y, z: (b.z || 0) - (a.z || 0) };
+      const ap = { x: p.x - a.x, y: p.y - a.y, z: (p.z || 0) - (a.z || 0) };
+      const lengthSq = ab.x ** 2 + ab.y ** 2 + ab.z ** 2;
+      const u = lengthSq > 0 ? Math.min(1, Math.max(0, (ap.x * ab.x + ap.y * ab.y + ap.z * ab.z) / lengthSq)) : 0;
+      return Math.sqrt((ap.x - u * ab.x) ** 2 + (ap.y - u * ab.y) ** 2 + (ap.z - u * ab.z) ** 2);
+    };
+    
+    const keep = new Array(kept.length).fill(false);
+    keep[0] = true;
+    keep[kept.length - 1] = true;
+    const spans = [[0, kept.length - 1]];
+    while (spans.length > 0) {
+      const [first, last] = spans.pop();
+      let farthest = -1;
+      let farthestDistance = maxError;
+      for (let i = first + 1; i < last; i++) {
+        const d = distance(kept[i], kept[first], kept[last]);
+        if (d > farthestDistance) {
+          farthest = i;
+          farthestDistance = d;
+        }
+      }
+      if (farthest > 0) {
+        keep[farthest] = true;
+        spans.push([first, farthest], [farthest, last]);
+      }
+    }
+    kept = kept.filter((_, i) => keep[i]);
+  }
+  
+  if (maxPoints && kept.length > maxPoints) {
+    const stride = (kept.length - 1) / (maxPoints - 1);
+    kept = Array.from({ length: maxPoints }, (_, i) => kept[Math.round(i * stride)]);
+  }
+  
+  return kept;
+};
+
+// Trajectory results for validated parameters, shared by the trajectory and batch routes
+// Streaming passes in the result of the run it has already stepped through
+const trajectoryResults = (params, customMaterials, run = PhysicsEngine.calculateTrajectory({
+  ...params,
+  customMaterials,
+  maxPoints: TRAJECTORY_LIMITS.maxPoints
+})) => {
+  const {
+    trajectory,
+    bounces,
+    firstLanding,
+    apex,
+    integration,
+    spin,
+    atmosphere,
+    events,
+    targets,
+    water,
+    diagnostics
+  } = run;
+  const finalPoint = trajectory[trajectory.length - 1];
+  const maxHeight = trajectory.reduce((highest, p) => Math.max(highest, p.y), apex ? apex.y : 0);
+  
+  // The first contact with the ground, terrain or an obstacle is the landing; with bounces
+  // enabled the final point is where the ball came to rest
+  const is3D = params.mode === '3d';
+  const landing = firstLanding || finalPoint;
+  const landingVelocity = { vx: landing.vx, vy: landing.vy, vz: is3D ? landing.vz : 0 };
+  const landingZ = is3D ? landing.z : 0;
+  
+  // Impact calculations, relative to the surface that was hit
+  const impact = bounces.length > 0 ? bounces[0].impact : PhysicsEngine.calculateImpact(
+    firstLanding ? PhysicsEngine.surfaceFrameVelocity(landingVelocity, firstLanding.hit.normal) : landingVelocity,
+    params.material,
+    firstLanding ? firstLanding.hit.surface : params.impactSurface,
+    customMaterials
+  );
+  
+  const summary = {
+    maxHeight: parseFloat(maxHeight.toFixed(3)),
+    range: parseFloat(Math.sqrt(landing.x ** 2 + landingZ ** 2).toFixed(3)),
+    flightTime: parseFloat(landing.time.toFixed(3)),
+    landingVelocity: {
+      x: parseFloat(landingVelocity.vx.toFixed(3)),
+      y: parseFloat(landingVelocity.vy.toFixed(3)),
+      magnitude: parseFloat(Math.sqrt(
+        landingVelocity.vx ** 2 + landingVelocity.vy ** 2 + landingVelocity.vz ** 2
+      ).toFixed(3))
+    }
+  };
+  
+  if (is3D) {
+    // Lateral drift is measured to the right of the launch heading
+    const bearing = (params.launchAzimuth || 0) + Math.atan2(landingZ, landing.x) * 180 / Math.PI;
+    summary.downrange = parseFloat(landing.x.toFixed(3));
+    summary.lateralDrift = parseFloat(landingZ.toFixed(3));
+    summary.landingBearing = parseFloat((((bearing % 360) + 360) % 360).toFixed(2));
+    summary.landingVelocity.z = parseFloat(landingVelocity.vz.toFixed(3));
+  }
+  
+  const results = {
+    trajectory: trajectory,
+    summary: summary,
+    impact: impact,
+    integration: integration,
+    atmosphere: atmosphere
+  };
+  
+  if (spin) {
+    results.spin = spin;
+  }
+  
+  // What the flight hit first, where, and at what angle to the surface
+  if (firstLanding) {
+    results.contact = {
+      ...PhysicsEngine.describeHit(firstLanding.hit),
+      time: parseFloat(firstLanding.time.toFixed(3)),
+      point: {
+        x: parseFloat(firstLanding.x.toFixed(3)),
+        y: parseFloat(firstLanding.y.toFixed(3)),
+        ...(is3D ? { z: parseFloat(firstLanding.z.toFixed(3)) } : {})
+      },
+      impactAngle: impact.impactAngle
+    };
+  }
+  
+  // Target crossings in time order, and whether each target was passed
+  if (events) {
+    results.events = events;
+    results.targets = targets;
+  }
+  
+  // How the ball entered the water and where it went from there
+  if (water) {
+    results.water = water;
+  }
+  
+  // Where the flight's energy went, and whether the numbers add up
+  if (diagnostics) {
+    results.diagnostics = diagnostics;
+  }
+  
+  // How far the vacuum and linear-drag solutions are from this flight, before decimation
+  if (params.compare) {
+    results.comparison = PhysicsEngine.compareModels({ ...params, customMaterials }, run, {
+      sampleInterval: params.compareInterval
+    });
+  }
+  
+  if (params.maxBounces > 0) {
+    summary.bounceCount = bounces.length;
+    summary.restDistance = parseFloat(Math.sqrt(finalPoint.x ** 2 + (finalPoint.z || 0) ** 2).toFixed(3));
+    summary.totalTime = finalPoint.time;
+    results.bounces = bounces;
+  }
+  
+  if (params.decimation) {
+    results.trajectory = decimateTrajectory(trajectory, params.decimation);
+    results.decimation = {
+      ...params.decimation,
+      originalPoints: trajectory.length,
+      returnedPoints: results.trajectory.length
+    };
+  }
+  
+  return results;
+};
+
+// Points sent between yields to the event loop while streaming, so they leave the server
+// as the flight is computed instead of after it finishes
+const STREAM_POINTS_PER_FLUSH = 100;
+
+// Media types that select a stream format
+const STREAM_FORMATS = {
+  'application/x-ndjson': 'ndjson',
+  'text/event-stream': 'sse'
+};
+
+// Resolve once the response can take more data or the client has gone away
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// Stream a trajectory as NDJSON lines or Server-Sent Events while the simulation runs
+// Events: start (parameters and point units), point (one per trajectory point), then
+// summary (the usual results without the points) or error
+const streamTrajectory = async (req, res, { params, customMaterials, unitSystem }) => {
+  const ndjson = params.stream === 'ndjson';
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+  
+  const send = (event, data) => res.write(ndjson
+    ? `${JSON.stringify({ event, data })}\n`
+    : `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const formatPoint = (point) => formatUnits({ trajectory: [point] }, OUTPUT_UNITS.trajectory, unitSystem, ['trajectory']);
+  
+  res.status(200).set({
+    'Content-Type': ndjson ? 'application/x-ndjson' : 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  try {
+    const run = PhysicsEngine.trajectoryRun({ ...params, customMaterials, maxPoints: TRAJECTORY_LIMITS.maxPoints });
+    let step = run.next();
+    send('start', {
+      parameters: req.body,
+      units: unitSystem ? formatPoint(step.value).units.trajectory : OUTPUT_UNITS.trajectory.trajectory[0]
+    });
+    
+    for (let count = 1; !step.done; count++) {
+      const writable = send('point', unitSystem ? formatPoint(step.value).trajectory[0] : step.value);
+      if (!writable) {
+        await waitForDrain(res);
+      } else if (count % STREAM_POINTS_PER_FLUSH === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      if (closed) {
+        return;
+      }
+      step = run.next();
+    }
+    
+    const limitError = truncatedFlightError(step.value.integration);
+    if (limitError) {
+      send('error', { error: 'Trajectory point limit exceeded', code: limitError.code, details: limitError.detail });
+      return res.end();
+    }
+    const { trajectory, ...results } = trajectoryResults(params, customMaterials, step.value);
+    send('summary', formatUnits({ ...results, points: trajectory.length }, OUTPUT_UNITS.trajectory, unitSystem));
+  } catch (error) {
+    send('error', { error: 'Internal server error during trajectory calculation', details: error.message });
+  }
+  res.end();
+};
+
+// Forces on an object and the air it moves through, shared by the forces and batch routes
+const forceResults = (params, customMaterials) => {
+  const forces = PhysicsEngine.calculateForces({ ...params, customMaterials });
+  
+  // Air conditions the forces were evaluated in, and the Mach number of the object
+  const { velocity } = params;
+  const conditions = PhysicsEngine.atmosphereModel(params)(params.height);
+  const speed = Math.sqrt((velocity.x || 0) ** 2 + (velocity.y || 0) ** 2 + (velocity.z || 0) ** 2);
+  const atmosphere = {
+    ...PhysicsEngine.formatAtmosphere(conditions),
+    mach: parseFloat((speed / conditions.speedOfSound).toFixed(4))
+  };
+  
+  return { forces, atmosphere };
+};
+
+// Jobs a batch can run: the route's schema and checks, how results are built, which parts
+// make up the per-job summary and the scalar metrics reported in the result grid
+const BATCH_JOBS = {
+  trajectory: {
+    schema: SCHEMAS.trajectory,
+    checks: customMaterials => [
+      checkFlightLength,
+      checkSpinAxis,
+      checkSurroundings,
+      checkTargets,
+      params => checkMaterials(params, ['/material'], customMaterials)
+    ],
+    convertUnits: true,
+    run: (params, customMaterials, budget) => budgetedTrajectory(budget, params, customMaterials),
+    outputUnits: OUTPUT_UNITS.trajectory,
+    summary: ['summary', 'impact'],
+    metrics: {
+      range: ['m', results => results.summary.range],
+      maxHeight: ['m', results => results.summary.maxHeight],
+      flightTime: ['s', results => results.summary.flightTime],
+      impactSpeed: ['m/s', results => results.impact.impactSpeed],
+      impactForce: ['N', results => results.impact.impactForce]
+    }
+  },
+  collision: {
+    schema: SCHEMAS.collision,
+    checks: customMaterials => [
+      params => checkMaterials(params, ['/object1/material', '/object2/material'], customMaterials)
+    ],
+    convertUnits: false,
+    run: ({ object1, object2, restitution, friction, contactTime, diagnostics, residualThreshold }, customMaterials) => ({
+      collision: PhysicsEngine.calculateCollision(object1, object2, {
+        restitution, friction, contactTime, diagnostics, residualThreshold, customMaterials
+      })
+    }),
+    outputUnits: {},
+    summary: ['collision'],
+    metrics: {
+      energyLoss: ['J', results => results.collision.energyLoss],
+      impactForce: ['N', results => results.collision.impactForce],
+      restitution: [null, results => results.collision.restitution]
+    }
+  },
+  forces: {
+    schema: SCHEMAS.forces,
+    checks: customMaterials => [checkSpinAxis, params => checkMaterials(params, ['/material'], customMaterials)],
+    convertUnits: true,
+    run: forceResults,
+    outputUnits: OUTPUT_UNITS.forces,
+    summary: ['forces', 'atmosphere'],
+    metrics: {
+      netForce: ['N', results => results.forces.net.magnitude],
+      dragForce: ['N', results => (results.forces.airResistance ? results.forces.airResistance.magnitude : 0)],
+      mach: [null, results => results.atmosphere.mach]
+    }
+  }
+};
+
+// Every combination of the sweep variables, the first variable varying slowest
+const expandSweep = (variables) => Object.entries(variables).reduce(
+  (combinations, [name, spec]) => combinations.flatMap(combination => sweepValues(spec).map(value => ({
+    ...combination,
+    [name]: value
+  }))),
+  [{}]
+);
+
+// Check and run the jobs of a validated batch
+// Each job carries its parameters and a function mapping error pointers back into the request.
+// Returns { errors } when any job is invalid, otherwise { jobs, grid }
+const runBatch = (batch, customMaterials) => {
+  const { sweep, includeTrajectories } = batch;
+  const { system } = resolveUnitSystem(batch.units);
+  
+  const jobs = sweep
+    ? expandSweep(sweep.variables).map((values, i) => ({
+      id: i,
+      type: sweep.type,
+      params: { ...sweep.base, ...values },
+      values,
+      pointerOf: pointer => {
+        const [, field] = pointer.split('/');
+        return hasOwn(values, field) ? `/sweep/variables/${field}` : `/sweep/base${pointer}`;
+      }
+    }))
+    : batch.jobs.map((job, i) => ({
+      id: job.id !== undefined ? job.id : i,
+      type: job.type,
+      params: job.params,
+      pointerOf: pointer => `/jobs/${i}/params${pointer}`
+    }));
+  
+  // Validate every job before running any, reporting each distinct error once
+  const errors = new Map();
+  jobs.forEach(job => {
+    const spec = BATCH_JOBS[job.type];
+    const units = job.params.units !== undefined ? job.params.units : batch.units;
+    const converted = spec.convertUnits ? convertInputUnits({ ...job.params, units }) : { params: job.params };
+    const { params, errors: jobErrors } = converted.error
+      ? { errors: [converted.error] }
+      : validateRequest(spec.schema, converted.params, spec.checks(customMaterials));
+    
+    (jobErrors || []).forEach(error => {
+      const located = { ...error, pointer: job.pointerOf(error.pointer) };
+      errors.set(`${located.code} ${located.pointer} ${located.detail}`, located);
+    });
+    job.validated = params;
+  });
+  if (errors.size > 0) {
+    return { errors: [...errors.values()] };
+  }
+  
+  // Every job runs within the one request, so their flights share one budget: rejected up
+  // front when the estimate already exceeds it, and spent as the flights run
+  const points = jobs
+    .filter(job => job.type === 'trajectory')
+    .reduce((sum, job) => sum + estimatedFlightPoints(job.validated), 0);
+  if (points > BATCH_LIMITS.maxPoints) {
+    return {
+      errors: [fieldError('limit_exceeded', sweep ? '/sweep' : '/jobs',
+        `Batch too large: its flights need about ${points} points, more than the limit of ${BATCH_LIMITS.maxPoints}; use fewer jobs or a larger dt`,
+        { maxPoints: BATCH_LIMITS.maxPoints })]
+    };
+  }
+  
+  const metricNames = [...new Set(jobs.flatMap(job => Object.keys(BATCH_JOBS[job.type].metrics)))];
+  const metricUnits = Object.fromEntries(metricNames.map(name => [
+    name,
+    Object.values(BATCH_JOBS).map(spec => spec.metrics[name] && spec.metrics[name][0]).find(Boolean) || null
+  ]));
+  
+  const budget = pointBudget(BATCH_LIMITS.maxPoints);
+  const metrics = [];
+  const results = [];
+  const runJob = (job) => {
+    const spec = BATCH_JOBS[job.type];
+    try {
+      const output = spec.run(job.validated, customMaterials, budget);
+      const parts = includeTrajectories && output.trajectory ? [...spec.summary, 'trajectory'] : spec.summary;
+      const summary = Object.fromEntries(parts.map(key => [key, output[key]]));
+      
+      metrics.push(Object.fromEntries(Object.entries(spec.metrics).map(([name, [, read]]) => [name, read(output)])));
+      return {
+        id: job.id,
+        type: job.type,
+        success: true,
+        ...formatUnits(summary, spec.outputUnits, system, parts.includes('trajectory') ? ['trajectory'] : [])
+      };
+    } catch (error) {
+      metrics.push({});
+      return { id: job.id, type: job.type, success: false, error: error.message };
+    }
+  };
+  for (const job of jobs) {
+    results.push(runJob(job));
+    if (budget.spent) {
+      return { errors: [spentBudgetError(budget, sweep ? '/sweep' : '/jobs', 'use fewer jobs or a larger dt')] };
+    }
+  }
+  
+  // Grid metrics are plain numbers in the requested units, listed once in grid.units
+  const convertedUnits = Object.fromEntries(Object.entries(metricUnits).filter(([, unit]) => unit));
+  const formatted = formatUnits({ metrics }, { metrics: [convertedUnits] }, system, ['metrics']);
+  const units = formatted.units ? formatted.units.metrics : convertedUnits;
+  const metricRow = (values) => metricNames.map(name => (values[name] !== undefined ? values[name] : null));
+  
+  const grid = sweep
+    ? {
+      axes: Object.fromEntries(Object.keys(sweep.variables).map(name => [name, sweepValues(sweep.variables[name])])),
+      columns: [...Object.keys(sweep.variables), ...metricNames],
+      units,
+      rows: jobs.map((job, i) => [...Object.values(job.values), ...metricRow(formatted.metrics[i])])
+    }
+    : {
+      columns: ['id', 'type', ...metricNames],
+      units,
+      rows: jobs.map((job, i) => [job.id, job.type, ...metricRow(formatted.metrics[i])])
+    };
+  
+  return {
+    jobs: results,
+    grid,
+    summary: {
+      jobCount: jobs.length,
+      succeeded: results.filter(job => job.success).length,
+      failed: results.filter(job => !job.success).length
+    }
+  };
+};
+
+// Seeded uniform random numbers in [0, 1) (mulberry32), so uncertainty runs are reproducible
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal sample from two uniform samples (Box-Muller)
+const standardNormal = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+// Parameters an uncertainty run can vary: the numeric trajectory inputs and the
+// properties of the thrown material
+const uncertainParameters = () => ({
+  ...Object.fromEntries(Object.entries(SCHEMAS.trajectory.properties)
+    .filter(([name, schema]) => schema.type === 'number' && name !== 'units')),
+  ...MATERIAL_PROPERTIES
+});
+
+// Stand-in material name for samples that vary material properties; no client material
+// can take it because it does not match MATERIAL_NAME_PATTERN
+const SAMPLED_MATERIAL = '~sampled';
+
+// Check an uncertainty request and resolve each distribution into SI units
+// Distribution values are read in the request's units, like the base parameters;
+// material properties are always SI, as in the materials API.
+// Returns { errors } or { base, distributions, system } with base validated as a trajectory
+const prepareUncertainty = (request, customMaterials) => {
+  const { system, error: unitError } = resolveUnitSystem(request.units);
+  if (unitError) {
+    return { errors: [unitError] };
+  }
+  if (request.base.units !== undefined) {
+    return { errors: [fieldError('unknown_property', '/base/units', 'Set units at the top level of the request')] };
+  }
+  
+  const converted = convertInputUnits({ ...request.base, units: request.units });
+  if (converted.error) {
+    return { errors: [{ ...converted.error, pointer: `/base${converted.error.pointer}` }] };
+  }
+  
+  const parameters = uncertainParameters();
+  const errors = [];
+  const names = Object.keys(request.distributions);
+  if (names.length === 0) {
+    errors.push(fieldError('required', '/distributions', 'distributions must name at least one parameter'));
+  }
+  
+  const material = PhysicsEngine.resolveMaterial(
+    converted.params.material !== undefined ? converted.params.material : SCHEMAS.trajectory.properties.material.default,
+    customMaterials
+  );
+  const distributions = names.map(name => {
+    const pointer = `/distributions/${name}`;
+    if (!hasOwn(parameters, name)) {
+      errors.push(fieldError('unknown_property', pointer, `${name} is not a numeric trajectory parameter or material property`,
+        { enum: Object.keys(parameters) }));
+      return null;
+    }
+    
+    const { value: spec, errors: specErrors } = validateSchema(DISTRIBUTION_SCHEMA, request.distributions[name], pointer);
+    if (specErrors.length === 0) {
+      const required = spec.type === 'normal' ? ['sd'] : ['min', 'max'];
+      required.filter(key => spec[key] === undefined).forEach(key => {
+        specErrors.push(fieldError('required', `${pointer}/${key}`, `A ${spec.type} distribution needs ${required.join(' and ')}`));
+      });
+    }
+    if (specErrors.length > 0) {
+      errors.push(...specErrors);
+      return null;
+    }
+    
+    // Convert to SI; a spread converts without the unit's offset
+    const siUnit = hasOwn(MATERIAL_PROPERTIES, name) ? null : INPUT_UNITS[name];
+    const toSI = value => (siUnit && system ? convertUnit(value, system[UNITS[siUnit].dimension], siUnit) : value);
+    const schema = parameters[name];
+    const nominal = hasOwn(MATERIAL_PROPERTIES, name) ? material[name] : converted.params[name];
+    const center = spec.mean !== undefined ? toSI(spec.mean) : (nominal !== undefined ? nominal : schema.default);
+    const min = spec.min !== undefined ? toSI(spec.min) : -Infinity;
+    const max = spec.max !== undefined ? toSI(spec.max) : Infinity;
+    
+    if (!(min < max)) {
+      errors.push(fieldError('invalid_range', pointer, `distributions.${name} must have min < max`));
+      return null;
+    }
+    if (spec.type === 'normal' && center === undefined) {
+      errors.push(fieldError('required', `${pointer}/mean`, `Give distributions.${name}.mean or a base value for ${name}`));
+      return null;
+    }
+    if (spec.type === 'normal' && (center < min || center > max)) {
+      errors.push(fieldError('invalid_range', pointer, `The mean of distributions.${name} must lie between its min and max`));
+      return null;
+    }
+    
+    // Samples stay within the parameter's own limits: normal samples outside them are drawn
+    // again, so the mean must lie inside, and a uniform range must fit within them
+    const inLimits = value => validateSchema(schema, value).errors.length === 0;
+    if (!inLimits(spec.type === 'uniform' ? min : center) || !inLimits(spec.type === 'uniform' ? max : center)) {
+      errors.push(fieldError('out_of_range', pointer,
+        `distributions.${name} must lie within the limits of ${name}: ${describeRange(schema)}`,
+        Object.fromEntries(['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum']
+          .filter(key => schema[key] !== undefined).map(key => [key, schema[key]]))));
+      return null;
+    }
+    
+    const sd = spec.type === 'normal' ? toSI(spec.sd) - toSI(0) : 0;
+    const accept = value => value >= min && value <= max && inLimits(value);
+    return {
+      name,
+      pointer,
+      material: hasOwn(MATERIAL_PROPERTIES, name),
+      center,
+      sample: random => {
+        if (spec.type === 'uniform') {
+          return min + (max - min) * random();
+        }
+        for (let attempt = 0; attempt < UNCERTAINTY_LIMITS.maxRedraws; attempt++) {
+          const value = center + sd * standardNormal(random);
+          if (accept(value)) {
+            return value;
+          }
+        }
+        return null;
+      }
+    };
+  });
+  if (errors.length > 0) {
+    return { errors };
+  }
+  
+  // Validate the flight at the distributions' centers
+  const nominal = { ...converted.params };
+  distributions.filter(distribution => !distribution.material).forEach(distribution => {
+    nominal[distribution.name] = distribution.center;
+  });
+  delete nominal.units;
+  const { params: base, errors: baseErrors } = validateRequest(SCHEMAS.trajectory, nominal, [
+    checkFlightLength,
+    checkSpinAxis,
+    checkSurroundings,
+    checkTargets,
+    params => checkMaterials(params, ['/material'], customMaterials)
+  ]);
+  if (baseErrors) {
+    return {
+      errors: baseErrors.map(error => {
+        const [, field] = error.pointer.split('/');
+        return { ...error, pointer: hasOwn(request.distributions, field) ? `/distributions/${field}` : `/base${error.pointer}` };
+      })
+    };
+  }
+  
+  // Every sample reruns the flight, so the nominal flight's points count once per sample;
+  // the samples also spend the budget as they run
+  const points = request.samples * estimatedFlightPoints(base);
+  if (points > UNCERTAINTY_LIMITS.maxPoints) {
+    return {
+      errors: [fieldError('limit_exceeded', '/samples',
+        `Too many points: ${request.samples} samples need about ${points} trajectory points, more than the limit of ${UNCERTAINTY_LIMITS.maxPoints}; use fewer samples or a larger dt`,
+        { maxPoints: UNCERTAINTY_LIMITS.maxPoints })]
+    };
+  }
+  
+  return { base, distributions, system };
+};
+
+// Mean, spread, percentiles and a histogram of a list of samples
+const sampleStatistics = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / n;
+  const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / Math.max(n - 1, 1);
+  const percentile = (p) => {
+    const position = (p / 100) * (n - 1);
+    const below = Math.floor(position);
+    const above = Math.min(below + 1, n - 1);
+    return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+  };
+  
+  const [min, max] = [sorted[0], sorted[n - 1]];
+  const bins = UNCERTAINTY_LIMITS.histogramBins;
+  const width = (max - min) / bins;
+  const counts = new Array(bins).fill(0);
+  sorted.forEach(value => {
+    counts[width > 0 ? Math.min(bins - 1, Math.floor((value - min) / width)) : 0]++;
+  });
+  
+  return {
+    mean: parseFloat(mean.toFixed(3)),
+    standardDeviation: parseFloat(Math.sqrt(variance).toFixed(3)),
+    min: parseFloat(min.toFixed(3)),
+    max: parseFloat(max.toFixed(3)),
+    percentiles: Object.fromEntries([5, 25, 50, 75, 95].map(p => [`p${p}`, parseFloat(percentile(p).toFixed(3))])),
+    histogram: {
+      edges: Array.from({ length: bins + 1 }, (_, i) => parseFloat((min + i * width).toFixed(3))),
+      counts
+    }
+  };
+};
+
+// Landing-point scatter: mean, covariance and the ellipses around the mean, shaped by the
+// covariance, that hold the requested percentages of the landing points
+const landingStatistics = (points, levels) => {
+  const n = points.length;
+  const mean = {
+    x: points.reduce((sum, point) => sum + point.x, 0) / n,
+    z: points.reduce((sum, point) => sum + point.z, 0) / n
+  };
+  const moment = (a, b) => points.reduce((sum, point) => sum + (point[a] - mean[a]) * (point[b] - mean[b]), 0) /
+    Math.max(n - 1, 1);
+  const [xx, xz, zz] = [moment('x', 'x'), moment('x', 'z'), moment('z', 'z')];
+  
+  // Principal axes of the covariance; directions with no spread (z in 2D) are left out
+  const spread = Math.sqrt(((xx - zz) / 2) ** 2 + xz ** 2);
+  const major = (xx + zz) / 2 + spread;
+  const minor = Math.max((xx + zz) / 2 - spread, 0);
+  const angle = Math.atan2(2 * xz, xx - zz) / 2;
+  const axes = [
+    { variance: major, x: Math.cos(angle), z: Math.sin(angle) },
+    { variance: minor, x: -Math.sin(angle), z: Math.cos(angle) }
+  ].filter(axis => axis.variance > 1e-12 * Math.max(major, 1e-12));
+  
+  // Mahalanobis distance of every point, whose percentiles scale the ellipses
+  const distances = points.map(point => Math.sqrt(axes.reduce((sum, axis) => (
+    sum + ((point.x - mean.x) * axis.x + (point.z - mean.z) * axis.z) ** 2 / axis.variance
+  ), 0))).sort((a, b) => a - b);
+  const distanceAt = (p) => distances[Math.min(n - 1, Math.ceil((p / 100) * n) - 1)];
+  
+  return {
+    mean: { x: parseFloat(mean.x.toFixed(3)), z: parseFloat(mean.z.toFixed(3)) },
+    standardDeviation: { x: parseFloat(Math.sqrt(xx).toFixed(3)), z: parseFloat(Math.sqrt(zz).toFixed(3)) },
+    covariance: [[xx, xz], [xz, zz]].map(row => row.map(value => parseFloat(value.toFixed(4)))),
+    correlation: xx > 0 && zz > 0 ? parseFloat((xz / Math.sqrt(xx * zz)).toFixed(3)) : 0,
+    ellipses: levels.map(level => ({
+      level,
+      semiMajor: parseFloat((distanceAt(level) * Math.sqrt(major)).toFixed(3)),
+      semiMinor: parseFloat((distanceAt(level) * Math.sqrt(minor)).toFixed(3)),
+      orientation: parseFloat((angle * 180 / Math.PI).toFixed(2))
+    }))
+  };
+};
+
+// Whether a landing point falls inside the target zone
+const inTarget = (target, point) => {
+  if (target.type === 'circle') {
+    return (point.x - target.x) ** 2 + (point.z - (target.z || 0)) ** 2 <= target.radius ** 2;
+  }
+  return point.x >= target.xMin && point.x <= target.xMax &&
+    (target.zMin === undefined || point.z >= target.zMin) && (target.zMax === undefined || point.z <= target.zMax);
+};
+
+// Run a Monte Carlo uncertainty analysis of a prepared request
+// Every sample draws each distribution in turn from one seeded generator and flies the
+// trajectory; statistics are computed in the requested units.
+// Returns { errors } when a distribution cannot be sampled within its limits, otherwise the results
+const runUncertainty = (request, prepared, customMaterials) => {
+  const { base, distributions, system } = prepared;
+  const seed = request.seed !== undefined ? request.seed : Math.floor(Math.random() * 4294967296);
+  const random = seededRandom(seed);
+  
+  const draws = [];
+  for (let i = 0; i < request.samples; i++) {
+    const values = {};
+    for (const distribution of distributions) {
+      values[distribution.name] = distribution.sample(random);
+      if (values[distribution.name] === null) {
+        return {
+          errors: [fieldError('invalid_range', distribution.pointer,
+            `distributions.${distribution.name} rarely falls within its limits; narrow sd or widen min and max`)]
+        };
+      }
+    }
+    draws.push(values);
+  }
+  
+  const baseMaterial = PhysicsEngine.resolveMaterial(base.material, customMaterials);
+  const samples = [];
+  let failed = 0;
+  const budget = pointBudget(UNCERTAINTY_LIMITS.maxPoints);
+  for (const values of draws) {
+    const params = { ...base, estimateError: false };
+    const materials = { ...customMaterials };
+    const material = { ...baseMaterial };
+    distributions.forEach(distribution => {
+      if (distribution.material) {
+        material[distribution.name] = values[distribution.name];
+        params.material = SAMPLED_MATERIAL;
+      } else {
+        params[distribution.name] = values[distribution.name];
+      }
+    });
+    materials[SAMPLED_MATERIAL] = material;
+    
+    try {
+      const { summary, impact } = budgetedTrajectory(budget, params, materials);
+      samples.push({
+        x: summary.downrange !== undefined ? summary.downrange : summary.range,
+        z: summary.lateralDrift || 0,
+        maxHeight: summary.maxHeight,
+        impactForce: impact.impactForce
+      });
+    } catch (error) {
+      failed++;
+    }
+    if (budget.spent) {
+      return { errors: [spentBudgetError(budget, '/samples', 'use fewer samples or a larger dt')] };
+    }
+  }
+  if (samples.length === 0) {
+    throw new Error('Every sample failed to simulate');
+  }
+  
+  // Statistics in the requested units; the target zone is given in the same units
+  const outputUnits = { x: 'm', z: 'm', maxHeight: 'm', impactForce: 'N' };
+  const formatted = formatUnits({ samples }, { samples: [outputUnits] }, system, ['samples']);
+  const points = formatted.samples;
+  const units = formatted.units ? formatted.units.samples : outputUnits;
+  
+  const results = {
+    samples: samples.length,
+    failed,
+    seed,
+    landing: landingStatistics(points, request.ellipses),
+    maxHeight: sampleStatistics(points.map(point => point.maxHeight)),
+    impactForce: sampleStatistics(points.map(point => point.impactForce)),
+    units: { landing: units.x, covariance: `${units.x}²`, maxHeight: units.maxHeight, impactForce: units.impactForce }
+  };
+  
+  if (request.target) {
+    const hits = points.filter(point => inTarget(request.target, point)).length;
+    const probability = hits / points.length;
+    results.target = {
+      ...request.target,
+      hits,
+      probability: parseFloat(probability.toFixed(4)),
+      standardError: parseFloat(Math.sqrt(probability * (1 - probability) / points.length).toFixed(4))
+    };
+  }
+  
+  return results;
+};
+
+// Export formats for trajectory and scene results, chosen by ?format= or the Accept header
+const EXPORT_FORMATS = {
+  json: 'application/json',
+  csv: 'text/csv',
+  svg: 'image/svg+xml',
+  gltf: 'model/gltf+json'
+};
+
+// Requested export format; JSON unless the client asks for another
+const exportFormatOf = (req) => {
+  const { format } = req.query;
+  if (format !== undefined) {
+    return typeof format === 'string' && hasOwn(EXPORT_FORMATS, format)
+      ? { format }
+      : { error: fieldError('invalid_value', '', `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+        { enum: Object.keys(EXPORT_FORMATS) }) };
+  }
+  
+  const accepted = req.accepts(Object.values(EXPORT_FORMATS));
+  return { format: Object.keys(EXPORT_FORMATS).find(key => EXPORT_FORMATS[key] === accepted) || 'json' };
+};
+
+// Send an exported document inline, with a file name for clients that save it
+const sendExport = (res, format, name, body) => {
+  const extension = format === 'gltf' ? 'gltf' : format;
+  res.type(EXPORT_FORMATS[format])
+    .set('Content-Disposition', `inline; filename="${name}.${extension}"`)
+    .send(body);
+};
+
+// Header label for a column, e.g. "x (m)"
+const unitLabel = (field, unit) => (unit ? `${field} (${unit})` : field);
+
+// CSV with a header row; cells holding commas, quotes or line breaks are quoted
+const toCsv = (header, rows) => {
+  const cell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [header, ...rows].map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+};
+
+const escapeXml = (text) => String(text).replace(/[<>&"']/g, char => (
+  { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', '\'': '&apos;' }[char]
+));
+
+// Round tick values (1, 2 or 5 × 10^n apart) covering [min, max]
+const niceTicks = (min, max, count = 6) => {
+  const rough = (max - min) / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough);
+  const ticks = [];
+  for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+    ticks.push(parseFloat(value.toPrecision(12)));
+  }
+  return ticks;
+};
+
+const SVG_COLORS = ['#1f77b4', '#d62728', '#2ca02c', '#ff7f0e', '#9467bd', '#8c564b', '#e377c2', '#17becf'];
+
+// Self-contained SVG chart of height against horizontal distance
+// series: [{ name, points: [[distance, height], ...] }]
+// markers: [{ x, y, label }] annotate points; lines: [{ point: [x, y], direction: [dx, dy] }]
+// draw the ground and walls across the plot
+const toSvg = ({ title, xLabel, yLabel, series, markers = [], lines = [] }) => {
+  const width = 800;
+  const height = 450;
+  const margin = { left: 70, right: 20, top: 40, bottom: 50 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+  
+  const xs = [...series.flatMap(line => line.points.map(point => point[0])), ...markers.map(marker => marker.x), 0];
+  const ys = [...series.flatMap(line => line.points.map(point => point[1])), ...markers.map(marker => marker.y), 0];
+  const bounds = (values) => {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const pad = (max - min || Math.abs(max) || 1) * 0.05;
+    return [min - (min < 0 ? pad : 0), max + pad];
+  };
+  const [xMin, xMax] = bounds(xs);
+  const [yMin, yMax] = bounds(ys);
+  const sx = (x) => margin.left + (x - xMin) / (xMax - xMin) * plotWidth;
+  const sy = (y) => margin.top + plotHeight - (y - yMin) / (yMax - yMin) * plotHeight;
+  const f = (value) => parseFloat(value.toFixed(2));
+  
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="12">`,
+    `<title>${escapeXml(title)}</title>`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    `<defs><clipPath id="plot"><rect x="${margin.left}" y="${margin.top}" width="${plotWidth}" height="${plotHeight}"/></clipPath></defs>`,
+    `<text x="${width / 2}" y="24" text-anchor="middle" font-size="16">${escapeXml(title)}</text>`
+  ];
+  
+  niceTicks(xMin, xMax).forEach(tick => {
+    parts.push(`<line x1="${f(sx(tick))}" y1="${margin.top}" x2="${f(sx(tick))}" y2="${margin.top + plotHeight}" stroke="#eeeeee"/>`);
+    parts.push(`<text x="${f(sx(tick))}" y="${margin.top + plotHeight + 16}" text-anchor="middle">${tick}</text>`);
+  });
+  niceTicks(yMin, yMax).forEach(tick => {
+    parts.push(`<line x1="${margin.left}" y1="${f(sy(tick))}" x2="${margin.left + plotWidth}" y2="${f(sy(tick))}" stroke="#eeeeee"/>`);
+    parts.push(`<text x="${margin.left - 6}" y="${f(sy(tick) + 4)}" text-anchor="end">${tick}</text>`);
+  });
+  parts.push(`<rect x="${margin.left}" y="${margin.top}" width="${plotWidth}" height="${plotHeight}" fill="none" stroke="#333333"/>`);
+  parts.push(`<text x="${margin.left + plotWidth / 2}" y="${height - 10}" text-anchor="middle">${escapeXml(xLabel)}</text>`);
+  parts.push(`<text transform="translate(18 ${margin.top + plotHeight / 2}) rotate(-90)" text-anchor="middle">${escapeXml(yLabel)}</text>`);
+  
+  const span = (xMax - xMin) + (yMax - yMin);
+  lines.forEach(({ point: [x, y], direction: [dx, dy] }) => {
+    const length = Math.sqrt(dx * dx + dy * dy) || 1;
+    const [ux, uy] = [dx / length * span, dy / length * span];
+    parts.push(`<line x1="${f(sx(x - ux))}" y1="${f(sy(y - uy))}" x2="${f(sx(x + ux))}" y2="${f(sy(y + uy))}" stroke="#8b5a2b" stroke-width="2" clip-path="url(#plot)"/>`);
+  });
+  
+  series.forEach((line, i) => {
+    const color = SVG_COLORS[i % SVG_COLORS.length];
+    const points = line.points.map(([x, y]) => `${f(sx(x))},${f(sy(y))}`).join(' ');
+    parts.push(`<polyline points="${points}" fill="none" stroke="${color}" stroke-width="2" clip-path="url(#plot)"><title>${escapeXml(line.name)}</title></polyline>`);
+    if (series.length > 1) {
+      const y = margin.top + 14 + i * 16;
+      parts.push(`<line x1="${margin.left + plotWidth - 120}" y1="${y - 4}" x2="${margin.left + plotWidth - 100}" y2="${y - 4}" stroke="${color}" stroke-width="2"/>`);
+      parts.push(`<text x="${margin.left + plotWidth - 94}" y="${y}">${escapeXml(line.name)}</text>`);
+    }
+  });
+  
+  // Labels in the right part of the plot extend leftwards so they stay inside it
+  markers.forEach(({ x, y, label }) => {
+    const leftwards = sx(x) > margin.left + plotWidth * 0.6;
+    parts.push(`<circle cx="${f(sx(x))}" cy="${f(sy(y))}" r="4" fill="#000000"/>`);
+    parts.push(`<text x="${f(sx(x) + (leftwards ? -6 : 6))}" y="${f(sy(y) - 8)}" text-anchor="${leftwards ? 'end' : 'start'}">${escapeXml(label)}</text>`);
+  });
+  
+  parts.push('</svg>');
+  return parts.join('\n') + '\n';
+};
+
+// Unit sphere for glTF exports: positions double as normals
+const sphereMesh = (segments = 16, rings = 12) => {
+  const positions = [];
+  const indices = [];
+  for (let ring = 0; ring <= rings; ring++) {
+    const theta = ring * Math.PI / rings;
+    for (let segment = 0; segment <= segments; segment++) {
+      const phi = segment * 2 * Math.PI / segments;
+      positions.push(Math.sin(theta) * Math.cos(phi), Math.cos(theta), Math.sin(theta) * Math.sin(phi));
+    }
+  }
+  for (let ring = 0; ring < rings; ring++) {
+    for (let segment = 0; segment < segments; segment++) {
+      const a = ring * (segments + 1) + segment;
+      const b = a + segments + 1;
+      indices.push(a, a + 1, b, b, a + 1, b + 1);
+    }
+  }
+  return { positions: new Float32Array(positions), indices: new Uint16Array(indices) };
+};
+
+// glTF 2.0 document animating one sphere per track along its keyframes
+// tracks: [{ name, radius, keyframes: [{ time, x, y, z }] }] in s and m with y up.
+// The binary data is embedded as a base64 data URI so the file loads on its own.
+const toGltf = (name, tracks) => {
+  const chunks = [];
+  const bufferViews = [];
+  const accessors = [];
+  let byteLength = 0;
+  const components = { SCALAR: 1, VEC3: 3 };
+  const addAccessor = (array, type, extra = {}, target) => {
+    const bytes = Buffer.from(array.buffer, array.byteOffset, array.byteLength);
+    const padding = (4 - (bytes.length % 4)) % 4;
+    bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.length, ...(target ? { target } : {}) });
+    chunks.push(bytes, Buffer.alloc(padding));
+    byteLength += bytes.length + padding;
+    accessors.push({
+      bufferView: bufferViews.length - 1,
+      componentType: array instanceof Uint16Array ? 5123 : 5126,
+      count: array.length / components[type],
+      type,
+      ...extra
+    });
+    return accessors.length - 1;
+  };
+  
+  const sphere = sphereMesh();
+  const position = addAccessor(sphere.positions, 'VEC3', { min: [-1, -1, -1], max: [1, 1, 1] }, 34962);
+  const indices = addAccessor(sphere.indices, 'SCALAR', {}, 34963);
+  
+  const nodes = [];
+  const samplers = [];
+  const channels = [];
+  tracks.forEach(({ name: trackName, radius, keyframes }) => {
+    // Animation inputs must strictly increase, so keyframes sharing a rounded time collapse
+    const frames = keyframes.filter((frame, i) => i === 0 || frame.time > keyframes[i - 1].time);
+    const times = new Float32Array(frames.map(frame => frame.time));
+    const translations = new Float32Array(frames.flatMap(frame => [frame.x, frame.y, frame.z || 0]));
+    
+    nodes.push({
+      name: String(trackName),
+      mesh: 0,
+      scale: [radius, radius, radius],
+      translation: Array.from(translations.slice(0, 3))
+    });
+    samplers.push({
+      input: addAccessor(times, 'SCALAR', { min: [times[0]], max: [times[times.length - 1]] }),
+      output: addAccessor(translations, 'VEC3'),
+      interpolation: 'LINEAR'
+    });
+    channels.push({ sampler: samplers.length - 1, target: { node: nodes.length - 1, path: 'translation' } });
+  });
+  
+  return {
+    asset: { version: '2.0', generator: 'Real-World Physics Simulation API' },
+    scene: 0,
+    scenes: [{ name, nodes: nodes.map((_, i) => i) }],
+    nodes,
+    meshes: [{ name: 'sphere', primitives: [{ attributes: { POSITION: position, NORMAL: position }, indices }] }],
+    animations: [{ name, samplers, channels }],
+    buffers: [{ byteLength, uri: `data:application/octet-stream;base64,${Buffer.concat(chunks).toString('base64')}` }],
+    bufferViews,
+    accessors
+  };
+};
+
+// Export a trajectory response: CSV of the points, an SVG plot with the apex and first
+// landing marked, or a glTF animation of the ball. Points follow the requested units,
+// except glTF which is always in meters.
+const exportTrajectory = (res, format, { results, params, customMaterials, unitSystem }) => {
+  const points = results.trajectory;
+  const formatted = formatUnits({ trajectory: points }, OUTPUT_UNITS.trajectory, unitSystem, ['trajectory']);
+  const shown = formatted.trajectory;
+  const units = formatted.units ? formatted.units.trajectory : OUTPUT_UNITS.trajectory.trajectory[0];
+  const distance = (point) => Math.sqrt(point.x ** 2 + (point.z || 0) ** 2);
+  
+  if (format === 'csv') {
+    const fields = Object.keys(shown[0]);
+    return sendExport(res, format, 'trajectory', toCsv(
+      fields.map(field => unitLabel(field, units[field])),
+      shown.map(point => fields.map(field => point[field]))
+    ));
+  }
+  
+  if (format === 'svg') {
+    const apex = shown.reduce((best, point) => (point.y > best.y ? point : best), shown[0]);
+    const landingIndex = points.findIndex(point => point.time >= results.summary.flightTime);
+    const landing = shown[landingIndex >= 0 ? landingIndex : shown.length - 1];
+    const round = (value) => parseFloat(value.toFixed(2));
+    const series = [{ name: params.material, points: shown.map(point => [distance(point), point.y]) }];
+    // Compared models are drawn next to the flight, up to their landing
+    if (results.comparison) {
+      const curves = formatUnits({ series: results.comparison.series }, { series: OUTPUT_UNITS.trajectory.comparison.series }, unitSystem, ['series']).series;
+      ['vacuum', 'linearDrag'].forEach(model => series.push({
+        name: model === 'vacuum' ? 'vacuum' : 'linear drag',
+        points: curves
+          .filter(sample => sample[`${model}X`] !== null)
+          .map(sample => [Math.sqrt(sample[`${model}X`] ** 2 + (sample[`${model}Z`] || 0) ** 2), sample[`${model}Y`]])
+      }));
+    }
+    if (params.terrain) {
+      const terrain = formatUnits({ terrain: params.terrain }, { terrain: [{ x: 'm', y: 'm' }] }, unitSystem, ['terrain']);
+      series.push({ name: 'terrain', points: terrain.terrain.map(point => [point.x, point.y]) });
+    }
+    return sendExport(res, format, 'trajectory', toSvg({
+      title: `Trajectory of ${params.material}`,
+      xLabel: unitLabel('distance', units.x),
+      yLabel: unitLabel('height', units.y),
+      series,
+      markers: [
+        { x: distance(apex), y: apex.y, label: `Apex ${round(apex.y)} ${units.y} at ${round(distance(apex))} ${units.x}` },
+        { x: distance(landing), y: landing.y, label: `Landing ${round(distance(landing))} ${units.x} after ${round(landing.time)} ${units.time}` }
+      ],
+      lines: params.terrain ? [] : [{ point: [0, 0], direction: [1, 0] }]
+    }));
+  }
+  
+  const { radius } = PhysicsEngine.resolveMaterial(params.material, customMaterials);
+  return sendExport(res, format, 'trajectory', JSON.stringify(toGltf('trajectory', [
+    { name: params.material, radius, keyframes: points }
+  ])));
+};
+
+// Export a scene simulation: CSV of every body's timeline, an SVG of the paths with the
+// ground and walls, or a glTF animation of all bodies
+const exportScene = (res, format, { simulation, params }) => {
+  if (format === 'csv') {
+    const fields = ['time', 'x', 'y', 'vx', 'vy', 'angularVelocity', 'speed'];
+    const units = { time: 's', x: 'm', y: 'm', vx: 'm/s', vy: 'm/s', angularVelocity: 'rad/s', speed: 'm/s' };
+    return sendExport(res, format, 'scene', toCsv(
+      ['body', ...fields.map(field => unitLabel(field, units[field]))],
+      simulation.bodies.flatMap(body => body.timeline.map(sample => [body.id, ...fields.map(field => sample[field])]))
+    ));
+  }
+  
+  if (format === 'svg') {
+    const lines = params.walls.map(wall => ({ point: [wall.point.x, wall.point.y], direction: [-wall.normal.y, wall.normal.x] }));
+    if (params.ground !== false) {
+      lines.push({ point: [0, params.ground.height], direction: [1, 0] });
+    }
+    return sendExport(res, format, 'scene', toSvg({
+      title: `Scene of ${simulation.bodies.length} bodies`,
+      xLabel: 'x (m)',
+      yLabel: 'height (m)',
+      series: simulation.bodies.map(body => ({
+        name: String(body.id),
+        points: body.timeline.map(sample => [sample.x, sample.y])
+      })),
+      lines
+    }));
+  }
+  
+  return sendExport(res, format, 'scene', JSON.stringify(toGltf('scene', simulation.bodies.map(body => ({
+    name: body.id,
+    radius: body.radius,
+    keyframes: body.timeline
+  })))));
+};
+
+// Export a time-series simulation (oscillators, inclines): CSV of its samples, an SVG of the
+// plotted columns against time, or a glTF animation of its bodies. CSV and SVG follow the
+// requested units; tracks builds the glTF tracks from the SI samples.
+const exportTimeSeries = (res, format, { name, title, results, seriesUnits, unitSystem, plot, tracks }) => {
+  const formatted = formatUnits({ timeSeries: results.timeSeries }, { timeSeries: [seriesUnits] }, unitSystem, ['timeSeries']);
+  const shown = formatted.timeSeries;
+  const units = formatted.units ? formatted.units.timeSeries : seriesUnits;
+  
+  if (format === 'csv') {
+    const fields = Object.keys(seriesUnits);
+    return sendExport(res, format, name, toCsv(
+      fields.map(field => unitLabel(field, units[field])),
+      shown.map(sample => fields.map(field => sample[field]))
+    ));
+  }
+  
+  if (format === 'svg') {
+    return sendExport(res, format, name, toSvg({
+      title,
+      xLabel: unitLabel('time', units.time),
+      yLabel: unitLabel(plot.label, units[plot.fields[0]]),
+      series: plot.fields.map(field => ({ name: field, points: shown.map(sample => [sample.time, sample[field]]) })),
+      lines: [{ point: [0, 0], direction: [1, 0] }]
+    }));
+  }
+  
+  return sendExport(res, format, name, JSON.stringify(toGltf(name, tracks(results.timeSeries))));
+};
+
+// Handle a time-series simulation route: convert units, validate, simulate, then answer
+// with JSON in the requested units or an export. simulate(params) runs the engine, with the
+// client's materials in params.customMaterials, and describe(results, params,
+// customMaterials) gives the output units and export options.
+const runTimeSeries = (req, res, { schema, checks, materialPaths, simulate, describe }) => {
+  const { params: converted, system: unitSystem, error: unitError } = convertInputUnits(req.body);
+  if (unitError) {
+    return sendProblem(res, 400, unitError);
+  }
+  
+  const customMaterials = materialStore.list(clientIdOf(req));
+  const { params, errors } = validateRequest(schema, converted, [
+    ...checks,
+    checked => checkMaterials(checked, materialPaths(checked), customMaterials)
+  ]);
+  if (errors) {
+    return sendProblem(res, 400, errors);
+  }
+  
+  const { format, error: formatError } = exportFormatOf(req);
+  if (formatError) {
+    return sendProblem(res, 400, formatError);
+  }
+  
+  const results = simulate({ ...params, customMaterials });
+  const { outputUnits, exportOptions } = describe(results, params, customMaterials);
+  
+  if (format !== 'json') {
+    return exportTimeSeries(res, format, { ...exportOptions, results, seriesUnits: outputUnits.timeSeries[0], unitSystem });
+  }
+  
+  res.json({
+    success: true,
+    results: formatUnits({ ...results, parameters: req.body }, outputUnits, unitSystem, ['timeSeries'])
+  });
+};
+
+// API title, version and description shared by the OpenAPI document and the docs page
+const API_INFO = {
+  title: 'Real-World Physics Simulation API',
+  version: '1.0.0',
+  description: 'Calculate trajectories, collisions, and forces for real-world objects'
+};
+
+// Media types the export routes can answer with besides JSON
+const EXPORT_MEDIA_TYPES = Object.values(EXPORT_FORMATS).filter(type => type !== 'application/json');
+
+// ?format= query parameter of the routes that export their results
+const FORMAT_PARAMETER = {
+  name: 'format',
+  in: 'query',
+  description: 'Export the result instead of returning JSON (the Accept header works too)',
+  schema: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'json' }
+};
+
+// Documented example request and (abridged) response for every route, keyed by operationId
+// Arrays of objects in the responses show their first element only
+const ROUTE_EXAMPLES = {
+  getHealth: {
+    response: { status: 'healthy', timestamp: '2024-01-01T12:00:00.000Z', version: '1.0.0' }
+  },
+  listMaterials: {
+    response: {
+      success: true,
+      materials: [
+        {
+          name: 'basketball',
+          builtIn: true,
+          properties: {
+            mass: 0.624,
+            radius: 0.1194,
+            dragCoeff: 0.47,
+            bounciness: 0.85,
+            liftSlope: 1.2,
+            maxLiftCoeff: 0.35,
+            spinDecayTime: 10,
+            inertiaFactor: 0.667
+          }
+        }
+      ],
+      count: 9
+    }
+  },
+  getMaterial: {
+    params: { name: 'tennis' },
+    response: {
+      success: true,
+      material: {
+        name: 'tennis',
+        builtIn: true,
+        properties: {
+          mass: 0.057,
+          radius: 0.0335,
+          dragCoeff: 0.51,
+          bounciness: 0.73,
+          liftSlope: 1,
+          maxLiftCoeff: 0.35,
+          spinDecayTime: 6,
+          inertiaFactor: 0.55
+        }
+      }
+    }
+  },
+  createMaterial: {
+    request: { name: 'beach_ball', mass: 0.1, radius: 0.25, dragCoeff: 0.47, bounciness: 0.8 },
+    response: {
+      success: true,
+      material: {
+        name: 'beach_ball',
+        builtIn: false,
+        properties: {
+          liftSlope: 1,
+          maxLiftCoeff: 0.3,
+          spinDecayTime: 10,
+          inertiaFactor: 0.4,
+          mass: 0.1,
+          radius: 0.25,
+          dragCoeff: 0.47,
+          bounciness: 0.8
+        }
+      }
+    }
+  },
+  updateMaterial: {
+    params: { name: 'beach_ball' },
+    request: { bounciness: 0.7 },
+    response: {
+      success: true,
+      material: {
+        name: 'beach_ball',
+        builtIn: false,
+        properties: {
+          liftSlope: 1,
+          maxLiftCoeff: 0.3,
+          spinDecayTime: 10,
+          inertiaFactor: 0.4,
+          mass: 0.1,
+          radius: 0.25,
+          dragCoeff: 0.47,
+          bounciness: 0.7
+        }
+      }
+    }
+  },
+  deleteMaterial: {
+    params: { name: 'beach_ball' },
+    response: { success: true, deleted: 'beach_ball' }
+  },
+  calculateTrajectory: {
+    request: { initialVelocity: 20, launchAngle: 45, initialHeight: 2, material: 'basketball' },
+    response: {
+      success: true,
+      results: {
+        trajectory: [
+          { time: 0, x: 0, y: 2, vx: 14.142, vy: 14.142, speed: 20 }
+        ],
+        summary: {
+          maxHeight: 9.664,
+          range: 26.633,
+          flightTime: 2.663,
+          landingVelocity: { x: 7.137, y: -12.134, magnitude: 14.078 }
+        },
+        impact: {
+          impactSpeed: 14.078,
+          kineticEnergy: 61.832,
+          impactForce: 1033.462,
+          impactAngle: 59.54,
+          estimatedContactTime: 8.5
+        },
+        integration: {
+          integrator: 'semi_implicit_euler',
+          steps: 267,
+          dt: 0.01,
+          errorEstimate: { method: 'richardson', range: 0.1724, flightTime: 0.0155 }
+        },
+        atmosphere: {
+          launch: {
+            altitude: 2,
+            temperature: 14.99,
+            pressure: 101301,
+            humidity: 0,
+            density: 1.2247,
+            speedOfSound: 340.29
+          },
+          apex: {
+            altitude: 9.66,
+            temperature: 14.94,
+            pressure: 101209,
+            humidity: 0,
+            density: 1.2238,
+            speedOfSound: 340.26
+          },
+          maxMach: 0.0588
+        },
+        parameters: { initialVelocity: 20, launchAngle: 45, initialHeight: 2, material: 'basketball' }
+      }
+    }
+  },
+  solveTarget: {
+    request: {
+      target: { x: 10, y: 3.05 },
+      initialVelocity: 14,
+      material: 'basketball',
+      initialHeight: 2
+    },
+    response: {
+      success: true,
+      results: {
+        reachable: true,
+        solveFor: 'launchAngle',
+        solutions: [
+          {
+            launchAngle: 24.518,
+            initialVelocity: 14,
+            timeToTarget: 0.876,
+            maxHeight: 3.508,
+            velocityAtTarget: { x: 10.301, y: -3.076, magnitude: 10.751 },
+            miss: 0.0003,
+            arc: 'low'
+          }
+        ],
+        parameters: {
+          target: { x: 10, y: 3.05 },
+          initialVelocity: 14,
+          material: 'basketball',
+          initialHeight: 2
+        }
+      }
+    }
+  },
+  optimizeLaunch: {
+    request: {
+      material: 'soccer',
+      initialVelocity: 25,
+      objective: 'range',
+      variables: ['launchAngle'],
+      bounds: { launchAngle: [0, 89] },
+      samples: 5
+    },
+    response: {
+      success: true,
+      results: {
+        objective: 'range',
+        goal: 'maximize',
+        unit: 'm',
+        optimum: { launchAngle: 41.386, initialVelocity: 25, value: 39.8604 },
+        curve: [
+          { launchAngle: 0, value: 0 }
+        ],
+        parameters: {
+          material: 'soccer',
+          initialVelocity: 25,
+          objective: 'range',
+          variables: ['launchAngle'],
+          bounds: { launchAngle: [0, 89] },
+          samples: 5
+        }
+      }
+    }
+  },
+  calculateCollision: {
+    request: {
+      object1: {
+        material: 'basketball',
+        position: { x: 0, y: 0 },
+        velocity: { x: 10, y: 0 },
+        angularVelocity: 0
+      },
+      object2: { material: 'soccer', position: { x: 0.2, y: 0.12 }, velocity: { x: -5, y: 0 } },
+      friction: 0.3
+    },
+    response: {
+      success: true,
+      results: {
+        collision: {
+          object1FinalVelocity: { x: 1.259, y: -3.775 },
+          object2FinalVelocity: { x: 7.684, y: 5.478 },
+          object1FinalAngularVelocity: 15.818,
+          object2FinalAngularVelocity: 24.917,
+          energyLoss: 10.667,
+          energyChange: {
+            object1: { translational: -26.258, rotational: 0.742, total: -25.516 },
+            object2: { translational: 13.772, rotational: 1.077, total: 14.849 }
+          },
+          impulse: {
+            normal: 5.8888,
+            tangential: -0.7861,
+            vector: { x: 5.4541, y: 2.3557 },
+            magnitude: 5.9411
+          },
+          contact: {
+            normal: { x: 0.8575, y: 0.5145 },
+            tangent: { x: -0.5145, y: 0.8575 },
+            separation: 0.0038,
+            approaching: true,
+            sliding: false
+          },
+          restitution: 0.798,
+          impactForce: 594.107
+        },
+        parameters: {
+          object1: {
+            material: 'basketball',
+            position: { x: 0, y: 0 },
+            velocity: { x: 10, y: 0 },
+            angularVelocity: 0
+          },
+          object2: { material: 'soccer', position: { x: 0.2, y: 0.12 }, velocity: { x: -5, y: 0 } },
+          friction: 0.3,
+          contactTime: 0.01
+        }
+      }
+    }
+  },
+  simulateScene: {
+    request: {
+      bodies: [
+        { id: 'cue', material: 'golf', position: { x: 0, y: 0.5 }, velocity: { x: 6, y: 0 } },
+        { id: 'ball', material: 'tennis', position: { x: 1, y: 0.5 } }
+      ],
+      walls: [
+        { point: { x: 2, y: 0 }, normal: { x: -1, y: 0 }, surface: 'wood' }
+      ],
+      duration: 3
+    },
+    response: {
+      success: true,
+      results: {
+        bodies: [
+          {
+            id: 'cue',
+            material: 'golf',
+            mass: 0.046,
+            radius: 0.021,
+            timeline: [
+              { time: 0, x: 0, y: 0.5, vx: 6, vy: 0, angularVelocity: 0, speed: 6 }
+            ],
+            final: {
+              time: 3,
+              x: -0.444,
+              y: 0.021,
+              vx: -0.719,
+              vy: 0,
+              angularVelocity: 34.225,
+              speed: 0.719
+            }
+          }
+        ],
+        events: [
+          {
+            time: 0.158,
+            type: 'sphere-sphere',
+            objects: ['cue', 'ball'],
+            point: { x: 0.967, y: 0.377 },
+            normalSpeed: 5.975,
+            impulse: 0.2669
+          }
+        ],
+        summary: {
+          duration: 3,
+          steps: 3000,
+          dt: 0.001,
+          bodyCount: 2,
+          planeCount: 2,
+          collisions: { sphereSphere: 3, spherePlane: 25 },
+          eventsTruncated: false,
+          energy: { initial: 1.333, final: 0.045, dissipated: 1.288 }
+        },
+        broadPhase: {
+          method: 'uniform_grid',
+          cellSize: 0.067,
+          maxCandidatePairs: 1,
+          averageCandidatePairs: 0.1,
+          allPairs: 1
+        },
+        parameters: {
+          bodies: [
+            { id: 'cue', material: 'golf', position: { x: 0, y: 0.5 }, velocity: { x: 6, y: 0 } }
+          ],
+          walls: [
+            { point: { x: 2, y: 0 }, normal: { x: -1, y: 0 }, surface: 'wood' }
+          ],
+          duration: 3
+        }
+      }
+    }
+  },
+  calculateForces: {
+    request: { velocity: { x: 30, y: 5 }, material: 'baseball', spinRate: 1800 },
+    response: {
+      success: true,
+      results: {
+        forces: {
+          gravity: { magnitude: 1.42245, direction: 'downward', vector: { x: 0, y: -1.42245 } },
+          airResistance: { magnitude: 0.731, direction: 'opposite to velocity', vector: { x: -0.721, y: -0.12 } },
+          magnus: {
+            magnitude: 0.614,
+            direction: 'perpendicular to velocity and spin axis',
+            vector: { x: -0.101, y: 0.606 },
+            liftCoefficient: 0.2521,
+            spinParameter: 0.2293
+          },
+          buoyancy: { magnitude: 0.00255, direction: 'upward', vector: { x: 0, y: 0.002549711969175905 } },
+          net: { magnitude: 1.244, vector: { x: -0.822, y: -0.934 } }
+        },
+        atmosphere: {
+          altitude: 0,
+          temperature: 15,
+          pressure: 101325,
+          humidity: 0,
+          density: 1.225,
+          speedOfSound: 340.3,
+          mach: 0.0894
+        },
+        parameters: { velocity: { x: 30, y: 5 }, material: 'baseball', spinRate: 1800 }
+      }
+    }
+  },
+  quickThrow: {
+    request: { scenario: 'balcony_ball', velocity: 8 },
+    response: {
+      success: true,
+      scenario: 'balcony_ball',
+      results: {
+        landingDistance: 11.46,
+        flightTime: 1.72,
+        maxHeight: 10.2,
+        impactSpeed: 13.688,
+        impactForce: 1004.847,
+        safetyWarning: 'High impact force - exercise caution'
+      }
+    }
+  },
+  runBatch: {
+    request: {
+      sweep: {
+        type: 'trajectory',
+        base: { material: 'soccer', initialVelocity: 25 },
+        variables: { launchAngle: { from: 30, to: 60, step: 15 }, windSpeed: [0, 5] }
+      }
+    },
+    response: {
+      success: true,
+      results: {
+        jobs: [
+          {
+            id: 0,
+            type: 'trajectory',
+            success: true,
+            summary: {
+              maxHeight: 6.316,
+              range: 36.983,
+              flightTime: 2.261,
+              landingVelocity: { x: 12.628, y: -10.222, magnitude: 16.247 }
+            },
+            impact: {
+              impactSpeed: 16.247,
+              kineticEnergy: 56.751,
+              impactForce: 931.478,
+              impactAngle: 38.99,
+              estimatedContactTime: 7.5
+            }
+          }
+        ],
+        grid: {
+          axes: { launchAngle: [30, 45, 60], windSpeed: [0, 5] },
+          columns: ['launchAngle', 'windSpeed', 'range', 'maxHeight', 'flightTime', 'impactSpeed', 'impactForce'],
+          units: { range: 'm', maxHeight: 'm', flightTime: 's', impactSpeed: 'm/s', impactForce: 'N' },
+          rows: [
+            [30, 0, 36.983, 6.316, 2.261, 16.247, 931.478]
+          ]
+        },
+        summary: { jobCount: 6, succeeded: 6, failed: 0 }
+      }
+    }
+  },
+  analyzeUncertainty: {
+    request: {
+      base: { initialVelocity: 20, launchAngle: 45, material: 'basketball' },
+      distributions: {
+        initialVelocity: { type: 'normal', sd: 0.5 },
+        launchAngle: { type: 'uniform', min: 42, max: 48 },
+        dragCoeff: { type: 'normal', sd: 0.03 }
+      },
+      samples: 200,
+      seed: 42,
+      target: { type: 'circle', x: 27, radius: 1 }
+    },
+    response: {
+      success: true,
+      parameters: {
+        base: { initialVelocity: 20, launchAngle: 45, material: 'basketball' },
+        distributions: {
+          initialVelocity: { type: 'normal', sd: 0.5 },
+          launchAngle: { type: 'uniform', min: 42, max: 48 },
+          dragCoeff: { type: 'normal', sd: 0.03 }
+        },
+        samples: 200,
+        seed: 42,
+        target: { type: 'circle', x: 27, radius: 1 }
+      },
+      results: {
+        samples: 200,
+        failed: 0,
+        seed: 42,
+        landing: {
+          mean: { x: 25.304, z: 0 },
+          standardDeviation: { x: 1.006, z: 0 },
+          covariance: [[1.0117, 0], [0, 0]],
+          correlation: 0,
+          ellipses: [
+            { level: 50, semiMajor: 0.79, semiMinor: 0, orientation: 0 }
+          ]
+        },
+        maxHeight: {
+          mean: 7.645,
+          standardDeviation: 0.519,
+          min: 6.535,
+          max: 9.034,
+          percentiles: { p5: 6.854, p25: 7.259, p50: 7.594, p75: 7.982, p95: 8.587 },
+          histogram: {
+            edges: [6.535, 6.66, 6.785, 6.91, 7.035, 7.16, 7.285, 7.41, 7.535, 7.66, 7.785, 7.909, 8.034, 8.159, 8.284, 8.409, 8.534, 8.659, 8.784, 8.909, 9.034],
+            counts: [4, 2, 9, 6, 14, 21, 14, 23, 13, 19, 17, 13, 11, 11, 6, 3, 8, 2, 2, 2]
+          }
+        },
+        impactForce: {
+          mean: 977.633,
+          standardDeviation: 21.37,
+          min: 933.842,
+          max: 1035.057,
+          percentiles: { p5: 943.509, p25: 961.836, p50: 978.489, p75: 993.261, p95: 1014.75 },
+          histogram: {
+            edges: [933.842, 938.903, 943.963, 949.024, 954.085, 959.146, 964.207, 969.267, 974.328, 979.389, 984.449, 989.51, 994.571, 999.632, 1004.692, 1009.753, 1014.814, 1019.875, 1024.936, 1029.996, 1035.057],
+            counts: [3, 9, 9, 15, 7, 12, 16, 15, 17, 17, 19, 19, 11, 14, 4, 3, 3, 4, 2, 1]
+          }
+        },
+        units: { landing: 'm', covariance: 'm²', maxHeight: 'm', impactForce: 'N' },
+        target: { type: 'circle', x: 27, radius: 1, hits: 58, probability: 0.29, standardError: 0.0321 }
+      }
+    }
+  },
+  simulatePendulum: {
+    request: { length: 1, initialAngle: 60, material: 'baseball', duration: 5, sampleInterval: 0.5 },
+    response: {
+      success: true,
+      results: {
+        model: 'large_angle',
+        material: 'baseball',
+        mass: 0.145,
+        length: 1,
+        motion: 'oscillating',
+        amplitude: 60,
+        period: { smallAngle: 2.0061, analytic: 2.1529, measured: 2.1529, frequency: 0.4645, crossings: 2 },
+        damping: {
+          coefficient: 0,
+          ratio: 0,
+          regime: 'undamped',
+          dampedFrequency: 0.4985,
+          dampedPeriod: 2.0061,
+          qualityFactor: null,
+          logarithmicDecrement: 0
+        },
+        energy: { initial: 0.7112, final: 0.7112, dissipated: 0, remainingFraction: 1, decayTime: null },
+        timeSeries: [
+          { time: 0, angle: 60, angularVelocity: 0, x: 0.866, y: -0.5, energy: 0.7112 }
+        ],
+        integration: { integrator: 'rk4', steps: 5000, dt: 0.001 },
+        parameters: { length: 1, initialAngle: 60, material: 'baseball', duration: 5, sampleInterval: 0.5 }
+      }
+    }
+  },
+  simulateSpring: {
+    request: {
+      mass: 0.5,
+      stiffness: 20,
+      damping: 0.4,
+      initialDisplacement: 0.05,
+      drive: { amplitude: 0.5, frequency: 1.2 },
+      duration: 10
+    },
+    response: {
+      success: true,
+      results: {
+        material: 'custom',
+        mass: 0.5,
+        stiffness: 20,
+        natural: { angularFrequency: 6.3246, frequency: 1.0066, period: 0.9935 },
+        period: { measured: 0.8491, frequency: 1.1777, crossings: 11 },
+        damping: {
+          coefficient: 0.4,
+          ratio: 0.063246,
+          regime: 'underdamped',
+          dampedFrequency: 1.0046,
+          dampedPeriod: 0.9955,
+          qualityFactor: 7.906,
+          logarithmicDecrement: 0.3982
+        },
+        energy: {
+          initial: 0.025,
+          final: 0.0305,
+          dissipated: 0.446,
+          driveWork: 0.4515,
+          remainingFraction: 1.221337,
+          decayTime: 1.25
+        },
+        drive: { amplitude: 0.5, frequency: 1.2 },
+        steadyState: {
+          amplitude: 0.05588,
+          phaseLag: 160.303,
+          amplification: 2.2351,
+          resonanceFrequency: 1.0025,
+          measuredAmplitude: 0.05409
+        },
+        timeSeries: [
+          { time: 0, displacement: 0.05, velocity: 0, energy: 0.025 }
+        ],
+        integration: { integrator: 'rk4', steps: 10000, dt: 0.001 },
+        parameters: {
+          mass: 0.5,
+          stiffness: 20,
+          damping: 0.4,
+          initialDisplacement: 0.05,
+          drive: { amplitude: 0.5, frequency: 1.2 },
+          duration: 10
+        }
+      }
+    }
+  },
+  simulateCoupledOscillators: {
+    request: {
+      masses: [
+        { material: 'bowling', initialDisplacement: 0.1 },
+        { material: 'bowling' }
+      ],
+      springs: [50, 20, 50],
+      duration: 10
+    },
+    response: {
+      success: true,
+      results: {
+        masses: [
+          { material: 'bowling', mass: 7.26 }
+        ],
+        springs: [50, 20, 50],
+        modes: [
+          {
+            mode: 1,
+            angularFrequency: 2.6243,
+            frequency: 0.4177,
+            period: 2.3942,
+            shape: [1, 1],
+            dampingRatio: 0,
+            regime: 'undamped',
+            energyShare: 0.3571,
+            decayTime: null
+          }
+        ],
+        energy: { initial: 0.35, final: 0.35, dissipated: 0, remainingFraction: 1, decayTime: null },
+        timeSeries: [
+          { time: 0, x1: 0.1, x2: 0, v1: 0, v2: 0, energy: 0.35 }
+        ],
+        integration: { integrator: 'rk4', steps: 10000, dt: 0.001 },
+        parameters: {
+          masses: [
+            { material: 'bowling', initialDisplacement: 0.1 }
+          ],
+          springs: [50, 20, 50],
+          duration: 10
+        }
+      }
+    }
+  },
+  simulateIncline: {
+    request: { angle: 10, surface: 'wood', material: 'bowling', initialVelocity: 4, length: 5, duration: 3, sampleInterval: 0.5 },
+    response: {
+      success: true,
+      results: {
+        shape: 'sphere',
+        material: 'bowling',
+        mass: 7.26,
+        radius: 0.108,
+        inertiaFactor: 0.4,
+        angle: 10,
+        surface: 'wood',
+        friction: { staticFriction: 0.55, kineticFriction: 0.45, rollingResistance: 0.02, source: 'surface' },
+        criticalAngles: { rest: 1.146, rolling: 62.549 },
+        motion: 'slides_then_rolls',
+        outcome: 'reached_foot',
+        phases: [
+          { motion: 'sliding', start: 0, end: 0.296, acceleration: -2.6439, angularAcceleration: 100.635 }
+        ],
+        final: { time: 1.3366, distance: 5, velocity: 4.3398, spin: 40.1836 },
+        energy: {
+          initial: 58.08,
+          final: 33.8784,
+          potentialReleased: 61.8366,
+          frictionLoss: { sliding: 18.6863, rolling: 5.5154, total: 24.2016 }
+        },
+        timeSeries: [
+          { time: 0, distance: 0, x: 0, y: 0, velocity: 4, spin: 0, motion: 'sliding', energy: 58.08, frictionLoss: 0 }
+        ],
+        parameters: { angle: 10, surface: 'wood', material: 'bowling', initialVelocity: 4, length: 5, duration: 3, sampleInterval: 0.5 }
+      }
+    }
+  }
+};
+
+// Every documented route, in registration order; the OpenAPI document is generated from it
+const API_ROUTES = [];
+
+// Register a route together with the documentation the OpenAPI document is built from:
+// operationId, summary, tags, the SCHEMAS key of its body, its success status, the error
+// statuses it adds to the common ones, extra query parameters and extra response media types
+const defineRoute = (method, path, doc, handler) => {
+  API_ROUTES.push({ method, path, ...doc });
+  app[method](path, handler);
+};
+
+// OpenAPI copy of a request schema, without the validator-only keywords
+const toOpenApiSchema = (schema) => {
+  if (Array.isArray(schema)) {
+    return schema.map(toOpenApiSchema);
+  }
+  if (!matchesType(schema, 'object')) {
+    return schema;
+  }
+  return Object.fromEntries(Object.entries(schema)
+    .filter(([key]) => key !== 'errorMessage')
+    .map(([key, value]) => [key, ['default', 'examples', 'enum', 'const'].includes(key) ? value : toOpenApiSchema(value)]));
+};
+
+// Response schema inferred from an example response
+const schemaFromExample = (value) => {
+  if (Array.isArray(value)) {
+    return { type: 'array', items: value.length > 0 ? schemaFromExample(value[0]) : {} };
+  }
+  if (value === null) {
+    return {};
+  }
+  if (typeof value === 'object') {
+    return {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(value).map(([key, item]) => [key, schemaFromExample(item)]))
+    };
+  }
+  return { type: typeof value };
+};
+
+// Problem document sent with every 4xx error (see sendProblem)
+const PROBLEM_SCHEMA = {
+  type: 'object',
+  required: ['type', 'title', 'status', 'detail', 'code', 'errors'],
+  properties: {
+    type: { type: 'string' },
+    title: { type: 'string' },
+    status: { type: 'integer' },
+    detail: { type: 'string', description: 'Detail of the first error' },
+    code: { type: 'string', description: 'Code of the first error' },
+    pointer: { type: 'string', description: 'JSON pointer of the first error' },
+    allowed: { type: 'object', description: 'Allowed values for the first error, where it helps' },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['code', 'pointer', 'detail'],
+        properties: {
+          code: { type: 'string' },
+          pointer: { type: 'string' },
+          detail: { type: 'string' },
+          allowed: { type: 'object' }
+        }
+      }
+    },
+    success: { type: 'boolean', const: false, description: 'Deprecated: kept for clients of the older error format' },
+    error: { type: 'string', description: 'Deprecated: same as detail' }
+  }
+};
+
+const problemResponse = (status) => ({
+  description: http.STATUS_CODES[status],
+  content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } }
+});
+
+// Component name of a request schema, e.g. solveTarget -> SolveTargetRequest
+const requestSchemaName = (key) => `${key[0].toUpperCase()}${key.slice(1)}Request`;
+
+// OpenAPI form of an Express path, e.g. /api/materials/:name -> /api/materials/{name}
+const openApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// OpenAPI operation for one registered route
+const openApiOperation = (route) => {
+  const example = ROUTE_EXAMPLES[route.operationId] || {};
+  const status = route.status || 200;
+  const pathParameters = (route.path.match(/:\w+/g) || []).map(param => ({
+    name: param.slice(1),
+    in: 'path',
+    required: true,
+    schema: { type: 'string' },
+    ...(example.params ? { example: example.params[param.slice(1)] } : {})
+  }));
+  
+  return {
+    operationId: route.operationId,
+    summary: route.summary,
+    ...(route.description ? { description: route.description } : {}),
+    tags: route.tags,
+    parameters: [{ $ref: '#/components/parameters/ClientId' }, ...pathParameters, ...(route.query || [])],
+    ...(route.schema ? {
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: { $ref: `#/components/schemas/${requestSchemaName(route.schema)}` },
+            ...(example.request ? { example: example.request } : {})
+          }
+        }
+      }
+    } : {}),
+    responses: {
+      [status]: {
+        description: http.STATUS_CODES[status],
+        content: {
+          [route.type || 'application/json']: example.response
+            ? { schema: schemaFromExample(example.response), example: example.response }
+            : { schema: {} },
+          ...Object.fromEntries((route.produces || []).map(type => [type, { schema: { type: 'string' } }]))
+        }
+      },
+      ...Object.fromEntries([400, ...(route.errors || []), 429].map(code => [code, problemResponse(code)]))
+    }
+  };
+};
+
+// Generate the OpenAPI 3.1 document from the registered routes and the request schemas
+const buildOpenApi = () => {
+  const paths = {};
+  API_ROUTES.forEach(route => {
+    const path = openApiPath(route.path);
+    paths[path] = { ...paths[path], [route.method]: openApiOperation(route) };
+  });
+  
+  return {
+    openapi: '3.1.0',
+    info: API_INFO,
+    tags: [...new Set(API_ROUTES.flatMap(route => route.tags))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas: {
+        ...Object.fromEntries(Object.entries(SCHEMAS).map(([key, schema]) => [requestSchemaName(key), toOpenApiSchema(schema)])),
+        Problem: PROBLEM_SCHEMA
+      },
+      parameters: {
+        ClientId: {
+          name: 'X-Client-Id',
+          in: 'header',
+          description: 'Namespace for custom materials; requests without it share the default namespace',
+          schema: { type: 'string', pattern: CLIENT_ID_PATTERN.source }
+        }
+      }
+    }
+  };
+};
+
+// The document is generated once, on first use, after every route has been registered
+let openApiDocument = null;
+const getOpenApi = () => {
+  if (!openApiDocument) {
+    openApiDocument = buildOpenApi();
+  }
+  return openApiDocument;
+};
+
+// Documented operations as 'METHOD /path' entries
+const endpointsOf = (spec) => Object.entries(spec.paths).flatMap(([path, operations]) => (
+  Object.entries(operations).map(([method, operation]) => ({ endpoint: `${method.toUpperCase()} ${path}`, path, method, operation }))
+));
+
+// Reject malformed client ids before they reach the material store
+app.use('/api/', (req, res, next) => {
+  const clientId = req.get('X-Client-Id');
+  if (clientId !== undefined && !CLIENT_ID_PATTERN.test(clientId)) {
+    return sendProblem(res, 400, fieldError('invalid_format', '',
+      'X-Client-Id must be 1-64 letters, digits, ., - or _ and start with a letter or digit',
+      { pattern: CLIENT_ID_PATTERN.source }));
+  }
+  next();
+});
+
+// API Routes
+
+// Health check
+defineRoute('get', '/api/health', {
+  operationId: 'getHealth',
+  tags: ['Meta'],
+  summary: 'Check API health status'
+}, (req, res) => {
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    version: '1.0.0'
+  });
+});
+
+// Get available materials: the built-in library plus the client's own
+defineRoute('get', '/api/materials', {
+  operationId: 'listMaterials',
+  tags: ['Materials'],
+  summary: 'List the built-in materials and your custom materials'
+}, (req, res) => {
+  const customMaterials = materialStore.list(clientIdOf(req));
+  const materialsInfo = [
+    ...Object.keys(MATERIALS).map(key => ({
+      name: key,
+      builtIn: true,
+      properties: MATERIALS[key]
+    })),
+    ...Object.keys(customMaterials).map(key => ({
+      name: key,
+      builtIn: false,
+      properties: customMaterials[key]
+    }))
+  ];
+  
+  res.json({
+    success: true,
+    materials: materialsInfo,
+    count: materialsInfo.length
+  });
+});
+
+// Get a single material by name
+defineRoute('get', '/api/materials/:name', {
+  operationId: 'getMaterial',
+  tags: ['Materials'],
+  summary: 'Get a single material',
+  errors: [404]
+}, (req, res) => {
+  const { name } = req.params;
+  const customMaterials = materialStore.list(clientIdOf(req));
+  
+  const nameError = validateMaterialName(name, customMaterials, '/name');
+  if (nameError) {
+    return sendProblem(res, 404, nameError);
+  }
+  
+  res.json({
+    success: true,
+    material: {
+      name,
+      builtIn: hasOwn(MATERIALS, name),
+      properties: PhysicsEngine.resolveMaterial(name, customMaterials)
+    }
+  });
+});
+
+// Create a custom material for this client
+defineRoute('post', '/api/materials', {
+  operationId: 'createMaterial',
+  tags: ['Materials'],
+  summary: 'Create a custom material',
+  description: 'Custom materials are namespaced by the X-Client-Id header and persist across restarts.',
+  schema: 'materialCreate',
+  status: 201,
+  errors: [409]
+}, (req, res) => {
+  try {
+    const { params, errors } = validateRequest(SCHEMAS.materialCreate, req.body);
+    if (errors) {
+      return sendProblem(res, 400, errors);
+    }
+    
+    const { name, ...properties } = params;
+    const clientId = clientIdOf(req);
+    
+    if (hasOwn(MATERIALS, name) || materialStore.get(clientId, name)) {
+      return sendProblem(res, 409, fieldError('already_exists', '/name', `Material '${name}' already exists`));
+    }
+    
+    // Optional lift, spin and inertia properties default to the custom material
+    const { liftSlope, maxLiftCoeff, spinDecayTime, inertiaFactor } = MATERIALS.custom;
+    const material = materialStore.set(clientId, name, {
+      liftSlope,
+      maxLiftCoeff,
+      spinDecayTime,
+      inertiaFactor,
+      ...properties
+    });
+    
+    res.status(201).json({
+      success: true,
+      material: { name, builtIn: false, properties: material }
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while saving material',
+      details: error.message
+    });
+  }
+});
+
+// Update some or all properties of a custom material
+defineRoute('put', '/api/materials/:name', {
+  operationId: 'updateMaterial',
+  tags: ['Materials'],
+  summary: 'Update some or all properties of a custom material',
+  schema: 'materialUpdate',
+  errors: [403, 404]
+}, (req, res) => {
+  try {
+    const { name } = req.params;
+    const clientId = clientIdOf(req);
+    const existing = materialStore.get(clientId, name);
+    
+    if (hasOwn(MATERIALS, name)) {
+      return sendProblem(res, 403, fieldError('built_in_material', '/name', `Built-in material '${name}' cannot be modified`));
+    }
+    
+    if (!existing) {
+      return sendProblem(res, 404, validateMaterialName(name, materialStore.list(clientId), '/name'));
+    }
+    
+    const { params, errors } = validateRequest(SCHEMAS.materialUpdate, req.body);
+    if (errors) {
+      return sendProblem(res, 400, errors);
+    }
+    const properties = { ...params };
+    delete properties.name;
+    
+    const material = materialStore.set(clientId, name, { ...existing, ...properties });
+    
+    res.json({
+      success: true,
+      material: { name, builtIn: false, properties: material }
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while saving material',
+      details: error.message
+    });
   }
-  
-  // Calculate impact force and energy
-  static calculateImpact(finalVelocity, material = 'basketball', impactSurface = 'concrete') {
-    const obj = MATERIALS[material] || MATERIALS.custom;
-    const speed = Math.sqrt(finalVelocity.vx * finalVelocity.vx + finalVelocity.vy * finalVelocity.vy);
-    
-    // Kinetic energy at impact
-    const kineticEnergy = 0.5 * obj.mass * speed * speed;
+});
+
+// Delete a custom material
+defineRoute('delete', '/api/materials/:name', {
+  operationId: 'deleteMaterial',
+  tags: ['Materials'],
+  summary: 'Delete a custom material',
+  errors: [403, 404]
+}, (req, res) => {
+  try {
+    const { name } = req.params;
+    const clientId = clientIdOf(req);
     
-    // Impact force estimation (simplified model)
-    // Assuming deceleration over contact time based on material properties
-    const contactTime = obj.bounciness * 0.01; // More bouncy = longer contact
-    const impactForce = obj.mass * speed / contactTime;
+    if (hasOwn(MATERIALS, name)) {
+      return sendProblem(res, 403, fieldError('built_in_material', '/name', `Built-in material '${name}' cannot be deleted`));
+    }
     
-    // Surface hardness factor
-    const surfaceFactors = {
-      concrete: 1.0,
-      grass: 0.7,
-      sand: 0.5,
-      water: 0.3,
-      wood: 0.8,
-      metal: 1.2
-    };
+    if (!materialStore.remove(clientId, name)) {
+      return sendProblem(res, 404, validateMaterialName(name, materialStore.list(clientId), '/name'));
+    }
     
-    const surfaceFactor = surfaceFactors[impactSurface] || 1.0;
-    const adjustedForce = impactForce * surfaceFactor;
+    res.json({
+      success: true,
+      deleted: name
+    });
     
-    return {
-      impactSpeed: parseFloat(speed.toFixed(3)),
-      kineticEnergy: parseFloat(kineticEnergy.toFixed(3)),
-      impactForce: parseFloat(adjustedForce.toFixed(3)),
-      impactAngle: parseFloat((Math.atan2(Math.abs(finalVelocity.vy), Math.abs(finalVelocity.vx)) * 180 / Math.PI).toFixed(2)),
-      estimatedContactTime: parseFloat((contactTime * 1000).toFixed(2)) // in milliseconds
-    };
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while deleting material',
+      details: error.message
+    });
   }
-  
-  // Calculate collision between two objects
-  static calculateCollision(obj1, obj2) {
-    const {
-      mass1 = 1, velocity1 = { x: 10, y: 0 },
-      mass2 = 1, velocity2 = { x: -5, y: 0 },
-      restitution = 0.8 // coefficient of restitution
-    } = { ...obj1, ...obj2 };
-    
-    // Conservation of momentum and energy for elastic collision
-    const totalMass = mass1 + mass2;
-    const relativeVelocity = {
-      x: velocity1.x - velocity2.x,
-      y: velocity1.y - velocity2.y
-    };
+});
+
+// Calculate projectile trajectory
+defineRoute('post', '/api/trajectory', {
+  operationId: 'calculateTrajectory',
+  tags: ['Flight'],
+  summary: 'Calculate projectile motion trajectory',
+  description: 'Set stream to ndjson or sse (or accept application/x-ndjson or text/event-stream) to receive ' +
+    'start, point and summary events while the flight is computed. format exports the result instead.',
+  schema: 'trajectory',
+  query: [FORMAT_PARAMETER],
+  produces: ['application/x-ndjson', 'text/event-stream', ...EXPORT_MEDIA_TYPES]
+}, (req, res) => {
+  try {
+    const { params: converted, system: unitSystem, error: unitError } = convertInputUnits(req.body);
+    if (unitError) {
+      return sendProblem(res, 400, unitError);
+    }
     
-    // Final velocities after collision
-    const v1Final = {
-      x: velocity1.x - (2 * mass2 / totalMass) * relativeVelocity.x * restitution,
-      y: velocity1.y - (2 * mass2 / totalMass) * relativeVelocity.y * restitution
-    };
+    // Clients can also ask for a stream through the Accept header
+    const accepted = STREAM_FORMATS[req.accepts(['application/json', ...Object.keys(STREAM_FORMATS)])];
+    const body = accepted && matchesType(converted, 'object') ? { stream: accepted, ...converted } : converted;
     
-    const v2Final = {
-      x: velocity2.x + (2 * mass1 / totalMass) * relativeVelocity.x * restitution,
-      y: velocity2.y + (2 * mass1 / totalMass) * relativeVelocity.y * restitution
-    };
+    const customMaterials = materialStore.list(clientIdOf(req));
+    const { params, errors } = validateRequest(SCHEMAS.trajectory, body, [
+      checkTrajectoryOutput,
+      checkFlightLength,
+      checkSpinAxis,
+      checkSurroundings,
+      checkTargets,
+      checked => checkMaterials(checked, ['/material'], customMaterials)
+    ]);
+    if (errors) {
+      return sendProblem(res, 400, errors);
+    }
     
-    // Energy calculations
-    const initialKE = 0.5 * mass1 * (velocity1.x**2 + velocity1.y**2) + 
-                     0.5 * mass2 * (velocity2.x**2 + velocity2.y**2);
-    const finalKE = 0.5 * mass1 * (v1Final.x**2 + v1Final.y**2) + 
-                   0.5 * mass2 * (v2Final.x**2 + v2Final.y**2);
+    const { format, error: formatError } = exportFormatOf(req);
+    if (formatError) {
+      return sendProblem(res, 400, formatError);
+    }
     
-    return {
-      object1FinalVelocity: {
-        x: parseFloat(v1Final.x.toFixed(3)),
-        y: parseFloat(v1Final.y.toFixed(3))
-      },
-      object2FinalVelocity: {
-        x: parseFloat(v2Final.x.toFixed(3)),
-        y: parseFloat(v2Final.y.toFixed(3))
-      },
-      energyLoss: parseFloat((initialKE - finalKE).toFixed(3)),
-      impactForce: parseFloat((mass1 * Math.sqrt(relativeVelocity.x**2 + relativeVelocity.y**2) / 0.01).toFixed(3))
-    };
-  }
-  
-  // Calculate forces acting on an object
-  static calculateForces(params) {
-    const {
-      mass = 1,
-      velocity = { x: 0, y: 0 },
-      height = 0,
-      material = 'basketball',
-      includeAirResistance = true
-    } = params;
-    
-    const obj = MATERIALS[material] || MATERIALS.custom;
-    const forces = {};
-    
-    // Gravitational force
-    forces.gravity = {
-      magnitude: obj.mass * PHYSICS_CONSTANTS.GRAVITY,
-      direction: 'downward',
-      vector: { x: 0, y: -obj.mass * PHYSICS_CONSTANTS.GRAVITY }
+    if (params.stream) {
+      if (format !== 'json') {
+        return sendProblem(res, 400, fieldError('conflicting_fields', '/stream', `A stream cannot be exported as ${format}`));
+      }
+      return streamTrajectory(req, res, { params, customMaterials, unitSystem });
+    }
+    
+    const results = {
+      ...trajectoryResults(params, customMaterials),
+      parameters: req.body
     };
+    const limitError = truncatedFlightError(results.integration);
+    if (limitError) {
+      return sendProblem(res, 400, limitError);
+    }
     
-    // Air resistance (drag)
-    if (includeAirResistance) {
-      const speed = Math.sqrt(velocity.x**2 + velocity.y**2);
-      const crossSectionalArea = Math.PI * obj.radius * obj.radius;
-      const dragMagnitude = 0.5 * obj.dragCoeff * PHYSICS_CONSTANTS.AIR_DENSITY * 
-                           crossSectionalArea * speed * speed;
-      
-      forces.airResistance = {
-        magnitude: parseFloat(dragMagnitude.toFixed(3)),
-        direction: 'opposite to velocity',
-        vector: {
-          x: speed > 0 ? parseFloat((-dragMagnitude * velocity.x / speed).toFixed(3)) : 0,
-          y: speed > 0 ? parseFloat((-dragMagnitude * velocity.y / speed).toFixed(3)) : 0
-        }
-      };
+    if (format !== 'json') {
+      return exportTrajectory(res, format, { results, params, customMaterials, unitSystem });
     }
     
-    // Buoyant force (simplified for air)
-    const airBuoyancy = PHYSICS_CONSTANTS.AIR_DENSITY * PHYSICS_CONSTANTS.GRAVITY * 
-                       (4/3 * Math.PI * obj.radius**3);
+    res.json({
+      success: true,
+      results: formatUnits(results, OUTPUT_UNITS.trajectory, unitSystem, ['trajectory'])
+    });
     
-    forces.buoyancy = {
-      magnitude: parseFloat(airBuoyancy.toFixed(6)),
-      direction: 'upward',
-      vector: { x: 0, y: airBuoyancy }
-    };
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during trajectory calculation',
+      details: error.message
+    });
+  }
+});
+
+// Solve for the launch angle(s) or speed that hit a target point
+defineRoute('post', '/api/solve/target', {
+  operationId: 'solveTarget',
+  tags: ['Flight'],
+  summary: 'Find the launch angle(s) or speed that hit a target point',
+  schema: 'solveTarget'
+}, (req, res) => {
+  try {
+    const customMaterials = materialStore.list(clientIdOf(req));
+    const { params, errors } = validateRequest(SCHEMAS.solveTarget, req.body, [
+      checkSolveTarget,
+      checkSpinAxis,
+      checked => checkMaterials(checked, ['/material'], customMaterials)
+    ]);
+    if (errors) {
+      return sendProblem(res, 400, errors);
+    }
     
-    // Net force
-    const netForce = {
-      x: forces.gravity.vector.x + 
-         (forces.airResistance?.vector.x || 0) + 
-         forces.buoyancy.vector.x,
-      y: forces.gravity.vector.y + 
-         (forces.airResistance?.vector.y || 0) + 
-         forces.buoyancy.vector.y
-    };
+    const solution = PhysicsEngine.solveTarget({ ...params, customMaterials });
     
-    forces.net = {
-      magnitude: parseFloat(Math.sqrt(netForce.x**2 + netForce.y**2).toFixed(3)),
-      vector: {
-        x: parseFloat(netForce.x.toFixed(3)),
-        y: parseFloat(netForce.y.toFixed(3))
+    res.json({
+      success: true,
+      results: {
+        ...solution,
+        parameters: req.body
       }
-    };
+    });
     
-    return forces;
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during target solving',
+      details: error.message
+    });
   }
-}
-
-// API Routes
-
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    version: '1.0.0'
-  });
-});
-
-// Get available materials
-app.get('/api/materials', (req, res) => {
-  const materialsInfo = Object.keys(MATERIALS).map(key => ({
-    name: key,
-    properties: MATERIALS[key]
-  }));
-  
-  res.json({
-    success: true,
-    materials: materialsInfo,
-    count: materialsInfo.length
-  });
 });
 
-// Calculate projectile trajectory
-app.post('/api/trajectory', (req, res) => {
+// Optimize the launch angle and/or speed for a flight objective
+defineRoute('post', '/api/optimize', {
+  operationId: 'optimizeLaunch',
+  tags: ['Flight'],
+  summary: 'Optimize launch angle and/or speed for range, height, hang time or impact force',
+  schema: 'optimize'
+}, (req, res) => {
   try {
-    const params = req.body;
-    
-    // Validation
-    if (!params.initialVelocity || params.initialVelocity <= 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Initial velocity must be greater than 0'
-      });
-    }
-    
-    if (params.launchAngle < -90 || params.launchAngle > 90) {
-      return res.status(400).json({
-        success: false,
-        error: 'Launch angle must be between -90 and 90 degrees'
-      });
+    const customMaterials = materialStore.list(clientIdOf(req));
+    const { params, errors } = validateRequest(SCHEMAS.optimize, req.body, [
+      checkOptimize,
+      checkSpinAxis,
+      checked => checkMaterials(checked, ['/material'], customMaterials)
+    ]);
+    if (errors) {
+      return sendProblem(res, 400, errors);
     }
     
-    const trajectory = PhysicsEngine.calculateTrajectory(params);
-    const finalPoint = trajectory[trajectory.length - 1];
-    const maxHeight = Math.max(...trajectory.map(p => p.y));
-    const range = finalPoint.x;
-    const flightTime = finalPoint.time;
-    
-    // Impact calculations
-    const impact = PhysicsEngine.calculateImpact(
-      { vx: finalPoint.vx, vy: finalPoint.vy },
-      params.material,
-      params.impactSurface
-    );
+    const optimization = PhysicsEngine.optimizeLaunch({ ...params, customMaterials });
     
     res.json({
       success: true,
       results: {
-        trajectory: trajectory,
-        summary: {
-          maxHeight: parseFloat(maxHeight.toFixed(3)),
-          range: parseFloat(range.toFixed(3)),
-          flightTime: parseFloat(flightTime.toFixed(3)),
-          landingVelocity: {
-            x: finalPoint.vx,
-            y: finalPoint.vy,
-            magnitude: finalPoint.speed
-          }
-        },
-        impact: impact,
-        parameters: params
+        ...optimization,
+        parameters: req.body
       }
     });
     
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Internal server error during trajectory calculation',
+      error: 'Internal server error during optimization',
       details: error.message
     });
   }
 });
 
 // Calculate collision between objects
-app.post('/api/collision', (req, res) => {
+defineRoute('post', '/api/collision', {
+  operationId: 'calculateCollision',
+  tags: ['Collisions'],
+  summary: 'Calculate an oblique collision between two spheres with friction and spin',
+  schema: 'collision'
+}, (req, res) => {
   try {
-    const { object1, object2 } = req.body;
-    
-    if (!object1 || !object2) {
-      return res.status(400).json({
-        success: false,
-        error: 'Both object1 and object2 parameters are required'
-      });
+    const customMaterials = materialStore.list(clientIdOf(req));
+    const { params, errors } = validateRequest(SCHEMAS.collision, req.body, [
+      checked => checkMaterials(checked, ['/object1/material', '/object2/material'], customMaterials)
+    ]);
+    if (errors) {
+      return sendProblem(res, 400, errors);
     }
+    const { object1, object2, restitution, friction, contactTime, diagnostics, residualThreshold } = params;
     
-    const collision = PhysicsEngine.calculateCollision(object1, object2);
+    const collision = PhysicsEngine.calculateCollision(object1, object2, {
+      restitution, friction, contactTime, diagnostics, residualThreshold, customMaterials
+    });
     
     res.json({
       success: true,
       results: {
         collision: collision,
-        parameters: { object1, object2 }
+        parameters: { object1, object2, restitution, friction, contactTime, ...(diagnostics ? { diagnostics, residualThreshold } : {}) }
       }
     });
     
@@ -384,20 +4396,83 @@ app.post('/api/collision', (req, res) => {
   }
 });
 
-// Calculate forces acting on object
-app.post('/api/forces', (req, res) => {
+// Simulate a multi-body scene of spheres, ground and walls
+defineRoute('post', '/api/simulate', {
+  operationId: 'simulateScene',
+  tags: ['Collisions'],
+  summary: 'Simulate many bodies colliding with each other, the ground and walls',
+  schema: 'simulate',
+  query: [FORMAT_PARAMETER],
+  produces: EXPORT_MEDIA_TYPES
+}, (req, res) => {
   try {
-    const params = req.body;
-    const forces = PhysicsEngine.calculateForces(params);
+    const customMaterials = materialStore.list(clientIdOf(req));
+    const { params, errors } = validateRequest(SCHEMAS.simulate, req.body, [
+      checkScene,
+      checked => checkMaterials(checked, checked.bodies.map((body, i) => `/bodies/${i}/material`), customMaterials)
+    ]);
+    if (errors) {
+      return sendProblem(res, 400, errors);
+    }
+    
+    const { format, error: formatError } = exportFormatOf(req);
+    if (formatError) {
+      return sendProblem(res, 400, formatError);
+    }
+    
+    const simulation = PhysicsEngine.simulateScene({ ...params, customMaterials });
+    
+    if (format !== 'json') {
+      return exportScene(res, format, { simulation, params });
+    }
     
     res.json({
       success: true,
       results: {
-        forces: forces,
-        parameters: params
+        ...simulation,
+        parameters: req.body
       }
     });
     
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during scene simulation',
+      details: error.message
+    });
+  }
+});
+
+// Calculate forces acting on object
+defineRoute('post', '/api/forces', {
+  operationId: 'calculateForces',
+  tags: ['Flight'],
+  summary: 'Calculate the forces acting on an object',
+  schema: 'forces'
+}, (req, res) => {
+  try {
+    const { params: converted, system: unitSystem, error: unitError } = convertInputUnits(req.body);
+    if (unitError) {
+      return sendProblem(res, 400, unitError);
+    }
+    
+    const customMaterials = materialStore.list(clientIdOf(req));
+    const { params, errors } = validateRequest(SCHEMAS.forces, converted, [
+      checkSpinAxis,
+      checked => checkMaterials(checked, ['/material'], customMaterials)
+    ]);
+    if (errors) {
+      return sendProblem(res, 400, errors);
+    }
+    
+    res.json({
+      success: true,
+      results: formatUnits({
+        ...forceResults(params, customMaterials),
+        parameters: req.body
+      }, OUTPUT_UNITS.forces, unitSystem)
+    });
+    
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -408,46 +4483,84 @@ app.post('/api/forces', (req, res) => {
 });
 
 // Quick calculation endpoint for simple scenarios
-app.post('/api/quick-throw', (req, res) => {
+defineRoute('post', '/api/quick-throw', {
+  operationId: 'quickThrow',
+  tags: ['Flight'],
+  summary: 'Quick calculation for common throwing scenarios',
+  schema: 'quickThrow'
+}, (req, res) => {
   try {
-    const { scenario, height = 0, velocity = 10, angle = 45 } = req.body;
-    
-    // Common scenarios
-    const scenarios = {
-      'balcony_ball': { material: 'basketball', height: 10, angle: 15 },
-      'football_field': { material: 'soccer', height: 0, angle: 30 },
-      'baseball_pitch': { material: 'baseball', height: 1.5, angle: 0 },
-      'paper_airplane': { material: 'paper_airplane', height: 1.5, angle: 10 }
-    };
+    const { params: converted, system: unitSystem, error: unitError } = convertInputUnits(req.body);
+    if (unitError) {
+      return sendProblem(res, 400, unitError);
+    }
+    
+    const { params: body, errors } = validateRequest(SCHEMAS.quickThrow, converted);
+    if (errors) {
+      return sendProblem(res, 400, errors);
+    }
+    
+    const {
+      scenario,
+      height,
+      velocity,
+      angle,
+      mode,
+      azimuth,
+      windSpeed,
+      windDirection
+    } = body;
     
-    const config = scenarios[scenario] || { material: 'basketball' };
+    const config = hasOwn(QUICK_THROW_SCENARIOS, scenario) ? QUICK_THROW_SCENARIOS[scenario] : { material: 'basketball' };
     const params = {
       initialHeight: config.height || height,
-      initialVelocity: velocity,
+      initialVelocity: velocity !== undefined ? velocity : config.velocity || 10,
       launchAngle: config.angle || angle,
+      launchAzimuth: azimuth,
+      mode: mode,
       material: config.material,
-      windSpeed: 0,
-      windDirection: 0
+      windSpeed: windSpeed,
+      windDirection: windDirection,
+      obstacles: config.obstacles,
+      targets: config.targets,
+      estimateError: false
     };
     
-    const trajectory = PhysicsEngine.calculateTrajectory(params);
-    const finalPoint = trajectory[trajectory.length - 1];
+    const { trajectory, firstLanding, apex, events, targets } = PhysicsEngine.calculateTrajectory(params);
+    const landing = firstLanding || trajectory[trajectory.length - 1];
     const impact = PhysicsEngine.calculateImpact(
-      { vx: finalPoint.vx, vy: finalPoint.vy },
+      { vx: landing.vx, vy: landing.vy, vz: landing.vz || 0 },
       params.material
     );
     
+    const results = {
+      landingDistance: parseFloat(Math.sqrt(landing.x ** 2 + (landing.z || 0) ** 2).toFixed(2)),
+      flightTime: parseFloat(landing.time.toFixed(2)),
+      maxHeight: parseFloat(trajectory.reduce((highest, p) => Math.max(highest, p.y), apex ? apex.y : 0).toFixed(2)),
+      impactSpeed: impact.impactSpeed,
+      impactForce: impact.impactForce,
+      safetyWarning: impact.impactForce > 1000 ? 'High impact force - exercise caution' : null
+    };
+    
+    // Sports scenarios report whether the throw scored
+    if (events) {
+      results.events = events;
+      results.targets = targets;
+    }
+    
+    if (mode === '3d') {
+      results.lateralDrift = parseFloat(landing.z.toFixed(2));
+      results.landingVelocity = {
+        x: parseFloat(landing.vx.toFixed(2)),
+        y: parseFloat(landing.vy.toFixed(2)),
+        z: parseFloat(landing.vz.toFixed(2))
+      };
+    }
+    
     res.json({
       success: true,
       scenario: scenario,
-      results: {
-        landingDistance: parseFloat(finalPoint.x.toFixed(2)),
-        flightTime: parseFloat(finalPoint.time.toFixed(2)),
-        maxHeight: parseFloat(Math.max(...trajectory.map(p => p.y)).toFixed(2)),
-        impactSpeed: impact.impactSpeed,
-        impactForce: impact.impactForce,
-        safetyWarning: impact.impactForce > 1000 ? 'High impact force - exercise caution' : null
-      }
+      results: formatUnits(results, OUTPUT_UNITS.quickThrow, unitSystem)
     });
     
   } catch (error) {
@@ -459,47 +4572,344 @@ app.post('/api/quick-throw', (req, res) => {
   }
 });
 
-// API documentation endpoint
-app.get('/api/docs', (req, res) => {
-  res.json({
-    title: 'Real-World Physics Simulation API',
-    version: '1.0.0',
-    description: 'Calculate trajectories, collisions, and forces for real-world objects',
-    endpoints: {
-      'GET /api/health': 'Check API health status',
-      'GET /api/materials': 'Get available material properties',
-      'POST /api/trajectory': 'Calculate projectile motion trajectory',
-      'POST /api/collision': 'Calculate collision between two objects',
-      'POST /api/forces': 'Calculate forces acting on an object',
-      'POST /api/quick-throw': 'Quick calculation for common throwing scenarios'
-    },
-    examples: {
-      trajectory: {
-        initialHeight: 10,
-        initialVelocity: 15,
-        launchAngle: 45,
-        material: 'basketball',
-        windSpeed: 2,
-        windDirection: 90,
-        impactSurface: 'concrete'
-      },
-      collision: {
-        object1: {
-          mass1: 0.624,
-          velocity1: { x: 10, y: 0 }
-        },
-        object2: {
-          mass2: 0.43,
-          velocity2: { x: -5, y: 0 },
-          restitution: 0.8
+// Run many trajectory, collision or force jobs, or a parameter sweep, in one request
+defineRoute('post', '/api/batch', {
+  operationId: 'runBatch',
+  tags: ['Batch'],
+  summary: 'Run many trajectory, collision or force jobs, or a parameter sweep, as one request',
+  schema: 'batch'
+}, (req, res) => {
+  try {
+    const { params, errors } = validateRequest(SCHEMAS.batch, req.body, [checkBatch]);
+    if (errors) {
+      return sendProblem(res, 400, errors);
+    }
+    
+    const customMaterials = materialStore.list(clientIdOf(req));
+    const batch = runBatch(params, customMaterials);
+    if (batch.errors) {
+      return sendProblem(res, 400, batch.errors);
+    }
+    
+    res.json({
+      success: true,
+      results: batch
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during batch calculation',
+      details: error.message
+    });
+  }
+});
+
+// Monte Carlo uncertainty analysis of a trajectory
+defineRoute('post', '/api/trajectory/uncertainty', {
+  operationId: 'analyzeUncertainty',
+  tags: ['Flight'],
+  summary: 'Monte Carlo scatter of landing point, max height and impact force for uncertain inputs',
+  schema: 'uncertainty'
+}, (req, res) => {
+  try {
+    const { params, errors } = validateRequest(SCHEMAS.uncertainty, req.body, [checkUncertaintyTarget]);
+    if (errors) {
+      return sendProblem(res, 400, errors);
+    }
+    
+    const customMaterials = materialStore.list(clientIdOf(req));
+    const prepared = prepareUncertainty(params, customMaterials);
+    if (prepared.errors) {
+      return sendProblem(res, 400, prepared.errors);
+    }
+    
+    const results = runUncertainty(params, prepared, customMaterials);
+    if (results.errors) {
+      return sendProblem(res, 400, results.errors);
+    }
+    
+    res.json({
+      success: true,
+      parameters: req.body,
+      results
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during uncertainty analysis',
+      details: error.message
+    });
+  }
+});
+
+// Swing a pendulum
+defineRoute('post', '/api/oscillators/pendulum', {
+  operationId: 'simulatePendulum',
+  tags: ['Oscillators'],
+  summary: 'Swing a simple or large-angle pendulum',
+  schema: 'pendulum',
+  query: [FORMAT_PARAMETER],
+  produces: EXPORT_MEDIA_TYPES
+}, (req, res) => {
+  try {
+    runTimeSeries(req, res, {
+      schema: SCHEMAS.pendulum,
+      checks: [checkOscillatorRun],
+      materialPaths: () => ['/material'],
+      simulate: (params) => PhysicsEngine.simulatePendulum({ ...params, maxSteps: OSCILLATOR_LIMITS.maxSteps }),
+      describe: (results, params, customMaterials) => ({
+        outputUnits: OUTPUT_UNITS.pendulum,
+        exportOptions: {
+          name: 'pendulum',
+          title: `${results.model === 'simple' ? 'Simple' : 'Large-angle'} pendulum, ${params.length} m`,
+          plot: { label: 'angle', fields: ['angle'] },
+          tracks: (samples) => [{
+            name: results.material,
+            radius: PhysicsEngine.resolveMaterial(params.material, customMaterials).radius,
+            keyframes: samples
+          }]
+        }
+      })
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during pendulum simulation',
+      details: error.message
+    });
+  }
+});
+
+// Simulate a damped, optionally driven spring-mass system
+defineRoute('post', '/api/oscillators/spring', {
+  operationId: 'simulateSpring',
+  tags: ['Oscillators'],
+  summary: 'Simulate a damped, optionally driven mass on a spring',
+  schema: 'spring',
+  query: [FORMAT_PARAMETER],
+  produces: EXPORT_MEDIA_TYPES
+}, (req, res) => {
+  try {
+    runTimeSeries(req, res, {
+      schema: SCHEMAS.spring,
+      checks: [checkOscillatorRun],
+      materialPaths: () => ['/material'],
+      simulate: (params) => PhysicsEngine.simulateSpring({ ...params, maxSteps: OSCILLATOR_LIMITS.maxSteps }),
+      describe: (results, params, customMaterials) => ({
+        outputUnits: OUTPUT_UNITS.spring,
+        exportOptions: {
+          name: 'spring',
+          title: `Spring-mass system, ${results.damping.regime.replace('_', ' ')}`,
+          plot: { label: 'displacement', fields: ['displacement'] },
+          // The mass moves along x about its equilibrium at the origin
+          tracks: (samples) => [{
+            name: results.material,
+            radius: PhysicsEngine.resolveMaterial(params.material, customMaterials).radius,
+            keyframes: samples.map(sample => ({ time: sample.time, x: sample.displacement, y: 0 }))
+          }]
         }
+      })
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during spring simulation',
+      details: error.message
+    });
+  }
+});
+
+// Simulate a chain of masses coupled by springs and find its normal modes
+defineRoute('post', '/api/oscillators/coupled', {
+  operationId: 'simulateCoupledOscillators',
+  tags: ['Oscillators'],
+  summary: 'Simulate masses coupled by springs and find their normal modes',
+  schema: 'coupledOscillators',
+  query: [FORMAT_PARAMETER],
+  produces: EXPORT_MEDIA_TYPES
+}, (req, res) => {
+  try {
+    runTimeSeries(req, res, {
+      schema: SCHEMAS.coupledOscillators,
+      checks: [checkOscillatorRun, checkCoupled],
+      materialPaths: (checked) => checked.masses.map((_, i) => `/masses/${i}/material`),
+      simulate: (params) => PhysicsEngine.simulateCoupled({ ...params, maxSteps: OSCILLATOR_LIMITS.maxSteps }),
+      describe: (results, params, customMaterials) => {
+        const count = params.masses.length;
+        return {
+          outputUnits: { ...OUTPUT_UNITS.coupledOscillators, timeSeries: [coupledSeriesUnits(count)] },
+          exportOptions: {
+            name: 'coupled-oscillators',
+            title: `${count} coupled oscillators`,
+            plot: { label: 'displacement', fields: Array.from({ length: count }, (_, i) => `x${i + 1}`) },
+            // Masses rest 1 m apart along x and move about those positions
+            tracks: (samples) => params.masses.map((body, i) => ({
+              name: `mass-${i + 1}`,
+              radius: PhysicsEngine.resolveMaterial(body.material, customMaterials).radius,
+              keyframes: samples.map(sample => ({ time: sample.time, x: i + 1 + sample[`x${i + 1}`], y: 0 }))
+            }))
+          }
+        };
       }
-    }
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during coupled oscillator simulation',
+      details: error.message
+    });
+  }
+});
+
+// Slide, roll or hold an object on an inclined plane
+defineRoute('post', '/api/incline', {
+  operationId: 'simulateIncline',
+  tags: ['Surfaces'],
+  summary: 'Slide, roll or hold an object on an inclined plane with friction',
+  schema: 'incline',
+  query: [FORMAT_PARAMETER],
+  produces: EXPORT_MEDIA_TYPES
+}, (req, res) => {
+  try {
+    runTimeSeries(req, res, {
+      schema: SCHEMAS.incline,
+      checks: [checkIncline],
+      materialPaths: () => ['/material'],
+      simulate: PhysicsEngine.simulateIncline,
+      describe: (results) => ({
+        outputUnits: OUTPUT_UNITS.incline,
+        exportOptions: {
+          name: 'incline',
+          title: `${results.material} ${results.shape} on a ${results.angle}° ${results.surface} slope`,
+          plot: { label: 'distance', fields: ['distance'] },
+          // The slope runs down from the release point at the origin; a ball sits on it
+          tracks: (samples) => [{
+            name: results.material,
+            radius: results.radius || 0.05,
+            keyframes: samples.map(sample => ({
+              time: sample.time,
+              x: sample.x - (results.radius || 0) * Math.sin((results.angle * Math.PI) / 180),
+              y: sample.y + (results.radius || 0) * Math.cos((results.angle * Math.PI) / 180)
+            }))
+          }]
+        }
+      })
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during incline simulation',
+      details: error.message
+    });
+  }
+});
+
+// Interactive documentation page: every operation with its example request, ready to send
+const docsPage = (spec) => {
+  const operations = endpointsOf(spec).map(({ endpoint, path, method, operation }) => {
+    const body = operation.requestBody && operation.requestBody.content['application/json'];
+    const inputs = operation.parameters.filter(param => param.in === 'path').map(param => (
+      `<label>${escapeXml(param.name)} <input name="${escapeXml(param.name)}" value="${escapeXml(param.example || '')}"></label>`
+    ));
+    return `<section id="${escapeXml(operation.operationId)}">
+<h2><code>${escapeXml(endpoint)}</code></h2>
+<p>${escapeXml(operation.summary)}</p>
+${operation.description ? `<p>${escapeXml(operation.description)}</p>\n` : ''}<form data-method="${method.toUpperCase()}" data-path="${escapeXml(path)}">
+${inputs.map(input => `${input}\n`).join('')}${body ? `<textarea name="body" rows="12">${escapeXml(JSON.stringify(body.example || {}, null, 2))}</textarea>\n` : ''}<button type="submit">Send</button>
+</form>
+<pre class="response"></pre>
+</section>`;
+  });
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(spec.info.title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; }
+section { border-top: 1px solid #ddd; padding: 0.5em 0; }
+textarea { display: block; width: 100%; font-family: monospace; }
+pre { background: #f5f5f5; padding: 0.5em; overflow-x: auto; }
+pre:empty { display: none; }
+</style>
+</head>
+<body>
+<h1>${escapeXml(spec.info.title)} <small>${escapeXml(spec.info.version)}</small></h1>
+<p>${escapeXml(spec.info.description)}. The <a href="/api/openapi.json">OpenAPI document</a> describes every request and response.</p>
+${operations.join('\n')}
+<script>
+document.querySelectorAll('form').forEach(function (form) {
+  form.addEventListener('submit', function (event) {
+    event.preventDefault();
+    var path = form.dataset.path;
+    form.querySelectorAll('input').forEach(function (input) {
+      path = path.replace('{' + input.name + '}', encodeURIComponent(input.value));
+    });
+    var body = form.elements.body ? form.elements.body.value : undefined;
+    var output = form.nextElementSibling;
+    output.textContent = 'Sending...';
+    fetch(path, { method: form.dataset.method, headers: body ? { 'Content-Type': 'application/json' } : {}, body: body })
+      .then(function (response) {
+        return response.text().then(function (text) {
+          output.textContent = response.status + ' ' + response.statusText + '\n\n' + text;
+        });
+      })
+      .catch(function (error) {
+        output.textContent = String(error);
+      });
+  });
+});
+</script>
+</body>
+</html>
+`;
+};
+
+// OpenAPI document generated from the route definitions and request schemas
+defineRoute('get', '/api/openapi.json', {
+  operationId: 'getOpenApi',
+  tags: ['Meta'],
+  summary: 'OpenAPI 3.1 description of this API'
+}, (req, res) => {
+  res.json(getOpenApi());
+});
+
+// API documentation: an interactive page for browsers, a summary of the OpenAPI document otherwise
+defineRoute('get', '/api/docs', {
+  operationId: 'getDocs',
+  tags: ['Meta'],
+  summary: 'API documentation (an interactive page when text/html is accepted)',
+  produces: ['text/html']
+}, (req, res) => {
+  const spec = getOpenApi();
+  if (req.accepts(['application/json', 'text/html']) === 'text/html') {
+    return res.type('html').send(docsPage(spec));
+  }
+  
+  const endpoints = endpointsOf(spec);
+  res.json({
+    ...spec.info,
+    openapi: '/api/openapi.json',
+    endpoints: Object.fromEntries(endpoints.map(({ endpoint, operation }) => [endpoint, operation.summary])),
+    examples: Object.fromEntries(endpoints
+      .filter(({ operation }) => operation.requestBody && operation.requestBody.content['application/json'].example)
+      .map(({ endpoint, operation }) => [endpoint, operation.requestBody.content['application/json'].example]))
   });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendProblem(res, 400, fieldError('invalid_json', '', 'Request body is not valid JSON'));
+  }
+  
   console.error(err.stack);
   res.status(500).json({
     success: false,
@@ -509,27 +4919,19 @@ app.use((err, req, res, next) => {
 });
 
 // 404 handler
-app.use('*wildcard', (req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Endpoint not found',
-    availableEndpoints: [
-      'GET /api/health',
-      'GET /api/materials',
-      'GET /api/docs',
-      'POST /api/trajectory',
-      'POST /api/collision',
-      'POST /api/forces',
-      'POST /api/quick-throw'
-    ]
+app.use((req, res) => {
+  sendProblem(res, 404, fieldError('not_found', '', 'Endpoint not found'), {
+    availableEndpoints: endpointsOf(getOpenApi()).map(({ endpoint }) => endpoint)
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Physics Simulation API running on port ${PORT}`);
-  console.log(`📖 Documentation: http://localhost:${PORT}/api/docs`);
-  console.log(`🏥 Health check: http://localhost:${PORT}/api/health`);
-});
+// Start server when run directly; requiring the module only builds the app
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 Physics Simulation API running on port ${PORT}`);
+    console.log(`📖 Documentation: http://localhost:${PORT}/api/docs`);
+    console.log(`🏥 Health check: http://localhost:${PORT}/api/health`);
+  });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -1,7 +1,21 @@
 // tests/physics.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
 const request = require('supertest');
+
+// Keep custom materials created by the tests out of the working tree
+const materialsStore = path.join(os.tmpdir(), `physics-api-materials-${process.pid}.json`);
+process.env.MATERIALS_STORE = materialsStore;
+// The suite makes more requests than the default per-IP rate limit allows
+process.env.RATE_LIMIT_MAX = '1000';
 const app = require('../server');
 
+afterAll(() => {
+  fs.rmSync(materialsStore, { force: true });
+});
+
 describe('Physics API Tests', () => {
   
   describe('Health Check', () => {
@@ -117,29 +131,2316 @@ describe('Physics API Tests', () => {
     });
   });
 
-  describe('Collision Calculations', () => {
-    test('should calculate collision between two objects', async () => {
+  describe('Bounce Simulation', () => {
+    test('should keep simulating after impact when bounces are enabled', async () => {
       const params = {
-        object1: {
-          mass1: 1,
-          velocity1: { x: 10, y: 0 }
-        },
-        object2: {
-          mass2: 1,
-          velocity2: { x: -10, y: 0 },
-          restitution: 0.8
-        }
+        initialHeight: 0,
+        initialVelocity: 15,
+        launchAngle: 45,
+        material: 'basketball',
+        impactSurface: 'concrete',
+        maxBounces: 5
       };
 
       const response = await request(app)
-        .post('/api/collision')
+        .post('/api/trajectory')
         .send(params)
         .expect(200);
       
-      expect(response.body.success).toBe(true);
-      expect(response.body.results.collision.object1FinalVelocity).toBeDefined();
-      expect(response.body.results.collision.object2FinalVelocity).toBeDefined();
-      expect(response.body.results.collision.impactForce).toBeGreaterThan(0);
+      const { summary, bounces, trajectory } = response.body.results;
+      expect(bounces).toBeInstanceOf(Array);
+      expect(bounces.length).toBeGreaterThan(0);
+      expect(summary.bounceCount).toBe(bounces.length);
+      expect(summary.restDistance).toBeGreaterThan(summary.range);
+      
+      // Each rebound is slower than the impact that caused it
+      bounces.forEach(bounce => {
+        expect(bounce.reboundVelocity.y).toBeGreaterThanOrEqual(0);
+        expect(bounce.reboundVelocity.y).toBeLessThan(Math.abs(bounce.impactVelocity.y));
+        expect(bounce.impact.impactForce).toBeGreaterThan(0);
+      });
+      
+      // Ball never goes below ground
+      trajectory.forEach(point => expect(point.y).toBeGreaterThanOrEqual(0));
+    });
+
+    test('should lose more energy on soft surfaces', async () => {
+      const params = {
+        initialHeight: 0,
+        initialVelocity: 15,
+        launchAngle: 45,
+        material: 'basketball',
+        maxBounces: 10
+      };
+
+      const concrete = await request(app)
+        .post('/api/trajectory')
+        .send({ ...params, impactSurface: 'concrete' })
+        .expect(200);
+
+      const sand = await request(app)
+        .post('/api/trajectory')
+        .send({ ...params, impactSurface: 'sand' })
+        .expect(200);
+      
+      expect(sand.body.results.bounces[0].reboundVelocity.y)
+        .toBeLessThan(concrete.body.results.bounces[0].reboundVelocity.y);
+      expect(sand.body.results.summary.restDistance)
+        .toBeLessThan(concrete.body.results.summary.restDistance);
+    });
+
+    test('should reject invalid bounce count', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 15, launchAngle: 45, maxBounces: -1 })
+        .expect(400);
+      
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toContain('maxBounces');
+    });
+  });
+
+  describe('Numerical Integrators', () => {
+    test('should agree across integrators and report an error estimate', async () => {
+      const params = {
+        initialHeight: 0,
+        initialVelocity: 70,
+        launchAngle: 12,
+        material: 'golf'
+      };
+
+      const rk4 = await request(app)
+        .post('/api/trajectory')
+        .send({ ...params, integrator: 'rk4', dt: 0.01 })
+        .expect(200);
+
+      const rk45 = await request(app)
+        .post('/api/trajectory')
+        .send({ ...params, integrator: 'rk45', tolerance: 1e-8 })
+        .expect(200);
+      
+      expect(rk4.body.results.integration.integrator).toBe('rk4');
+      expect(rk4.body.results.integration.errorEstimate.method).toBe('richardson');
+      expect(rk45.body.results.integration.integrator).toBe('rk45');
+      expect(rk45.body.results.integration.errorEstimate.method).toBe('embedded');
+      
+      // Adaptive stepping needs far fewer points for the same answer
+      expect(rk45.body.results.trajectory.length).toBeLessThan(rk4.body.results.trajectory.length);
+      expect(Math.abs(rk45.body.results.summary.range - rk4.body.results.summary.range)).toBeLessThan(0.01);
+      expect(Math.abs(rk45.body.results.summary.maxHeight - rk4.body.results.summary.maxHeight)).toBeLessThan(0.01);
+    });
+
+    test('should land exactly on the ground', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ initialHeight: 10, initialVelocity: 15, launchAngle: 45, integrator: 'velocity_verlet', dt: 0.05 })
+        .expect(200);
+      
+      const { trajectory, summary } = response.body.results;
+      expect(trajectory[trajectory.length - 1].y).toBe(0);
+      expect(summary.flightTime).toBe(trajectory[trajectory.length - 1].time);
+    });
+
+    test('should reject unknown integrator', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 15, launchAngle: 45, integrator: 'leapfrog' })
+        .expect(400);
+      
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toContain('integrator must be one of');
+    });
+    
+    test('should reject a dt too fine for the flight', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 10, launchAngle: 45, initialHeight: 3000, dt: 0.0001, material: 'paper_airplane' })
+        .expect(400);
+      
+      expect(response.body.errors[0]).toMatchObject({ code: 'limit_exceeded', pointer: '/dt', allowed: { maxPoints: 200000 } });
+    });
+    
+    test('should stop a flight that drag keeps in the air past the point limit', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 10, launchAngle: 45, initialHeight: 3000, dt: 0.001, material: 'paper_airplane' })
+        .expect(400);
+      
+      expect(response.body.code).toBe('limit_exceeded');
+      expect(response.body.detail).toContain('200000 points');
+    }, 20000);
+  });
+
+  describe('3D Trajectories', () => {
+    test('should drift downwind with a crosswind', async () => {
+      const params = {
+        initialHeight: 0,
+        initialVelocity: 20,
+        launchAngle: 45,
+        launchAzimuth: 0, // thrown due north
+        material: 'basketball',
+        mode: '3d',
+        windSpeed: 10,
+        windDirection: 270 // wind from the west pushes the ball east, to the right
+      };
+
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send(params)
+        .expect(200);
+      
+      const { summary, trajectory } = response.body.results;
+      expect(summary.lateralDrift).toBeGreaterThan(0);
+      expect(summary.landingVelocity.z).toBeGreaterThan(0);
+      expect(summary.landingBearing).toBeGreaterThan(0);
+      expect(summary.landingBearing).toBeLessThan(90);
+      expect(trajectory[trajectory.length - 1].z).toBeCloseTo(summary.lateralDrift, 2);
+    });
+
+    test('should not lift the ball with a crosswind in 2D mode', async () => {
+      const calm = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 20, launchAngle: 45, material: 'basketball' })
+        .expect(200);
+
+      const crosswind = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 20, launchAngle: 45, material: 'basketball', windSpeed: 10, windDirection: 90 })
+        .expect(200);
+      
+      expect(crosswind.body.results.summary.maxHeight).toBe(calm.body.results.summary.maxHeight);
+      expect(crosswind.body.results.trajectory[1].z).toBeUndefined();
+    });
+
+    test('should report lateral drift for quick throws in 3D', async () => {
+      const response = await request(app)
+        .post('/api/quick-throw')
+        .send({ scenario: 'football_field', velocity: 25, mode: '3d', windSpeed: 5, windDirection: 90 })
+        .expect(200);
+      
+      expect(response.body.results.lateralDrift).toBeLessThan(0);
+      expect(response.body.results.landingVelocity.z).toBeDefined();
+    });
+
+    test('should calculate 3D force vectors', async () => {
+      const response = await request(app)
+        .post('/api/forces')
+        .send({ velocity: { x: 10, y: 0, z: 10 }, material: 'basketball' })
+        .expect(200);
+      
+      const { airResistance, net } = response.body.results.forces;
+      expect(airResistance.vector.z).toBeLessThan(0);
+      expect(airResistance.vector.z).toBeCloseTo(airResistance.vector.x, 3);
+      expect(net.vector.z).toBe(airResistance.vector.z);
+    });
+  });
+
+  describe('Spin and Magnus Effect', () => {
+    test('should carry a golf ball further with backspin', async () => {
+      const params = {
+        initialVelocity: 70,
+        launchAngle: 12,
+        material: 'golf',
+        integrator: 'rk45'
+      };
+
+      const noSpin = await request(app)
+        .post('/api/trajectory')
+        .send(params)
+        .expect(200);
+
+      const backspin = await request(app)
+        .post('/api/trajectory')
+        .send({ ...params, spinRate: 2700 })
+        .expect(200);
+      
+      expect(backspin.body.results.summary.range).toBeGreaterThan(noSpin.body.results.summary.range);
+      expect(backspin.body.results.summary.maxHeight).toBeGreaterThan(noSpin.body.results.summary.maxHeight);
+      
+      // Spin decays during the flight
+      const { spin } = backspin.body.results;
+      expect(spin.initialRate).toBe(2700);
+      expect(spin.landingRate).toBeLessThan(spin.initialRate);
+    });
+
+    test('should curve sideways with spin about a vertical axis in 3D', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({
+          initialVelocity: 35,
+          launchAngle: 2,
+          initialHeight: 1.8,
+          material: 'baseball',
+          mode: '3d',
+          spin: { x: 0, y: -150, z: 0 } // clockwise from above curves to the right
+        })
+        .expect(200);
+      
+      expect(response.body.results.summary.lateralDrift).toBeGreaterThan(0);
+    });
+
+    test('should report the Magnus force in the force breakdown', async () => {
+      const response = await request(app)
+        .post('/api/forces')
+        .send({ velocity: { x: 30, y: 0 }, material: 'baseball', spinRate: 2000 })
+        .expect(200);
+      
+      const { magnus, net, gravity, airResistance } = response.body.results.forces;
+      expect(magnus.vector.y).toBeGreaterThan(0);
+      expect(magnus.liftCoefficient).toBeGreaterThan(0);
+      expect(net.vector.y).toBeGreaterThan(gravity.vector.y);
+      expect(net.vector.x).toBe(airResistance.vector.x);
+    });
+
+    test('should reject invalid spin input', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 20, launchAngle: 30, spinRate: 2000, spinAxis: { x: 0, y: 0, z: 0 } })
+        .expect(400);
+      
+      expect(response.body.error).toContain('spinAxis');
+    });
+  });
+
+  describe('Atmosphere Model', () => {
+    test('should fly further in thin air at altitude', async () => {
+      const params = {
+        initialVelocity: 40,
+        launchAngle: 30,
+        material: 'baseball'
+      };
+
+      const seaLevel = await request(app)
+        .post('/api/trajectory')
+        .send(params)
+        .expect(200);
+
+      const denver = await request(app)
+        .post('/api/trajectory')
+        .send({ ...params, siteElevation: 1609 })
+        .expect(200);
+      
+      expect(seaLevel.body.results.atmosphere.launch.density).toBeCloseTo(1.225, 3);
+      expect(denver.body.results.atmosphere.launch.density).toBeCloseTo(1.047, 2);
+      expect(denver.body.results.summary.range).toBeGreaterThan(seaLevel.body.results.summary.range);
+    });
+
+    test('should use height, temperature and humidity in force calculations', async () => {
+      const params = {
+        velocity: { x: 30, y: 0 },
+        material: 'baseball'
+      };
+
+      const ground = await request(app)
+        .post('/api/forces')
+        .send(params)
+        .expect(200);
+
+      const aloft = await request(app)
+        .post('/api/forces')
+        .send({ ...params, height: 3000, temperature: 30, humidity: 90 })
+        .expect(200);
+      
+      const { atmosphere } = aloft.body.results;
+      expect(atmosphere.altitude).toBe(3000);
+      expect(atmosphere.density).toBeLessThan(ground.body.results.atmosphere.density);
+      // Site temperature lapses at 6.5 °C per km
+      expect(atmosphere.temperature).toBeCloseTo(30 - 0.0065 * 3000, 1);
+      expect(aloft.body.results.forces.airResistance.magnitude)
+        .toBeLessThan(ground.body.results.forces.airResistance.magnitude);
+    });
+
+    test('should reject out-of-range humidity', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 20, launchAngle: 30, humidity: 150 })
+        .expect(400);
+      
+      expect(response.body.error).toContain('humidity');
+    });
+  });
+
+  describe('Target Solver', () => {
+    test('should find low and high arcs for a fixed speed', async () => {
+      const response = await request(app)
+        .post('/api/solve/target')
+        .send({
+          material: 'basketball',
+          initialHeight: 2,
+          target: { x: 4.6, y: 3.05 },
+          initialVelocity: 8
+        })
+        .expect(200);
+      
+      const { reachable, solveFor, solutions } = response.body.results;
+      expect(reachable).toBe(true);
+      expect(solveFor).toBe('launchAngle');
+      expect(solutions).toHaveLength(2);
+      expect(solutions[0].arc).toBe('low');
+      expect(solutions[1].arc).toBe('high');
+      expect(solutions[0].launchAngle).toBeLessThan(solutions[1].launchAngle);
+      
+      // Flying the solution through the trajectory endpoint should pass through the target
+      const check = await request(app)
+        .post('/api/trajectory')
+        .send({
+          material: 'basketball',
+          initialHeight: 2,
+          initialVelocity: 8,
+          launchAngle: solutions[1].launchAngle,
+          integrator: 'rk4',
+          dt: 0.001
+        })
+        .expect(200);
+      const nearTarget = check.body.results.trajectory
+        .reduce((best, p) => (Math.abs(p.x - 4.6) < Math.abs(best.x - 4.6) ? p : best));
+      expect(nearTarget.y).toBeCloseTo(3.05, 1);
+    });
+
+    test('should solve for speed at a fixed angle', async () => {
+      const response = await request(app)
+        .post('/api/solve/target')
+        .send({ material: 'golf', target: { x: 150, y: 0 }, launchAngle: 15 })
+        .expect(200);
+      
+      const { solveFor, solutions } = response.body.results;
+      expect(solveFor).toBe('initialVelocity');
+      expect(solutions).toHaveLength(1);
+      // Drag means more speed is needed than in a vacuum
+      expect(solutions[0].initialVelocity).toBeGreaterThan(Math.sqrt(150 * 9.81 / Math.sin(Math.PI / 6)));
+    });
+
+    test('should report the closest approach for unreachable targets', async () => {
+      const response = await request(app)
+        .post('/api/solve/target')
+        .send({ material: 'golf', target: { x: 500, y: 0 }, initialVelocity: 70 })
+        .expect(200);
+      
+      const { reachable, solutions, closestApproach } = response.body.results;
+      expect(reachable).toBe(false);
+      expect(solutions).toHaveLength(0);
+      expect(closestApproach.distance).toBeGreaterThan(0);
+      expect(closestApproach.point.x).toBeLessThan(500);
+    });
+
+    test('should reject a missing target', async () => {
+      const response = await request(app)
+        .post('/api/solve/target')
+        .send({ material: 'golf', initialVelocity: 70 })
+        .expect(400);
+      
+      expect(response.body.error).toContain('target');
+    });
+  });
+
+  describe('Launch Optimization', () => {
+    test('should find an optimal range angle below 45 degrees with drag', async () => {
+      const response = await request(app)
+        .post('/api/optimize')
+        .send({ material: 'soccer', initialVelocity: 25, objective: 'range' })
+        .expect(200);
+      
+      const { optimum, curve, goal, unit } = response.body.results;
+      expect(goal).toBe('maximize');
+      expect(unit).toBe('m');
+      expect(optimum.launchAngle).toBeGreaterThan(30);
+      expect(optimum.launchAngle).toBeLessThan(45);
+      
+      // The optimum beats every sampled point on the curve
+      expect(curve.length).toBe(91);
+      curve.forEach(point => expect(point.value).toBeLessThanOrEqual(optimum.value + 1e-3));
+    });
+
+    test('should recover 45 degrees without air resistance', async () => {
+      const response = await request(app)
+        .post('/api/optimize')
+        .send({ material: 'custom', initialVelocity: 20, airDensity: 0, objective: 'range' })
+        .expect(200);
+      
+      expect(response.body.results.optimum.launchAngle).toBeCloseTo(45, 1);
+      expect(response.body.results.optimum.value).toBeCloseTo(400 / 9.81, 1);
+    });
+
+    test('should minimize impact force over angle and speed', async () => {
+      const response = await request(app)
+        .post('/api/optimize')
+        .send({
+          material: 'basketball',
+          initialHeight: 10,
+          objective: 'impactForce',
+          variables: ['launchAngle', 'initialVelocity'],
+          bounds: { launchAngle: [-30, 60], initialVelocity: [5, 20] },
+          samples: 11
+        })
+        .expect(200);
+      
+      const { goal, optimum, curve } = response.body.results;
+      expect(goal).toBe('minimize');
+      expect(curve.length).toBe(121);
+      expect(optimum.initialVelocity).toBeCloseTo(5, 3);
+    });
+
+    test('should reject unknown objectives', async () => {
+      const response = await request(app)
+        .post('/api/optimize')
+        .send({ initialVelocity: 20, objective: 'style' })
+        .expect(400);
+      
+      expect(response.body.error).toContain('objective must be one of');
+    });
+  });
+
+  describe('Scene Simulation', () => {
+    test('should transfer momentum through a row of balls', async () => {
+      const response = await request(app)
+        .post('/api/simulate')
+        .send({
+          bodies: [
+            { id: 'striker', mass: 1, radius: 0.05, position: { x: 0, y: 0 }, velocity: { x: 2, y: 0 } },
+            { mass: 1, radius: 0.05, position: { x: 0.3, y: 0 } },
+            { id: 'last', mass: 1, radius: 0.05, position: { x: 0.4, y: 0 } }
+          ],
+          ground: false,
+          gravity: 0,
+          includeAirResistance: false,
+          restitution: 1,
+          friction: 0,
+          duration: 0.5
+        })
+        .expect(200);
+      
+      const { bodies, events, summary } = response.body.results;
+      const last = bodies.find(body => body.id === 'last');
+      const striker = bodies.find(body => body.id === 'striker');
+      expect(last.final.vx).toBeCloseTo(2, 1);
+      expect(striker.final.vx).toBeCloseTo(0, 1);
+      expect(events[0].type).toBe('sphere-sphere');
+      expect(events[0].objects).toEqual(['striker', 'body-1']);
+      expect(summary.energy.dissipated).toBeCloseTo(0, 2);
+    });
+
+    test('should drop a ball onto the ground and keep it above the surface', async () => {
+      const response = await request(app)
+        .post('/api/simulate')
+        .send({
+          bodies: [{ material: 'basketball', position: { x: 0, y: 2 } }],
+          duration: 2
+        })
+        .expect(200);
+      
+      const [ball] = response.body.results.bodies;
+      const groundHits = response.body.results.events.filter(event => event.objects[1] === 'ground');
+      expect(groundHits.length).toBeGreaterThan(1);
+      expect(groundHits[1].normalSpeed).toBeLessThan(groundHits[0].normalSpeed);
+      ball.timeline.forEach(point => expect(point.y).toBeGreaterThanOrEqual(0.1194 - 0.005));
+      expect(response.body.results.summary.energy.dissipated).toBeGreaterThan(0);
+    });
+
+    test('should bounce bodies off walls', async () => {
+      const response = await request(app)
+        .post('/api/simulate')
+        .send({
+          bodies: [{ material: 'tennis', position: { x: 0, y: 1 }, velocity: { x: 5, y: 0 } }],
+          walls: [{ id: 'right', point: { x: 0.5, y: 0 }, normal: { x: -1, y: 0 }, surface: 'wood' }],
+          ground: false,
+          gravity: 0,
+          duration: 0.5
+        })
+        .expect(200);
+      
+      const [ball] = response.body.results.bodies;
+      expect(response.body.results.events[0].objects).toEqual(['body-0', 'right']);
+      expect(ball.final.vx).toBeLessThan(0);
+      expect(Math.max(...ball.timeline.map(point => point.x))).toBeLessThanOrEqual(0.5);
+    });
+
+    test('should use a broad phase that avoids testing every pair', async () => {
+      const bodies = Array.from({ length: 100 }, (_, i) => ({
+        material: 'golf',
+        position: { x: (i % 10) * 0.5, y: 0.5 + Math.floor(i / 10) * 0.5 }
+      }));
+      const response = await request(app)
+        .post('/api/simulate')
+        .send({ bodies, duration: 0.2, dt: 0.002 })
+        .expect(200);
+      
+      const { broadPhase } = response.body.results;
+      expect(broadPhase.method).toBe('uniform_grid');
+      expect(broadPhase.maxCandidatePairs).toBeLessThan(broadPhase.allPairs / 10);
+    });
+
+    test('should reject invalid scenes', async () => {
+      const missing = await request(app)
+        .post('/api/simulate')
+        .send({ bodies: [] })
+        .expect(400);
+      expect(missing.body.error).toContain('bodies');
+      
+      const unplaced = await request(app)
+        .post('/api/simulate')
+        .send({ bodies: [{ material: 'golf' }] })
+        .expect(400);
+      expect(unplaced.body.error).toContain('bodies[0].position');
+      
+      const tooLarge = await request(app)
+        .post('/api/simulate')
+        .send({
+          bodies: Array.from({ length: 500 }, (_, i) => ({ position: { x: i, y: 1 } })),
+          duration: 60,
+          dt: 0.0001,
+          sampleInterval: 60
+        })
+        .expect(400);
+      expect(tooLarge.body.error).toContain('Scene too large');
+      
+      // Every step in the timeline would be 200 × 5000 body samples
+      const tooManySamples = await request(app)
+        .post('/api/simulate')
+        .send({
+          bodies: Array.from({ length: 200 }, (_, i) => ({ material: 'tennis', position: { x: i, y: 1 } })),
+          duration: 5,
+          dt: 0.001,
+          sampleInterval: 0.001
+        })
+        .expect(400);
+      expect(tooManySamples.body.errors[0]).toMatchObject({
+        code: 'limit_exceeded',
+        pointer: '/sampleInterval',
+        allowed: { maxSamples: 200000 }
+      });
+    });
+  });
+
+  describe('Material Registry', () => {
+    const beachBall = { name: 'beach_ball', mass: 0.1, radius: 0.25, dragCoeff: 0.47, bounciness: 0.8 };
+
+    test('should create, use, update and delete a custom material', async () => {
+      const created = await request(app)
+        .post('/api/materials')
+        .set('X-Client-Id', 'registry-test')
+        .send(beachBall)
+        .expect(201);
+      expect(created.body.material.properties.inertiaFactor).toBeDefined();
+
+      const listed = await request(app)
+        .get('/api/materials')
+        .set('X-Client-Id', 'registry-test')
+        .expect(200);
+      expect(listed.body.materials.find(m => m.name === 'beach_ball').builtIn).toBe(false);
+
+      const flight = await request(app)
+        .post('/api/trajectory')
+        .set('X-Client-Id', 'registry-test')
+        .send({ initialVelocity: 10, launchAngle: 45, material: 'beach_ball' })
+        .expect(200);
+      const heavy = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 10, launchAngle: 45, material: 'bowling' })
+        .expect(200);
+      expect(flight.body.results.summary.range).toBeLessThan(heavy.body.results.summary.range);
+
+      const updated = await request(app)
+        .put('/api/materials/beach_ball')
+        .set('X-Client-Id', 'registry-test')
+        .send({ bounciness: 0.5 })
+        .expect(200);
+      expect(updated.body.material.properties.bounciness).toBe(0.5);
+      expect(updated.body.material.properties.mass).toBe(0.1);
+
+      await request(app)
+        .delete('/api/materials/beach_ball')
+        .set('X-Client-Id', 'registry-test')
+        .expect(200);
+      await request(app)
+        .get('/api/materials/beach_ball')
+        .set('X-Client-Id', 'registry-test')
+        .expect(404);
+    });
+
+    test('should keep custom materials separate per client and persist them', async () => {
+      await request(app)
+        .post('/api/materials')
+        .set('X-Client-Id', 'client-a')
+        .send({ ...beachBall, name: 'foam_ball' })
+        .expect(201);
+
+      const other = await request(app)
+        .post('/api/trajectory')
+        .set('X-Client-Id', 'client-b')
+        .send({ initialVelocity: 10, launchAngle: 45, material: 'foam_ball' })
+        .expect(400);
+      expect(other.body.success).toBe(false);
+
+      const stored = JSON.parse(fs.readFileSync(materialsStore, 'utf8'));
+      expect(stored['client-a'].foam_ball.mass).toBe(0.1);
+    });
+
+    test('should validate material properties and protect built-in materials', async () => {
+      const invalid = await request(app)
+        .post('/api/materials')
+        .send({ ...beachBall, name: 'bad_ball', radius: -1 })
+        .expect(400);
+      expect(invalid.body.error).toContain('radius');
+
+      await request(app)
+        .post('/api/materials')
+        .send({ ...beachBall, name: 'golf' })
+        .expect(409);
+
+      await request(app)
+        .delete('/api/materials/golf')
+        .expect(403);
+    });
+
+    test('should suggest the closest material for typos', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 10, launchAngle: 45, material: 'basektball' })
+        .expect(400);
+
+      expect(response.body.error).toContain('Did you mean \'basketball\'?');
+    });
+  });
+
+  describe('Units', () => {
+    test('should accept tagged input values and match the SI result', async () => {
+      const si = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 26.8224, launchAngle: 30, initialHeight: 1.8288 })
+        .expect(200);
+      const tagged = await request(app)
+        .post('/api/trajectory')
+        .send({
+          initialVelocity: { value: 60, unit: 'mph' },
+          launchAngle: 30,
+          initialHeight: { value: 6, unit: 'ft' }
+        })
+        .expect(200);
+
+      expect(tagged.body.results.summary.range.unit).toBe('m');
+      expect(tagged.body.results.summary.range.value).toBeCloseTo(si.body.results.summary.range, 2);
+    });
+
+    test('should read and report imperial units for a request-wide preference', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ units: 'imperial', initialVelocity: 60, launchAngle: 30, initialHeight: 6, temperature: 85 })
+        .expect(200);
+
+      const { summary, impact, atmosphere, units } = response.body.results;
+      expect(summary.range.unit).toBe('ft');
+      expect(summary.landingVelocity.magnitude.unit).toBe('mph');
+      expect(impact.impactForce.unit).toBe('lbf');
+      expect(impact.kineticEnergy.unit).toBe('ft·lbf');
+      expect(atmosphere.launch.temperature.value).toBeCloseTo(85, 0);
+      expect(units.trajectory.x).toBe('ft');
+      expect(response.body.results.trajectory[0].y).toBeCloseTo(6, 2);
+      expect(response.body.results.trajectory[0].speed).toBeCloseTo(60, 2);
+    });
+
+    test('should convert force vectors and quick-throw results', async () => {
+      const forces = await request(app)
+        .post('/api/forces')
+        .send({ units: 'imperial', velocity: { x: 90, y: 0 }, material: 'baseball' })
+        .expect(200);
+      expect(forces.body.results.forces.gravity.vector.y.unit).toBe('lbf');
+      expect(forces.body.results.forces.gravity.vector.y.value).toBeCloseTo(-0.145 * 9.81 / 4.448, 3);
+
+      const quick = await request(app)
+        .post('/api/quick-throw')
+        .send({ scenario: 'football_field', velocity: { value: 50, unit: 'km/h' }, units: { length: 'yd' } })
+        .expect(200);
+      expect(quick.body.results.landingDistance.unit).toBe('yd');
+      expect(quick.body.results.impactSpeed.unit).toBe('m/s');
+    });
+
+    test('should reject unknown or mismatched units', async () => {
+      const mismatched = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: { value: 60, unit: 'ft' }, launchAngle: 30 })
+        .expect(400);
+      expect(mismatched.body.error).toContain('initialVelocity');
+
+      const unknownSystem = await request(app)
+        .post('/api/forces')
+        .send({ units: 'metric-ish', velocity: { x: 1, y: 0 } })
+        .expect(400);
+      expect(unknownSystem.body.success).toBe(false);
+    });
+  });
+
+  describe('Request Validation', () => {
+    test('should report schema errors as problem details', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 20, launchAngle: 120 })
+        .expect(400);
+
+      expect(response.headers['content-type']).toContain('application/problem+json');
+      expect(response.body.status).toBe(400);
+      expect(response.body.title).toBe('Bad Request');
+      expect(response.body.code).toBe('out_of_range');
+      expect(response.body.pointer).toBe('/launchAngle');
+      expect(response.body.allowed).toEqual({ minimum: -90, maximum: 90 });
+      expect(response.body.error).toBe('Launch angle must be between -90 and 90 degrees');
+    });
+
+    test('should point at the offending nested field', async () => {
+      const forces = await request(app)
+        .post('/api/forces')
+        .send({ velocity: { x: 'abc', y: 0 } })
+        .expect(400);
+      expect(forces.body.code).toBe('invalid_type');
+      expect(forces.body.pointer).toBe('/velocity/x');
+
+      const collision = await request(app)
+        .post('/api/collision')
+        .send({ object1: { mass: '2', velocity: { x: 1, y: 0 } }, object2: { mass: 1, velocity: { x: 0, y: 0 } } })
+        .expect(400);
+      expect(collision.body.code).toBe('invalid_type');
+      expect(collision.body.pointer).toBe('/object1/mass');
+    });
+
+    test('should list every error and reject unknown material properties', async () => {
+      const response = await request(app)
+        .post('/api/materials')
+        .send({ name: 'bad', mass: -1, radius: 0.1, dragCoeff: 0.5, bounciness: 0.5, colour: 'red' })
+        .expect(400);
+
+      const codes = response.body.errors.map(error => `${error.code} ${error.pointer}`);
+      expect(codes).toContain('out_of_range /mass');
+      expect(codes).toContain('unknown_property /colour');
+    });
+
+    test('should apply schema defaults to omitted fields', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 20 })
+        .expect(200);
+
+      expect(response.body.results.integration.integrator).toBe('semi_implicit_euler');
+      expect(response.body.results.parameters).toEqual({ initialVelocity: 20 });
+    });
+
+    test('should report malformed JSON with a stable code', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .set('Content-Type', 'application/json')
+        .send('{"initialVelocity": ')
+        .expect(400);
+
+      expect(response.body.code).toBe('invalid_json');
+    });
+  });
+
+  describe('Trajectory Streaming and Decimation', () => {
+    const readText = (res, callback) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        text += chunk;
+      });
+      res.on('end', () => callback(null, text));
+    };
+
+    test('should stream points as NDJSON followed by a summary', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 15, launchAngle: 45, stream: 'ndjson' })
+        .buffer(true)
+        .parse(readText)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('application/x-ndjson');
+      const events = response.body.trim().split('\n').map(line => JSON.parse(line));
+      const points = events.filter(event => event.event === 'point');
+      const summary = events[events.length - 1];
+
+      expect(events[0].event).toBe('start');
+      expect(events[0].data.units.x).toBe('m');
+      expect(points.length).toBeGreaterThan(10);
+      expect(points[0].data).toEqual(expect.objectContaining({ time: 0, x: 0, y: 0 }));
+      expect(summary.event).toBe('summary');
+      expect(summary.data.points).toBe(points.length);
+      expect(summary.data.trajectory).toBeUndefined();
+      expect(summary.data.summary.range).toBeCloseTo(points[points.length - 1].data.x, 3);
+    });
+
+    test('should stream Server-Sent Events when the client accepts them', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .set('Accept', 'text/event-stream')
+        .send({ initialVelocity: 15, launchAngle: 45 })
+        .buffer(true)
+        .parse(readText)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/event-stream');
+      const events = response.body.trim().split('\n\n');
+      expect(events[0]).toMatch(/^event: start\ndata: \{/);
+      expect(events[1]).toMatch(/^event: point\ndata: \{/);
+      expect(events[events.length - 1]).toMatch(/^event: summary\ndata: \{/);
+    });
+
+    test('should decimate the returned points without changing the summary', async () => {
+      const flight = { initialVelocity: 20, launchAngle: 50, dt: 0.001, estimateError: false };
+      const full = await request(app)
+        .post('/api/trajectory')
+        .send(flight)
+        .expect(200);
+      const thinned = await request(app)
+        .post('/api/trajectory')
+        .send({ ...flight, decimation: { sampleRate: 20, maxError: 0.01, maxPoints: 40 } })
+        .expect(200);
+
+      const { trajectory, decimation, summary } = thinned.body.results;
+      expect(decimation.originalPoints).toBe(full.body.results.trajectory.length);
+      expect(decimation.returnedPoints).toBe(trajectory.length);
+      expect(trajectory.length).toBeLessThanOrEqual(40);
+      expect(trajectory[0]).toEqual(full.body.results.trajectory[0]);
+      expect(trajectory[trajectory.length - 1]).toEqual(full.body.results.trajectory[full.body.results.trajectory.length - 1]);
+      expect(summary).toEqual(full.body.results.summary);
+    });
+
+    test('should keep points within the requested error bound', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 20, launchAngle: 50, decimation: { maxError: 0.05 } })
+        .expect(200);
+
+      const { trajectory, decimation } = response.body.results;
+      expect(trajectory.length).toBeLessThan(decimation.originalPoints / 4);
+      expect(trajectory.length).toBeGreaterThan(3);
+    });
+
+    test('should reject decimation on a stream', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 15, stream: 'sse', decimation: { maxPoints: 10 } })
+        .expect(400);
+
+      expect(response.body.code).toBe('conflicting_fields');
+      expect(response.body.pointer).toBe('/decimation');
+    });
+  });
+
+  describe('Exports', () => {
+    const readText = (res, callback) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        text += chunk;
+      });
+      res.on('end', () => callback(null, text));
+    };
+    const scene = {
+      bodies: [
+        { id: 'cue', material: 'golf', position: { x: 0, y: 0.5 }, velocity: { x: 6, y: 0 } },
+        { id: 'target', material: 'tennis', position: { x: 1, y: 0.5 } }
+      ],
+      walls: [{ point: { x: 2, y: 0 }, normal: { x: -1, y: 0 } }],
+      duration: 1
+    };
+
+    test('should export trajectory points as CSV with unit-labelled headers', async () => {
+      const response = await request(app)
+        .post('/api/trajectory?format=csv')
+        .send({ units: 'imperial', initialVelocity: 40, launchAngle: 30 })
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/csv');
+      const [header, first] = response.text.trim().split('\r\n');
+      expect(header).toBe('time (s),x (ft),y (ft),vx (mph),vy (mph),speed (mph)');
+      const values = first.split(',').map(Number);
+      expect(values.slice(0, 3)).toEqual([0, 0, 0]);
+      expect(values[5]).toBeCloseTo(40, 2);
+    });
+
+    test('should plot the trajectory as SVG when the client accepts it', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .set('Accept', 'image/svg+xml')
+        .send({ initialVelocity: 20, launchAngle: 40 })
+        .buffer(true)
+        .parse(readText)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('image/svg+xml');
+      expect(response.body).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+      expect(response.body).toContain('<polyline');
+      expect(response.body).toMatch(/Apex [\d.]+ m/);
+      expect(response.body).toMatch(/Landing [\d.]+ m after [\d.]+ s/);
+    });
+
+    test('should export a glTF animation track', async () => {
+      const response = await request(app)
+        .post('/api/trajectory?format=gltf')
+        .send({ initialVelocity: 20, launchAngle: 40 })
+        .buffer(true)
+        .parse(readText)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('model/gltf+json');
+      const gltf = JSON.parse(response.body);
+      expect(gltf.asset.version).toBe('2.0');
+      expect(gltf.animations[0].channels[0].target).toEqual({ node: 0, path: 'translation' });
+
+      const sampler = gltf.animations[0].samplers[0];
+      const times = gltf.accessors[sampler.input];
+      expect(gltf.accessors[sampler.output].count).toBe(times.count);
+      expect(times.min[0]).toBe(0);
+      expect(Buffer.from(gltf.buffers[0].uri.split(',')[1], 'base64').length).toBe(gltf.buffers[0].byteLength);
+    });
+
+    test('should export scene simulations', async () => {
+      const csv = await request(app)
+        .post('/api/simulate?format=csv')
+        .send(scene)
+        .expect(200);
+      const rows = csv.text.trim().split('\r\n');
+      expect(rows[0]).toBe('body,time (s),x (m),y (m),vx (m/s),vy (m/s),angularVelocity (rad/s),speed (m/s)');
+      expect(rows[1].startsWith('cue,0,0,0.5,6,0')).toBe(true);
+      expect(rows.some(row => row.startsWith('target,'))).toBe(true);
+
+      const gltf = await request(app)
+        .post('/api/simulate?format=gltf')
+        .send(scene)
+        .buffer(true)
+        .parse(readText)
+        .expect(200);
+      expect(JSON.parse(gltf.body).nodes.map(node => node.name)).toEqual(['cue', 'target']);
+    });
+
+    test('should reject unknown formats', async () => {
+      const response = await request(app)
+        .post('/api/simulate?format=pdf')
+        .send(scene)
+        .expect(400);
+
+      expect(response.body.code).toBe('invalid_value');
+      expect(response.body.allowed.enum).toContain('gltf');
+    });
+  });
+
+  describe('OpenAPI Documentation', () => {
+    // Every key of the documented example appears in the actual response with the same type
+    const expectShape = (actual, example) => {
+      if (Array.isArray(example)) {
+        expect(Array.isArray(actual)).toBe(true);
+        if (example.length > 0) {
+          expect(actual.length).toBeGreaterThan(0);
+          expectShape(actual[0], example[0]);
+        }
+      } else if (example !== null && typeof example === 'object') {
+        expect(actual).toEqual(expect.any(Object));
+        Object.keys(example).forEach(key => {
+          expect(actual).toHaveProperty([key]);
+          expectShape(actual[key], example[key]);
+        });
+      } else if (example !== null) {
+        expect(typeof actual).toBe(typeof example);
+      }
+    };
+    
+    test('should serve an OpenAPI 3.1 document covering every route', async () => {
+      const response = await request(app)
+        .get('/api/openapi.json')
+        .expect(200);
+      
+      const spec = response.body;
+      expect(spec.openapi).toBe('3.1.0');
+      expect(spec.info.title).toBe('Real-World Physics Simulation API');
+      expect(Object.keys(spec.paths)).toEqual(expect.arrayContaining([
+        '/api/health', '/api/materials', '/api/materials/{name}', '/api/trajectory', '/api/solve/target',
+        '/api/optimize', '/api/collision', '/api/simulate', '/api/forces', '/api/quick-throw', '/api/batch', '/api/docs'
+      ]));
+      expect(spec.paths['/api/materials/{name}'].put.parameters).toContainEqual(
+        expect.objectContaining({ name: 'name', in: 'path', required: true }));
+      expect(spec.paths['/api/trajectory'].post.requestBody.content['application/json'].schema)
+        .toEqual({ $ref: '#/components/schemas/TrajectoryRequest' });
+      expect(spec.components.schemas.TrajectoryRequest.properties.impactSurface.enum).toContain('concrete');
+      expect(JSON.stringify(spec.components.schemas)).not.toContain('errorMessage');
+      expect(Object.keys(spec.paths['/api/trajectory'].post.responses['200'].content))
+        .toEqual(expect.arrayContaining(['application/json', 'application/x-ndjson', 'text/event-stream', 'text/csv']));
+      expect(spec.paths['/api/materials'].post.responses['409'].content['application/problem+json'].schema)
+        .toEqual({ $ref: '#/components/schemas/Problem' });
+    });
+    
+    test('should document an example for every route that the API actually answers', async () => {
+      const spec = (await request(app).get('/api/openapi.json')).body;
+      let checked = 0;
+      
+      for (const [route, operations] of Object.entries(spec.paths)) {
+        for (const [method, operation] of Object.entries(operations)) {
+          const [status] = Object.keys(operation.responses);
+          const { example } = operation.responses[status].content['application/json'];
+          if (example === undefined) {
+            continue;
+          }
+          
+          const url = operation.parameters
+            .filter(param => param.in === 'path')
+            .reduce((result, param) => result.replace(`{${param.name}}`, param.example), route);
+          const body = operation.requestBody && operation.requestBody.content['application/json'].example;
+          const response = await request(app)[method](url)
+            .set('X-Client-Id', 'openapi-examples')
+            .send(body);
+          
+          expect(`${method.toUpperCase()} ${route} ${response.status}`).toBe(`${method.toUpperCase()} ${route} ${status}`);
+          expectShape(response.body, example);
+          checked++;
+        }
+      }
+      
+      expect(checked).toBe(19);
+    });
+    
+    test('should summarise the document at /api/docs', async () => {
+      const response = await request(app)
+        .get('/api/docs')
+        .expect(200);
+      
+      expect(response.body.openapi).toBe('/api/openapi.json');
+      expect(response.body.endpoints['POST /api/batch']).toBeDefined();
+      expect(response.body.endpoints['DELETE /api/materials/{name}']).toBeDefined();
+      expect(response.body.examples['POST /api/trajectory'].material).toBe('basketball');
+    });
+    
+    test('should serve interactive docs to browsers', async () => {
+      const response = await request(app)
+        .get('/api/docs')
+        .set('Accept', 'text/html,application/xhtml+xml')
+        .expect(200);
+      
+      expect(response.headers['content-type']).toMatch(/text\/html/);
+      expect(response.text).toContain('<form data-method="POST" data-path="/api/trajectory">');
+      expect(response.text).toContain('href="/api/openapi.json"');
+    });
+    
+    test('should list the documented endpoints when a route is unknown', async () => {
+      const response = await request(app)
+        .post('/api/nowhere')
+        .expect(404);
+      
+      expect(response.headers['content-type']).toMatch(/application\/problem\+json/);
+      expect(response.body.code).toBe('not_found');
+      expect(response.body.availableEndpoints).toContain('GET /api/materials/{name}');
+      expect(response.body.availableEndpoints).toContain('POST /api/batch');
+    });
+  });
+
+  describe('Uncertainty Analysis', () => {
+    const throwWithScatter = {
+      base: { initialVelocity: 20, launchAngle: 45, material: 'basketball' },
+      distributions: {
+        initialVelocity: { type: 'normal', sd: 0.5 },
+        launchAngle: { type: 'uniform', min: 42, max: 48 },
+        dragCoeff: { type: 'normal', sd: 0.03 }
+      },
+      samples: 100,
+      seed: 42
+    };
+    
+    test('should summarise the scatter of a throw reproducibly', async () => {
+      const first = await request(app)
+        .post('/api/trajectory/uncertainty')
+        .send(throwWithScatter)
+        .expect(200);
+      const again = await request(app)
+        .post('/api/trajectory/uncertainty')
+        .send(throwWithScatter)
+        .expect(200);
+      const reseeded = await request(app)
+        .post('/api/trajectory/uncertainty')
+        .send({ ...throwWithScatter, seed: 43 })
+        .expect(200);
+      
+      const { results } = first.body;
+      expect(again.body.results).toEqual(results);
+      expect(reseeded.body.results.landing.mean.x).not.toBe(results.landing.mean.x);
+      
+      expect(results.samples).toBe(100);
+      expect(results.seed).toBe(42);
+      expect(results.landing.mean.x).toBeGreaterThan(20);
+      expect(results.landing.standardDeviation.x).toBeGreaterThan(0);
+      expect(results.landing.covariance[0][0]).toBeCloseTo(results.landing.standardDeviation.x ** 2, 2);
+      expect(results.landing.ellipses.map(ellipse => ellipse.level)).toEqual([50, 90, 95]);
+      expect(results.landing.ellipses[2].semiMajor).toBeGreaterThan(results.landing.ellipses[0].semiMajor);
+      
+      const { percentiles, histogram } = results.maxHeight;
+      expect(percentiles.p5).toBeLessThanOrEqual(percentiles.p50);
+      expect(percentiles.p50).toBeLessThanOrEqual(percentiles.p95);
+      expect(histogram.counts.reduce((sum, count) => sum + count, 0)).toBe(100);
+      expect(histogram.edges).toHaveLength(histogram.counts.length + 1);
+      expect(results.impactForce.mean).toBeGreaterThan(0);
+      expect(results.units).toEqual({ landing: 'm', covariance: 'm²', maxHeight: 'm', impactForce: 'N' });
+    });
+    
+    test('should spread 3D landings sideways and estimate the chance of hitting a target', async () => {
+      const base = { initialVelocity: 20, launchAngle: 45, mode: '3d', windSpeed: 5 };
+      const distributions = { windDirection: { type: 'uniform', min: 0, max: 360 } };
+      const response = await request(app)
+        .post('/api/trajectory/uncertainty')
+        .send({ base, distributions, samples: 60, seed: 1, target: { type: 'rectangle', xMin: 0, xMax: 100 } })
+        .expect(200);
+      
+      const { landing, target } = response.body.results;
+      expect(landing.standardDeviation.z).toBeGreaterThan(0);
+      expect(landing.ellipses[0].semiMinor).toBeGreaterThan(0);
+      expect(target.hits).toBe(60);
+      expect(target.probability).toBe(1);
+      
+      const missed = await request(app)
+        .post('/api/trajectory/uncertainty')
+        .send({ base, distributions, samples: 60, seed: 1, target: { type: 'circle', x: 200, radius: 1 } })
+        .expect(200);
+      expect(missed.body.results.target.probability).toBe(0);
+    });
+    
+    test('should read distributions and targets in the requested units', async () => {
+      const response = await request(app)
+        .post('/api/trajectory/uncertainty')
+        .send({
+          base: { initialVelocity: 45, launchAngle: 45 },
+          distributions: { initialVelocity: { type: 'normal', sd: 1 } },
+          samples: 50,
+          seed: 3,
+          units: 'imperial',
+          target: { type: 'circle', x: 0, radius: 1000 }
+        })
+        .expect(200);
+      
+      expect(response.body.results.units.landing).toBe('ft');
+      // About 25 m, reported in feet
+      expect(response.body.results.landing.mean.x).toBeGreaterThan(70);
+      expect(response.body.results.landing.mean.x).toBeLessThan(100);
+      expect(response.body.results.target.probability).toBe(1);
+    });
+    
+    test('should reject distributions that cannot be sampled', async () => {
+      const response = await request(app)
+        .post('/api/trajectory/uncertainty')
+        .send({
+          base: { launchAngle: 45 },
+          distributions: {
+            spin: { type: 'normal', sd: 1 },
+            windSpeed: { type: 'uniform', min: -5, max: 5 },
+            launchAngle: { type: 'uniform', min: 40 },
+            initialVelocity: { type: 'normal', sd: 1 }
+          }
+        })
+        .expect(400);
+      
+      expect(response.body.errors).toEqual([
+        expect.objectContaining({ code: 'unknown_property', pointer: '/distributions/spin' }),
+        expect.objectContaining({ code: 'out_of_range', pointer: '/distributions/windSpeed' }),
+        expect.objectContaining({ code: 'required', pointer: '/distributions/launchAngle/max' }),
+        expect.objectContaining({ code: 'required', pointer: '/distributions/initialVelocity/mean' })
+      ]);
+      
+      const base = await request(app)
+        .post('/api/trajectory/uncertainty')
+        .send({ base: { initialVelocity: 20, material: 'basektball' }, distributions: { launchAngle: { type: 'normal', sd: 2 } } })
+        .expect(400);
+      expect(base.body.pointer).toBe('/base/material');
+    });
+    
+    test('should reject more samples than the point budget allows', async () => {
+      const response = await request(app)
+        .post('/api/trajectory/uncertainty')
+        .send({ ...throwWithScatter, base: { ...throwWithScatter.base, dt: 0.001 }, samples: 2000 })
+        .expect(400);
+      
+      expect(response.body.errors[0]).toMatchObject({ code: 'limit_exceeded', pointer: '/samples', allowed: { maxPoints: 1000000 } });
+    });
+    
+    test('should stop sampling once flights held up by an updraft spend the point budget', async () => {
+      const response = await request(app)
+        .post('/api/trajectory/uncertainty')
+        .send({
+          base: { initialVelocity: 1, launchAngle: 0, material: 'paper_airplane', verticalWind: 20, dt: 0.002 },
+          distributions: { initialVelocity: { type: 'uniform', min: 0.5, max: 1.5 } },
+          samples: 10,
+          seed: 1
+        })
+        .expect(400);
+      
+      expect(response.body.errors[0]).toMatchObject({ code: 'limit_exceeded', pointer: '/samples', allowed: { maxPoints: 1000000 } });
+    }, 60000);
+  });
+
+  describe('Terrain and Obstacles', () => {
+    const hillside = [
+      { x: -5, y: 10 },
+      { x: 5, y: 10, surface: 'grass' },
+      { x: 30, y: 0, surface: 'sand' },
+      { x: 60, y: 0 }
+    ];
+    
+    test('should report a landing on flat ground as a ground contact', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 15, launchAngle: 45, impactSurface: 'grass' })
+        .expect(200);
+      
+      const { contact, summary } = response.body.results;
+      expect(contact).toMatchObject({ type: 'ground', surface: 'grass', normal: { x: 0, y: 1, z: 0 } });
+      expect(contact.point.x).toBe(summary.range);
+      expect(contact.impactAngle).toBe(response.body.results.impact.impactAngle);
+    });
+    
+    test('should land on a sloping terrain segment and use its surface and normal', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 15, launchAngle: 30, initialHeight: 10, terrain: hillside })
+        .expect(200);
+      
+      const { contact, impact } = response.body.results;
+      expect(contact.type).toBe('terrain');
+      expect(contact.segment).toBe(1);
+      expect(contact.surface).toBe('grass');
+      // The slope falls 10 m over 25 m, so its normal leans downhill
+      expect(contact.normal.x).toBeCloseTo(10 / Math.sqrt(725), 3);
+      expect(contact.normal.y).toBeCloseTo(25 / Math.sqrt(725), 3);
+      expect(contact.point.y).toBeCloseTo(10 - (contact.point.x - 5) * 0.4, 2);
+      
+      // Hitting the slope is less head-on than hitting flat ground at the same speed
+      const velocity = response.body.results.summary.landingVelocity;
+      const flatAngle = Math.atan2(-velocity.y, velocity.x) * 180 / Math.PI;
+      expect(impact.impactAngle).toBeLessThan(flatAngle);
+    });
+    
+    test('should bounce off a wall and clear it when thrown higher', async () => {
+      const fence = { type: 'wall', id: 'fence', x: 8, top: 2, surface: 'wood' };
+      const blocked = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 12, launchAngle: 20, obstacles: [fence], maxBounces: 2 })
+        .expect(200);
+      
+      const { contact, bounces } = blocked.body.results;
+      expect(contact).toMatchObject({ type: 'wall', id: 'fence', surface: 'wood', normal: { x: -1, y: 0, z: 0 } });
+      expect(contact.point.x).toBeCloseTo(7.95, 3);
+      expect(bounces[0].hit.id).toBe('fence');
+      expect(bounces[0].reboundVelocity.x).toBeLessThan(0);
+      expect(bounces[1].hit.type).toBe('ground');
+      
+      const cleared = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 12, launchAngle: 45, obstacles: [fence] })
+        .expect(200);
+      expect(cleared.body.results.contact.type).toBe('ground');
+      expect(cleared.body.results.summary.range).toBeGreaterThan(8);
+    });
+    
+    test('should stop the flight when a net catches the ball', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 12, launchAngle: 20, obstacles: [{ type: 'net', x: 8, top: 5 }], maxBounces: 3 })
+        .expect(200);
+      
+      const { contact, summary, bounces } = response.body.results;
+      expect(contact).toMatchObject({ type: 'net', id: 'obstacle-0', surface: 'net' });
+      expect(bounces).toEqual([]);
+      expect(summary.range).toBeCloseTo(7.95, 3);
+    });
+    
+    test('should land on top of a box obstacle', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({
+          initialVelocity: 8,
+          launchAngle: 40,
+          initialHeight: 1,
+          obstacles: [{ type: 'box', id: 'step', min: { x: 4, y: 0 }, max: { x: 20, y: 1 }, surface: 'wood' }]
+        })
+        .expect(200);
+      
+      const { contact, impact } = response.body.results;
+      expect(contact).toMatchObject({ type: 'box', id: 'step', surface: 'wood', normal: { x: 0, y: 1, z: 0 } });
+      expect(contact.point.y).toBe(1);
+      expect(impact.impactForce).toBeGreaterThan(0);
+    });
+    
+    test('should reject unordered terrain, incomplete obstacles and buried launches', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({
+          initialVelocity: 8,
+          terrain: [{ x: 0, y: 0 }, { x: -1, y: 0 }],
+          obstacles: [{ type: 'box', min: { x: 1, y: 1 } }, { type: 'wall', x: 2, top: 1, bottom: 3 }]
+        })
+        .expect(400);
+      
+      expect(response.body.errors.map(error => [error.code, error.pointer])).toEqual([
+        ['invalid_value', '/terrain/1/x'],
+        ['required', '/obstacles/0/max'],
+        ['invalid_range', '/obstacles/1/bottom']
+      ]);
+      
+      const buried = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 8, terrain: [{ x: -1, y: 5 }, { x: 3, y: 0 }] })
+        .expect(400);
+      expect(buried.body.pointer).toBe('/initialHeight');
+    });
+    
+    test('should read terrain in the requested units', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 20, initialHeight: 33, units: 'imperial', terrain: [{ x: 0, y: 33 }, { x: 10, y: 0 }, { x: 100, y: 0 }] })
+        .expect(200);
+      
+      expect(response.body.results.contact.type).toBe('terrain');
+      expect(response.body.results.contact.point.y.unit).toBe('ft');
+    });
+  });
+
+  describe('Target Events', () => {
+    const hoop = { id: 'hoop', type: 'ring', x: 4.19, y: 3.05, radius: 0.2286, fit: 'whole' };
+    const freeThrow = { material: 'basketball', initialHeight: 2.1, launchAngle: 52 };
+    
+    test('should report a ball dropping through a hoop', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ ...freeThrow, initialVelocity: 7.5, targets: [hoop] })
+        .expect(200);
+      
+      const { events, targets } = response.body.results;
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({ target: 'hoop', type: 'ring', direction: 'down', passed: true });
+      expect(events[0].position.y).toBe(3.05);
+      expect(events[0].velocity.y).toBeLessThan(0);
+      expect(Math.abs(events[0].position.x - hoop.x)).toBeLessThan(hoop.radius - 0.1194);
+      expect(targets).toEqual([{ id: 'hoop', type: 'ring', passed: true, crossings: 1, clearance: events[0].clearance }]);
+      
+      // Too short: the ball drops through the hoop's height in front of it
+      const short = await request(app)
+        .post('/api/trajectory')
+        .send({ ...freeThrow, initialVelocity: 7, targets: [hoop] })
+        .expect(200);
+      expect(short.body.results.events[0].passed).toBe(false);
+      expect(short.body.results.events[0].clearance).toBeLessThan(0);
+      expect(short.body.results.targets[0].passed).toBe(false);
+    });
+    
+    test('should only report crossings in the target direction', async () => {
+      const ring = { type: 'ring', x: 20, y: 6, radius: 30 };
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 20, integrator: 'rk4', dt: 0.5, targets: [ring, { ...ring, direction: 'any' }] })
+        .expect(200);
+      
+      const { events, targets } = response.body.results;
+      // Large steps still find both crossings around the apex
+      expect(events.filter(event => event.target === 'target-1').map(event => event.direction)).toEqual(['up', 'down']);
+      expect(targets.map(target => target.crossings)).toEqual([1, 2]);
+      expect(events.map(event => event.time)).toEqual([...events.map(event => event.time)].sort((a, b) => a - b));
+    });
+    
+    test('should check a height band on a plane and a zone', async () => {
+      const strikeZone = { id: 'strike_zone', type: 'zone', x: 17, min: { y: 0.5, z: -0.22 }, max: { y: 1.1, z: 0.22 }, fit: 'any' };
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({
+          material: 'baseball',
+          initialVelocity: 40,
+          launchAngle: 0,
+          initialHeight: 1.8,
+          mode: '3d',
+          targets: [strikeZone, { id: 'shoulders', type: 'plane', x: 17, bottom: 1.4 }]
+        })
+        .expect(200);
+      
+      const [zone, shoulders] = response.body.results.targets;
+      const { position } = response.body.results.events[0];
+      expect(position.x).toBe(17);
+      expect(position.y).toBeGreaterThan(0.5);
+      expect(position.y).toBeLessThan(1.4);
+      expect(zone.passed).toBe(true);
+      expect(shoulders.passed).toBe(false);
+      expect(shoulders.clearance).toBeCloseTo(position.y - 1.4, 3);
+    });
+    
+    test('should count landings on a flat zone, including after bounces', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 15, maxBounces: 2, targets: [{ type: 'zone', y: 0, min: { x: 0 }, max: { x: 25 } }] })
+        .expect(200);
+      
+      const { events, bounces } = response.body.results;
+      expect(events.length).toBeGreaterThanOrEqual(2);
+      expect(events[0].position.x).toBeCloseTo(bounces[0].x, 2);
+      expect(events[0].passed).toBe(true);
+      expect(response.body.results.targets[0].passed).toBe(true);
+    });
+    
+    test('should reject incomplete or inconsistent targets', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({
+          initialVelocity: 10,
+          targets: [
+            { type: 'ring', x: 3 },
+            { type: 'zone', x: 1, y: 2, min: {}, max: {} },
+            { type: 'zone', x: 4, min: { x: 1, y: 2 }, max: { y: 1 } },
+            { type: 'plane', x: 4, direction: 'down' }
+          ]
+        })
+        .expect(400);
+      
+      expect(response.body.errors.map(error => [error.code, error.pointer])).toEqual([
+        ['required', '/targets/0/y'],
+        ['required', '/targets/0/radius'],
+        ['conflicting_fields', '/targets/1/x'],
+        ['conflicting_fields', '/targets/2/min/x'],
+        ['invalid_range', '/targets/2/min/y'],
+        ['invalid_value', '/targets/3/direction']
+      ]);
+    });
+    
+    test('should score the sports quick-throw scenarios', async () => {
+      for (const [scenario, ids] of [
+        ['free_throw', ['hoop']],
+        ['tennis_serve', ['net_clearance', 'service_box']],
+        ['penalty_kick', ['goal']]
+      ]) {
+        const response = await request(app)
+          .post('/api/quick-throw')
+          .send({ scenario })
+          .expect(200);
+        
+        const { targets } = response.body.results;
+        expect(targets.map(target => target.id)).toEqual(ids);
+        expect(targets.every(target => target.passed)).toBe(true);
+      }
+      
+      // A slower serve is caught by the net
+      const netted = await request(app)
+        .post('/api/quick-throw')
+        .send({ scenario: 'tennis_serve', velocity: 30 })
+        .expect(200);
+      expect(netted.body.results.targets.map(target => target.passed)).toEqual([false, false]);
+    });
+    
+    test('should label event values in the requested units', async () => {
+      const response = await request(app)
+        .post('/api/quick-throw')
+        .send({ scenario: 'free_throw', units: 'imperial' })
+        .expect(200);
+      
+      const [event] = response.body.results.events;
+      expect(event.position.y.unit).toBe('ft');
+      expect(event.position.y.value).toBeCloseTo(3.05 / 0.3048, 3);
+      expect(event.velocity.magnitude.unit).toBe('mph');
+      expect(response.body.results.targets[0].clearance.unit).toBe('ft');
+    });
+  });
+
+  describe('Water Entry', () => {
+    const throwInto = (extra) => request(app)
+      .post('/api/trajectory')
+      .send({ initialVelocity: 15, launchAngle: 45, impactSurface: 'water', waterEntry: true, ...extra })
+      .expect(200);
+    
+    test('should sink a dense ball to the given depth', async () => {
+      const response = await throwInto({ material: 'bowling', waterDepth: 3 });
+      
+      const { water, summary, trajectory } = response.body.results;
+      expect(water.outcome).toBe('sank');
+      expect(water.penetrationDepth).toBe(3);
+      expect(water.timeToBottom).toBeGreaterThan(0);
+      expect(water.timeToSurface).toBeNull();
+      expect(water.buoyancy.floats).toBe(false);
+      expect(water.entry.point.x).toBe(summary.range);
+      expect(water.entry.time).toBe(summary.flightTime);
+      
+      // The ball comes to rest on the bottom
+      const last = trajectory[trajectory.length - 1];
+      expect(last).toMatchObject({ y: -3, vx: 0, vy: 0 });
+      expect(last.time).toBeCloseTo(water.entry.time + water.timeToBottom, 2);
+    });
+    
+    test('should float a light ball back to the surface', async () => {
+      const response = await throwInto({ material: 'basketball' });
+      
+      const { water, trajectory } = response.body.results;
+      expect(water.outcome).toBe('surfaced');
+      expect(water.buoyancy.floats).toBe(true);
+      expect(water.penetrationDepth).toBeGreaterThan(0);
+      expect(water.penetrationDepth).toBeLessThan(10);
+      expect(water.timeToSurface).toBeGreaterThan(0);
+      expect(water.timeToBottom).toBeNull();
+      expect(Math.min(...trajectory.map(p => p.y))).toBeCloseTo(-water.penetrationDepth, 2);
+      
+      const last = trajectory[trajectory.length - 1];
+      expect(last.y).toBe(0);
+      expect(last.vy).toBeGreaterThan(0);
+    });
+    
+    test('should lose the splash energy to the water the ball pushes aside', async () => {
+      const response = await throwInto({ material: 'golf', waterDepth: 1 });
+      
+      const { water, summary } = response.body.results;
+      const { mass, radius } = { mass: 0.046, radius: 0.021 };
+      const addedMass = 0.5 * 1000 * (4 / 3) * Math.PI * radius ** 3;
+      const vy = summary.landingVelocity.y;
+      const expectedLoss = 0.5 * mass * vy * vy * (1 - (mass / (mass + addedMass)) ** 2);
+      expect(water.splash.energyLoss).toBeCloseTo(expectedLoss, 2);
+      expect(water.splash.speedAfter).toBeLessThan(water.entry.speed);
+      expect(water.entry.angle).toBeCloseTo(Math.atan2(-vy, summary.landingVelocity.x) * 180 / Math.PI, 1);
+    });
+    
+    test('should scale buoyancy with the water density', async () => {
+      const fresh = await throwInto({ material: 'rock', waterDepth: 1 });
+      const sea = await throwInto({ material: 'rock', waterDepth: 1, waterDensity: 1025 });
+      
+      expect(sea.body.results.water.buoyancy.force / fresh.body.results.water.buoyancy.force).toBeCloseTo(1.025, 3);
+    });
+    
+    test('should enter water terrain at its height and leave flights without water entry unchanged', async () => {
+      const lake = await throwInto({
+        material: 'bowling',
+        impactSurface: 'grass',
+        initialHeight: 0,
+        waterDepth: 2,
+        terrain: [{ x: -5, y: 0 }, { x: 5, y: 0 }, { x: 6, y: -1, surface: 'water' }, { x: 100, y: -1 }]
+      });
+      const { water, trajectory } = lake.body.results;
+      expect(water.entry.point.y).toBe(-1);
+      expect(water.outcome).toBe('sank');
+      expect(trajectory[trajectory.length - 1].y).toBe(-3);
+      
+      // Without waterEntry the flight still ends at the water, as far as it flew with it
+      const dive = await throwInto({});
+      const splashless = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 15, launchAngle: 45, impactSurface: 'water' })
+        .expect(200);
+      expect(splashless.body.results.water).toBeUndefined();
+      expect(splashless.body.results.summary).toEqual(dive.body.results.summary);
+    });
+  });
+
+  describe('Oscillators', () => {
+    const swing = (body) => request(app)
+      .post('/api/oscillators/pendulum')
+      .send(body)
+      .expect(200);
+    
+    test('should lengthen the period of a large-angle pendulum', async () => {
+      const small = await swing({ length: 1, initialAngle: 5, duration: 12 });
+      const large = await swing({ length: 1, initialAngle: 90, duration: 12 });
+      const smallAngle = 2 * Math.PI * Math.sqrt(1 / 9.81);
+      
+      expect(small.body.results.period.smallAngle).toBeCloseTo(smallAngle, 3);
+      expect(small.body.results.period.measured).toBeCloseTo(smallAngle * 1.0005, 3);
+      // T = 1.18034 T0 at 90° (complete elliptic integral)
+      expect(large.body.results.period.analytic).toBeCloseTo(smallAngle * 1.18034, 3);
+      expect(large.body.results.period.measured).toBeCloseTo(large.body.results.period.analytic, 3);
+      expect(large.body.results.motion).toBe('oscillating');
+      expect(large.body.results.energy.remainingFraction).toBeCloseTo(1, 5);
+    });
+    
+    test('should keep the simple model isochronous and take the mass of a material', async () => {
+      const response = await swing({ length: 2, initialAngle: 90, model: 'simple', material: 'bowling', duration: 10 });
+      
+      const { results } = response.body;
+      expect(results.mass).toBe(7.26);
+      expect(results.period.analytic).toBe(results.period.smallAngle);
+      expect(results.period.measured).toBeCloseTo(results.period.smallAngle, 3);
+      expect(results.timeSeries[0]).toMatchObject({ time: 0, angle: 90, x: 2, y: 0 });
+    });
+    
+    test('should report a pendulum that goes over the top as rotating', async () => {
+      const response = await swing({ length: 1, initialAngle: 0, initialAngularVelocity: 7, duration: 2 });
+      
+      expect(response.body.results.motion).toBe('rotating');
+      expect(response.body.results.period.analytic).toBeNull();
+      expect(response.body.results.amplitude).toBeNull();
+    });
+    
+    test('should classify the damping regime of a spring', async () => {
+      const regimeOf = async (damping) => (await request(app)
+        .post('/api/oscillators/spring')
+        .send({ mass: 1, stiffness: 4, damping, duration: 5 })
+        .expect(200)).body.results.damping;
+      
+      expect((await regimeOf(0)).regime).toBe('undamped');
+      const under = await regimeOf(0.4);
+      expect(under.regime).toBe('underdamped');
+      expect(under.ratio).toBeCloseTo(0.1, 6);
+      expect(under.qualityFactor).toBeCloseTo(5, 3);
+      expect(under.dampedFrequency).toBeCloseTo(2 * Math.sqrt(0.99) / (2 * Math.PI), 4);
+      expect((await regimeOf(4)).regime).toBe('critically_damped');
+      const over = await regimeOf(10);
+      expect(over.regime).toBe('overdamped');
+      expect(over.dampedFrequency).toBeNull();
+    });
+    
+    test('should decay the energy of a damped spring at the rate c/m', async () => {
+      const response = await request(app)
+        .post('/api/oscillators/spring')
+        .send({ mass: 2, stiffness: 50, damping: 0.2, initialDisplacement: 0.2, duration: 20 })
+        .expect(200);
+      
+      const { energy, period, damping, timeSeries } = response.body.results;
+      expect(energy.initial).toBeCloseTo(1, 4);
+      expect(energy.decayTime).toBe(10);
+      // Averaged over a cycle E(t) = E0·e^(-t·c/m); the end of the run is within a cycle's ripple
+      expect(energy.remainingFraction).toBeGreaterThan(Math.exp(-2) * 0.9);
+      expect(energy.remainingFraction).toBeLessThan(Math.exp(-2) * 1.1);
+      expect(energy.dissipated).toBeCloseTo(energy.initial - energy.final, 4);
+      expect(period.measured).toBeCloseTo(damping.dampedPeriod, 2);
+      expect(timeSeries[timeSeries.length - 1].time).toBe(20);
+      expect(timeSeries).toHaveLength(401);
+    });
+    
+    test('should settle a driven spring into its steady-state amplitude and phase', async () => {
+      const response = await request(app)
+        .post('/api/oscillators/spring')
+        .send({ mass: 1, stiffness: 10, damping: 1, initialDisplacement: 0, drive: { amplitude: 2, frequency: 0.4 }, duration: 40 })
+        .expect(200);
+      
+      const { steadyState, energy } = response.body.results;
+      const omega = 2 * Math.PI * 0.4;
+      const expected = 2 / Math.sqrt((10 - omega * omega) ** 2 + omega * omega);
+      expect(steadyState.amplitude).toBeCloseTo(expected, 4);
+      expect(steadyState.measuredAmplitude).toBeCloseTo(expected, 3);
+      expect(steadyState.phaseLag).toBeCloseTo(Math.atan2(omega, 10 - omega * omega) * 180 / Math.PI, 2);
+      expect(steadyState.amplification).toBeCloseTo(expected * 10 / 2, 3);
+      // The drive's work goes into the damper and the energy stored at the end
+      expect(energy.driveWork).toBeCloseTo(energy.dissipated + energy.final - energy.initial, 3);
+    });
+    
+    test('should find the normal modes of coupled oscillators', async () => {
+      const response = await request(app)
+        .post('/api/oscillators/coupled')
+        .send({ masses: [{ mass: 1, initialDisplacement: 0.1 }, { mass: 1, initialDisplacement: 0.1 }], springs: [10, 5, 10], duration: 5 })
+        .expect(200);
+      
+      const { modes, energy, timeSeries } = response.body.results;
+      expect(modes).toHaveLength(2);
+      expect(modes[0].angularFrequency).toBeCloseTo(Math.sqrt(10), 4);
+      expect(modes[0].shape).toEqual([1, 1]);
+      expect(modes[1].angularFrequency).toBeCloseTo(Math.sqrt(20), 4);
+      expect(modes[1].shape).toEqual([1, -1]);
+      // Equal displacements excite only the in-phase mode, which never stretches the middle spring
+      expect(modes[0].energyShare).toBe(1);
+      timeSeries.forEach(sample => expect(sample.x1).toBeCloseTo(sample.x2, 4));
+      expect(energy.remainingFraction).toBeCloseTo(1, 5);
+    });
+    
+    test('should report a free chain\'s rigid-body mode and use material masses', async () => {
+      const response = await request(app)
+        .post('/api/oscillators/coupled')
+        .send({ masses: [{ material: 'bowling' }, { material: 'bowling', initialVelocity: 1 }], springs: [0, 100, 0], damping: 0.5, duration: 2 })
+        .expect(200);
+      
+      const { masses, modes } = response.body.results;
+      expect(masses[0].mass).toBe(7.26);
+      expect(modes[0]).toMatchObject({ angularFrequency: 0, period: null, regime: null });
+      expect(modes[1].angularFrequency).toBeCloseTo(Math.sqrt(2 * 100 / 7.26), 4);
+      expect(modes[1].regime).toBe('underdamped');
+      expect(modes[0].energyShare + modes[1].energyShare).toBeCloseTo(1, 3);
+    });
+    
+    test('should give the same period with every integrator', async () => {
+      for (const integrator of ['semi_implicit_euler', 'velocity_verlet', 'rk4', 'rk45']) {
+        const response = await swing({ length: 1, initialAngle: 30, duration: 10, integrator });
+        expect(response.body.results.integration.integrator).toBe(integrator);
+        expect(response.body.results.period.measured).toBeCloseTo(response.body.results.period.analytic, 2);
+      }
+    });
+    
+    test('should convert units and export the time series', async () => {
+      const labelled = await request(app)
+        .post('/api/oscillators/spring')
+        .send({ mass: { value: 2, unit: 'lb' }, stiffness: { value: 1, unit: 'lbf/in' }, duration: 2, units: 'imperial' })
+        .expect(200);
+      expect(labelled.body.results.mass).toEqual({ value: 2, unit: 'lb' });
+      expect(labelled.body.results.stiffness).toEqual({ value: 1, unit: 'lbf/in' });
+      expect(labelled.body.results.natural.frequency.unit).toBe('Hz');
+      expect(labelled.body.results.units.timeSeries.displacement).toBe('ft');
+      
+      const csv = await request(app)
+        .post('/api/oscillators/coupled?format=csv')
+        .send({ masses: [{ mass: 1, initialDisplacement: 0.1 }, { mass: 2 }], springs: [10, 10, 10], duration: 1 })
+        .expect(200);
+      const lines = csv.text.trim().split(/\r?\n/);
+      expect(lines[0]).toBe('time (s),x1 (m),x2 (m),v1 (m/s),v2 (m/s),energy (J)');
+      expect(lines).toHaveLength(22);
+      
+      const gltf = await request(app)
+        .post('/api/oscillators/pendulum?format=gltf')
+        .send({ duration: 2 })
+        .expect(200);
+      expect(JSON.parse(gltf.text).animations[0].channels).toHaveLength(1);
+    });
+    
+    test('should reject chains and runs that do not fit', async () => {
+      const chain = await request(app)
+        .post('/api/oscillators/coupled')
+        .send({ masses: [{ mass: 1 }, { mass: 1 }], springs: [10, 10] })
+        .expect(400);
+      expect(chain.body.errors[0]).toMatchObject({ code: 'invalid_value', pointer: '/springs' });
+      
+      const run = await request(app)
+        .post('/api/oscillators/spring')
+        .send({ duration: 3600, dt: 0.001, sampleInterval: 1, material: 'tenis' })
+        .expect(400);
+      expect(run.body.errors.map(error => error.pointer)).toEqual(['/duration', '/material']);
+      expect(run.body.errors[0].code).toBe('limit_exceeded');
+    });
+  });
+  
+  describe('Inclined Planes', () => {
+    const incline = (body) => request(app)
+      .post('/api/incline')
+      .send(body)
+      .expect(200);
+    
+    test('should hold a block below its critical angle and slide it above', async () => {
+      // Wood on wood: static 0.5, kinetic 0.3, so the block lets go at atan(0.5) = 26.57°
+      const held = await incline({ shape: 'block', angle: 20, surface: 'wood', objectSurface: 'wood', duration: 1 });
+      expect(held.body.results).toMatchObject({ motion: 'stays_put', outcome: 'at_rest' });
+      expect(held.body.results.friction).toMatchObject({ staticFriction: 0.5, kineticFriction: 0.3, source: 'pair' });
+      expect(held.body.results.criticalAngles.rest).toBeCloseTo(26.565, 3);
+      expect(held.body.results.final.distance).toBe(0);
+      
+      const sliding = await incline({ shape: 'block', angle: 30, surface: 'wood', objectSurface: 'wood', duration: 1 });
+      const angle = Math.PI / 6;
+      const acceleration = 9.81 * (Math.sin(angle) - 0.3 * Math.cos(angle));
+      expect(sliding.body.results.motion).toBe('slides');
+      expect(sliding.body.results.phases[0].acceleration).toBeCloseTo(acceleration, 3);
+      expect(sliding.body.results.final.distance).toBeCloseTo(acceleration / 2, 3);
+    });
+    
+    test('should roll a ball down at 5/7 g sin(angle) without slipping', async () => {
+      const response = await incline({ material: 'bowling', angle: 30, rollingResistance: 0, duration: 2 });
+      
+      const { results } = response.body;
+      expect(results.motion).toBe('rolls');
+      expect(results.friction.source).toBe('request');
+      expect(results.phases[0].acceleration).toBeCloseTo(5 / 7 * 9.81 * 0.5, 4);
+      expect(results.final.spin).toBeCloseTo(results.final.velocity / results.radius, 3);
+      // Without rolling resistance, energy is conserved
+      expect(results.energy.final).toBeCloseTo(results.energy.initial, 3);
+      expect(results.energy.frictionLoss.total).toBe(0);
+    });
+    
+    test('should skid a launched ball until it rolls at 5/7 of its speed', async () => {
+      const response = await incline({ material: 'bowling', angle: 0, initialVelocity: 7, rollingResistance: 0, duration: 3 });
+      
+      const { results } = response.body;
+      expect(results.motion).toBe('slides_then_rolls');
+      expect(results.phases.map(phase => phase.motion)).toEqual(['sliding', 'rolling']);
+      expect(results.final.velocity).toBeCloseTo(5, 3);
+      // ½·m·(v0² − (1 + k)·v²) = ½ · 7.26 · (49 − 1.4 · 25)
+      expect(results.energy.frictionLoss.sliding).toBeCloseTo(50.82, 2);
+      expect(results.energy.initial - results.energy.final).toBeCloseTo(results.energy.frictionLoss.total, 3);
+    });
+    
+    test('should stop at the foot of the slope', async () => {
+      const response = await incline({ material: 'bowling', angle: 30, rollingResistance: 0, length: 2, duration: 5 });
+      
+      const { results } = response.body;
+      expect(results.outcome).toBe('reached_foot');
+      expect(results.final.distance).toBe(2);
+      expect(results.final.time).toBeCloseTo(Math.sqrt(2 * 2 / (5 / 7 * 9.81 * 0.5)), 3);
+      expect(results.timeSeries[results.timeSeries.length - 1].time).toBe(results.final.time);
+    });
+    
+    test('should export the time series as CSV', async () => {
+      const response = await request(app)
+        .post('/api/incline?format=csv')
+        .send({ angle: 15, duration: 1, sampleInterval: 0.5 })
+        .expect(200);
+      
+      const lines = response.text.trim().split(/\r?\n/);
+      expect(lines[0]).toBe('time (s),distance (m),x (m),y (m),velocity (m/s),spin (rad/s),motion,energy (J),frictionLoss (J)');
+      expect(lines).toHaveLength(4);
+      expect(lines[1]).toContain('rolling');
+    });
+    
+    test('should reject friction and sampling that do not fit', async () => {
+      const surface = await request(app)
+        .post('/api/incline')
+        .send({ surface: 'ice' })
+        .expect(400);
+      expect(surface.body.errors[0]).toMatchObject({ code: 'invalid_value', pointer: '/surface' });
+      
+      const run = await request(app)
+        .post('/api/incline')
+        .send({ staticFriction: 0.2, kineticFriction: 0.4, duration: 600, sampleInterval: 0.01 })
+        .expect(400);
+      expect(run.body.errors.map(error => [error.pointer, error.code])).toEqual([
+        ['/sampleInterval', 'limit_exceeded'],
+        ['/kineticFriction', 'invalid_range']
+      ]);
+    });
+  });
+  
+  describe('Diagnostics', () => {
+    const fly = (body) => request(app)
+      .post('/api/trajectory')
+      .send({ initialVelocity: 30, launchAngle: 45, diagnostics: true, ...body })
+      .expect(200);
+    
+    test('should account for the energy at every point of a flight', async () => {
+      const response = await fly({ integrator: 'rk4', windSpeed: 8, windDirection: 180 });
+      
+      const { trajectory, diagnostics } = response.body.results;
+      const mass = 0.624;
+      expect(trajectory[0]).toMatchObject({ kineticEnergy: 0.5 * mass * 900, potentialEnergy: 0, dragWork: 0, windWork: 0 });
+      const last = trajectory[trajectory.length - 1];
+      expect(last.kineticEnergy + last.potentialEnergy)
+        .toBeCloseTo(diagnostics.energy.initial + last.dragWork + last.windWork, 2);
+      // A tailwind gives back part of what drag in still air would take out
+      expect(diagnostics.work.drag).toBeLessThan(0);
+      expect(diagnostics.work.wind).toBeGreaterThan(0);
+      expect(diagnostics.work.wind).toBeLessThan(-diagnostics.work.drag);
+      expect(diagnostics.relativeResidual).toBeLessThan(1e-4);
+      expect(diagnostics.warnings).toEqual([]);
+    });
+    
+    test('should warn when dt is too coarse for the energy to balance', async () => {
+      const coarse = await fly({ dt: 0.1 });
+      const [warning] = coarse.body.results.diagnostics.warnings;
+      expect(warning.code).toBe('energy_residual');
+      expect(warning.relativeResidual).toBeGreaterThan(0.01);
+      expect(warning.suggestedDt).toBeLessThan(0.1);
+      
+      const fine = await fly({ dt: coarse.body.results.diagnostics.warnings[0].suggestedDt });
+      expect(fine.body.results.diagnostics.peakRelativeResidual).toBeLessThan(0.01);
+      expect(fine.body.results.diagnostics.warnings).toEqual([]);
+    });
+    
+    test('should count the energy bounces and rolling take out', async () => {
+      const response = await fly({ integrator: 'rk4', material: 'bowling', maxBounces: 20 });
+      
+      const { work, energy, relativeResidual } = response.body.results.diagnostics;
+      expect(work.impacts).toBeLessThan(0);
+      expect(work.rolling).toBeLessThan(0);
+      // The ball ends at rest, so everything it started with went somewhere
+      expect(energy.final).toBe(0);
+      expect(work.total).toBeCloseTo(-energy.initial, 2);
+      expect(relativeResidual).toBeLessThan(1e-4);
+    });
+    
+    test('should leave the response unchanged without diagnostics', async () => {
+      const response = await request(app)
+        .post('/api/trajectory')
+        .send({ initialVelocity: 30 })
+        .expect(200);
+      
+      expect(response.body.results.diagnostics).toBeUndefined();
+      expect(response.body.results.trajectory[0].kineticEnergy).toBeUndefined();
+    });
+    
+    test('should check momentum and energy in a collision', async () => {
+      const head = await request(app)
+        .post('/api/collision')
+        .send({ object1: { mass: 2, velocity: { x: 5, y: 0 } }, object2: { mass: 1, velocity: { x: 0, y: 0 } }, diagnostics: true })
+        .expect(200);
+      const { diagnostics } = head.body.results.collision;
+      expect(diagnostics.momentum.before).toEqual(diagnostics.momentum.after);
+      expect(diagnostics.momentum.residual).toBe(0);
+      expect(diagnostics.energy.lost).toBeCloseTo(head.body.results.collision.energyLoss, 3);
+      expect(diagnostics.warnings).toEqual([]);
+      
+      const apart = await request(app)
+        .post('/api/collision')
+        .send({
+          object1: { mass: 2, velocity: { x: -1, y: 0 }, position: { x: 0, y: 0 } },
+          object2: { mass: 1, velocity: { x: 0, y: 0 }, position: { x: 1, y: 0 } },
+          diagnostics: true
+        })
+        .expect(200);
+      expect(apart.body.results.collision.diagnostics.warnings.map(warning => warning.code))
+        .toEqual(['not_approaching', 'not_in_contact']);
+    });
+    
+    test('should balance energy and momentum in a scene and flag steps that skip contacts', async () => {
+      const response = await request(app)
+        .post('/api/simulate')
+        .send({
+          bodies: [
+            { material: 'basketball', position: { x: 0, y: 2 }, velocity: { x: 3, y: 0 } },
+            { material: 'tennis', position: { x: 2, y: 1 }, velocity: { x: -2, y: 4 } }
+          ],
+          walls: [{ point: { x: 5, y: 0 }, normal: { x: -1, y: 0 } }],
+          duration: 3,
+          diagnostics: true
+        })
+        .expect(200);
+      
+      const { diagnostics } = response.body.results;
+      expect(diagnostics.samples).toHaveLength(61);
+      expect(diagnostics.work.contacts).toBeLessThan(0);
+      expect(diagnostics.momentum.residual).toBeLessThan(1e-9);
+      expect(diagnostics.peakRelativeResidual).toBeLessThan(0.01);
+      expect(diagnostics.warnings).toEqual([]);
+      
+      const fast = await request(app)
+        .post('/api/simulate')
+        .send({ bodies: [{ material: 'golf', position: { x: 0, y: 0.5 }, velocity: { x: 60, y: 0 } }], duration: 1, dt: 0.01, diagnostics: true })
+        .expect(200);
+      expect(fast.body.results.diagnostics.warnings[0].code).toBe('coarse_time_step');
+    });
+  });
+  
+  describe('Model Comparison', () => {
+    const compare = (body) => request(app)
+      .post('/api/trajectory')
+      .send({ initialVelocity: 30, launchAngle: 45, compare: true, ...body });
+    
+    test('should match the vacuum parabola and bracket the drag models', async () => {
+      const response = await compare({}).expect(200);
+      
+      const { models, differences } = response.body.results.comparison;
+      expect(models.vacuum.range).toBeCloseTo(900 / 9.81, 2);
+      expect(models.vacuum.apexHeight).toBeCloseTo(450 / (2 * 9.81), 2);
+      expect(models.vacuum.landingSpeed).toBeCloseTo(30, 2);
+      // Both drag laws share a terminal velocity and land far short of the vacuum
+      expect(models.linearDrag.terminalVelocity).toBeGreaterThan(0);
+      expect(models.linearDrag.range).toBeLessThan(models.vacuum.range);
+      expect(models.quadraticDrag.range).toBeLessThan(models.vacuum.range);
+      expect(Math.abs(models.quadraticDrag.range - models.linearDrag.range) / models.vacuum.range).toBeLessThan(0.1);
+      expect(models.quadraticDrag.range).toBeCloseTo(response.body.results.summary.range, 1);
+      
+      ['linearDrag', 'quadraticDrag'].forEach(model => {
+        expect(differences[model].range).toBeCloseTo(models[model].range - models.vacuum.range, 2);
+        expect(differences[model].flightTime).toBeCloseTo(models[model].flightTime - models.vacuum.flightTime, 2);
+        expect(differences[model].percent.range)
+          .toBeCloseTo(100 * differences[model].range / models.vacuum.range, 1);
+      });
+    });
+    
+    test('should sample every model on a common time base', async () => {
+      const response = await compare({ compareInterval: 0.5 }).expect(200);
+      
+      const { series, timeBase, models } = response.body.results.comparison;
+      expect(timeBase.interval).toBe(0.5);
+      expect(series[0]).toMatchObject({ time: 0, vacuumX: 0, vacuumY: 0, linearDragX: 0, quadraticDragX: 0 });
+      expect(series[1].time).toBe(0.5);
+      expect(series[series.length - 1].time).toBeCloseTo(models.vacuum.flightTime, 3);
+      const landed = series.filter(sample => sample.time > models.linearDrag.flightTime);
+      expect(landed.length).toBeGreaterThan(0);
+      landed.forEach(sample => {
+        expect(sample.linearDragX).toBeNull();
+        expect(sample.vacuumX).not.toBeNull();
+      });
+    });
+    
+    test('should show drag mattering little for a heavy ball', async () => {
+      const response = await compare({ material: 'bowling', initialVelocity: 10 }).expect(200);
+      
+      const { percent } = response.body.results.comparison.differences.quadraticDrag;
+      expect(percent.range).toBeLessThan(0);
+      expect(percent.range).toBeGreaterThan(-5);
+    });
+    
+    test('should convert the comparison to imperial units', async () => {
+      const response = await compare({ units: 'imperial' }).expect(200);
+      
+      const { models, series } = response.body.results.comparison;
+      expect(models.vacuum.range.unit).toBe('ft');
+      expect(models.linearDrag.terminalVelocity.unit).toBe('mph');
+      expect(series[0].vacuumX).toEqual({ value: 0, unit: 'ft' });
+    });
+    
+    test('should report no apex or landing for a ball held up by an updraft', async () => {
+      const response = await compare({ initialVelocity: 10, verticalWind: 30, compareInterval: 1 }).expect(200);
+      
+      const { models, differences, series } = response.body.results.comparison;
+      expect(models.vacuum.apexHeight).toBeCloseTo(50 / (2 * 9.81), 2);
+      ['linearDrag', 'quadraticDrag'].forEach(model => {
+        expect(models[model]).toMatchObject({ range: null, apexHeight: null, apexTime: null, flightTime: null, landingSpeed: null });
+        expect(differences[model].range).toBeNull();
+      });
+      expect(series[series.length - 1].linearDragY).toBeGreaterThan(0);
+    });
+    
+    test('should reject a comparison over terrain or obstacles', async () => {
+      const response = await compare({ obstacles: [{ type: 'wall', x: 10, top: 2 }] }).expect(400);
+      
+      expect(response.body.errors[0]).toMatchObject({ code: 'conflicting_fields', pointer: '/obstacles' });
+      
+      const interval = await compare({ compareInterval: 0 }).expect(400);
+      expect(interval.body.errors[0].pointer).toBe('/compareInterval');
+    });
+  });
+  
+  describe('Engine Module and CLI', () => {
+    const root = path.join(__dirname, '..');
+    const cli = (args, input) => spawnSync(process.execPath, [path.join(root, 'bin', 'physics.js'), ...args], {
+      cwd: root,
+      input,
+      encoding: 'utf8',
+      timeout: 30000
+    });
+    
+    test('should calculate with the engine module without a server', () => {
+      const { PhysicsEngine, MATERIALS, PHYSICS_CONSTANTS } = require('../lib/physics');
+      const flight = PhysicsEngine.calculateTrajectory({ initialVelocity: 20, launchAngle: 45, material: 'golf' });
+      
+      expect(MATERIALS.golf.mass).toBe(0.046);
+      expect(PHYSICS_CONSTANTS.GRAVITY).toBe(9.81);
+      expect(flight.firstLanding.x).toBeGreaterThan(20);
+      expect(flight.trajectory[0]).toMatchObject({ time: 0, x: 0, y: 0 });
+    });
+    
+    test('should only start listening when the server is run directly', () => {
+      // A required server would keep the process alive until the timeout
+      const result = spawnSync(process.execPath, ['-e', 'require("./server")'], { cwd: root, timeout: 20000 });
+      expect(result.error).toBeUndefined();
+      expect(result.status).toBe(0);
+    });
+    
+    test('should run trajectories from the command line with flag aliases and exports', () => {
+      const csv = cli(['trajectory', '--material', 'golf', '--velocity', '70', '--angle', '12', '--format', 'csv']);
+      expect(csv.status).toBe(0);
+      const lines = csv.stdout.trim().split(/\r?\n/);
+      expect(lines[0]).toBe('time (s),x (m),y (m),vx (m/s),vy (m/s),speed (m/s)');
+      expect(lines[1].split(',').map(Number)).toEqual([0, 0, 0, 68.47, 14.554, 70]);
+      
+      const json = cli(['quick-throw', '--scenario', 'free_throw', '--units', 'imperial']);
+      expect(json.status).toBe(0);
+      expect(JSON.parse(json.stdout).results.targets[0]).toMatchObject({ id: 'hoop', passed: true });
+    });
+    
+    test('should read a request body from stdin and apply nested flags on top', () => {
+      const result = cli(['solve-target', '--input', '-', '--target.y', '2'], JSON.stringify({ target: { x: 20, y: 0 }, initialVelocity: 20 }));
+      expect(result.status).toBe(0);
+      const { parameters, solutions } = JSON.parse(result.stdout).results;
+      expect(parameters.target).toEqual({ x: 20, y: 2 });
+      expect(solutions.length).toBeGreaterThan(0);
+    });
+    
+    test('should report invalid requests and usage errors on stderr', () => {
+      const invalid = cli(['trajectory', '--velocity', '-3']);
+      expect(invalid.status).toBe(1);
+      expect(invalid.stdout).toBe('');
+      expect(invalid.stderr).toContain('/initialVelocity: Initial velocity must be greater than 0');
+      
+      const unknown = cli(['teleport']);
+      expect(unknown.status).toBe(2);
+      expect(unknown.stderr).toContain('Unknown command \'teleport\'');
+      
+      const help = cli(['help']);
+      expect(help.status).toBe(0);
+      expect(help.stdout).toContain('trajectory-uncertainty');
+    });
+  });
+
+  describe('Batch Calculations', () => {
+    test('should run a parameter sweep and return a result grid', async () => {
+      const response = await request(app)
+        .post('/api/batch')
+        .send({
+          sweep: {
+            base: { material: 'soccer', initialVelocity: 25 },
+            variables: { launchAngle: { from: 0, to: 90, step: 10 }, windSpeed: [0, 10] }
+          }
+        })
+        .expect(200);
+
+      const { jobs, grid, summary } = response.body.results;
+      expect(summary.jobCount).toBe(20);
+      expect(jobs[0].summary.range).toBeDefined();
+      expect(jobs[0].trajectory).toBeUndefined();
+      expect(grid.axes.launchAngle).toEqual([0, 10, 20, 30, 40, 50, 60, 70, 80, 90]);
+      expect(grid.columns.slice(0, 3)).toEqual(['launchAngle', 'windSpeed', 'range']);
+      expect(grid.units.range).toBe('m');
+
+      const rangeAt = (angle, wind) => grid.rows.find(row => row[0] === angle && row[1] === wind)[2];
+      expect(rangeAt(40, 0)).toBeGreaterThan(rangeAt(10, 0));
+      expect(rangeAt(40, 10)).toBeLessThan(rangeAt(40, 0));
+    });
+
+    test('should run explicit jobs of mixed types', async () => {
+      const response = await request(app)
+        .post('/api/batch')
+        .send({
+          includeTrajectories: true,
+          jobs: [
+            { id: 'lob', type: 'trajectory', params: { initialVelocity: 15, launchAngle: 60 } },
+            {
+              type: 'collision',
+              params: {
+                object1: { material: 'golf', velocity: { x: 3, y: 0 } },
+                object2: { material: 'tennis', position: { x: 0.1, y: 0 } }
+              }
+            },
+            { type: 'forces', params: { velocity: { x: 30, y: 0 }, material: 'baseball' } }
+          ]
+        })
+        .expect(200);
+
+      const { jobs, grid } = response.body.results;
+      expect(jobs.map(job => job.id)).toEqual(['lob', 1, 2]);
+      expect(jobs[0].trajectory.length).toBeGreaterThan(0);
+      expect(jobs[1].collision.energyLoss).toBeGreaterThan(0);
+      expect(jobs[2].forces.net.magnitude).toBeGreaterThan(0);
+      expect(grid.columns).toContain('energyLoss');
+      expect(grid.rows[1].slice(0, 2)).toEqual([1, 'collision']);
+      expect(grid.rows[1][grid.columns.indexOf('range')]).toBeNull();
+    });
+
+    test('should count a batch as a single request against the rate limit', async () => {
+      const before = await request(app).get('/api/health');
+      const batch = await request(app)
+        .post('/api/batch')
+        .send({ sweep: { base: { initialVelocity: 20 }, variables: { launchAngle: [15, 30, 45, 60] } } })
+        .expect(200);
+
+      const remaining = response => parseInt(response.headers['x-ratelimit-remaining'], 10);
+      expect(remaining(before) - remaining(batch)).toBe(1);
+    });
+
+    test('should point errors at the job or sweep field that caused them', async () => {
+      const sweep = await request(app)
+        .post('/api/batch')
+        .send({ sweep: { base: { initialVelocity: -1 }, variables: { launchAngle: [30, 120] } } })
+        .expect(400);
+      const pointers = sweep.body.errors.map(error => error.pointer);
+      expect(pointers).toEqual(expect.arrayContaining(['/sweep/base/initialVelocity', '/sweep/variables/launchAngle']));
+
+      const jobs = await request(app)
+        .post('/api/batch')
+        .send({ jobs: [{ type: 'forces', params: {} }, { type: 'trajectory', params: { initialVelocity: 'fast' } }] })
+        .expect(400);
+      expect(jobs.body.pointer).toBe('/jobs/1/params/initialVelocity');
+
+      const tooLarge = await request(app)
+        .post('/api/batch')
+        .send({ sweep: { variables: { launchAngle: { from: 0, to: 90, step: 0.1 } } } })
+        .expect(400);
+      expect(tooLarge.body.code).toBe('limit_exceeded');
+    });
+    
+    test('should reject a batch whose flights together exceed the point budget', async () => {
+      const response = await request(app)
+        .post('/api/batch')
+        .send({ sweep: { base: { initialVelocity: 30, dt: 0.0005 }, variables: { launchAngle: { from: 40, to: 60, step: 0.1 } } } })
+        .expect(400);
+      
+      expect(response.body.errors[0]).toMatchObject({ code: 'limit_exceeded', pointer: '/sweep', allowed: { maxPoints: 1000000 } });
+    });
+    
+    test('should stop a batch whose flights stay up far longer than estimated', async () => {
+      // An updraft holds each paper airplane up for the full 300 s, about 150,000 points
+      const params = { initialVelocity: 1, launchAngle: 0, material: 'paper_airplane', verticalWind: 20, dt: 0.002 };
+      const response = await request(app)
+        .post('/api/batch')
+        .send({ jobs: Array.from({ length: 10 }, () => ({ type: 'trajectory', params })) })
+        .expect(400);
+      
+      expect(response.body.errors[0]).toMatchObject({ code: 'limit_exceeded', pointer: '/jobs', allowed: { maxPoints: 1000000 } });
+    }, 60000);
+  });
+
+  describe('Collision Calculations', () => {
+    test('should calculate collision between two objects', async () => {
+      const params = {
+        object1: {
+          mass1: 1,
+          velocity1: { x: 10, y: 0 }
+        },
+        object2: {
+          mass2: 1,
+          velocity2: { x: -10, y: 0 },
+          restitution: 0.8
+        }
+      };
+
+      const response = await request(app)
+        .post('/api/collision')
+        .send(params)
+        .expect(200);
+      
+      expect(response.body.success).toBe(true);
+      expect(response.body.results.collision.object1FinalVelocity).toBeDefined();
+      expect(response.body.results.collision.object2FinalVelocity).toBeDefined();
+      expect(response.body.results.collision.impactForce).toBeGreaterThan(0);
+    });
+
+    test('should keep head-on collisions along the line of centres', async () => {
+      const response = await request(app)
+        .post('/api/collision')
+        .send({
+          object1: { mass: 1, radius: 0.1, position: { x: 0, y: 0 }, velocity: { x: 4, y: 0 } },
+          object2: { mass: 1, radius: 0.1, position: { x: 0.2, y: 0 }, velocity: { x: 0, y: 0 } },
+          restitution: 1
+        })
+        .expect(200);
+      
+      const collision = response.body.results.collision;
+      expect(collision.object1FinalVelocity.x).toBeCloseTo(0, 3);
+      expect(collision.object2FinalVelocity.x).toBeCloseTo(4, 3);
+      expect(collision.object1FinalAngularVelocity).toBe(0);
+      expect(collision.impulse.tangential).toBe(0);
+      expect(collision.energyLoss).toBeCloseTo(0, 3);
+    });
+
+    test('should deflect glancing hits and transfer spin through friction', async () => {
+      const response = await request(app)
+        .post('/api/collision')
+        .send({
+          object1: { material: 'golf', position: { x: 0, y: 0 }, velocity: { x: 2, y: 0 } },
+          object2: { material: 'golf', position: { x: 0.0364, y: 0.021 }, velocity: { x: 0, y: 0 } },
+          friction: 0.2
+        })
+        .expect(200);
+      
+      const collision = response.body.results.collision;
+      expect(collision.contact.normal.y).toBeGreaterThan(0.4);
+      expect(collision.object2FinalVelocity.y).toBeGreaterThan(0);
+      expect(collision.object1FinalVelocity.y).toBeLessThan(0);
+      expect(collision.object1FinalAngularVelocity).not.toBe(0);
+      expect(collision.object2FinalAngularVelocity).not.toBe(0);
+      expect(Math.abs(collision.impulse.tangential))
+        .toBeLessThanOrEqual(0.2 * collision.impulse.normal + 1e-4);
+      expect(collision.energyChange.object2.rotational).toBeGreaterThan(0);
+    });
+
+    test('should conserve linear momentum in oblique collisions', async () => {
+      const object1 = { mass: 2, radius: 0.1, position: { x: 0, y: 0 }, velocity: { x: 3, y: 1 }, angularVelocity: 5 };
+      const object2 = { mass: 0.5, radius: 0.05, position: { x: 0.12, y: -0.06 }, velocity: { x: -1, y: 0 } };
+      const response = await request(app)
+        .post('/api/collision')
+        .send({ object1, object2, restitution: 0.6, friction: 0.5 })
+        .expect(200);
+      
+      const collision = response.body.results.collision;
+      expect(2 * collision.object1FinalVelocity.x + 0.5 * collision.object2FinalVelocity.x).toBeCloseTo(5.5, 2);
+      expect(2 * collision.object1FinalVelocity.y + 0.5 * collision.object2FinalVelocity.y).toBeCloseTo(2, 2);
+      expect(collision.energyLoss).toBeGreaterThan(0);
+    });
+
+    test('should not exchange an impulse between separating bodies', async () => {
+      const response = await request(app)
+        .post('/api/collision')
+        .send({
+          object1: { mass: 1, position: { x: 0, y: 0 }, velocity: { x: -1, y: 0 } },
+          object2: { mass: 1, position: { x: 0.2, y: 0 }, velocity: { x: 1, y: 0 } }
+        })
+        .expect(200);
+      
+      expect(response.body.results.collision.contact.approaching).toBe(false);
+      expect(response.body.results.collision.impulse.magnitude).toBe(0);
+    });
+
+    test('should reject unknown collision materials', async () => {
+      const response = await request(app)
+        .post('/api/collision')
+        .send({
+          object1: { material: 'billiard', velocity: { x: 1, y: 0 } },
+          object2: { material: 'tennis' }
+        })
+        .expect(400);
+      
+      expect(response.body.error).toContain('object1.material');
     });
 
     test('should reject missing object parameters', async () => {